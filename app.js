@@ -1,109 +1,670 @@
 (function () {
+  const { t } = window.i18n;
   const fileInput = document.getElementById('fileInput');
   const processBtn = document.getElementById('processBtn');
   const originalAudio = document.getElementById('originalAudio');
   const processedAudio = document.getElementById('processedAudio');
+  const livePreviewToggle = document.getElementById('livePreview');
+  const abToggleBtn = document.getElementById('abToggleBtn');
   const downloadLink = document.getElementById('downloadLink');
   const toast = document.getElementById('toast');
+  const languageSelect = document.getElementById('languageSelect');
+  const shortcutsBtn = document.getElementById('shortcutsBtn');
+  const shortcutsOverlay = document.getElementById('shortcutsOverlay');
+  const shortcutsCloseBtn = document.getElementById('shortcutsCloseBtn');
+  const shortcutsList = document.getElementById('shortcutsList');
   const silenceThresholdInput = document.getElementById('silenceThreshold');
   const silenceThresholdValue = document.getElementById('silenceThresholdValue');
   const minSilenceMsInput = document.getElementById('minSilenceMs');
   const minSilenceMsValue = document.getElementById('minSilenceMsValue');
   const overlapMsInput = document.getElementById('overlapMs');
   const overlapMsValue = document.getElementById('overlapMsValue');
+  const downmixMono = document.getElementById('downmixMono');
+  const detectorMode = document.getElementById('detectorMode');
+  const fadeCurve = document.getElementById('fadeCurve');
+  const spliceSnap = document.getElementById('spliceSnap');
+  const autoCalibrateBtn = document.getElementById('autoCalibrateBtn');
+  const autoMinSilence = document.getElementById('autoMinSilence');
+  const calibrationInfo = document.getElementById('calibrationInfo');
+  const longFileInfo = document.getElementById('longFileInfo');
+  const waveformCanvas = document.getElementById('waveform');
+  const waveZoomIn = document.getElementById('waveZoomIn');
+  const waveZoomOut = document.getElementById('waveZoomOut');
+  const waveZoomFit = document.getElementById('waveZoomFit');
+  const keepSelectionBtn = document.getElementById('keepSelectionBtn');
+  const cutSelectionBtn = document.getElementById('cutSelectionBtn');
+  const resetEditsBtn = document.getElementById('resetEditsBtn');
+  const editsInfo = document.getElementById('editsInfo');
+  const jobPanel = document.getElementById('jobPanel');
+  const jobStatus = document.getElementById('jobStatus');
+  const jobProgress = document.getElementById('jobProgress');
+  const cancelBtn = document.getElementById('cancelBtn');
+  const queuePanel = document.getElementById('queuePanel');
+  const queueList = document.getElementById('queueList');
+  const processAllBtn = document.getElementById('processAllBtn');
+  const zipBtn = document.getElementById('zipBtn');
+  const clearQueueBtn = document.getElementById('clearQueueBtn');
+  const multitrackMode = document.getElementById('multitrackMode');
+  const mixdownEnabled = document.getElementById('mixdownEnabled');
+  const mixdownLink = document.getElementById('mixdownLink');
+  const cutListFormat = document.getElementById('cutListFormat');
+  const cutListBtn = document.getElementById('cutListBtn');
+  const reportPanel = document.getElementById('reportPanel');
+  const reportExportBtn = document.getElementById('reportExportBtn');
+  const reportStats = document.getElementById('reportStats');
+  const reportHistogram = document.getElementById('reportHistogram');
+  const reportWarnings = document.getElementById('reportWarnings');
+  const outputFormat = document.getElementById('outputFormat');
+  const ditherOutput = document.getElementById('ditherOutput');
+  const enableDenoise = document.getElementById('enableDenoise');
+  const denoiseAmountDb = document.getElementById('denoiseAmountDb');
+  const denoiseAmountDbValue = document.getElementById('denoiseAmountDbValue');
+  const noiseRegionInfo = document.getElementById('noiseRegionInfo');
+  const noiseFromSelectionBtn = document.getElementById('noiseFromSelectionBtn');
+  const noiseRegionResetBtn = document.getElementById('noiseRegionResetBtn');
+  const noisePreviewBtn = document.getElementById('noisePreviewBtn');
+  const noisePreview = document.getElementById('noisePreview');
+  const enableArtifacts = document.getElementById('enableArtifacts');
+  const artifactSensitivity = document.getElementById('artifactSensitivity');
+  const artifactSensitivityValue = document.getElementById('artifactSensitivityValue');
+  const artifactsInfo = document.getElementById('artifactsInfo');
+  const enableStretch = document.getElementById('enableStretch');
+  const stretchPercent = document.getElementById('stretchPercent');
+  const stretchPercentValue = document.getElementById('stretchPercentValue');
+  const stretchSpeechOnly = document.getElementById('stretchSpeechOnly');
+  const enableLoudness = document.getElementById('enableLoudness');
+  const loudnessTarget = document.getElementById('loudnessTarget');
+  const truePeakDb = document.getElementById('truePeakDb');
+  const truePeakDbValue = document.getElementById('truePeakDbValue');
+  const loudnessInfo = document.getElementById('loudnessInfo');
+  const enableDynamics = document.getElementById('enableDynamics');
+  const dynamicsStages = document.getElementById('dynamicsStages');
+  const dynamicsInfo = document.getElementById('dynamicsInfo');
   const enableEq = document.getElementById('enableEq');
   const eqPreset = document.getElementById('eqPreset');
-  const eqCustomGroup = document.getElementById('eqCustomGroup');
-  const eqLow = document.getElementById('eqLow');
-  const eqLowValue = document.getElementById('eqLowValue');
-  const eqMid = document.getElementById('eqMid');
-  const eqMidValue = document.getElementById('eqMidValue');
-  const eqHigh = document.getElementById('eqHigh');
-  const eqHighValue = document.getElementById('eqHighValue');
+  const eqGraphCanvas = document.getElementById('eqGraph');
+  const eqBands = document.getElementById('eqBands');
+  const eqAddBandBtn = document.getElementById('eqAddBandBtn');
+  const presetSelect = document.getElementById('presetSelect');
+  const presetSaveBtn = document.getElementById('presetSaveBtn');
+  const presetDeleteBtn = document.getElementById('presetDeleteBtn');
+  const presetResetBtn = document.getElementById('presetResetBtn');
+  const presetExportBtn = document.getElementById('presetExportBtn');
+  const presetImportBtn = document.getElementById('presetImportBtn');
+  const presetImportInput = document.getElementById('presetImportInput');
+  const presetLinkBtn = document.getElementById('presetLinkBtn');
+  const presetInfo = document.getElementById('presetInfo');
 
   let selectedFile = null;
   let audioContext = null;
+  // Last decoded file (and its mono sidechain), reused by calibration, waveform and processing
+  // (chunks: WAV metadata chunks for the output; artifactAnalysis: frame features of the
+  // mono sidechain, computed on first use)
+  let decodedCache = { file: null, buffer: null, chunks: [], mono: null, artifactAnalysis: null };
+  // True once the user edited the cut plan in the waveform view
+  let segmentsEdited = false;
+  let waveformRefreshTimer = null;
+  // AbortController of the running job, if any
+  let activeJob = null;
+  // Batch queue: { file, status, progress, blob, url, result, error, row }
+  let queue = [];
+  // Sum of the queued tracks from the last multi-track run: { blob, url, name } or null
+  let mixdown = null;
+  // Cut list and result (runPipeline) of whatever is loaded in the processed player
+  let processedCutList = null;
+  let processedResult = null;
 
-  const PROCESS_OPTIONS = {
-    silenceThreshold: 0.015,
-    minSilenceMs: 250,
-    overlapMs: 70,
+  // Core defaults (speechTrimmer.js). The close threshold slider needs a value:
+  // the core's own fallback for the open threshold, as the CLI uses
+  const { DEFAULTS, DETECTOR_DEFAULTS, defaultCloseThreshold } = window._speechTrimmer;
+  const PROCESS_OPTIONS = { ...DEFAULTS, ...DETECTOR_DEFAULTS, closeThreshold: defaultCloseThreshold(DEFAULTS.silenceThreshold) };
+
+  // Generic sliders: element id (= PROCESS_OPTIONS key) -> displayed decimals.
+  // Each slider has a matching `<id>Value` output.
+  const RANGE_CONTROLS = {
+    keepPausePercent: 0,
+    maxPauseMs: 0,
+    snapWindowMs: 0,
+    sentenceGapMs: 0,
+    sentencePauseMs: 0,
+    closeThreshold: 4,
+    attackMs: 0,
+    holdMs: 0,
+    releaseMs: 0,
+    minSpeechMs: 0,
+    preRollMs: 0,
+    postRollMs: 0,
+  };
+
+  // Pipeline stages in order, with their share of the overall progress bar (labels: stage.<name> messages)
+  const JOB_STAGE_ORDER = ['decode', 'detect', 'artifacts', 'denoise', 'stitch', 'stretch', 'eq', 'dynamics', 'loudness', 'encode'];
+  const JOB_STAGES = {
+    decode: { weight: 0.1 },
+    detect: { weight: 0.2 },
+    artifacts: { weight: 0.1 },
+    denoise: { weight: 0.15 },
+    stitch: { weight: 0.15 },
+    stretch: { weight: 0.15 },
+    eq: { weight: 0.1 },
+    dynamics: { weight: 0.1 },
+    loudness: { weight: 0.1 },
+    encode: { weight: 0.2 },
+  };
+  // Long WAV recordings (streaming.js): the stitch pass also filters and encodes
+  const STREAMING_STAGES = ['detect', 'stitch'];
+  // Queue as synchronized tracks (processTracks in pipeline.js), own stages
+  const MULTITRACK_STAGES = ['decode', 'detect', 'tracks', 'mix', 'encode'];
+  Object.assign(JOB_STAGES, {
+    tracks: { weight: 0.4 },
+    mix: { weight: 0.05 },
+  });
+
+  // Output file format (id from audioEncoders.OUTPUT_FORMATS) and TPDF dither for integer formats
+  const OUTPUT_OPTIONS = {
+    format: 'wav16',
+    dither: true,
+  };
+
+  // Noise reduction (see DENOISE_DEFAULTS in denoise.js). region: noise sample
+  // picked on the waveform ([start, end] samples of the selected file), else the cut gaps
+  const NOISE_STATE = {
+    enabled: false,
+    amountDb: window.audioDenoise.DENOISE_DEFAULTS.amountDb,
+    region: null,
+  };
+
+  // Breaths, clicks and mouth noises (see ARTIFACT_DEFAULTS in artifacts.js): what to do with each type
+  const ARTIFACT_STATE = {
+    enabled: false,
+    ...copyArtifacts(window.audioArtifacts.ARTIFACT_DEFAULTS),
+  };
+
+  // Speech rate (see STRETCH_DEFAULTS in timeStretch.js), as percent faster
+  const STRETCH_STATE = {
+    enabled: false,
+    percent: Math.round((window.audioTimeStretch.STRETCH_DEFAULTS.rate - 1) * 100),
+    speechOnly: window.audioTimeStretch.STRETCH_DEFAULTS.speechOnly,
+  };
+
+  // Loudness normalization (see LOUDNESS_DEFAULTS in loudness.js)
+  const LOUDNESS_STATE = {
+    enabled: false,
+    ...window.audioLoudness.LOUDNESS_DEFAULTS,
+  };
+
+  // Dynamics chain (see DYNAMICS_DEFAULTS in dynamics.js): stage settings and their order
+  const DYNAMICS_STATE = {
+    enabled: false,
+    ...copyDynamics(window.audioDynamics.DYNAMICS_DEFAULTS),
+  };
+  // Slider id -> stage setting and how its value is shown
+  const DYNAMICS_CONTROLS = {
+    compressorThresholdDb: { stage: 'compressor', key: 'thresholdDb', format: (v) => `${v.toFixed(0)} dB` },
+    compressorRatio: { stage: 'compressor', key: 'ratio', format: (v) => `${v.toFixed(1)}:1` },
+    compressorAttackMs: { stage: 'compressor', key: 'attackMs', format: (v) => `${v.toFixed(0)} ms` },
+    compressorReleaseMs: { stage: 'compressor', key: 'releaseMs', format: (v) => `${v.toFixed(0)} ms` },
+    compressorMakeupDb: { stage: 'compressor', key: 'makeupDb', format: (v) => `${v.toFixed(1)} dB` },
+    deesserFrequency: { stage: 'deesser', key: 'frequency', format: (v) => `${v.toFixed(0)} Hz` },
+    deesserThresholdDb: { stage: 'deesser', key: 'thresholdDb', format: (v) => `${v.toFixed(0)} dB` },
+    deesserRangeDb: { stage: 'deesser', key: 'rangeDb', format: (v) => `${v.toFixed(0)} dB` },
+    limiterCeilingDb: { stage: 'limiter', key: 'ceilingDb', format: (v) => `${v.toFixed(1)} dBTP` },
   };
 
-  // EQ state (gains in dB)
+  // EQ state: a preset from audioEqualizer.EQ_PRESETS or 'custom'; bands always
+  // hold what is applied (a copy of the preset's until the user edits one)
   const EQ_STATE = {
     enabled: false,
-    mode: 'clear', // 'clear' | 'warm' | 'cinematic' | 'custom'
-    lowDb: 0,
-    midDb: 0,
-    highDb: 0,
+    mode: 'warm',
+    bands: window.audioEqualizer.presetToBands('warm'),
+  };
+  const EQ_BAND_LIMITS = {
+    frequency: { min: 20, max: 20000, step: 1 },
+    Q: { min: 0.1, max: 30, step: 0.01 },
+    gain: { min: -18, max: 18, step: 0.5 },
   };
+  let selectedEqBand = -1;
+
+  const eqGraph = window.createEqGraph(eqGraphCanvas, {
+    onChange: (bands) => {
+      setEqBands(bands);
+      renderEqBands();
+    },
+    onSelect: selectEqBand,
+  });
+
+  // Keyboard shortcuts, matched on event.code so each key keeps its place in any
+  // layout; keys: what the help shows, action: its shortcuts.<action> message
+  const SHORTCUTS = [
+    { keys: ['O'], codes: ['KeyO'], action: 'chooseFile', run: () => fileInput.click() },
+    { keys: ['P'], codes: ['KeyP'], action: 'process', run: () => processBtn.click() },
+    { keys: ['Space'], codes: ['Space'], action: 'playPause', run: togglePlayback },
+    { keys: ['B'], codes: ['KeyB'], action: 'ab', run: () => abToggleBtn.click() },
+    { keys: ['D'], codes: ['KeyD'], action: 'download', run: downloadProcessed },
+    { keys: ['[', ']'], codes: ['BracketLeft', 'BracketRight'], action: 'nudge', run: nudgeSlider },
+    { keys: ['?'], codes: ['Slash'], action: 'help', run: () => setShortcutsHelp(shortcutsOverlay.hidden) },
+    { keys: ['Esc'], codes: ['Escape'], action: 'dismiss', run: () => setShortcutsHelp(false) },
+  ];
+  const KEY_NAMES = { Space: 'shortcuts.spaceKey' };
+  // Slider the nudge keys move: the last one pointed at or focused
+  let nudgeTarget = silenceThresholdInput;
+  let focusBeforeHelp = null;
+
+  // Original player through the current EQ and dynamics (livePreview.js)
+  const livePreview = window.createLivePreview(originalAudio, getAudioContext);
+  // Player the A/B switch jumps away from: the one played or switched to last
+  let abCurrent = originalAudio;
+
+  // What a fresh page starts with; presets and shared links are merged onto it
+  const DEFAULT_SETTINGS = collectSettings();
+
+  // Interface language first, so everything rendered below comes out in it
+  initLanguageUI();
 
   // Initialize controls from defaults
 
   // Initialize sliders from defaults and bind live updates
   applyOptionsToControls(PROCESS_OPTIONS);
   bindControlUpdates();
+  initOutputUI();
+  initDenoiseUI();
+  initArtifactsUI();
+  initStretchUI();
   initEqUI();
+  initDynamicsUI();
+  initLoudnessUI();
+  initPresetUI();
 
   // Initialize enhanced audio players (Plyr)
   let originalPlyr = null;
   let processedPlyr = null;
   initPlayers();
 
-  fileInput.addEventListener('change', () => {
-    const file = fileInput.files && fileInput.files[0];
-    selectedFile = file || null;
-    if (selectedFile) {
-      const url = URL.createObjectURL(selectedFile);
-      originalAudio.src = url;
+  initPreviewUI();
 
-      // Reset processed state
-      processedAudio.removeAttribute('src');
-      processedAudio.load();
-      disableDownload();
+  const waveform = window.createWaveformView(waveformCanvas, {
+    onSeek: (time) => { originalAudio.currentTime = time; },
+    onChange: () => setSegmentsEdited(true),
+    onSelectionChange: (hasSelection) => {
+      keepSelectionBtn.disabled = !hasSelection;
+      cutSelectionBtn.disabled = !hasSelection;
+      noiseFromSelectionBtn.disabled = !hasSelection;
+    },
+  });
+  initWaveformUI();
 
-      if (originalPlyr) originalPlyr.volume = 0.5;
-    }
+  // Choosing files replaces the queue; dropping files onto the page appends to it
+  fileInput.addEventListener('change', () => {
+    const files = Array.from(fileInput.files || []);
+    if (files.length === 0) return;
+    setQueue(files);
+    selectFile(files[0]);
   });
+  initDropZone();
+  initShortcuts();
 
   processBtn.addEventListener('click', async () => {
     if (!selectedFile) {
-      alert('Пожалуйста, выберите аудиофайл.');
+      alert(t('error.noFile'));
       return;
     }
 
+    if (activeJob) return;
+
+    const options = { ...PROCESS_OPTIONS, denoise: denoiseOptions(NOISE_STATE.region), artifacts: artifactOptions() };
+    if (segmentsEdited) options.segments = waveform.getSegments();
+    if (options.segments && options.segments.length === 0) {
+      alert(t('error.emptyPlan'));
+      return;
+    }
+
+    const item = queue.find((entry) => entry.file === selectedFile);
+    const controller = new AbortController();
+    activeJob = controller;
+    const long = await isLongRecording(selectedFile);
+    const progress = startJobProgress(long ? STREAMING_STAGES : activeStages(), 1);
+    const control = { signal: controller.signal, onProgress: progress.update };
+
     try {
-      if (!audioContext) audioContext = new (window.AudioContext || window.webkitAudioContext)();
+      let processed;
+      if (long) {
+        processed = await runStreamingPipeline(selectedFile, options, control);
+      } else {
+        progress.update('decode', 0);
+        const decoded = await getDecodedBuffer();
+        throwIfAborted(controller.signal);
+        progress.update('decode', 1);
+        processed = await runPipeline(decoded, decodedCache.chunks, options, control, selectedFile.name);
+      }
+      const { blob, result } = processed;
+      if (item) setItemResult(item, blob, result);
 
-      const arrayBuffer = await selectedFile.arrayBuffer();
-      const decoded = await audioContext.decodeAudioData(arrayBuffer.slice(0));
+      const processedUrl = item ? item.url : URL.createObjectURL(blob);
+      showProcessed(processedUrl, selectedFile.name, result);
+      progress.finish(t('job.done'));
+      showToast();
+    } catch (err) {
+      if (err && err.name === 'AbortError') {
+        progress.finish(t('job.cancelled'));
+      } else {
+        console.error(err);
+        progress.fail(t('job.failed', { error: err && err.message ? err.message : err }));
+      }
+    } finally {
+      activeJob = null;
+      updateZipButton();
+    }
+  });
 
-      let wavBlob = await window.processAudioBuffer(audioContext, decoded, PROCESS_OPTIONS);
+  // Batch: every queued file with the current PROCESS_OPTIONS and EQ_STATE.
+  // Manual waveform edits belong to one file and are not applied here.
+  processAllBtn.addEventListener('click', async () => {
+    if (activeJob || queue.length === 0) return;
+    if (multitrackMode.checked) {
+      processQueueAsTracks();
+      return;
+    }
 
-      if (EQ_STATE.enabled) {
-        // Decode the processed WAV back to buffer, run offline EQ, then re-encode
-        const processedArrayBuf = await wavBlob.arrayBuffer();
-        const processedBuffer = await audioContext.decodeAudioData(processedArrayBuf.slice(0));
-        const eqBuffer = await renderEqWithOfflineContext(processedBuffer, getActiveEqGains());
-        wavBlob = window._speechTrimmer.audioBufferToWavBlob(eqBuffer);
+    const controller = new AbortController();
+    activeJob = controller;
+    processAllBtn.disabled = true;
+    const progress = startJobProgress(activeStages(), queue.length);
+    let failed = 0;
+
+    for (let i = 0; i < queue.length; i++) {
+      const item = queue[i];
+      if (controller.signal.aborted) {
+        updateItem(item, 'cancelled');
+        continue;
       }
+      progress.setFile(i);
+      updateItem(item, 'processing', 0);
+      const control = {
+        signal: controller.signal,
+        onProgress: (stage, fraction) => {
+          const itemFraction = progress.update(stage, fraction);
+          updateItem(item, 'processing', itemFraction);
+        },
+      };
 
-      const processedUrl = URL.createObjectURL(wavBlob);
-      processedAudio.src = processedUrl;
-      processedAudio.load();
-      if (processedPlyr) processedPlyr.volume = 0.5;
+      try {
+        const options = { ...PROCESS_OPTIONS, denoise: denoiseOptions(null), artifacts: artifactOptions() };
+        let processed;
+        if (await isLongRecording(item.file)) {
+          processed = await runStreamingPipeline(item.file, options, control);
+        } else {
+          control.onProgress('decode', 0);
+          const { buffer, chunks } =
+            item.file === selectedFile ? { buffer: await getDecodedBuffer(), chunks: decodedCache.chunks } : await decodeFile(item.file);
+          throwIfAborted(controller.signal);
+          control.onProgress('decode', 1);
+          processed = await runPipeline(buffer, chunks, options, control, item.file.name);
+        }
+        const { blob, result } = processed;
+        setItemResult(item, blob, result);
+        if (item.file === selectedFile) showProcessed(item.url, item.file.name, item.result);
+      } catch (err) {
+        if (err && err.name === 'AbortError') {
+          updateItem(item, 'cancelled');
+        } else {
+          console.error(err);
+          failed++;
+          item.error = err && err.message ? err.message : String(err);
+          updateItem(item, 'error');
+        }
+      }
+    }
 
-      enableDownload(processedUrl, selectedFile.name);
+    activeJob = null;
+    processAllBtn.disabled = false;
+    updateZipButton();
+    if (controller.signal.aborted) {
+      progress.finish(t('job.cancelled'));
+    } else if (failed > 0) {
+      progress.fail(t('queue.partlyFailed', { failed, total: queue.length }));
+    } else {
+      progress.finish(t('queue.done', { count: queue.length }));
       showToast();
+    }
+  });
+
+  zipBtn.addEventListener('click', async () => {
+    const done = queue.filter((item) => item.status === 'done');
+    if (done.length === 0) return;
+
+    zipBtn.disabled = true;
+    try {
+      const used = new Set();
+      const entries = done.map((item) => ({ name: uniqueName(processedFileName(item.file.name, item.result.format), used), blob: item.blob }));
+      if (mixdown) entries.push({ name: uniqueName(mixdown.name, used), blob: mixdown.blob });
+      const zip = await window.createZip(entries);
+      const url = URL.createObjectURL(zip);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = 'processed.zip';
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
     } catch (err) {
       console.error(err);
-      alert('Не удалось обработать файл. Подробности в консоли.');
+      alert(t('queue.zipFailed'));
+    } finally {
+      updateZipButton();
+    }
+  });
+
+  multitrackMode.addEventListener('change', () => {
+    mixdownEnabled.disabled = !multitrackMode.checked;
+  });
+
+  clearQueueBtn.addEventListener('click', () => {
+    if (activeJob) return;
+    setQueue(selectedFile ? [selectedFile] : []);
+  });
+
+  cutListBtn.addEventListener('click', downloadCutList);
+  reportExportBtn.addEventListener('click', downloadReport);
+
+  cancelBtn.addEventListener('click', () => {
+    if (activeJob) activeJob.abort();
+  });
+
+  autoCalibrateBtn.addEventListener('click', async () => {
+    if (!selectedFile) {
+      alert(t('error.noFile'));
+      return;
+    }
+
+    if (await isLongRecording(selectedFile)) {
+      alert(t('calibration.long'));
+      return;
+    }
+
+    autoCalibrateBtn.disabled = true;
+    try {
+      const decoded = await getDecodedBuffer();
+      const mono = decodedCache.mono;
+      const estimate = window._speechTrimmer.estimateSilenceSettings(mono, decoded.sampleRate);
+
+      PROCESS_OPTIONS.silenceThreshold = clampToRange(silenceThresholdInput, estimate.silenceThreshold);
+      PROCESS_OPTIONS.closeThreshold = Math.min(
+        PROCESS_OPTIONS.silenceThreshold,
+        clampToRange(document.getElementById('closeThreshold'), estimate.closeThreshold)
+      );
+      if (autoMinSilence.checked) {
+        PROCESS_OPTIONS.minSilenceMs = clampToRange(minSilenceMsInput, estimate.minSilenceMs);
+      }
+      applyOptionsToControls(PROCESS_OPTIONS);
+      refreshWaveformPlan();
+
+      calibrationInfo.textContent = t('calibration.result', {
+        noise: estimate.noiseFloorDb.toFixed(0),
+        speech: estimate.speechLevelDb.toFixed(0),
+      });
+      calibrationInfo.hidden = false;
+    } catch (err) {
+      console.error(err);
+      alert(t('calibration.failed'));
+    } finally {
+      autoCalibrateBtn.disabled = false;
     }
   });
 
   // (Parameters line removed for cleaner UI)
 
+  async function getDecodedBuffer() {
+    if (decodedCache.file === selectedFile) return decodedCache.buffer;
+    const file = selectedFile;
+    const { buffer, chunks } = await decodeFile(file);
+    decodedCache = { file, buffer, chunks, mono: window._speechTrimmer.downmixToMono(buffer), artifactAnalysis: null };
+    return buffer;
+  }
+
+  // -> { buffer: AudioBuffer, chunks: WAV metadata chunks ([] for other formats) }
+  async function decodeFile(file) {
+    const context = getAudioContext();
+    const arrayBuffer = await file.arrayBuffer();
+    // WAV is read as-is (decodeAudioData would resample to the context rate),
+    // which keeps results byte-identical with the Node CLI
+    if (window.wavReader.isWav(arrayBuffer)) {
+      const { channels, sampleRate, chunks } = window.wavReader.readWav(arrayBuffer);
+      return { buffer: window._speechTrimmer.createBufferFromChannels(context, channels, sampleRate), chunks };
+    }
+    return { buffer: await context.decodeAudioData(arrayBuffer), chunks: [] };
+  }
+
+  // One context for decoding and the live preview
+  function getAudioContext() {
+    if (!audioContext) audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    return audioContext;
+  }
+
+  // Trim -> optional EQ -> optional dynamics -> optional loudness normalization (one worker job,
+  // see pipeline.js) -> encode (worker), WAV with the source's metadata and cut markers.
+  // result: { cutList, format, dynamics, loudness, report } of the processed file
+  async function runPipeline(decoded, sourceChunks, options, control, sourceName) {
+    const output = { ...OUTPUT_OPTIONS };
+    const channels = window._speechTrimmer.extractChannels(decoded);
+    const jobOptions = { ...options, ...chainOptions() };
+    const processed = await window.audioJobs.process(channels, decoded.sampleRate, jobOptions, control);
+
+    const chunks = window.wavMetadata.buildWavMetadata(sourceChunks, processed.cutList);
+    const blob = await window.audioJobs.encode(processed.channels, processed.sampleRate, { ...output, chunks }, control);
+    return {
+      blob,
+      result: {
+        cutList: processed.cutList,
+        format: output.format,
+        dynamics: processed.dynamics,
+        loudness: processed.loudness,
+        report: buildProcessingReport(processed, sourceName, { ...jobOptions, ...output }),
+      },
+    };
+  }
+
+  // The stages after trimming, as the current panels set them
+  function chainOptions() {
+    return {
+      stretch: STRETCH_STATE.enabled ? { rate: 1 + STRETCH_STATE.percent / 100, speechOnly: STRETCH_STATE.speechOnly } : null,
+      eq: EQ_STATE.enabled ? EQ_STATE.bands.map((band) => ({ ...band })) : null,
+      dynamics: DYNAMICS_STATE.enabled ? copyDynamics(DYNAMICS_STATE) : null,
+      loudness: LOUDNESS_STATE.enabled ? { targetLufs: LOUDNESS_STATE.targetLufs, truePeakDb: LOUDNESS_STATE.truePeakDb } : null,
+    };
+  }
+
+  // Trim -> optional EQ -> WAV, read and written in chunks (see streaming.js); the
+  // whole-file stages must be off. result: as runPipeline's
+  async function runStreamingPipeline(file, options, control) {
+    const streamOptions = { ...options, ...chainOptions(), ...OUTPUT_OPTIONS };
+    const unsupported = window.audioStreaming.unsupportedStreamingOptions(streamOptions);
+    if (unsupported.length) {
+      const names = unsupported.map((name) => t(name === 'format' ? 'streaming.nonWav' : `stage.${name}`));
+      throw new Error(t('streaming.unsupported', { names: names.join(', ') }));
+    }
+    const processed = await window.audioJobs.processStream(file, streamOptions, control);
+    return {
+      blob: processed.blob,
+      result: {
+        cutList: processed.cutList,
+        format: OUTPUT_OPTIONS.format,
+        dynamics: null,
+        loudness: null,
+        report: buildProcessingReport(processed, file.name, streamOptions),
+      },
+    };
+  }
+
+  // report.js data for one processed file; settings are the options the job ran with
+  function buildProcessingReport(processed, sourceName, settings) {
+    // Hand-edited segments are already in the cut list
+    const { segments, ...rest } = settings;
+    return window.audioReport.buildReport({
+      ...processed,
+      source: sourceName,
+      format: OUTPUT_OPTIONS.format,
+      settings: { ...rest, segmentsEdited: Boolean(segments) },
+    });
+  }
+
+  // WAV too long to decode as a whole: processed by runStreamingPipeline, no waveform.
+  // Decided by the decoded size from the header, so 8- and 16-bit files count fully
+  async function isLongRecording(file) {
+    if (!/\.wave?$/i.test(file.name)) return false;
+    const { STREAMING_MIN_DECODED_BYTES, decodedWavSize, blobSource } = window.audioStreaming;
+    try {
+      return (await decodedWavSize(blobSource(file))) >= STREAMING_MIN_DECODED_BYTES;
+    } catch (_) {
+      // Not a WAV we can read in parts: decoding it whole reports the problem
+      return false;
+    }
+  }
+
+  function selectFile(file) {
+    selectedFile = file;
+    const url = URL.createObjectURL(file);
+    originalAudio.src = url;
+
+    // Reset processed state, or show this file's earlier result
+    const item = queue.find((entry) => entry.file === file);
+    if (item && item.status === 'done') {
+      showProcessed(item.url, file.name, item.result);
+    } else {
+      processedAudio.removeAttribute('src');
+      processedAudio.load();
+      disableDownload();
+    }
+    calibrationInfo.hidden = true;
+    setNoiseRegion(null);
+
+    if (originalPlyr) originalPlyr.volume = 0.5;
+    renderQueue();
+    loadWaveform();
+  }
+
+  function showProcessed(url, originalName, result) {
+    processedCutList = result.cutList || null;
+    processedResult = result;
+    cutListBtn.disabled = !processedCutList;
+    processedAudio.src = url;
+    processedAudio.load();
+    if (processedPlyr) processedPlyr.volume = 0.5;
+    syncAbButton();
+    enableDownload(url, originalName, result.format);
+    showDynamicsInfo(result.dynamics);
+    showLoudnessInfo(result.loudness);
+    showReport(result.report);
+  }
+
+  // Snap a computed value onto a range input's min/max/step grid
+  function clampToRange(input, value) {
+    const min = Number(input.min);
+    const max = Number(input.max);
+    const step = Number(input.step) || 1;
+    const snapped = Math.round((value - min) / step) * step + min;
+    const decimals = (input.step.split('.')[1] || '').length;
+    return Number(Math.min(max, Math.max(min, snapped)).toFixed(decimals));
+  }
+
   function applyOptionsToControls(opts) {
     silenceThresholdInput.value = String(opts.silenceThreshold);
     silenceThresholdValue.textContent = Number(opts.silenceThreshold).toFixed(3);
@@ -111,13 +672,24 @@
     minSilenceMsValue.textContent = String(opts.minSilenceMs);
     overlapMsInput.value = String(opts.overlapMs);
     overlapMsValue.textContent = String(opts.overlapMs);
+    downmixMono.checked = opts.channelMode === 'mono';
+    detectorMode.value = opts.detector;
+    fadeCurve.value = opts.fadeCurve;
+    spliceSnap.value = opts.spliceSnap;
+    for (const [key, decimals] of Object.entries(RANGE_CONTROLS)) {
+      document.getElementById(key).value = String(opts[key]);
+      document.getElementById(`${key}Value`).textContent = Number(opts[key]).toFixed(decimals);
+    }
   }
 
   function bindControlUpdates() {
     silenceThresholdInput.addEventListener('input', () => {
       PROCESS_OPTIONS.silenceThreshold = Number(silenceThresholdInput.value);
       silenceThresholdValue.textContent = PROCESS_OPTIONS.silenceThreshold.toFixed(3);
-      // live value updated in UI
+      // The close threshold follows, like the CLI's default for -t; its own slider fine-tunes it afterwards
+      PROCESS_OPTIONS.closeThreshold = defaultCloseThreshold(PROCESS_OPTIONS.silenceThreshold);
+      document.getElementById('closeThreshold').value = String(PROCESS_OPTIONS.closeThreshold);
+      document.getElementById('closeThresholdValue').textContent = PROCESS_OPTIONS.closeThreshold.toFixed(RANGE_CONTROLS.closeThreshold);
     });
 
     minSilenceMsInput.addEventListener('input', () => {
@@ -131,20 +703,541 @@
       overlapMsValue.textContent = String(PROCESS_OPTIONS.overlapMs);
       // live value updated in UI
     });
+
+    downmixMono.addEventListener('change', () => {
+      PROCESS_OPTIONS.channelMode = downmixMono.checked ? 'mono' : 'preserve';
+    });
+
+    detectorMode.addEventListener('change', () => {
+      PROCESS_OPTIONS.detector = detectorMode.value;
+    });
+
+    fadeCurve.addEventListener('change', () => {
+      PROCESS_OPTIONS.fadeCurve = fadeCurve.value;
+    });
+
+    spliceSnap.addEventListener('change', () => {
+      PROCESS_OPTIONS.spliceSnap = spliceSnap.value;
+    });
+
+    for (const [key, decimals] of Object.entries(RANGE_CONTROLS)) {
+      const input = document.getElementById(key);
+      const output = document.getElementById(`${key}Value`);
+      input.addEventListener('input', () => {
+        PROCESS_OPTIONS[key] = Number(input.value);
+        output.textContent = PROCESS_OPTIONS[key].toFixed(decimals);
+      });
+    }
   }
 
-  function enableDownload(href, originalName) {
-    const base = (originalName || 'processed').replace(/\.[^/.]+$/, '');
+  function enableDownload(href, originalName, format) {
     downloadLink.href = href;
-    downloadLink.download = `${base}-processed.wav`;
+    downloadLink.download = processedFileName(originalName, format);
     downloadLink.classList.remove('disabled');
     downloadLink.setAttribute('aria-disabled', 'false');
   }
 
+  function processedFileName(originalName, format = OUTPUT_OPTIONS.format) {
+    const base = (originalName || 'processed').replace(/\.[^/.]+$/, '');
+    return `${base}-processed.${window.audioEncoders.OUTPUT_FORMATS[format].extension}`;
+  }
+
+  function downloadCutList() {
+    if (!processedCutList || !selectedFile) return;
+    const { name, blob } = window.cutListExport.exportCutList(cutListFormat.value, processedCutList, selectedFile.name);
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function downloadReport() {
+    if (!processedResult || !processedResult.report) return;
+    const report = { ...processedResult.report, generatedAt: new Date().toISOString() };
+    const base = (report.source || 'processed').replace(/\.[^/.]+$/, '');
+    const url = URL.createObjectURL(new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${base}.report.json`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
   function disableDownload() {
+    processedCutList = null;
+    processedResult = null;
+    cutListBtn.disabled = true;
+    syncAbButton();
     downloadLink.href = '#';
     downloadLink.classList.add('disabled');
     downloadLink.setAttribute('aria-disabled', 'true');
+    showDynamicsInfo(null);
+    showLoudnessInfo(null);
+    showReport(null);
+  }
+
+  // ------- Waveform editor -------
+  function initWaveformUI() {
+    waveZoomIn.addEventListener('click', () => waveform.zoomBy(2));
+    waveZoomOut.addEventListener('click', () => waveform.zoomBy(0.5));
+    waveZoomFit.addEventListener('click', () => waveform.zoomToFit());
+    keepSelectionBtn.addEventListener('click', () => waveform.keepSelection());
+    cutSelectionBtn.addEventListener('click', () => waveform.cutSelection());
+    resetEditsBtn.addEventListener('click', () => {
+      setSegmentsEdited(false);
+      refreshWaveformPlan();
+    });
+
+    // Re-plan while the user tweaks pause/detector settings (unless edited by hand)
+    const onSettingsInput = (event) => {
+      if (!event.target.closest('.plan-settings')) return;
+      if (waveformRefreshTimer) clearTimeout(waveformRefreshTimer);
+      waveformRefreshTimer = setTimeout(refreshWaveformPlan, 150);
+    };
+    document.addEventListener('input', onSettingsInput);
+    document.addEventListener('change', onSettingsInput);
+
+    // Playhead follows the original player; animate while playing
+    let rafId = 0;
+    const follow = () => {
+      waveform.setPlayhead(originalAudio.currentTime);
+      rafId = originalAudio.paused ? 0 : requestAnimationFrame(follow);
+    };
+    originalAudio.addEventListener('play', () => { if (!rafId) rafId = requestAnimationFrame(follow); });
+    originalAudio.addEventListener('seeked', follow);
+  }
+
+  async function loadWaveform() {
+    const file = selectedFile;
+    setSegmentsEdited(false);
+    const long = await isLongRecording(file);
+    if (file !== selectedFile) return;
+    longFileInfo.hidden = !long;
+    if (long) {
+      waveform.setAudio(new Float32Array(0), 48000);
+      return;
+    }
+    try {
+      const decoded = await getDecodedBuffer();
+      if (file !== selectedFile) return; // another file was picked meanwhile
+      waveform.setAudio(decodedCache.mono, decoded.sampleRate);
+      eqGraph.setSampleRate(decoded.sampleRate);
+      waveform.setPlayhead(0);
+      refreshWaveformPlan();
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  function refreshWaveformPlan() {
+    if (segmentsEdited || !decodedCache.mono || decodedCache.file !== selectedFile) return;
+    const rate = decodedCache.buffer.sampleRate;
+    let segments = window._speechTrimmer.planSegments(decodedCache.mono, rate, PROCESS_OPTIONS);
+    // Same detection and removal as trimChannels, so the plan shows what processing cuts
+    let events = [];
+    if (ARTIFACT_STATE.enabled) {
+      const { analyzeFrames, detectArtifacts, removeEvents } = window.audioArtifacts;
+      if (!decodedCache.artifactAnalysis) decodedCache.artifactAnalysis = analyzeFrames(decodedCache.mono, rate);
+      const analysis = decodedCache.artifactAnalysis;
+      events = detectArtifacts(decodedCache.mono, rate, segments, { ...artifactOptions(), analysis });
+      segments = removeEvents(segments, events, rate);
+    }
+    waveform.setSegments(segments);
+    waveform.setEvents(events);
+    showArtifactsInfo(ARTIFACT_STATE.enabled ? events : null);
+  }
+
+  function setSegmentsEdited(edited) {
+    segmentsEdited = edited;
+    resetEditsBtn.disabled = !edited;
+    editsInfo.hidden = !edited;
+  }
+
+  // ------- Job progress -------
+  function activeStages() {
+    const optional = {
+      artifacts: ARTIFACT_STATE.enabled,
+      denoise: NOISE_STATE.enabled,
+      stretch: STRETCH_STATE.enabled,
+      eq: EQ_STATE.enabled,
+      dynamics: DYNAMICS_STATE.enabled,
+      loudness: LOUDNESS_STATE.enabled,
+    };
+    return JOB_STAGE_ORDER.filter((stage) => optional[stage] ?? true);
+  }
+
+  // Returns update(stage, fraction) -> fraction of the current file done;
+  // for batches, setFile(index) moves the overall bar to the next file.
+  function startJobProgress(stages, fileCount = 1) {
+    const total = stages.reduce((sum, stage) => sum + JOB_STAGES[stage].weight, 0);
+    let fileIndex = 0;
+    processBtn.disabled = true;
+    cancelBtn.hidden = false;
+    jobPanel.hidden = false;
+    jobStatus.classList.remove('error');
+    jobProgress.value = 0;
+
+    const update = (stage, fraction) => {
+      const index = stages.indexOf(stage);
+      if (index < 0) return 0;
+      const done = stages.slice(0, index).reduce((sum, s) => sum + JOB_STAGES[s].weight, 0);
+      const fileFraction = (done + JOB_STAGES[stage].weight * fraction) / total;
+      jobProgress.value = (fileIndex + fileFraction) / fileCount;
+      const prefix = fileCount > 1 ? t('job.fileOf', { index: fileIndex + 1, count: fileCount }) : '';
+      jobStatus.textContent = `${prefix}${t(`stage.${stage}`)}… ${Math.round(fraction * 100)}%`;
+      return fileFraction;
+    };
+
+    const end = (message, isError) => {
+      processBtn.disabled = false;
+      cancelBtn.hidden = true;
+      jobStatus.textContent = message;
+      jobStatus.classList.toggle('error', Boolean(isError));
+    };
+
+    return {
+      update,
+      setFile: (index) => { fileIndex = index; },
+      finish: (message) => end(message, false),
+      fail: (message) => end(message, true),
+    };
+  }
+
+  // ------- Batch queue -------
+  function setQueue(files) {
+    for (const item of queue) {
+      if (item.url) URL.revokeObjectURL(item.url);
+    }
+    setMixdown(null);
+    queue = files.map((file) => ({ file, status: 'queued', progress: 0, blob: null, url: null, result: null, error: null }));
+    renderQueue();
+  }
+
+  function addToQueue(files) {
+    for (const file of files) {
+      if (queue.some((item) => item.file === file)) continue;
+      queue.push({ file, status: 'queued', progress: 0, blob: null, url: null, result: null, error: null });
+    }
+    renderQueue();
+  }
+
+  // The queued files as tracks of one recording: decoded together, cut with one
+  // jointly detected segment list (pipeline.js processTracks), optionally summed
+  async function processQueueAsTracks() {
+    const items = queue.slice();
+    const controller = new AbortController();
+    activeJob = controller;
+    processAllBtn.disabled = true;
+    const progress = startJobProgress(MULTITRACK_STAGES, 1);
+    const control = { signal: controller.signal, onProgress: progress.update };
+    items.forEach((item) => updateItem(item, 'processing', 0));
+    setMixdown(null);
+
+    try {
+      for (const item of items) {
+        if (await isLongRecording(item.file)) throw new Error(t('multitrack.noLong'));
+      }
+      const sources = [];
+      for (const [i, item] of items.entries()) {
+        progress.update('decode', i / items.length);
+        sources.push(item.file === selectedFile
+          ? { buffer: await getDecodedBuffer(), chunks: decodedCache.chunks }
+          : await decodeFile(item.file));
+        throwIfAborted(controller.signal);
+      }
+      progress.update('decode', 1);
+      const { sampleRate } = sources[0].buffer;
+      const other = sources.find((source) => source.buffer.sampleRate !== sampleRate);
+      if (other) throw new Error(t('multitrack.rateMismatch', { first: sampleRate, other: other.buffer.sampleRate }));
+
+      const options = {
+        ...PROCESS_OPTIONS,
+        denoise: denoiseOptions(null),
+        artifacts: artifactOptions(),
+        ...chainOptions(),
+        mixdown: mixdownEnabled.checked,
+      };
+      const tracks = sources.map((source) => window._speechTrimmer.extractChannels(source.buffer));
+      const processed = await window.audioJobs.processTracks(tracks, sampleRate, options, control);
+
+      // Each track keeps its own source metadata; all get the same cut markers
+      const outputs = processed.tracks.map((track, i) => ({ channels: track.channels, chunks: sources[i].chunks }));
+      if (processed.mixdown) outputs.push({ channels: processed.mixdown.channels, chunks: [] });
+      const blobs = [];
+      for (const [i, output] of outputs.entries()) {
+        const chunks = window.wavMetadata.buildWavMetadata(output.chunks, processed.cutList);
+        blobs.push(await window.audioJobs.encode(output.channels, sampleRate, { ...OUTPUT_OPTIONS, chunks }, {
+          signal: controller.signal,
+          onProgress: (stage, fraction) => progress.update('encode', (i + fraction) / outputs.length),
+        }));
+      }
+
+      items.forEach((item, i) => {
+        const { dynamics, loudness, levels, events } = processed.tracks[i];
+        const report = buildProcessingReport({ ...processed, levels, events }, item.file.name, { ...options, ...OUTPUT_OPTIONS });
+        setItemResult(item, blobs[i], { cutList: processed.cutList, format: OUTPUT_OPTIONS.format, dynamics, loudness, report });
+        if (item.file === selectedFile) showProcessed(item.url, item.file.name, item.result);
+      });
+      if (processed.mixdown) {
+        const base = items[0].file.name.replace(/\.[^/.]+$/, '');
+        const extension = window.audioEncoders.OUTPUT_FORMATS[OUTPUT_OPTIONS.format].extension;
+        setMixdown({ blob: blobs[items.length], name: `${base}-mix.${extension}` });
+      }
+      progress.finish(t('multitrack.done', { count: items.length }));
+      showToast();
+    } catch (err) {
+      const cancelled = err && err.name === 'AbortError';
+      items.forEach((item) => {
+        item.error = cancelled ? null : err && err.message ? err.message : String(err);
+        updateItem(item, cancelled ? 'cancelled' : 'error');
+      });
+      if (cancelled) {
+        progress.finish(t('job.cancelled'));
+      } else {
+        console.error(err);
+        progress.fail(t('multitrack.failed', { error: err && err.message ? err.message : err }));
+      }
+    } finally {
+      activeJob = null;
+      processAllBtn.disabled = false;
+      updateZipButton();
+    }
+  }
+
+  // mix: { blob, name } or null to drop the last one
+  function setMixdown(mix) {
+    if (mixdown) URL.revokeObjectURL(mixdown.url);
+    mixdown = mix ? { ...mix, url: URL.createObjectURL(mix.blob) } : null;
+    mixdownLink.hidden = !mixdown;
+    if (!mixdown) return;
+    mixdownLink.href = mixdown.url;
+    mixdownLink.download = mixdown.name;
+  }
+
+  function setItemResult(item, blob, result) {
+    if (item.url) URL.revokeObjectURL(item.url);
+    item.blob = blob;
+    item.result = result;
+    item.url = URL.createObjectURL(blob);
+    item.error = null;
+    updateItem(item, 'done', 1);
+  }
+
+  function updateItem(item, status, progress = item.progress) {
+    item.status = status;
+    item.progress = progress;
+    const row = item.row;
+    if (!row) return renderQueue();
+    row.status.textContent = status === 'processing'
+      ? `${t('queue.status.processing')} ${Math.round(progress * 100)}%`
+      : t(`queue.status.${status}`);
+    row.status.title = item.error || '';
+    row.li.dataset.status = status;
+    row.download.hidden = status !== 'done';
+    if (status === 'done') {
+      row.download.href = item.url;
+      row.download.download = processedFileName(item.file.name, item.result.format);
+    }
+    updateZipButton();
+  }
+
+  function renderQueue() {
+    queueList.textContent = '';
+    for (const item of queue) {
+      const li = document.createElement('li');
+      li.className = 'queue-item';
+      li.classList.toggle('is-current', item.file === selectedFile);
+
+      const name = document.createElement('button');
+      name.type = 'button';
+      name.className = 'queue-name';
+      name.textContent = item.file.name;
+      name.title = t('queue.openFile');
+      name.addEventListener('click', () => {
+        if (item.file !== selectedFile) selectFile(item.file);
+      });
+
+      const status = document.createElement('span');
+      status.className = 'queue-status';
+
+      const download = document.createElement('a');
+      download.className = 'queue-download';
+      download.textContent = t('queue.download');
+
+      li.append(name, status, download);
+      queueList.appendChild(li);
+      item.row = { li, status, download };
+      updateItem(item, item.status);
+    }
+    // A single file needs no queue; the top bar covers it
+    queuePanel.hidden = queue.length < 2;
+    updateZipButton();
+  }
+
+  function updateZipButton() {
+    zipBtn.disabled = activeJob !== null || !queue.some((item) => item.status === 'done');
+  }
+
+  // Keep ZIP entry names unique when two sources share a base name
+  function uniqueName(name, used) {
+    let candidate = name;
+    for (let n = 2; used.has(candidate); n++) {
+      candidate = name.replace(/(\.[^/.]+)$/, ` (${n})$1`);
+    }
+    used.add(candidate);
+    return candidate;
+  }
+
+  function initDropZone() {
+    let depth = 0;
+    const isFileDrag = (event) => Array.from(event.dataTransfer ? event.dataTransfer.types : []).includes('Files');
+
+    document.addEventListener('dragenter', (event) => {
+      if (!isFileDrag(event)) return;
+      depth++;
+      document.body.classList.add('dragging');
+    });
+    document.addEventListener('dragleave', () => {
+      depth = Math.max(0, depth - 1);
+      if (depth === 0) document.body.classList.remove('dragging');
+    });
+    document.addEventListener('dragover', (event) => {
+      if (isFileDrag(event)) event.preventDefault();
+    });
+    document.addEventListener('drop', (event) => {
+      if (!isFileDrag(event)) return;
+      event.preventDefault();
+      depth = 0;
+      document.body.classList.remove('dragging');
+
+      const files = Array.from(event.dataTransfer.files)
+        .filter((file) => file.type.startsWith('audio/') || /\.(wav|mp3|m4a|aac|ogg|oga|opus|flac|webm)$/i.test(file.name));
+      if (files.length === 0) return;
+      addToQueue(files);
+      if (!selectedFile) selectFile(files[0]);
+    });
+  }
+
+  function throwIfAborted(signal) {
+    if (signal.aborted) throw new DOMException('Processing cancelled', 'AbortError');
+  }
+
+  // ------- Interface language -------
+  function initLanguageUI() {
+    const { listLanguages, detectLanguage, setLanguage, getLanguage, onLanguageChange } = window.i18n;
+    for (const { id, name } of listLanguages()) languageSelect.appendChild(new Option(name, id));
+    // Not remembered: until the user picks one, the browser's languages decide
+    setLanguage(detectLanguage(), { remember: false });
+    languageSelect.value = getLanguage();
+    languageSelect.addEventListener('change', () => setLanguage(languageSelect.value));
+    onLanguageChange(renderLocalizedText);
+  }
+
+  // Text built here rather than in the markup, rendered again in the new language
+  function renderLocalizedText() {
+    languageSelect.value = window.i18n.getLanguage();
+    syncAbButton();
+    renderQueue();
+    renderPresetOptions(presetSelect.value);
+    renderEqBands();
+    setNoiseRegion(NOISE_STATE.region);
+    refreshWaveformPlan();
+    renderShortcuts();
+    if (processedResult) {
+      showDynamicsInfo(processedResult.dynamics);
+      showLoudnessInfo(processedResult.loudness);
+      showReport(processedResult.report);
+    }
+  }
+
+  // ------- Keyboard shortcuts -------
+  function initShortcuts() {
+    renderShortcuts();
+    shortcutsBtn.addEventListener('click', () => setShortcutsHelp(true));
+    shortcutsCloseBtn.addEventListener('click', () => setShortcutsHelp(false));
+    shortcutsOverlay.addEventListener('click', (event) => {
+      if (event.target === shortcutsOverlay) setShortcutsHelp(false);
+    });
+    const trackSlider = (event) => {
+      if (event.target.type === 'range') nudgeTarget = event.target;
+    };
+    document.addEventListener('pointerover', trackSlider);
+    document.addEventListener('focusin', trackSlider);
+
+    document.addEventListener('keydown', (event) => {
+      if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey || isTextEntry(event.target)) return;
+      const shortcut = SHORTCUTS.find((entry) => entry.codes.includes(event.code));
+      if (!shortcut) return;
+      // With the help open only the keys that close it work
+      if (!shortcutsOverlay.hidden && !['help', 'dismiss'].includes(shortcut.action)) return;
+      if (shortcut.action === 'dismiss' && shortcutsOverlay.hidden) return;
+      // Space keeps its own meaning on buttons, links and form controls
+      if (event.code === 'Space' && event.target.closest('button, a, input, select, summary, audio, [role="button"]')) return;
+      event.preventDefault();
+      shortcut.run(event);
+    });
+  }
+
+  function renderShortcuts() {
+    shortcutsList.textContent = '';
+    for (const { keys, action } of SHORTCUTS) {
+      const dt = document.createElement('dt');
+      keys.forEach((key, i) => {
+        if (i > 0) dt.append(' ');
+        const kbd = document.createElement('kbd');
+        kbd.textContent = KEY_NAMES[key] ? t(KEY_NAMES[key]) : key;
+        dt.appendChild(kbd);
+      });
+      const dd = document.createElement('dd');
+      dd.textContent = t(`shortcuts.${action}`);
+      shortcutsList.append(dt, dd);
+    }
+  }
+
+  function setShortcutsHelp(open) {
+    if (open === !shortcutsOverlay.hidden) return;
+    shortcutsOverlay.hidden = !open;
+    if (open) {
+      focusBeforeHelp = document.activeElement;
+      shortcutsCloseBtn.focus();
+    } else if (focusBeforeHelp && focusBeforeHelp.focus) {
+      focusBeforeHelp.focus();
+    }
+  }
+
+  // Inputs where letters and brackets are typed, not shortcuts
+  function isTextEntry(el) {
+    if (!el || !el.tagName) return false;
+    if (el.isContentEditable || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT') return true;
+    return el.tagName === 'INPUT' && !['range', 'checkbox', 'radio', 'button', 'file'].includes(el.type);
+  }
+
+  // The player A/B points at
+  function togglePlayback() {
+    if (!abCurrent.src) return;
+    if (abCurrent.paused) abCurrent.play().catch(() => {});
+    else abCurrent.pause();
+  }
+
+  function downloadProcessed() {
+    if (!downloadLink.classList.contains('disabled')) downloadLink.click();
+  }
+
+  // One step per press, ten with Shift; the slider's own input handler applies it
+  function nudgeSlider(event) {
+    const slider = nudgeTarget;
+    if (slider.disabled) return;
+    const steps = event.shiftKey ? 10 : 1;
+    if (event.code === 'BracketRight') slider.stepUp(steps);
+    else slider.stepDown(steps);
+    slider.dispatchEvent(new Event('input', { bubbles: true }));
+    slider.dispatchEvent(new Event('change', { bubbles: true }));
   }
 
   // ------- Toast -------
@@ -162,157 +1255,779 @@
     }, 3400);
   }
 
-  // ------- EQ helpers -------
-  function initEqUI() {
-    // Initial values
-    enableEq.checked = false;
-    eqPreset.value = 'warm';
-    updateEqCustomOutputs();
-    toggleEqCustomVisibility();
+  // ------- Presets -------
+  function initPresetUI() {
+    renderPresetOptions();
 
-    enableEq.addEventListener('change', () => {
-      EQ_STATE.enabled = enableEq.checked;
+    presetSelect.addEventListener('change', () => {
+      presetDeleteBtn.disabled = !presetSelect.value;
+      const settings = window.settingsPresets.loadPresets()[presetSelect.value];
+      if (settings) applySettings(settings);
+    });
+    presetSaveBtn.addEventListener('click', saveCurrentPreset);
+    presetDeleteBtn.addEventListener('click', () => {
+      const name = presetSelect.value;
+      if (!name || !confirm(t('presets.confirmDelete', { name }))) return;
+      window.settingsPresets.deletePreset(name);
+      renderPresetOptions();
+    });
+    presetResetBtn.addEventListener('click', () => {
+      applySettings(DEFAULT_SETTINGS);
+      presetSelect.value = '';
+      presetDeleteBtn.disabled = true;
     });
+    presetExportBtn.addEventListener('click', exportPresetFile);
+    presetImportBtn.addEventListener('click', () => presetImportInput.click());
+    presetImportInput.addEventListener('change', importPresetFile);
+    presetLinkBtn.addEventListener('click', copySettingsLink);
 
-    eqPreset.addEventListener('change', () => {
-      EQ_STATE.mode = eqPreset.value;
-      if (EQ_STATE.mode !== 'custom') {
-        // Apply preset values into custom sliders for visibility
-        const { lowDb, midDb, highDb } = presetToGains(EQ_STATE.mode);
-        eqLow.value = String(lowDb);
-        eqMid.value = String(midDb);
-        eqHigh.value = String(highDb);
-        updateEqCustomOutputs();
+    // A shared link (#settings=...) overrides the defaults
+    applySettingsFromHash();
+    window.addEventListener('hashchange', applySettingsFromHash);
+  }
+
+  function renderPresetOptions(selected = '') {
+    const names = Object.keys(window.settingsPresets.loadPresets());
+    presetSelect.replaceChildren(new Option(t(names.length ? 'presets.choose' : 'presets.none'), ''));
+    for (const name of names) presetSelect.appendChild(new Option(name, name));
+    presetSelect.value = names.includes(selected) ? selected : '';
+    presetDeleteBtn.disabled = !presetSelect.value;
+    presetExportBtn.disabled = names.length === 0;
+  }
+
+  // Everything a preset or link restores; file-specific state (noise region,
+  // waveform edits) stays out
+  function collectSettings() {
+    return {
+      process: { ...PROCESS_OPTIONS },
+      output: { ...OUTPUT_OPTIONS },
+      denoise: { enabled: NOISE_STATE.enabled, amountDb: NOISE_STATE.amountDb },
+      artifacts: { enabled: ARTIFACT_STATE.enabled, ...copyArtifacts(ARTIFACT_STATE) },
+      stretch: { ...STRETCH_STATE },
+      eq: { ...EQ_STATE, bands: EQ_STATE.bands.map((band) => ({ ...band })) },
+      dynamics: { enabled: DYNAMICS_STATE.enabled, ...copyDynamics(DYNAMICS_STATE) },
+      loudness: { ...LOUDNESS_STATE },
+    };
+  }
+
+  function applySettings(raw) {
+    const settings = window.settingsPresets.sanitizeSettings(upgradeSettings(raw), DEFAULT_SETTINGS);
+    const { process, output, denoise, artifacts, stretch, eq, dynamics, loudness } = settings;
+
+    // Sliders keep values inside their range; selects only take values they offer
+    for (const key of ['silenceThreshold', 'minSilenceMs', 'overlapMs', ...Object.keys(RANGE_CONTROLS)]) {
+      process[key] = clampToRange(document.getElementById(key), process[key]);
+    }
+    process.channelMode = process.channelMode === 'mono' ? 'mono' : 'preserve';
+    process.detector = selectableValue(detectorMode, process.detector, DEFAULT_SETTINGS.process.detector);
+    process.fadeCurve = selectableValue(fadeCurve, process.fadeCurve, DEFAULT_SETTINGS.process.fadeCurve);
+    process.spliceSnap = selectableValue(spliceSnap, process.spliceSnap, DEFAULT_SETTINGS.process.spliceSnap);
+    output.format = selectableValue(outputFormat, output.format, DEFAULT_SETTINGS.output.format);
+    denoise.amountDb = clampToRange(denoiseAmountDb, denoise.amountDb);
+    artifacts.sensitivity = clampToRange(artifactSensitivity, artifacts.sensitivity);
+    for (const type of window.audioArtifacts.ARTIFACT_TYPES) {
+      const fallback = DEFAULT_SETTINGS.artifacts[type];
+      artifacts[type].action = selectableValue(document.getElementById(`${type}Action`), artifacts[type].action, fallback.action);
+      artifacts[type].amountDb = clampToRange(document.getElementById(`${type}AmountDb`), artifacts[type].amountDb);
+    }
+    stretch.percent = clampToRange(stretchPercent, stretch.percent);
+    eq.mode = selectableValue(eqPreset, eq.mode, DEFAULT_SETTINGS.eq.mode);
+    eq.bands = eq.mode === 'custom' ? eq.bands.slice(0, window.audioEqualizer.MAX_BANDS).map(clampEqBand) : window.audioEqualizer.presetToBands(eq.mode);
+    dynamics.order = window.audioDynamics.normalizeOrder(dynamics.order);
+    for (const [id, { stage, key }] of Object.entries(DYNAMICS_CONTROLS)) {
+      dynamics[stage][key] = clampToRange(document.getElementById(id), dynamics[stage][key]);
+    }
+    loudness.targetLufs = selectableValue(loudnessTarget, loudness.targetLufs, DEFAULT_SETTINGS.loudness.targetLufs);
+    loudness.truePeakDb = clampToRange(truePeakDb, loudness.truePeakDb);
+
+    Object.assign(PROCESS_OPTIONS, process);
+    Object.assign(OUTPUT_OPTIONS, output);
+    Object.assign(NOISE_STATE, denoise);
+    Object.assign(ARTIFACT_STATE, artifacts);
+    Object.assign(STRETCH_STATE, stretch);
+    Object.assign(EQ_STATE, eq);
+    Object.assign(DYNAMICS_STATE, dynamics);
+    Object.assign(LOUDNESS_STATE, loudness);
+
+    applyOptionsToControls(PROCESS_OPTIONS);
+    syncOutputControls();
+    syncDenoiseControls();
+    syncArtifactControls();
+    syncStretchControls();
+    syncEqControls();
+    syncDynamicsControls();
+    syncLoudnessControls();
+    refreshWaveformPlan();
+  }
+
+  // Settings saved before the parametric EQ had three fixed gains
+  function upgradeSettings(raw) {
+    const eq = raw && raw.eq;
+    if (!eq || typeof eq !== 'object' || Array.isArray(eq.bands) || !('lowDb' in eq || 'midDb' in eq || 'highDb' in eq)) return raw;
+    const gains = [eq.lowDb, eq.midDb, eq.highDb];
+    const bands = window.audioEqualizer.presetToBands('warm').map((band, i) => ({ ...band, gain: Number(gains[i]) || 0 }));
+    return { ...raw, eq: { ...eq, bands } };
+  }
+
+  function selectableValue(select, value, fallback) {
+    const option = Array.from(select.options).find((entry) => entry.value === String(value));
+    return option && !option.disabled ? value : fallback;
+  }
+
+  function saveCurrentPreset() {
+    const name = (prompt(t('presets.namePrompt'), presetSelect.value) || '').trim();
+    if (!name) return;
+    if (window.settingsPresets.loadPresets()[name] && !confirm(t('presets.confirmReplace', { name }))) return;
+    try {
+      window.settingsPresets.savePreset(name, collectSettings());
+    } catch (err) {
+      console.error(err);
+      alert(t('presets.storageFailed'));
+      return;
+    }
+    renderPresetOptions(name);
+    showPresetInfo(t('presets.savedInfo', { name }));
+  }
+
+  function exportPresetFile() {
+    const presets = window.settingsPresets.loadPresets();
+    const blob = new Blob([window.settingsPresets.exportPresets(presets)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'cleaner-presets.json';
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // Imported presets are added to the saved ones; equal names are replaced
+  async function importPresetFile() {
+    const file = presetImportInput.files && presetImportInput.files[0];
+    presetImportInput.value = '';
+    if (!file) return;
+    try {
+      const imported = window.settingsPresets.parsePresetFile(await file.text());
+      const presets = window.settingsPresets.loadPresets();
+      const names = Object.keys(imported);
+      for (const name of names) {
+        presets[name] = window.settingsPresets.sanitizeSettings(imported[name], DEFAULT_SETTINGS);
       }
-      toggleEqCustomVisibility();
+      window.settingsPresets.savePresets(presets);
+      renderPresetOptions();
+      showPresetInfo(t('presets.imported', { count: names.length }));
+    } catch (err) {
+      console.error(err);
+      alert(t('presets.importFailed', { error: err && err.message ? err.message : err }));
+    }
+  }
+
+  async function copySettingsLink() {
+    const url = `${location.href.split('#')[0]}${window.settingsPresets.settingsToFragment(collectSettings())}`;
+    history.replaceState(null, '', url);
+    try {
+      await navigator.clipboard.writeText(url);
+      showPresetInfo(t('presets.linkCopied'));
+    } catch (_) {
+      // Clipboard needs a secure context; let the user copy by hand
+      prompt(t('presets.linkPrompt'), url);
+    }
+  }
+
+  function applySettingsFromHash() {
+    const shared = window.settingsPresets.settingsFromFragment(location.hash);
+    if (!shared) return;
+    applySettings(shared);
+    showPresetInfo(t('presets.linkLoaded'));
+  }
+
+  function showPresetInfo(text) {
+    presetInfo.textContent = text;
+    presetInfo.hidden = false;
+  }
+
+  // ------- Output format -------
+  function initOutputUI() {
+    syncOutputControls();
+
+    outputFormat.addEventListener('change', () => {
+      OUTPUT_OPTIONS.format = outputFormat.value;
+      updateDitherAvailability();
     });
+    ditherOutput.addEventListener('change', () => {
+      OUTPUT_OPTIONS.dither = ditherOutput.checked;
+    });
+  }
+
+  function syncOutputControls() {
+    outputFormat.value = OUTPUT_OPTIONS.format;
+    ditherOutput.checked = OUTPUT_OPTIONS.dither;
+    updateDitherAvailability();
+  }
+
+  // Dither only applies when rounding to 16/24-bit integers
+  function updateDitherAvailability() {
+    ditherOutput.disabled = OUTPUT_OPTIONS.format === 'wav32f' || OUTPUT_OPTIONS.format === 'opus';
+  }
+
+  // ------- Noise reduction -------
+  function initDenoiseUI() {
+    syncDenoiseControls();
 
-    eqLow.addEventListener('input', () => {
-      EQ_STATE.lowDb = Number(eqLow.value);
-      eqPreset.value = 'custom';
-      EQ_STATE.mode = 'custom';
-      toggleEqCustomVisibility();
-      updateEqCustomOutputs();
+    enableDenoise.addEventListener('change', () => {
+      NOISE_STATE.enabled = enableDenoise.checked;
     });
-    eqMid.addEventListener('input', () => {
-      EQ_STATE.midDb = Number(eqMid.value);
-      eqPreset.value = 'custom';
-      EQ_STATE.mode = 'custom';
-      toggleEqCustomVisibility();
-      updateEqCustomOutputs();
+    denoiseAmountDb.addEventListener('input', () => {
+      NOISE_STATE.amountDb = Number(denoiseAmountDb.value);
+      denoiseAmountDbValue.textContent = `${NOISE_STATE.amountDb} dB`;
     });
-    eqHigh.addEventListener('input', () => {
-      EQ_STATE.highDb = Number(eqHigh.value);
-      eqPreset.value = 'custom';
-      EQ_STATE.mode = 'custom';
-      toggleEqCustomVisibility();
-      updateEqCustomOutputs();
+    noiseFromSelectionBtn.addEventListener('click', () => setNoiseRegion(waveform.getSelection()));
+    noiseRegionResetBtn.addEventListener('click', () => setNoiseRegion(null));
+    noisePreviewBtn.addEventListener('click', previewNoise);
+  }
+
+  function syncDenoiseControls() {
+    enableDenoise.checked = NOISE_STATE.enabled;
+    denoiseAmountDb.value = String(NOISE_STATE.amountDb);
+    denoiseAmountDbValue.textContent = `${NOISE_STATE.amountDb} dB`;
+  }
+
+  // Options for trimChannels, or null when noise reduction is off
+  function denoiseOptions(region) {
+    return NOISE_STATE.enabled ? { amountDb: NOISE_STATE.amountDb, region } : null;
+  }
+
+  function setNoiseRegion(region) {
+    NOISE_STATE.region = region;
+    noiseRegionResetBtn.hidden = !region;
+    if (region && decodedCache.buffer) {
+      const rate = decodedCache.buffer.sampleRate;
+      noiseRegionInfo.textContent = t('denoise.region', { start: (region[0] / rate).toFixed(2), end: (region[1] / rate).toFixed(2) });
+    } else {
+      noiseRegionInfo.textContent = t('denoise.regionPauses');
+    }
+  }
+
+  // Run the denoiser over the whole source, keeping only what it removes
+  async function previewNoise() {
+    if (!selectedFile) {
+      alert(t('error.noFile'));
+      return;
+    }
+    if (await isLongRecording(selectedFile)) {
+      alert(t('denoise.previewLong'));
+      return;
+    }
+    if (activeJob) return;
+
+    const controller = new AbortController();
+    activeJob = controller;
+    const progress = startJobProgress(['decode', 'denoise', 'encode'], 1);
+    const control = { signal: controller.signal, onProgress: progress.update };
+
+    try {
+      progress.update('decode', 0);
+      const decoded = await getDecodedBuffer();
+      throwIfAborted(controller.signal);
+      progress.update('decode', 1);
+
+      // Without a plan yet the denoiser falls back to the quietest frames
+      const segments = waveform.getSegments();
+      const regions = NOISE_STATE.region
+        ? [NOISE_STATE.region]
+        : segments.length ? window._speechTrimmer.invertSegments(segments, decoded.length) : [];
+      const channels = await window.audioJobs.denoise(
+        window._speechTrimmer.extractChannels(decoded),
+        decoded.sampleRate,
+        { regions, amountDb: NOISE_STATE.amountDb, noiseOnly: true },
+        control
+      );
+      const blob = await window.audioJobs.encode(channels, decoded.sampleRate, { format: 'wav16' }, control);
+
+      if (noisePreview.src) URL.revokeObjectURL(noisePreview.src);
+      noisePreview.src = URL.createObjectURL(blob);
+      noisePreview.hidden = false;
+      progress.finish(t('denoise.previewReady'));
+    } catch (err) {
+      if (err && err.name === 'AbortError') {
+        progress.finish(t('job.cancelled'));
+      } else {
+        console.error(err);
+        progress.fail(t('denoise.previewFailed', { error: err && err.message ? err.message : err }));
+      }
+    } finally {
+      activeJob = null;
+    }
+  }
+
+  // ------- Breaths, clicks and mouth noises -------
+  // The panel is part of .plan-settings: every change re-plans the waveform
+  function initArtifactsUI() {
+    syncArtifactControls();
+
+    enableArtifacts.addEventListener('change', () => {
+      ARTIFACT_STATE.enabled = enableArtifacts.checked;
+    });
+    artifactSensitivity.addEventListener('input', () => {
+      ARTIFACT_STATE.sensitivity = Number(artifactSensitivity.value);
+      artifactSensitivityValue.textContent = String(ARTIFACT_STATE.sensitivity);
     });
+    for (const type of window.audioArtifacts.ARTIFACT_TYPES) {
+      const action = document.getElementById(`${type}Action`);
+      const amount = document.getElementById(`${type}AmountDb`);
+      action.addEventListener('change', () => {
+        ARTIFACT_STATE[type].action = action.value;
+        syncArtifactControls();
+      });
+      amount.addEventListener('input', () => {
+        ARTIFACT_STATE[type].amountDb = Number(amount.value);
+        document.getElementById(`${type}AmountDbValue`).textContent = `${ARTIFACT_STATE[type].amountDb} dB`;
+      });
+    }
   }
 
-  function toggleEqCustomVisibility() {
-    const isCustom = eqPreset.value === 'custom';
-    eqCustomGroup.hidden = !isCustom;
+  function syncArtifactControls() {
+    enableArtifacts.checked = ARTIFACT_STATE.enabled;
+    artifactSensitivity.value = String(ARTIFACT_STATE.sensitivity);
+    artifactSensitivityValue.textContent = String(ARTIFACT_STATE.sensitivity);
+    for (const type of window.audioArtifacts.ARTIFACT_TYPES) {
+      const settings = ARTIFACT_STATE[type];
+      const amount = document.getElementById(`${type}AmountDb`);
+      document.getElementById(`${type}Action`).value = settings.action;
+      amount.value = String(settings.amountDb);
+      // The amount only means something when attenuating
+      amount.disabled = settings.action !== 'attenuate';
+      document.getElementById(`${type}AmountDbValue`).textContent = `${settings.amountDb} dB`;
+    }
   }
 
-  // ------- Players (Plyr) -------
-  function initPlayers() {
-    if (window.Plyr) {
+  function copyArtifacts(settings) {
+    const copy = { sensitivity: settings.sensitivity };
+    for (const type of window.audioArtifacts.ARTIFACT_TYPES) copy[type] = { ...settings[type] };
+    return copy;
+  }
+
+  // Options for trimChannels, or null when detection is off
+  function artifactOptions() {
+    return ARTIFACT_STATE.enabled ? copyArtifacts(ARTIFACT_STATE) : null;
+  }
+
+  // events: what the current plan flagged, or null to hide the line
+  function showArtifactsInfo(events) {
+    artifactsInfo.hidden = !events;
+    if (!events) return;
+    const counts = window.audioArtifacts.ARTIFACT_TYPES
+      .map((type) => [type, events.filter((event) => event.type === type).length])
+      .filter(([, count]) => count > 0);
+    artifactsInfo.textContent = counts.length
+      ? t('artifacts.found', { list: counts.map(([type, count]) => `${t(`artifacts.found.${type}`)} — ${count}`).join(', ') })
+      : t('artifacts.nothingFound');
+  }
+
+  // ------- Dynamics -------
+  function initDynamicsUI() {
+    syncDynamicsControls();
+
+    enableDynamics.addEventListener('change', () => {
+      DYNAMICS_STATE.enabled = enableDynamics.checked;
+      updateLivePreview();
+    });
+
+    for (const stage of window.audioDynamics.STAGES) {
+      document.getElementById(`${stage}Enabled`).addEventListener('change', (event) => {
+        DYNAMICS_STATE[stage].enabled = event.target.checked;
+        syncDynamicsControls();
+      });
+    }
+
+    for (const [id, { stage, key, format }] of Object.entries(DYNAMICS_CONTROLS)) {
+      const input = document.getElementById(id);
+      input.addEventListener('input', () => {
+        DYNAMICS_STATE[stage][key] = Number(input.value);
+        document.getElementById(`${id}Value`).textContent = format(DYNAMICS_STATE[stage][key]);
+        updateLivePreview();
+      });
+    }
+
+    // Up/down arrows swap a stage with its neighbour in the chain
+    dynamicsStages.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-move]');
+      if (!button) return;
+      const order = DYNAMICS_STATE.order.slice();
+      const from = order.indexOf(button.closest('.dyn-stage').dataset.stage);
+      const to = from + Number(button.dataset.move);
+      if (to < 0 || to >= order.length) return;
+      [order[from], order[to]] = [order[to], order[from]];
+      DYNAMICS_STATE.order = order;
+      syncDynamicsControls();
+      button.focus();
+    });
+  }
+
+  function syncDynamicsControls() {
+    enableDynamics.checked = DYNAMICS_STATE.enabled;
+    for (const [id, { stage, key, format }] of Object.entries(DYNAMICS_CONTROLS)) {
+      document.getElementById(id).value = String(DYNAMICS_STATE[stage][key]);
+      document.getElementById(`${id}Value`).textContent = format(DYNAMICS_STATE[stage][key]);
+    }
+    DYNAMICS_STATE.order.forEach((stage, index) => {
+      const fieldset = dynamicsStages.querySelector(`[data-stage="${stage}"]`);
+      dynamicsStages.appendChild(fieldset);
+      fieldset.classList.toggle('is-off', !DYNAMICS_STATE[stage].enabled);
+      document.getElementById(`${stage}Enabled`).checked = DYNAMICS_STATE[stage].enabled;
+      fieldset.querySelector('[data-move="-1"]').disabled = index === 0;
+      fieldset.querySelector('[data-move="1"]').disabled = index === DYNAMICS_STATE.order.length - 1;
+    });
+    updateLivePreview();
+  }
+
+  // Deep enough copy of the stage settings (order plus one object per stage)
+  function copyDynamics(settings) {
+    const copy = { order: settings.order.slice() };
+    for (const stage of window.audioDynamics.STAGES) copy[stage] = { ...settings[stage] };
+    return copy;
+  }
+
+  // Largest gain reduction of each stage in the processed file
+  function showDynamicsInfo(dynamics) {
+    const describe = ([stage, db]) =>
+      `${t(`dynamics.stage.${stage}`)} ${db >= 0.05 ? t('dynamics.reducedBy', { db: db.toFixed(1) }) : t('dynamics.idle')}`;
+    const parts = dynamics ? Object.entries(dynamics.reductionDb).map(describe) : [];
+    dynamicsInfo.hidden = parts.length === 0;
+    dynamicsInfo.textContent = parts.length ? t('dynamics.info', { list: parts.join(', ') }) : '';
+  }
+
+  // ------- Live preview and A/B -------
+  function initPreviewUI() {
+    livePreviewToggle.addEventListener('change', () => {
       try {
-        originalPlyr = new Plyr(originalAudio, { controls: ['play', 'progress', 'current-time', 'mute', 'volume'] });
-        processedPlyr = new Plyr(processedAudio, { controls: ['play', 'progress', 'current-time', 'mute', 'volume'] });
-        originalPlyr.volume = 0.5;
-        processedPlyr.volume = 0.5;
-      } catch (_) {
-        // ignore
+        livePreview.setEnabled(livePreviewToggle.checked);
+        updateLivePreview();
+      } catch (err) {
+        console.error(err);
+        livePreviewToggle.checked = false;
+        alert(t('preview.unsupported'));
       }
+    });
+
+    // Only one player at a time, so A/B always compares like with like
+    for (const [player, other] of [[originalAudio, processedAudio], [processedAudio, originalAudio]]) {
+      player.addEventListener('play', () => {
+        abCurrent = player;
+        if (!other.paused) other.pause();
+        syncAbButton();
+      });
     }
+    abToggleBtn.addEventListener('click', toggleAb);
+    syncAbButton();
   }
 
-  function updateEqCustomOutputs() {
-    eqLowValue.textContent = `${Number(eqLow.value).toFixed(0)} dB`;
-    eqMidValue.textContent = `${Number(eqMid.value).toFixed(0)} dB`;
-    eqHighValue.textContent = `${Number(eqHigh.value).toFixed(0)} dB`;
+  // What the preview chain plays: the EQ and dynamics as they would be rendered
+  function updateLivePreview() {
+    if (!livePreview.isEnabled()) return;
+    livePreview.update({
+      eq: EQ_STATE.enabled ? EQ_STATE.bands.map((band) => ({ ...band })) : [],
+      dynamics: DYNAMICS_STATE.enabled ? copyDynamics(DYNAMICS_STATE) : null,
+    });
   }
 
-  function getActiveEqGains() {
-    if (eqPreset.value === 'custom') {
-      return {
-        lowDb: Number(eqLow.value),
-        midDb: Number(eqMid.value),
-        highDb: Number(eqHigh.value),
-      };
+  // Jump to the other player at the same moment of speech: source times map
+  // onto the processed timeline through the cut list and back
+  function toggleAb() {
+    if (!processedCutList) return;
+    const { mapTimeToOutput, mapTimeToSource } = window._speechTrimmer;
+    const from = abCurrent;
+    const to = from === originalAudio ? processedAudio : originalAudio;
+    const map = from === originalAudio ? mapTimeToOutput : mapTimeToSource;
+    const playing = !from.paused;
+    to.currentTime = map(processedCutList, from.currentTime);
+    from.pause();
+    abCurrent = to;
+    if (playing) to.play().catch(() => {});
+    syncAbButton();
+  }
+
+  function syncAbButton() {
+    abToggleBtn.disabled = !processedCutList;
+    abToggleBtn.textContent = t(abCurrent === processedAudio ? 'ab.processed' : 'ab.original');
+  }
+
+  // ------- Speech rate -------
+  function initStretchUI() {
+    syncStretchControls();
+
+    enableStretch.addEventListener('change', () => {
+      STRETCH_STATE.enabled = enableStretch.checked;
+    });
+    stretchPercent.addEventListener('input', () => {
+      STRETCH_STATE.percent = Number(stretchPercent.value);
+      stretchPercentValue.textContent = `+${STRETCH_STATE.percent}%`;
+    });
+    stretchSpeechOnly.addEventListener('change', () => {
+      STRETCH_STATE.speechOnly = stretchSpeechOnly.checked;
+    });
+  }
+
+  function syncStretchControls() {
+    enableStretch.checked = STRETCH_STATE.enabled;
+    stretchPercent.value = String(STRETCH_STATE.percent);
+    stretchPercentValue.textContent = `+${STRETCH_STATE.percent}%`;
+    stretchSpeechOnly.checked = STRETCH_STATE.speechOnly;
+  }
+
+  // ------- Loudness -------
+  function initLoudnessUI() {
+    syncLoudnessControls();
+
+    enableLoudness.addEventListener('change', () => {
+      LOUDNESS_STATE.enabled = enableLoudness.checked;
+    });
+    loudnessTarget.addEventListener('change', () => {
+      LOUDNESS_STATE.targetLufs = Number(loudnessTarget.value);
+    });
+    truePeakDb.addEventListener('input', () => {
+      LOUDNESS_STATE.truePeakDb = Number(truePeakDb.value);
+      truePeakDbValue.textContent = `${LOUDNESS_STATE.truePeakDb.toFixed(1)} dBTP`;
+    });
+  }
+
+  function syncLoudnessControls() {
+    enableLoudness.checked = LOUDNESS_STATE.enabled;
+    loudnessTarget.value = String(LOUDNESS_STATE.targetLufs);
+    truePeakDb.value = String(LOUDNESS_STATE.truePeakDb);
+    truePeakDbValue.textContent = `${LOUDNESS_STATE.truePeakDb.toFixed(1)} dBTP`;
+  }
+
+  // Before/after measurement of the file in the processed player
+  function showLoudnessInfo(loudness) {
+    loudnessInfo.hidden = !loudness;
+    if (!loudness) return;
+    const lufs = (value) => (Number.isFinite(value) ? `${value.toFixed(1)} LUFS` : t('level.silence'));
+    const peak = (value) => (Number.isFinite(value) ? `${value.toFixed(1)} dBTP` : '—');
+    const { before, after } = loudness;
+    let text = t('loudness.info', {
+      before: lufs(before.integrated),
+      beforePeak: peak(before.truePeak),
+      after: lufs(after.integrated),
+      afterPeak: peak(after.truePeak),
+    });
+    if (loudness.limited && after.integrated < loudness.targetLufs - 0.5) {
+      text += `. ${t('loudness.limited')}`;
     }
-    return presetToGains(eqPreset.value);
-  }
-
-  function presetToGains(preset) {
-    switch (preset) {
-      case 'clear':
-        // Clear Voice: lighter low, +presence, +air
-        return { lowDb: -3, midDb: +4, highDb: +2 };
-      case 'warm':
-        // Warm & Natural: +low, gentle -upper mids, tiny high shelf
-        return { lowDb: +2, midDb: -2, highDb: +1 };
-      case 'cinematic':
-        // Cinematic / Deep: strong low, small mid cut, a bit of high
-        return { lowDb: +5, midDb: -3, highDb: +2 };
-      default:
-        return { lowDb: 0, midDb: 0, highDb: 0 };
-    }
-  }
-
-  async function renderEqWithOfflineContext(inputBuffer, gains) {
-    // Render via OfflineAudioContext so we can export as WAV
-    const sampleRate = inputBuffer.sampleRate;
-    const length = inputBuffer.length;
-
-    // Ensure mono rendering (the processed buffer is mono; if not, average)
-    let mono;
-    if (inputBuffer.numberOfChannels > 1) {
-      const tmp = new Float32Array(length);
-      for (let ch = 0; ch < inputBuffer.numberOfChannels; ch++) {
-        const chData = inputBuffer.getChannelData(ch);
-        for (let i = 0; i < length; i++) tmp[i] += chData[i];
-      }
-      for (let i = 0; i < length; i++) tmp[i] /= inputBuffer.numberOfChannels;
-      mono = tmp;
-    } else {
-      mono = inputBuffer.getChannelData(0).slice();
+    loudnessInfo.textContent = text;
+  }
+
+  // ------- Processing report -------
+  function showReport(report) {
+    reportPanel.hidden = !report;
+    if (!report) return;
+    const { durations, levels } = report;
+    const level = (db) => (db === null ? t('level.silence') : `${db.toFixed(1)} dBFS`);
+    const seconds = (value) => t('unit.seconds', { value: value.toFixed(2) });
+    const rows = [
+      ['report.duration', `${seconds(durations.source)} → ${seconds(durations.output)}`],
+      ['report.removed', `${seconds(durations.removed)} (${durations.removedPercent.toFixed(1)}%)`],
+      ['report.cuts', String(report.cuts)],
+      ['report.longestPause', report.pauses.count ? seconds(report.pauses.longest) : '—'],
+    ];
+    const longest = report.segments.longest;
+    if (longest) {
+      const span = { duration: seconds(longest.duration), start: longest.sourceStart.toFixed(2), end: longest.sourceEnd.toFixed(2) };
+      rows.push(['report.longestSegment', t('report.segmentSpan', span)]);
+    }
+    if (levels) {
+      rows.push(['report.peak', `${level(levels.before.peakDb)} → ${level(levels.after.peakDb)}`]);
+      rows.push(['report.rms', `${level(levels.before.rmsDb)} → ${level(levels.after.rmsDb)}`]);
+    }
+    reportStats.textContent = '';
+    for (const [term, value] of rows) {
+      const dt = document.createElement('dt');
+      dt.textContent = t(term);
+      const dd = document.createElement('dd');
+      dd.textContent = value;
+      reportStats.append(dt, dd);
+    }
+
+    const most = Math.max(1, ...report.pauses.histogram.map((bin) => bin.count));
+    reportHistogram.textContent = '';
+    for (const bin of report.pauses.histogram) {
+      const label = document.createElement('span');
+      label.textContent = bin.to === null ? t('report.binOpen', bin) : t('report.binRange', bin);
+      const bar = document.createElement('span');
+      bar.className = 'bar';
+      bar.style.width = `${(bin.count / most) * 100}%`;
+      const count = document.createElement('span');
+      count.className = 'count';
+      count.textContent = String(bin.count);
+      reportHistogram.append(label, bar, count);
+    }
+
+    reportWarnings.textContent = '';
+    for (const warning of report.warnings) {
+      const li = document.createElement('li');
+      li.textContent = describeReportWarning(warning);
+      reportWarnings.appendChild(li);
     }
+    reportWarnings.hidden = report.warnings.length === 0;
+  }
+
+  // report.warning.<code> messages take the warning's own fields as parameters
+  function describeReportWarning(warning) {
+    const key = `report.warning.${warning.code}`;
+    const text = t(key, warning);
+    return text === key ? warning.code : text;
+  }
+
+  // ------- EQ helpers -------
+  function initEqUI() {
+    syncEqControls();
 
-    const offline = new OfflineAudioContext(1, length, sampleRate);
-    const buffer = offline.createBuffer(1, length, sampleRate);
-    buffer.copyToChannel(mono, 0);
+    enableEq.addEventListener('change', () => {
+      EQ_STATE.enabled = enableEq.checked;
+      updateLivePreview();
+    });
+
+    eqPreset.addEventListener('change', () => {
+      EQ_STATE.mode = eqPreset.value;
+      // 'custom' keeps the current bands as the starting point
+      if (EQ_STATE.mode !== 'custom') EQ_STATE.bands = window.audioEqualizer.presetToBands(EQ_STATE.mode);
+      selectedEqBand = -1;
+      syncEqControls();
+    });
 
-    const src = offline.createBufferSource();
-    src.buffer = buffer;
+    eqAddBandBtn.addEventListener('click', () => {
+      setEqBands([...EQ_STATE.bands, { type: 'peaking', frequency: 1000, Q: 1, gain: 0 }]);
+      selectedEqBand = EQ_STATE.bands.length - 1;
+      syncEqControls();
+    });
+  }
+
+  function syncEqControls() {
+    enableEq.checked = EQ_STATE.enabled;
+    eqPreset.value = EQ_STATE.mode;
+    eqGraph.setBands(EQ_STATE.bands);
+    eqGraph.setSelected(selectedEqBand);
+    renderEqBands();
+    updateLivePreview();
+  }
 
-    // Three-band EQ: low shelf (120 Hz), peaking (3 kHz), high shelf (10 kHz)
-    const low = offline.createBiquadFilter();
-    low.type = 'lowshelf';
-    low.frequency.value = 120;
-    low.gain.value = gains.lowDb;
+  // Any edit turns the preset into 'custom'
+  function setEqBands(bands) {
+    EQ_STATE.bands = bands;
+    EQ_STATE.mode = 'custom';
+    eqPreset.value = 'custom';
+    updateLivePreview();
+  }
+
+  function selectEqBand(index) {
+    selectedEqBand = index;
+    eqGraph.setSelected(index);
+    eqBands.querySelectorAll('.eq-band').forEach((row, i) => row.classList.toggle('is-selected', i === index));
+  }
 
-    const mid = offline.createBiquadFilter();
-    mid.type = 'peaking';
-    mid.frequency.value = 3000;
-    mid.Q.value = 0.9; // gentle bandwidth
-    mid.gain.value = gains.midDb;
+  // One row per band: type, frequency, Q, gain, remove
+  function renderEqBands() {
+    const focused = document.activeElement && eqBands.contains(document.activeElement) ? document.activeElement.dataset.key : null;
+    const focusedRow = focused ? Number(document.activeElement.closest('.eq-band').dataset.index) : -1;
+    eqBands.textContent = '';
 
-    const high = offline.createBiquadFilter();
-    high.type = 'highshelf';
-    high.frequency.value = 10000;
-    high.gain.value = gains.highDb;
+    EQ_STATE.bands.forEach((band, index) => {
+      const row = document.createElement('div');
+      row.className = 'eq-band';
+      row.dataset.index = String(index);
+      row.classList.toggle('is-selected', index === selectedEqBand);
+      row.addEventListener('focusin', () => selectEqBand(index));
 
-    src.connect(low);
-    low.connect(mid);
-    mid.connect(high);
-    high.connect(offline.destination);
+      const number = document.createElement('span');
+      number.className = 'eq-band-index';
+      number.textContent = String(index + 1);
 
-    src.start(0);
-    const rendered = await offline.startRendering();
-    return rendered;
+      const type = document.createElement('select');
+      type.dataset.key = 'type';
+      type.setAttribute('aria-label', t('eq.band.type', { index: index + 1 }));
+      for (const value of window.audioEqualizer.FILTER_TYPES) type.appendChild(new Option(t(`eq.type.${value}`), value));
+      type.value = band.type;
+      type.addEventListener('change', () => {
+        updateEqBand(index, { type: type.value });
+        renderEqBands();
+      });
+
+      const inputs = ['frequency', 'Q', 'gain'].map((key) => {
+        const input = document.createElement('input');
+        Object.assign(input, { type: 'number', ...EQ_BAND_LIMITS[key] });
+        input.dataset.key = key;
+        input.value = formatEqValue(band[key]);
+        input.setAttribute('aria-label', t(`eq.band.${key}`, { index: index + 1 }));
+        input.title = t(`eq.field.${key}`);
+        if (key === 'gain') input.disabled = !window.audioEqualizer.GAIN_TYPES.includes(band.type);
+        if (key === 'Q') input.disabled = band.type === 'lowshelf' || band.type === 'highshelf';
+        input.addEventListener('input', () => {
+          if (input.value !== '' && Number.isFinite(Number(input.value))) {
+            updateEqBand(index, { [key]: clampToRange(input, Number(input.value)) });
+          }
+        });
+        input.addEventListener('change', () => {
+          input.value = formatEqValue(EQ_STATE.bands[index][key]);
+        });
+        return input;
+      });
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'btn btn-secondary btn-small';
+      remove.textContent = '✕';
+      remove.title = t('eq.removeBand');
+      remove.setAttribute('aria-label', t('eq.removeBandN', { index: index + 1 }));
+      remove.addEventListener('click', () => {
+        setEqBands(EQ_STATE.bands.filter((_, i) => i !== index));
+        selectedEqBand = -1;
+        syncEqControls();
+      });
+
+      row.append(number, type, ...inputs, remove);
+      eqBands.appendChild(row);
+    });
+
+    eqAddBandBtn.disabled = EQ_STATE.bands.length >= window.audioEqualizer.MAX_BANDS;
+    if (focusedRow >= 0 && focusedRow < EQ_STATE.bands.length) {
+      const target = eqBands.children[focusedRow].querySelector(`[data-key="${focused}"]`);
+      if (target && !target.disabled) target.focus();
+    }
+  }
+
+  function updateEqBand(index, changes) {
+    setEqBands(EQ_STATE.bands.map((band, i) => (i === index ? { ...band, ...changes } : band)));
+    eqGraph.setBands(EQ_STATE.bands);
+  }
+
+  function formatEqValue(value) {
+    return String(Number(value.toFixed(2)));
+  }
+
+  // Band from a preset, file or link: known type, values inside the editor's limits
+  function clampEqBand(band) {
+    const type = window.audioEqualizer.FILTER_TYPES.includes(band.type) ? band.type : 'peaking';
+    const clamped = { type };
+    for (const [key, limits] of Object.entries(EQ_BAND_LIMITS)) {
+      const value = Math.min(limits.max, Math.max(limits.min, band[key]));
+      clamped[key] = Number((Math.round(value / limits.step) * limits.step).toFixed(2));
+    }
+    return clamped;
+  }
+
+  // ------- Players (Plyr) -------
+  function initPlayers() {
+    if (window.Plyr) {
+      try {
+        originalPlyr = new Plyr(originalAudio, { controls: ['play', 'progress', 'current-time', 'mute', 'volume'] });
+        processedPlyr = new Plyr(processedAudio, { controls: ['play', 'progress', 'current-time', 'mute', 'volume'] });
+        originalPlyr.volume = 0.5;
+        processedPlyr.volume = 0.5;
+      } catch (_) {
+        // ignore
+      }
+    }
   }
 })();
 
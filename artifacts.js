@@ -0,0 +1,421 @@
+/*
+  Artifacts – breaths, clicks and mouth noises inside the kept speech
+
+  - Breath: 100 ms to 1 s of noise-like sound (flat spectrum, not voiced),
+    well below the speech around it
+  - Mouth noise (lip smacks, tongue clicks): 20-100 ms bursts weighted
+    towards the high band, also well below the nearby speech
+  - Click: a jump of a few milliseconds above an otherwise quiet context
+  Each type is kept, attenuated by amountDb or removed (cut like a pause).
+  sensitivity (0-100) moves every threshold at once.
+
+  The frame analysis does not depend on the settings, so callers that
+  re-detect while the user drags a slider pass it back in (options.analysis).
+
+  Pure JS (no AudioContext), so the page, the worker and the Node CLI
+  produce the same samples.
+*/
+
+(function () {
+  const root = typeof window !== 'undefined' ? window : typeof self !== 'undefined' ? self : globalThis;
+  const load = (name, file) => root[name] || require(file);
+  const { createRealFFT } = load('audioDenoise', './denoise.js');
+
+  const ARTIFACT_TYPES = ['breath', 'mouth', 'click'];
+  const ARTIFACT_ACTIONS = ['keep', 'attenuate', 'remove'];
+
+  const ARTIFACT_DEFAULTS = {
+    sensitivity: 50,
+    breath: { action: 'attenuate', amountDb: 12 },
+    mouth: { action: 'attenuate', amountDb: 18 },
+    click: { action: 'attenuate', amountDb: 24 },
+  };
+
+  // Frame analysis: 10 ms hops, ~20 ms FFT window, features measured in 100 Hz-10 kHz
+  const HOP_MS = 10;
+  const WINDOW_MS = 20;
+  const BAND_LOW_HZ = 100;
+  const BAND_HIGH_HZ = 10000;
+  const HIGH_SPLIT_HZ = 3000;
+
+  // Voiced frames (tonal and clearly above the floor) set the reference level
+  const VOICED_FLATNESS = 0.15;
+  const VOICED_ABOVE_FLOOR_DB = 15;
+  const REFERENCE_WINDOW_MS = 1000;
+  const AUDIBLE_ABOVE_FLOOR_DB = 6;
+
+  const BREATH_MAX_MS = 1000;
+  const MOUTH_MIN_MS = 20;
+  const MOUTH_MAX_MS = 100;
+
+  // Clicks: 1 ms blocks against the medians of the 10 ms before and after
+  const CLICK_BLOCK_MS = 1;
+  const CLICK_CONTEXT_MS = 10;
+  const CLICK_MAX_MS = 5;
+  const CLICK_ABOVE_FLOOR_DB = 12;
+  const CLICK_QUIET_CONTEXT_DB = -15;
+  const CLICK_PAD_BEFORE_MS = 1;
+  const CLICK_PAD_AFTER_MS = 3;
+
+  const FADE_MS = 5;
+  const CLICK_FADE_MS = 1;
+  const MIN_FRAGMENT_MS = 20; // shorter leftovers of a removal are dropped
+  const SILENT_DB = -120;
+  const PROGRESS_FRAME_MASK = 0x3ff;
+
+  /**
+   * Find breaths, mouth noises and clicks that overlap the kept segments.
+   * onProgress, if given, receives ('artifacts', fraction).
+   * @param {Float32Array} monoData
+   * @param {number} sampleRate
+   * @param {Array<[number, number]>} segments kept [start, end) ranges
+   * @param {{sensitivity?: number, breath?: object, mouth?: object, click?: object, analysis?: object,
+   *   onProgress?: (stage: string, fraction: number) => void}} [options]
+   *   breath/mouth/click: {action: 'keep'|'attenuate'|'remove', amountDb}
+   * @returns {Array<{type: string, start: number, end: number, levelDb: number, relativeDb: number,
+   *   action: string, amountDb: number}>} sample ranges, sorted; relativeDb against the nearby speech
+   */
+  function detectArtifacts(monoData, sampleRate, segments, options = {}) {
+    const onProgress = options.onProgress || noop;
+    const analysis = options.analysis || analyzeFrames(monoData, sampleRate, (f) => onProgress('artifacts', f * 0.9));
+    const s = Math.min(1, Math.max(0, (options.sensitivity ?? ARTIFACT_DEFAULTS.sensitivity) / 100));
+    const thresholds = {
+      maxRelativeDb: lerp(-18, -6, s),
+      flatness: lerp(0.45, 0.25, s),
+      highRatio: lerp(0.7, 0.45, s),
+      breathMinMs: lerp(200, 100, s),
+      clickJumpDb: lerp(24, 12, s),
+    };
+
+    const reference = referenceLevels(analysis);
+    const found = [...frameEvents(analysis, reference, thresholds), ...clickEvents(analysis, reference, thresholds)];
+    found.sort((a, b) => a.start - b.start);
+
+    const events = [];
+    for (const event of found) {
+      if (!overlapsAny(event, segments)) continue;
+      // A click inside a breath or mouth noise is part of it
+      const previous = events[events.length - 1];
+      if (previous && event.start < previous.end) {
+        if (event.type === 'click') continue;
+        if (previous.type === 'click') events.pop();
+      }
+      const settings = { ...ARTIFACT_DEFAULTS[event.type], ...(options[event.type] || {}) };
+      events.push({ ...event, action: settings.action, amountDb: settings.amountDb });
+    }
+    onProgress('artifacts', 1);
+    return events;
+  }
+
+  /**
+   * Per-frame level, spectral flatness and high-band share, plus 1 ms block
+   * levels for the click detector. Independent of the detection settings.
+   */
+  function analyzeFrames(monoData, sampleRate, onProgress = noop) {
+    const N = monoData.length;
+    const hop = Math.max(1, msToSamples(HOP_MS, sampleRate));
+    const size = Math.pow(2, Math.round(Math.log2((sampleRate * WINDOW_MS) / 1000)));
+    const fft = createRealFFT(size);
+    const hann = new Float64Array(size);
+    for (let i = 0; i < size; i++) hann[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / size);
+    const input = new Float64Array(size);
+    const re = new Float64Array(size / 2 + 1);
+    const im = new Float64Array(size / 2 + 1);
+    const kLow = Math.max(1, Math.ceil((BAND_LOW_HZ * size) / sampleRate));
+    const kHigh = Math.min(size / 2, Math.floor((Math.min(BAND_HIGH_HZ, sampleRate * 0.475) * size) / sampleRate));
+    const kSplit = Math.min(kHigh, Math.round((HIGH_SPLIT_HZ * size) / sampleRate));
+
+    const frames = Math.ceil(N / hop);
+    const levelDb = new Float32Array(frames);
+    const flatness = new Float32Array(frames);
+    const highRatio = new Float32Array(frames);
+
+    for (let f = 0; f < frames; f++) {
+      if ((f & PROGRESS_FRAME_MASK) === 0) onProgress((0.8 * f) / frames);
+      const from = f * hop;
+      levelDb[f] = rmsDb(monoData, from, Math.min(N, from + hop));
+
+      // Window centred on the hop
+      const start = from + Math.floor(hop / 2) - size / 2;
+      for (let i = 0; i < size; i++) {
+        const index = start + i;
+        input[i] = index >= 0 && index < N ? monoData[index] * hann[i] : 0;
+      }
+      fft.forward(input, re, im);
+      let sum = 0;
+      let logSum = 0;
+      let high = 0;
+      for (let k = kLow; k <= kHigh; k++) {
+        const power = re[k] * re[k] + im[k] * im[k] + 1e-20;
+        sum += power;
+        logSum += Math.log(power);
+        if (k >= kSplit) high += power;
+      }
+      const bins = kHigh - kLow + 1;
+      flatness[f] = Math.exp(logSum / bins) / (sum / bins);
+      highRatio[f] = high / sum;
+    }
+
+    const block = Math.max(1, msToSamples(CLICK_BLOCK_MS, sampleRate));
+    const blocks = Math.ceil(N / block);
+    const blockDb = new Float32Array(blocks);
+    for (let b = 0; b < blocks; b++) blockDb[b] = rmsDb(monoData, b * block, Math.min(N, (b + 1) * block));
+    onProgress(0.9);
+
+    // Louder of the medians before and after each block (direct neighbours left
+    // out), so the start or end of a word is not a click
+    const reach = Math.max(3, Math.round(CLICK_CONTEXT_MS / CLICK_BLOCK_MS));
+    const contextDb = new Float32Array(blocks);
+    for (let b = 0; b < blocks; b++) {
+      const before = medianOf(blockDb, Math.max(0, b - reach), b - 1);
+      const after = medianOf(blockDb, b + 2, Math.min(blocks, b + reach + 1));
+      contextDb[b] = Math.max(before, after);
+    }
+    onProgress(1);
+
+    return {
+      sampleRate,
+      length: N,
+      hop,
+      levelDb,
+      flatness,
+      highRatio,
+      block,
+      blockDb,
+      contextDb,
+      floorDb: percentile(levelDb, 0.1),
+      speechDb: percentile(levelDb, 0.9),
+    };
+  }
+
+  // Loudest voiced frame within REFERENCE_WINDOW_MS of every frame (the file's
+  // speech level where there is none)
+  function referenceLevels(analysis) {
+    const { levelDb, flatness, floorDb, speechDb } = analysis;
+    const frames = levelDb.length;
+    const reach = Math.round(REFERENCE_WINDOW_MS / HOP_MS);
+    const voiced = new Float32Array(frames);
+    for (let f = 0; f < frames; f++) {
+      voiced[f] = isVoiced(analysis, f) ? levelDb[f] : -Infinity;
+    }
+
+    // Sliding maximum over [f - reach, f + reach] (monotonic deque)
+    const reference = new Float32Array(frames);
+    const deque = new Int32Array(frames);
+    let head = 0;
+    let tail = 0;
+    for (let f = 0, next = 0; f < frames; f++) {
+      for (; next <= Math.min(frames - 1, f + reach); next++) {
+        while (tail > head && voiced[deque[tail - 1]] <= voiced[next]) tail--;
+        deque[tail++] = next;
+      }
+      while (deque[head] < f - reach) head++;
+      const level = voiced[deque[head]];
+      reference[f] = Number.isFinite(level) ? level : Math.max(speechDb, floorDb + VOICED_ABOVE_FLOOR_DB);
+    }
+    return reference;
+
+    function isVoiced(a, f) {
+      return flatness[f] < VOICED_FLATNESS && a.levelDb[f] >= floorDb + VOICED_ABOVE_FLOOR_DB;
+    }
+  }
+
+  // Breaths and mouth noises: runs of quiet, noise-like or hissy frames
+  function frameEvents(analysis, reference, thresholds) {
+    const { levelDb, flatness, highRatio, floorDb, hop, length } = analysis;
+    const frames = levelDb.length;
+    const candidate = (f) => {
+      const voiced = flatness[f] < VOICED_FLATNESS && levelDb[f] >= floorDb + VOICED_ABOVE_FLOOR_DB;
+      return !voiced
+        && levelDb[f] >= floorDb + AUDIBLE_ABOVE_FLOOR_DB
+        && levelDb[f] - reference[f] <= thresholds.maxRelativeDb
+        && (flatness[f] >= thresholds.flatness || highRatio[f] >= thresholds.highRatio);
+    };
+
+    const events = [];
+    let f = 0;
+    while (f < frames) {
+      if (!candidate(f)) {
+        f++;
+        continue;
+      }
+      // Extend the run, bridging single-frame dropouts
+      const first = f;
+      let last = f;
+      for (f++; f < frames; f++) {
+        if (candidate(f)) last = f;
+        else if (!(f + 1 < frames && candidate(f + 1))) break;
+      }
+      f = last + 1;
+
+      const durationMs = (last - first + 1) * HOP_MS;
+      let peak = -Infinity;
+      let referenceDb = -Infinity;
+      let high = 0;
+      for (let k = first; k <= last; k++) {
+        peak = Math.max(peak, levelDb[k]);
+        referenceDb = Math.max(referenceDb, reference[k]);
+        high += highRatio[k];
+      }
+      high /= last - first + 1;
+
+      let type = null;
+      if (durationMs >= thresholds.breathMinMs && durationMs <= BREATH_MAX_MS) type = 'breath';
+      else if (durationMs >= MOUTH_MIN_MS && durationMs <= MOUTH_MAX_MS && high >= thresholds.highRatio) type = 'mouth';
+      if (!type) continue;
+      events.push({
+        type,
+        start: first * hop,
+        end: Math.min(length, (last + 1) * hop),
+        levelDb: peak,
+        relativeDb: peak - referenceDb,
+      });
+    }
+    return events;
+  }
+
+  // Clicks: a few loud blocks in a quiet stretch
+  function clickEvents(analysis, reference, thresholds) {
+    const { blockDb, contextDb, block, hop, floorDb, length, sampleRate } = analysis;
+    const maxBlocks = Math.max(1, Math.round(CLICK_MAX_MS / CLICK_BLOCK_MS));
+    const padBefore = msToSamples(CLICK_PAD_BEFORE_MS, sampleRate);
+    const padAfter = msToSamples(CLICK_PAD_AFTER_MS, sampleRate);
+    const referenceAt = (b) => reference[Math.min(reference.length - 1, Math.floor((b * block) / hop))];
+    const jump = (b) => blockDb[b] >= floorDb + CLICK_ABOVE_FLOOR_DB
+      && blockDb[b] - contextDb[b] >= thresholds.clickJumpDb
+      && contextDb[b] - referenceAt(b) <= CLICK_QUIET_CONTEXT_DB;
+
+    const events = [];
+    for (let b = 0; b < blockDb.length; b++) {
+      if (!jump(b)) continue;
+      const first = b;
+      while (b + 1 < blockDb.length && jump(b + 1)) b++;
+      if (b - first + 1 > maxBlocks) continue;
+      let peak = -Infinity;
+      for (let k = first; k <= b; k++) peak = Math.max(peak, blockDb[k]);
+      events.push({
+        type: 'click',
+        start: Math.max(0, first * block - padBefore),
+        end: Math.min(length, (b + 1) * block + padAfter),
+        levelDb: peak,
+        relativeDb: peak - referenceAt(first),
+      });
+    }
+    return events;
+  }
+
+  /**
+   * Cut the events whose action is 'remove' out of the kept segments.
+   * @returns {Array<[number, number]>} new segment list
+   */
+  function removeEvents(segments, events, sampleRate) {
+    const minFragment = msToSamples(MIN_FRAGMENT_MS, sampleRate);
+    let out = segments.map(([s, e]) => [s, e]);
+    for (const event of events) {
+      if (event.action !== 'remove') continue;
+      const next = [];
+      for (const [s, e] of out) {
+        if (event.end <= s || event.start >= e) {
+          next.push([s, e]);
+          continue;
+        }
+        if (event.start - s >= minFragment) next.push([s, event.start]);
+        if (e - event.end >= minFragment) next.push([event.end, e]);
+      }
+      out = next;
+    }
+    return out;
+  }
+
+  /**
+   * Settings with every 'remove' action turned into 'attenuate' (by the type's
+   * amountDb), for segment lists that must stay as given: edited plans and
+   * synchronized tracks, where a removal would cut one track only.
+   * @param {object} options detectArtifacts options
+   * @returns {object} a copy
+   */
+  function attenuateRemovals(options) {
+    const result = { ...options };
+    for (const type of ARTIFACT_TYPES) {
+      const settings = { ...ARTIFACT_DEFAULTS[type], ...(options[type] || {}) };
+      if (settings.action === 'remove') result[type] = { ...settings, action: 'attenuate' };
+    }
+    return result;
+  }
+
+  /**
+   * Turn the 'attenuate' events down by their amountDb, with short raised-cosine
+   * fades outside each event.
+   * @returns {Float32Array[]} new arrays, or the input when nothing is attenuated
+   */
+  function attenuateEvents(channels, sampleRate, events) {
+    const attenuated = events.filter((event) => event.action === 'attenuate' && event.amountDb > 0);
+    if (attenuated.length === 0 || channels.length === 0) return channels;
+    const length = channels[0].length;
+    const curve = new Float32Array(length).fill(1);
+    for (const event of attenuated) {
+      const gain = Math.pow(10, -event.amountDb / 20);
+      const fade = msToSamples(event.type === 'click' ? CLICK_FADE_MS : FADE_MS, sampleRate);
+      const from = Math.max(0, event.start - fade);
+      const to = Math.min(length, event.end + fade);
+      for (let i = from; i < to; i++) {
+        const outside = i < event.start ? event.start - i : i >= event.end ? i - event.end + 1 : 0;
+        const ramp = outside > 0 ? 0.5 + 0.5 * Math.cos((Math.PI * (fade - outside)) / fade) : 0;
+        const value = gain + (1 - gain) * ramp;
+        if (value < curve[i]) curve[i] = value;
+      }
+    }
+    return channels.map((data) => {
+      const out = new Float32Array(length);
+      for (let i = 0; i < length; i++) out[i] = data[i] * curve[i];
+      return out;
+    });
+  }
+
+  function overlapsAny(event, segments) {
+    return segments.some(([s, e]) => event.start < e && event.end > s);
+  }
+
+  function rmsDb(data, from, to) {
+    let sum = 0;
+    for (let i = from; i < to; i++) sum += data[i] * data[i];
+    const rms = Math.sqrt(sum / Math.max(1, to - from));
+    return rms > 0 ? Math.max(SILENT_DB, 20 * Math.log10(rms)) : SILENT_DB;
+  }
+
+  function medianOf(values, from, to) {
+    if (to <= from) return SILENT_DB;
+    const sorted = Array.from(values.subarray(from, to)).sort((x, y) => x - y);
+    return sorted[sorted.length >> 1];
+  }
+
+  function percentile(values, p) {
+    if (values.length === 0) return SILENT_DB;
+    const sorted = Float32Array.from(values).sort();
+    return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+  }
+
+  function lerp(a, b, t) {
+    return a + (b - a) * t;
+  }
+
+  function msToSamples(ms, sampleRate) {
+    return Math.max(0, Math.round((ms / 1000) * sampleRate));
+  }
+
+  function noop() {}
+
+  // window on the page, self in the worker, module.exports under Node
+  const api = {
+    ARTIFACT_TYPES,
+    ARTIFACT_ACTIONS,
+    ARTIFACT_DEFAULTS,
+    detectArtifacts,
+    analyzeFrames,
+    removeEvents,
+    attenuateRemovals,
+    attenuateEvents,
+  };
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+  else root.audioArtifacts = api;
+})();
@@ -0,0 +1,529 @@
+#!/usr/bin/env node
+/*
+  cleaner – command-line front end for headless.js
+
+  cleaner [options] <input.wav|glob>...
+  Quoted globs ("takes/*.wav") are expanded by cleaner itself, so they work
+  in shells that do not expand them (Windows cmd).
+  Output goes to --out-dir (default: next to each input) as <name>-processed.<ext>,
+  the same name the page downloads. With --multitrack the inputs are tracks of
+  one recording and share one cut list; --mixdown adds <first name>-mix.<ext>.
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const {
+  DEFAULTS,
+  DETECTOR_DEFAULTS,
+  FADE_CURVES,
+  SPLICE_SNAP_MODES,
+  EQ_PRESETS,
+  FILTER_TYPES,
+  DYNAMICS_DEFAULTS,
+  ARTIFACT_DEFAULTS,
+  OUTPUT_FORMATS,
+  STREAMING_MIN_BYTES,
+  processWav,
+  processWavFile,
+  processWavTracks,
+  unsupportedStreamingOptions,
+  presetToBands,
+  exportCutList,
+  buildReport,
+  defaultCloseThreshold,
+} = require('./headless.js');
+
+// Speech gate level detectors (speechTrimmer.js)
+const DETECTOR_MODES = ['rms', 'peak'];
+// Artifact types, each with its own flag
+const ARTIFACT_FLAGS = ['breath', 'mouth', 'click'];
+// --speed range in percent, the same as the page's slider
+const SPEED_RANGE = [5, 30];
+
+const USAGE = `Usage: cleaner [options] <input.wav|glob>...
+
+Silence:
+  -t, --threshold <0..1>     silence threshold (default ${DEFAULTS.silenceThreshold})
+  -s, --silence <ms>         shortest pause that is cut (default ${DEFAULTS.minSilenceMs})
+      --overlap <ms>         crossfade at each cut (default ${DEFAULTS.overlapMs})
+      --fade <curve>         crossfade shape: ${Object.keys(FADE_CURVES).join(' | ')} (default ${DEFAULTS.fadeCurve})
+      --snap <mode>          ${SPLICE_SNAP_MODES.join(' | ')}: move each splice to a zero
+                             crossing or to the best-matching offset (default ${DEFAULTS.spliceSnap})
+      --snap-window <ms>     how far --snap may move a splice (default ${DEFAULTS.snapWindowMs})
+      --keep-pause <percent> keep part of each pause (default ${DEFAULTS.keepPausePercent})
+      --max-pause <ms>       cap for the kept part (default ${DEFAULTS.maxPauseMs})
+      --sentence-gap <ms>    gaps at least this long are sentence breaks (default ${DEFAULTS.sentenceGapMs})
+      --sentence-pause <ms>  least pause kept at a sentence break (default ${DEFAULTS.sentencePauseMs})
+      --mono                 downmix the output to mono
+      --multitrack           the inputs are synchronized tracks (one per microphone):
+                             cut only where all are silent, the same cuts for each
+      --mixdown              with --multitrack, also write the sum of the tracks
+
+Speech detection:
+      --detector <mode>      ${DETECTOR_MODES.join(' | ')} level (default ${DETECTOR_DEFAULTS.detector})
+      --close-threshold <0..1>
+                             speech ends below this level (default: half of --threshold)
+      --attack <ms>, --hold <ms>, --release <ms>
+                             level envelope and hold before speech ends
+                             (default ${DETECTOR_DEFAULTS.attackMs}/${DETECTOR_DEFAULTS.holdMs}/${DETECTOR_DEFAULTS.releaseMs})
+      --min-speech <ms>      shorter bursts are clicks, not speech (default ${DETECTOR_DEFAULTS.minSpeechMs})
+      --pre-roll <ms>, --post-roll <ms>
+                             kept before and after each speech region
+                             (default ${DETECTOR_DEFAULTS.preRollMs}/${DETECTOR_DEFAULTS.postRollMs})
+
+Breaths, clicks and mouth noises:
+      --breath <action>, --mouth <action>, --click <action>
+                             keep | remove | <dB> to attenuate; types left out get
+                             their default (${artifactDefaults()});
+                             with --multitrack, remove attenuates by the default
+      --artifact-sensitivity <0..100>
+                             higher flags more (default ${ARTIFACT_DEFAULTS.sensitivity})
+
+Processing:
+      --eq <preset>          ${Object.keys(EQ_PRESETS).join(' | ')}
+      --eq-band <type:Hz[:Q[:dB]]>
+                             add an EQ band after the preset's (repeatable), type is
+                             ${FILTER_TYPES.join(' | ')}; e.g. --eq-band highpass:80
+      --dynamics <stages>    run these stages, in this order (after the EQ):
+                             ${DYNAMICS_DEFAULTS.order.join(',')} or any subset
+      --comp-threshold <dB>, --comp-ratio <n>, --comp-attack <ms>,
+      --comp-release <ms>, --comp-makeup <dB>
+                             compressor (default ${compressorDefaults()})
+      --deess-freq <Hz>, --deess-threshold <dB>, --deess-range <dB>
+                             de-esser (default ${DYNAMICS_DEFAULTS.deesser.frequency} Hz, ${DYNAMICS_DEFAULTS.deesser.thresholdDb} dB, ${DYNAMICS_DEFAULTS.deesser.rangeDb} dB)
+      --limit-ceiling <dB>   limiter ceiling (default ${DYNAMICS_DEFAULTS.limiter.ceilingDb})
+      --denoise <dB>         noise reduction, profiled on the cut pauses
+      --speed <percent>      faster speech at the same pitch, ${SPEED_RANGE.join('..')} (after trimming)
+      --stretch-all          with --speed, speed the kept pauses up too
+      --loudness <LUFS>      normalize integrated loudness
+      --true-peak <dB>       true-peak ceiling for --loudness (default -1)
+
+Output:
+  -o, --out-dir <dir>        output directory (default: next to each input)
+  -f, --format <id>          ${Object.keys(OUTPUT_FORMATS).join(' | ')} (default wav16)
+      --no-dither            no TPDF dither for integer formats
+      --cut-list <format>    also write the cut list: json | csv | audacity | edl | mapper
+      --report               also write <name>.report.json: durations, pauses, levels,
+                             warnings and the options used
+      --stream               process in chunks with bounded memory (trim, EQ and WAV
+                             output only); WAV inputs from ${STREAMING_MIN_BYTES / 1024 / 1024} MiB on are
+                             streamed by default when the options allow it
+  -q, --quiet                only print errors
+  -h, --help
+
+Negative values need the = form: --loudness=-16 --true-peak=-2
+`;
+
+const OPTIONS = {
+  threshold: { type: 'string', short: 't' },
+  silence: { type: 'string', short: 's' },
+  overlap: { type: 'string' },
+  fade: { type: 'string' },
+  snap: { type: 'string' },
+  'snap-window': { type: 'string' },
+  'keep-pause': { type: 'string' },
+  'max-pause': { type: 'string' },
+  'sentence-gap': { type: 'string' },
+  'sentence-pause': { type: 'string' },
+  detector: { type: 'string' },
+  'close-threshold': { type: 'string' },
+  attack: { type: 'string' },
+  hold: { type: 'string' },
+  release: { type: 'string' },
+  'min-speech': { type: 'string' },
+  'pre-roll': { type: 'string' },
+  'post-roll': { type: 'string' },
+  mono: { type: 'boolean' },
+  multitrack: { type: 'boolean' },
+  mixdown: { type: 'boolean' },
+  breath: { type: 'string' },
+  mouth: { type: 'string' },
+  click: { type: 'string' },
+  'artifact-sensitivity': { type: 'string' },
+  eq: { type: 'string' },
+  'eq-band': { type: 'string', multiple: true },
+  dynamics: { type: 'string' },
+  'comp-threshold': { type: 'string' },
+  'comp-ratio': { type: 'string' },
+  'comp-attack': { type: 'string' },
+  'comp-release': { type: 'string' },
+  'comp-makeup': { type: 'string' },
+  'deess-freq': { type: 'string' },
+  'deess-threshold': { type: 'string' },
+  'deess-range': { type: 'string' },
+  'limit-ceiling': { type: 'string' },
+  denoise: { type: 'string' },
+  speed: { type: 'string' },
+  'stretch-all': { type: 'boolean' },
+  loudness: { type: 'string' },
+  'true-peak': { type: 'string' },
+  'out-dir': { type: 'string', short: 'o' },
+  format: { type: 'string', short: 'f' },
+  'no-dither': { type: 'boolean' },
+  'cut-list': { type: 'string' },
+  report: { type: 'boolean' },
+  stream: { type: 'boolean' },
+  quiet: { type: 'boolean', short: 'q' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+async function main(argv) {
+  let args;
+  try {
+    args = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    return fail(err.message);
+  }
+  const { values, positionals } = args;
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  if (positionals.length === 0) return fail('no input files');
+
+  let options;
+  try {
+    options = buildOptions(values);
+  } catch (err) {
+    return fail(err.message);
+  }
+  const unstreamable = unsupportedStreamingOptions(options);
+  if (values.stream && unstreamable.length) return fail(`--stream does not support: ${unstreamable.join(', ')}`);
+  if (values.mixdown && !values.multitrack) return fail('--mixdown needs --multitrack');
+  if (values.stream && values.multitrack) return fail('--stream does not support --multitrack');
+  if (values['stretch-all'] && !options.stretch) return fail('--stretch-all needs --speed');
+
+  const files = [...new Set(positionals.flatMap(expandGlob))];
+  if (files.length === 0) return fail('no input files match');
+  if (values['out-dir']) fs.mkdirSync(values['out-dir'], { recursive: true });
+  if (values.multitrack) return runMultitrack(files, options, values);
+
+  let failed = 0;
+  for (const file of files) {
+    try {
+      const outDir = values['out-dir'] || path.dirname(file);
+      const outName = processedFileName(path.basename(file), options.format);
+      // Long recordings never load into memory as a whole
+      const stream = values.stream || (unstreamable.length === 0 && fs.statSync(file).size >= STREAMING_MIN_BYTES);
+      let result;
+      if (stream) {
+        result = await processWavFile(file, path.join(outDir, outName), options);
+      } else {
+        result = await processWav(fs.readFileSync(file), options);
+        fs.writeFileSync(path.join(outDir, outName), result.bytes);
+      }
+
+      if (values['cut-list']) {
+        const { name, blob } = exportCutList(values['cut-list'], result.cutList, path.basename(file));
+        fs.writeFileSync(path.join(outDir, name), Buffer.from(await blob.arrayBuffer()));
+      }
+      if (values.report) writeReport(outDir, path.basename(file), result, options, values.quiet);
+      if (!values.quiet) console.log(`${file} -> ${path.join(outDir, outName)} (${summary(result, options)})`);
+    } catch (err) {
+      failed++;
+      console.error(`${file}: ${err && err.message ? err.message : err}`);
+    }
+  }
+  return failed > 0 ? 1 : 0;
+}
+
+// All inputs as tracks of one recording: one job, one cut list
+async function runMultitrack(files, options, values) {
+  const outDir = (file) => values['out-dir'] || path.dirname(file);
+  let result;
+  try {
+    result = await processWavTracks(files.map((file) => fs.readFileSync(file)), { ...options, mixdown: values.mixdown });
+  } catch (err) {
+    return fail(err && err.message ? err.message : String(err));
+  }
+
+  for (const [t, file] of files.entries()) {
+    const track = result.tracks[t];
+    const outPath = path.join(outDir(file), processedFileName(path.basename(file), options.format));
+    fs.writeFileSync(outPath, track.bytes);
+    if (values['cut-list']) {
+      const { name, blob } = exportCutList(values['cut-list'], result.cutList, path.basename(file));
+      fs.writeFileSync(path.join(outDir(file), name), Buffer.from(await blob.arrayBuffer()));
+    }
+    if (values.report) writeReport(outDir(file), path.basename(file), { ...track, trimmed: result.trimmed, cutList: result.cutList }, options, values.quiet);
+    if (!values.quiet) console.log(`${file} -> ${outPath} (${summary({ ...track, cutList: result.cutList }, options)})`);
+  }
+  if (result.mixdown) {
+    const base = path.basename(files[0]).replace(/\.[^/.]+$/, '');
+    const outPath = path.join(outDir(files[0]), `${base}-mix.${OUTPUT_FORMATS[options.format].extension}`);
+    fs.writeFileSync(outPath, result.mixdown.bytes);
+    if (!values.quiet) {
+      const gain = result.mixdown.gainDb < 0 ? `, ${result.mixdown.gainDb.toFixed(1)} dB to avoid clipping` : '';
+      console.log(`mixdown -> ${outPath} (${summary({ ...result.mixdown, events: [], dynamics: null, cutList: result.cutList }, options)}${gain})`);
+    }
+  }
+  return 0;
+}
+
+// CLI flags -> processWav options (same shape the page sends to the worker)
+function buildOptions(values) {
+  const silenceThreshold = number(values.threshold, DEFAULTS.silenceThreshold, 'threshold');
+  const options = {
+    silenceThreshold,
+    minSilenceMs: number(values.silence, DEFAULTS.minSilenceMs, 'silence'),
+    overlapMs: number(values.overlap, DEFAULTS.overlapMs, 'overlap'),
+    fadeCurve: values.fade ?? DEFAULTS.fadeCurve,
+    spliceSnap: values.snap ?? DEFAULTS.spliceSnap,
+    snapWindowMs: number(values['snap-window'], DEFAULTS.snapWindowMs, 'snap-window'),
+    keepPausePercent: number(values['keep-pause'], DEFAULTS.keepPausePercent, 'keep-pause'),
+    maxPauseMs: number(values['max-pause'], DEFAULTS.maxPauseMs, 'max-pause'),
+    sentenceGapMs: number(values['sentence-gap'], DEFAULTS.sentenceGapMs, 'sentence-gap'),
+    sentencePauseMs: number(values['sentence-pause'], DEFAULTS.sentencePauseMs, 'sentence-pause'),
+    detector: values.detector ?? DETECTOR_DEFAULTS.detector,
+    closeThreshold: number(values['close-threshold'], defaultCloseThreshold(silenceThreshold), 'close-threshold'),
+    attackMs: number(values.attack, DETECTOR_DEFAULTS.attackMs, 'attack'),
+    holdMs: number(values.hold, DETECTOR_DEFAULTS.holdMs, 'hold'),
+    releaseMs: number(values.release, DETECTOR_DEFAULTS.releaseMs, 'release'),
+    minSpeechMs: number(values['min-speech'], DETECTOR_DEFAULTS.minSpeechMs, 'min-speech'),
+    preRollMs: number(values['pre-roll'], DETECTOR_DEFAULTS.preRollMs, 'pre-roll'),
+    postRollMs: number(values['post-roll'], DETECTOR_DEFAULTS.postRollMs, 'post-roll'),
+    channelMode: values.mono ? 'mono' : 'preserve',
+    format: values.format || 'wav16',
+    dither: !values['no-dither'],
+    denoise: values.denoise !== undefined ? { amountDb: number(values.denoise, 0, 'denoise'), region: null } : null,
+    artifacts: buildArtifacts(values),
+    stretch: null,
+    eq: null,
+    dynamics: buildDynamics(values),
+    loudness: null,
+  };
+  if (!DETECTOR_MODES.includes(options.detector)) throw new Error(`unknown detector: ${options.detector}`);
+  if (!FADE_CURVES[options.fadeCurve]) throw new Error(`unknown fade curve: ${options.fadeCurve}`);
+  if (!SPLICE_SNAP_MODES.includes(options.spliceSnap)) throw new Error(`unknown snap mode: ${options.spliceSnap}`);
+  if (!OUTPUT_FORMATS[options.format]) {
+    throw new Error(`unsupported format: ${options.format}`);
+  }
+
+  if (values.eq !== undefined || values['eq-band']) {
+    if (values.eq !== undefined && !EQ_PRESETS[values.eq]) throw new Error(`unknown EQ preset: ${values.eq}`);
+    options.eq = [...presetToBands(values.eq), ...(values['eq-band'] || []).map(parseBand)];
+  }
+
+  if (values.speed !== undefined) {
+    const percent = number(values.speed, 0, 'speed');
+    if (percent < SPEED_RANGE[0] || percent > SPEED_RANGE[1]) {
+      throw new Error(`--speed expects ${SPEED_RANGE.join('..')} percent, got ${values.speed}`);
+    }
+    options.stretch = { rate: 1 + percent / 100, speechOnly: !values['stretch-all'] };
+  }
+
+  if (values.loudness !== undefined || values['true-peak'] !== undefined) {
+    options.loudness = {
+      targetLufs: number(values.loudness, -16, 'loudness'),
+      truePeakDb: number(values['true-peak'], -1, 'true-peak'),
+    };
+  }
+  return options;
+}
+
+// Flag -> [stage, setting] for the dynamics options
+const DYNAMICS_FLAGS = {
+  'comp-threshold': ['compressor', 'thresholdDb'],
+  'comp-ratio': ['compressor', 'ratio'],
+  'comp-attack': ['compressor', 'attackMs'],
+  'comp-release': ['compressor', 'releaseMs'],
+  'comp-makeup': ['compressor', 'makeupDb'],
+  'deess-freq': ['deesser', 'frequency'],
+  'deess-threshold': ['deesser', 'thresholdDb'],
+  'deess-range': ['deesser', 'rangeDb'],
+  'limit-ceiling': ['limiter', 'ceilingDb'],
+};
+
+// --dynamics lists the stages to run; the rest are switched off
+function buildDynamics(values) {
+  const tuned = Object.keys(DYNAMICS_FLAGS).filter((flag) => values[flag] !== undefined);
+  if (values.dynamics === undefined) {
+    if (tuned.length) throw new Error(`--${tuned[0]} needs --dynamics`);
+    return null;
+  }
+  const order = values.dynamics.split(',').map((name) => name.trim()).filter(Boolean);
+  for (const name of order) {
+    if (!DYNAMICS_DEFAULTS.order.includes(name)) throw new Error(`unknown dynamics stage: ${name}`);
+  }
+  const dynamics = { order: [...new Set(order)] };
+  for (const stage of DYNAMICS_DEFAULTS.order) {
+    dynamics[stage] = { ...DYNAMICS_DEFAULTS[stage], enabled: order.includes(stage) };
+  }
+  for (const flag of tuned) {
+    const [stage, key] = DYNAMICS_FLAGS[flag];
+    dynamics[stage][key] = number(values[flag], dynamics[stage][key], flag);
+  }
+  return dynamics;
+}
+
+// Any of the artifact flags switches detection on
+function buildArtifacts(values) {
+  const given = ARTIFACT_FLAGS.filter((type) => values[type] !== undefined);
+  if (given.length === 0 && values['artifact-sensitivity'] === undefined) return null;
+  const artifacts = {
+    sensitivity: number(values['artifact-sensitivity'], ARTIFACT_DEFAULTS.sensitivity, 'artifact-sensitivity'),
+  };
+  for (const type of ARTIFACT_FLAGS) {
+    artifacts[type] = values[type] === undefined ? { ...ARTIFACT_DEFAULTS[type] } : parseArtifactAction(type, values[type]);
+  }
+  return artifacts;
+}
+
+// "keep", "remove" or an attenuation in dB
+function parseArtifactAction(type, value) {
+  if (value === 'keep' || value === 'remove') return { ...ARTIFACT_DEFAULTS[type], action: value };
+  const amountDb = Number(value);
+  if (value === '' || !Number.isFinite(amountDb)) throw new Error(`--${type} expects keep, remove or dB, got "${value}"`);
+  return { action: 'attenuate', amountDb: Math.abs(amountDb) };
+}
+
+function artifactDefaults() {
+  return ARTIFACT_FLAGS.map((type) => `${type} -${ARTIFACT_DEFAULTS[type].amountDb} dB`).join(', ');
+}
+
+function compressorDefaults() {
+  const { thresholdDb, ratio, attackMs, releaseMs, makeupDb } = DYNAMICS_DEFAULTS.compressor;
+  return `${thresholdDb} dB, ${ratio}:1, ${attackMs}/${releaseMs} ms, +${makeupDb} dB`;
+}
+
+// "type:frequency[:Q[:gain]]", e.g. "notch:50:10" or "peaking:3000:1:-2"
+function parseBand(spec) {
+  const [type, frequency, Q, gain] = spec.split(':');
+  if (!FILTER_TYPES.includes(type)) throw new Error(`unknown EQ band type in "${spec}"`);
+  if (!frequency) throw new Error(`EQ band "${spec}" needs a frequency`);
+  return {
+    type,
+    frequency: number(frequency, 0, 'eq-band frequency'),
+    Q: number(Q || undefined, type === 'highpass' || type === 'lowpass' ? Math.SQRT1_2 : 1, 'eq-band Q'),
+    gain: number(gain || undefined, 0, 'eq-band gain'),
+  };
+}
+
+function number(value, fallback, name) {
+  if (value === undefined) return fallback;
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) throw new Error(`--${name} expects a number, got "${value}"`);
+  return parsed;
+}
+
+// <name>.report.json next to the output; unless quiet, its warnings also go to stderr
+function writeReport(outDir, sourceName, result, options, quiet) {
+  const report = buildReport({ ...result, source: sourceName, format: options.format, settings: options });
+  const base = sourceName.replace(/\.[^/.]+$/, '');
+  fs.writeFileSync(path.join(outDir, `${base}.report.json`), JSON.stringify(report, null, 2));
+  if (quiet) return;
+  for (const warning of report.warnings) console.error(`${sourceName}: warning: ${describeWarning(warning)}`);
+}
+
+function describeWarning(warning) {
+  if (warning.code === 'clipping') return `${warning.samples} output samples at or past full scale`;
+  if (warning.code === 'overFullScale') return `${warning.samples} output samples past full scale, kept in the float output`;
+  if (warning.code === 'sourceClipping') return `${warning.samples} input samples already at full scale`;
+  if (warning.code === 'noSilence') return 'no silence found, the output is the input';
+  return warning.code;
+}
+
+function processedFileName(originalName, format) {
+  const base = originalName.replace(/\.[^/.]+$/, '');
+  return `${base}-processed.${OUTPUT_FORMATS[format].extension}`;
+}
+
+function summary(result, options) {
+  const { sourceDuration, outputDuration } = result.cutList;
+  const parts = [`${seconds(sourceDuration)} -> ${seconds(outputDuration)}`];
+  if (result.events.length) {
+    const counts = ARTIFACT_FLAGS
+      .map((type) => [type, result.events.filter((event) => event.type === type).length])
+      .filter(([, count]) => count > 0);
+    parts.push(counts.map(([type, count]) => `${type} ${count}`).join(', '));
+  }
+  if (result.dynamics && result.dynamics.reductionDb.compressor !== undefined) {
+    parts.push(`compressor -${result.dynamics.reductionDb.compressor.toFixed(1)} dB`);
+  }
+  if (options.stretch) parts.push(`speed +${Math.round((options.stretch.rate - 1) * 100)}%`);
+  if (result.loudness) parts.push(`${result.loudness.after.integrated.toFixed(1)} LUFS`);
+  return parts.join(', ');
+}
+
+function seconds(value) {
+  return `${value.toFixed(1)} s`;
+}
+
+// ------- Globs -------
+// Minimal glob support (*, ?, [...], **) so quoted patterns work the same on
+// every shell, including Windows cmd which does not expand them.
+
+function expandGlob(pattern) {
+  if (!/[*?[]/.test(pattern)) return [pattern];
+  const parts = pattern.split(/[\\/]/);
+  const firstWild = parts.findIndex((part) => /[*?[]/.test(part));
+  const base = parts.slice(0, firstWild).join('/') || (pattern.startsWith('/') ? '/' : '.');
+  const matcher = globToRegExp(parts.slice(firstWild).join('/'));
+  const deep = parts.slice(firstWild).includes('**');
+  const depth = parts.length - firstWild;
+
+  const matches = [];
+  walk(base, '', 1);
+  return matches.sort();
+
+  function walk(dir, relative, level) {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (_) {
+      return;
+    }
+    for (const entry of entries) {
+      const rel = relative ? `${relative}/${entry.name}` : entry.name;
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (deep || level < depth) walk(full, rel, level + 1);
+      } else if (matcher.test(rel)) {
+        matches.push(full);
+      }
+    }
+  }
+}
+
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      // "**/" matches zero or more directories
+      source += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += glob[i + 2] === '/' ? 2 : 1;
+    } else if (c === '*') {
+      source += '[^/]*';
+    } else if (c === '?') {
+      source += '[^/]';
+    } else if (c === '[') {
+      const close = glob.indexOf(']', i + 1);
+      if (close < 0) {
+        source += '\\[';
+      } else {
+        source += `[${glob.slice(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+        i = close;
+      }
+    } else {
+      source += c.replace(/[.+^${}()|\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function fail(message) {
+  console.error(`cleaner: ${message}\n\n${USAGE}`);
+  return 2;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { OPTIONS, buildOptions };
@@ -0,0 +1,186 @@
+/*
+  Cut list export – turns the cut list from buildCutList (speechTrimmer.js)
+  into files editors can load elsewhere:
+
+  - JSON / CSV: every kept segment with source and processed timestamps
+  - Audacity labels: removed regions on the source timeline ("cut N"), plus
+    flagged breaths/clicks/mouth noises ("breath (remove)")
+  - CMX3600-style EDL: one audio event per kept segment
+  - Mapper script: standalone JS function mapping source time -> processed time
+
+  After a time-stretch (cutList.timeMap) the processed timestamps already sit
+  on the faster timeline; the EDL notes the speed change and the mapper script
+  carries the time map to stay exact inside segments.
+*/
+
+(function () {
+  const EDL_FPS = 25;
+
+  /**
+   * @param {object} cutList from buildCutList
+   * @param {string} sourceName original file name, recorded in the export
+   */
+  function toJSON(cutList, sourceName) {
+    return JSON.stringify({ source: sourceName, ...cutList }, null, 2);
+  }
+
+  function toCSV(cutList) {
+    const rows = ['index,source_start,source_end,output_start,output_end,duration,crossfade'];
+    for (const seg of cutList.segments) {
+      rows.push([
+        seg.index + 1,
+        seconds(seg.sourceStart),
+        seconds(seg.sourceEnd),
+        seconds(seg.outputStart),
+        seconds(seg.outputEnd),
+        seconds(seg.sourceEnd - seg.sourceStart),
+        seconds(seg.crossfade),
+      ].join(','));
+    }
+    return rows.join('\n') + '\n';
+  }
+
+  // Audacity label track: start<TAB>end<TAB>label, one region per removed range
+  // Cuts first, then the flagged breaths/clicks/mouth noises (Audacity sorts the track)
+  function toAudacityLabels(cutList) {
+    const cuts = cutList.cuts.map((cut, i) => `${seconds(cut.sourceStart)}\t${seconds(cut.sourceEnd)}\tcut ${i + 1}`);
+    const events = (cutList.events || []).map(
+      (event) => `${seconds(event.sourceStart)}\t${seconds(event.sourceEnd)}\t${event.type} (${event.action})`
+    );
+    return [...cuts, ...events].join('\n') + '\n';
+  }
+
+  // CMX3600 audio-only edit list; crossfades are noted as comments since
+  // the straight cut already sits at the start of each fade
+  function toEDL(cutList, sourceName) {
+    const title = sourceName.replace(/\.[^/.]+$/, '').toUpperCase().slice(0, 70);
+    const lines = [`TITLE: ${title}`, 'FCM: NON-DROP FRAME', ''];
+    cutList.segments.forEach((seg, i) => {
+      const event = String(i + 1).padStart(3, '0');
+      lines.push(
+        `${event}  AX       AA     C        ${timecode(seg.sourceStart)} ${timecode(seg.sourceEnd)} ${timecode(seg.outputStart)} ${timecode(seg.outputEnd)}`
+      );
+      lines.push(`* FROM CLIP NAME: ${sourceName}`);
+      if (seg.crossfade > 0) lines.push(`* CROSSFADE IN: ${Math.round(seg.crossfade * 1000)} MS`);
+      if (cutList.timeMap) lines.push(`* SPEED: ${speedPercent(seg)}%`);
+      lines.push('');
+    });
+    return lines.join('\r\n');
+  }
+
+  function toMapperScript(cutList, sourceName) {
+    const table = cutList.segments
+      .map((seg) => `  [${seconds(seg.sourceStart)}, ${seconds(seg.sourceEnd)}, ${seconds(seg.outputStart)}]`)
+      .join(',\n');
+    const name = sourceName.replace(/["\\\n]/g, '_');
+    if (!cutList.timeMap) {
+      return `// Maps a timestamp (seconds) in "${name}" to the processed file.
+// Times inside removed regions land on the splice point that replaced them.
+// Rows: [sourceStart, sourceEnd, outputStart]
+const SEGMENTS = [
+${table}
+];
+const OUTPUT_DURATION = ${seconds(cutList.outputDuration)};
+
+function mapTime(time) {
+  for (const [sourceStart, sourceEnd, outputStart] of SEGMENTS) {
+    if (time < sourceStart) return outputStart;
+    if (time <= sourceEnd) return outputStart + (time - sourceStart);
+  }
+  return SEGMENTS.length ? OUTPUT_DURATION : 0;
+}
+
+if (typeof module !== 'undefined') module.exports = mapTime;
+`;
+    }
+
+    const timeMap = cutList.timeMap.map(([from, to]) => `  [${seconds(from)}, ${seconds(to)}]`).join(',\n');
+    return `// Maps a timestamp (seconds) in "${name}" to the processed file.
+// Times inside removed regions land on the splice point that replaced them.
+// The processed file was sped up: TIME_MAP turns time in the trimmed audio
+// into time in the final file (linear between the points).
+// Rows: [sourceStart, sourceEnd, outputStart]
+const SEGMENTS = [
+${table}
+];
+// Rows: [trimmedTime, outputTime]
+const TIME_MAP = [
+${timeMap}
+];
+const OUTPUT_DURATION = ${seconds(cutList.outputDuration)};
+
+function interpolate(time, from, to) {
+  let i = 1;
+  while (i < TIME_MAP.length - 1 && TIME_MAP[i][from] < time) i++;
+  const a = TIME_MAP[i - 1];
+  const b = TIME_MAP[i];
+  const span = b[from] - a[from];
+  return span > 0 ? a[to] + ((time - a[from]) * (b[to] - a[to])) / span : a[to];
+}
+
+function mapTime(time) {
+  for (const [sourceStart, sourceEnd, outputStart] of SEGMENTS) {
+    if (time < sourceStart) return outputStart;
+    if (time <= sourceEnd) return interpolate(interpolate(outputStart, 1, 0) + (time - sourceStart), 0, 1);
+  }
+  return SEGMENTS.length ? OUTPUT_DURATION : 0;
+}
+
+if (typeof module !== 'undefined') module.exports = mapTime;
+`;
+  }
+
+  // How much faster a stretched segment plays, e.g. "+15"
+  function speedPercent(seg) {
+    const output = seg.outputEnd - seg.outputStart;
+    const percent = output > 0 ? Math.round(((seg.sourceEnd - seg.sourceStart) / output - 1) * 100) : 0;
+    return percent > 0 ? `+${percent}` : String(percent);
+  }
+
+  function seconds(value) {
+    return value.toFixed(6);
+  }
+
+  function timecode(time) {
+    const totalFrames = Math.round(time * EDL_FPS);
+    const frames = totalFrames % EDL_FPS;
+    const totalSeconds = Math.floor(totalFrames / EDL_FPS);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}:${pad(frames)}`;
+  }
+
+  // Export formats: id -> file extension, MIME type and serializer
+  const FORMATS = {
+    json: { extension: 'cuts.json', type: 'application/json', serialize: toJSON },
+    csv: { extension: 'cuts.csv', type: 'text/csv', serialize: toCSV },
+    audacity: { extension: 'labels.txt', type: 'text/plain', serialize: toAudacityLabels },
+    edl: { extension: 'edl', type: 'text/plain', serialize: toEDL },
+    mapper: { extension: 'timemap.js', type: 'text/javascript', serialize: toMapperScript },
+  };
+
+  /**
+   * Build a downloadable Blob and file name for one export format.
+   * @param {'json'|'csv'|'audacity'|'edl'|'mapper'} format
+   */
+  function exportCutList(format, cutList, sourceName) {
+    const spec = FORMATS[format];
+    if (!spec) throw new Error(`Unknown cut list format: ${format}`);
+    const base = (sourceName || 'processed').replace(/\.[^/.]+$/, '');
+    return {
+      name: `${base}.${spec.extension}`,
+      blob: new Blob([spec.serialize(cutList, sourceName || 'processed')], { type: spec.type }),
+    };
+  }
+
+  // window on the page, module.exports under Node (cli.js)
+  const api = {
+    exportCutList,
+    toJSON,
+    toCSV,
+    toAudacityLabels,
+    toEDL,
+    toMapperScript,
+  };
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+  else window.cutListExport = api;
+})();
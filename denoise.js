@@ -0,0 +1,300 @@
+/*
+  Denoise – STFT spectral subtraction with a learned noise profile
+
+  The profile is the average power spectrum of noise-only audio: the pauses
+  between kept segments, a region the user picked, or (when neither is long
+  enough) the quietest frames of the file. Each bin is then attenuated by how
+  close it sits to that noise floor, down to a floor set by the reduction amount.
+
+  Pure JS (no AudioContext), so it runs in the processing worker as well.
+*/
+
+(function () {
+  const root = typeof window !== 'undefined' ? window : typeof self !== 'undefined' ? self : globalThis;
+
+  const DENOISE_DEFAULTS = {
+    amountDb: 12, // maximum attenuation of noise-only bins
+    noiseOnly: false, // output what would be removed instead (artifact check)
+  };
+
+  const FRAME_MS = 46; // rounded to a power of two: 2048 samples at 44.1/48 kHz
+  const OVERLAP = 4; // hop = frame / 4
+  const OVER_SUBTRACTION = 2; // noise power is over-estimated to keep residual hiss down
+  const MIN_PROFILE_FRAMES = 4;
+  const QUIET_FRAME_SHARE = 0.1; // fallback profile: quietest 10 % of frames
+  const GAIN_RELEASE = 0.5; // per-frame smoothing when a bin's gain falls (limits "musical noise")
+  const PROGRESS_FRAME_MASK = 0xff;
+
+  /**
+   * Denoise every channel with its own profile.
+   * onProgress, if given, receives ('denoise', fraction).
+   * @param {Float32Array[]} channels
+   * @param {number} sampleRate
+   * @param {Array<[number, number]>} regions noise-only [start, end) sample ranges
+   * @param {{amountDb?: number, noiseOnly?: boolean, onProgress?: (stage: string, fraction: number) => void}} [options]
+   * @returns {Float32Array[]} new arrays
+   */
+  function denoiseChannels(channels, sampleRate, regions, options = {}) {
+    const onProgress = options.onProgress || noop;
+    return channels.map((data, ch) => {
+      const profile = buildNoiseProfile(data, sampleRate, regions);
+      return reduceNoise(data, sampleRate, profile, {
+        ...options,
+        onProgress: (fraction) => onProgress('denoise', (ch + fraction) / channels.length),
+      });
+    });
+  }
+
+  /**
+   * Average power spectrum (bins 0..N/2) of the frames lying fully inside the
+   * regions; falls back to the quietest frames of the whole signal.
+   * @returns {Float64Array}
+   */
+  function buildNoiseProfile(data, sampleRate, regions = []) {
+    const size = frameSize(sampleRate);
+    const hop = size / OVERLAP;
+    const starts = [];
+    for (const [start, end] of regions) {
+      for (let pos = Math.max(0, start); pos + size <= Math.min(end, data.length); pos += hop) starts.push(pos);
+    }
+    return averageSpectrum(data, size, starts.length >= MIN_PROFILE_FRAMES ? starts : quietestFrames(data, size));
+  }
+
+  function quietestFrames(data, size) {
+    const hop = size / OVERLAP;
+    const frames = [];
+    for (let pos = 0; pos + size <= data.length; pos += hop) {
+      let energy = 0;
+      for (let i = pos; i < pos + size; i++) energy += data[i] * data[i];
+      // Digital silence says nothing about the noise
+      if (energy > 0) frames.push({ pos, energy });
+    }
+    frames.sort((a, b) => a.energy - b.energy);
+    const count = Math.max(Math.min(frames.length, MIN_PROFILE_FRAMES), Math.floor(frames.length * QUIET_FRAME_SHARE));
+    return frames.slice(0, count).map((frame) => frame.pos);
+  }
+
+  function averageSpectrum(data, size, starts) {
+    const bins = size / 2 + 1;
+    const profile = new Float64Array(bins);
+    if (starts.length === 0) return profile;
+    const fft = createRealFFT(size);
+    const hann = hannWindow(size);
+    const frame = new Float64Array(size);
+    const re = new Float64Array(bins);
+    const im = new Float64Array(bins);
+    for (const start of starts) {
+      for (let i = 0; i < size; i++) frame[i] = data[start + i] * hann[i];
+      fft.forward(frame, re, im);
+      for (let k = 0; k < bins; k++) profile[k] += re[k] * re[k] + im[k] * im[k];
+    }
+    for (let k = 0; k < bins; k++) profile[k] /= starts.length;
+    return profile;
+  }
+
+  /**
+   * Spectral subtraction against a noise profile from buildNoiseProfile.
+   * @param {Float32Array} data
+   * @param {number} sampleRate
+   * @param {Float64Array} profile
+   * @param {{amountDb?: number, noiseOnly?: boolean, onProgress?: (fraction: number) => void}} [options]
+   * @returns {Float32Array}
+   */
+  function reduceNoise(data, sampleRate, profile, options = {}) {
+    const amountDb = options.amountDb ?? DENOISE_DEFAULTS.amountDb;
+    const noiseOnly = options.noiseOnly ?? DENOISE_DEFAULTS.noiseOnly;
+    const onProgress = options.onProgress || noop;
+
+    const size = frameSize(sampleRate);
+    const hop = size / OVERLAP;
+    const bins = size / 2 + 1;
+    const floor = Math.pow(10, -amountDb / 20);
+    const fft = createRealFFT(size);
+    const hann = hannWindow(size);
+    // Hann analysis and synthesis at 75 % overlap sum to 1.5
+    const norm = 1 / 1.5;
+
+    const out = new Float32Array(data.length);
+    const frame = new Float64Array(size);
+    const re = new Float64Array(bins);
+    const im = new Float64Array(bins);
+    const raw = new Float64Array(bins);
+    const gains = new Float64Array(bins).fill(1);
+    const frameCount = Math.ceil((data.length + size - hop) / hop);
+
+    // Frames start before 0 so every sample is covered by all OVERLAP windows
+    for (let f = 0, start = hop - size; start < data.length; f++, start += hop) {
+      if ((f & PROGRESS_FRAME_MASK) === 0) onProgress(f / frameCount);
+      for (let i = 0; i < size; i++) {
+        const index = start + i;
+        frame[i] = index >= 0 && index < data.length ? data[index] * hann[i] : 0;
+      }
+      fft.forward(frame, re, im);
+
+      for (let k = 0; k < bins; k++) {
+        const power = re[k] * re[k] + im[k] * im[k];
+        const clean = power > 0 ? 1 - (OVER_SUBTRACTION * profile[k]) / power : 0;
+        raw[k] = Math.max(floor, Math.sqrt(Math.max(0, clean)));
+      }
+      for (let k = 0; k < bins; k++) {
+        // Smooth across neighbouring bins, then let gains fall gradually
+        const smoothed = 0.25 * raw[Math.max(0, k - 1)] + 0.5 * raw[k] + 0.25 * raw[Math.min(bins - 1, k + 1)];
+        gains[k] = smoothed >= gains[k] ? smoothed : gains[k] + (smoothed - gains[k]) * GAIN_RELEASE;
+      }
+
+      for (let k = 0; k < bins; k++) {
+        const gain = noiseOnly ? 1 - gains[k] : gains[k];
+        re[k] *= gain;
+        im[k] *= gain;
+      }
+      fft.inverse(re, im, frame);
+
+      for (let i = 0; i < size; i++) {
+        const index = start + i;
+        if (index >= 0 && index < data.length) out[index] += frame[i] * hann[i] * norm;
+      }
+    }
+    onProgress(1);
+    return out;
+  }
+
+  function frameSize(sampleRate) {
+    return Math.pow(2, Math.round(Math.log2((sampleRate * FRAME_MS) / 1000)));
+  }
+
+  function hannWindow(size) {
+    const hann = new Float64Array(size);
+    for (let i = 0; i < size; i++) hann[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / size);
+    return hann;
+  }
+
+  /**
+   * In-place radix-2 complex FFT for a fixed power-of-two size.
+   * The inverse transform includes the 1/N scaling.
+   * @returns {(re: Float64Array, im: Float64Array, inverse: boolean) => void}
+   */
+  function createFFT(size) {
+    const bits = Math.log2(size);
+    const reverse = new Uint32Array(size);
+    for (let i = 0; i < size; i++) {
+      let r = 0;
+      for (let b = 0; b < bits; b++) r |= ((i >> b) & 1) << (bits - 1 - b);
+      reverse[i] = r;
+    }
+    const cos = new Float64Array(size / 2);
+    const sin = new Float64Array(size / 2);
+    for (let i = 0; i < size / 2; i++) {
+      cos[i] = Math.cos((2 * Math.PI * i) / size);
+      sin[i] = Math.sin((2 * Math.PI * i) / size);
+    }
+
+    return (re, im, inverse) => {
+      for (let i = 0; i < size; i++) {
+        const j = reverse[i];
+        if (j > i) {
+          let t = re[i]; re[i] = re[j]; re[j] = t;
+          t = im[i]; im[i] = im[j]; im[j] = t;
+        }
+      }
+      for (let len = 2; len <= size; len <<= 1) {
+        const half = len >> 1;
+        const step = size / len;
+        for (let i = 0; i < size; i += len) {
+          for (let j = 0; j < half; j++) {
+            const wr = cos[j * step];
+            const wi = inverse ? sin[j * step] : -sin[j * step];
+            const a = i + j;
+            const b = a + half;
+            const tr = re[b] * wr - im[b] * wi;
+            const ti = re[b] * wi + im[b] * wr;
+            re[b] = re[a] - tr;
+            im[b] = im[a] - ti;
+            re[a] += tr;
+            im[a] += ti;
+          }
+        }
+      }
+      if (inverse) {
+        for (let i = 0; i < size; i++) {
+          re[i] /= size;
+          im[i] /= size;
+        }
+      }
+    };
+  }
+
+  /**
+   * Real-input FFT of a power-of-two size, computed as one complex FFT of half
+   * the size. Spectra hold bins 0..size/2.
+   * @returns {{forward: (input: Float64Array, re: Float64Array, im: Float64Array) => void,
+   *   inverse: (re: Float64Array, im: Float64Array, output: Float64Array) => void}}
+   */
+  function createRealFFT(size) {
+    const half = size / 2;
+    const fft = createFFT(half);
+    const zr = new Float64Array(half);
+    const zi = new Float64Array(half);
+    // Twiddles e^(-2*pi*i*k/size)
+    const wr = new Float64Array(half + 1);
+    const wi = new Float64Array(half + 1);
+    for (let k = 0; k <= half; k++) {
+      wr[k] = Math.cos((2 * Math.PI * k) / size);
+      wi[k] = -Math.sin((2 * Math.PI * k) / size);
+    }
+
+    return {
+      forward(input, re, im) {
+        // Even samples in the real part, odd samples in the imaginary part
+        for (let n = 0; n < half; n++) {
+          zr[n] = input[2 * n];
+          zi[n] = input[2 * n + 1];
+        }
+        fft(zr, zi, false);
+        for (let k = 0; k <= half; k++) {
+          const a = k % half;
+          const b = (half - k) % half;
+          // Even part E = (Z[k] + conj Z[half-k]) / 2, odd part O = (Z[k] - conj Z[half-k]) / 2i
+          const er = (zr[a] + zr[b]) / 2;
+          const ei = (zi[a] - zi[b]) / 2;
+          const or = (zi[a] + zi[b]) / 2;
+          const oi = -(zr[a] - zr[b]) / 2;
+          re[k] = er + wr[k] * or - wi[k] * oi;
+          im[k] = ei + wr[k] * oi + wi[k] * or;
+        }
+      },
+      inverse(re, im, output) {
+        for (let k = 0; k < half; k++) {
+          const b = half - k;
+          // E = (X[k] + conj X[half-k]) / 2, O = (X[k] - conj X[half-k]) / (2 W^k)
+          const er = (re[k] + re[b]) / 2;
+          const ei = (im[k] - im[b]) / 2;
+          const dr = (re[k] - re[b]) / 2;
+          const di = (im[k] + im[b]) / 2;
+          const or = dr * wr[k] + di * wi[k]; // divide by W^k = multiply by its conjugate
+          const oi = di * wr[k] - dr * wi[k];
+          zr[k] = er - oi; // Z = E + iO
+          zi[k] = ei + or;
+        }
+        fft(zr, zi, true);
+        for (let n = 0; n < half; n++) {
+          output[2 * n] = zr[n];
+          output[2 * n + 1] = zi[n];
+        }
+      },
+    };
+  }
+
+  function noop() {}
+
+  // window on the page, self in the worker, module.exports under Node
+  const api = {
+    DENOISE_DEFAULTS,
+    denoiseChannels,
+    buildNoiseProfile,
+    reduceNoise,
+    createFFT,
+    createRealFFT,
+  };
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+  else root.audioDenoise = api;
+})();
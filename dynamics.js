@@ -0,0 +1,228 @@
+/*
+  Dynamics – compressor, split-band de-esser and brickwall limiter
+
+  - Compressor: feed-forward, soft knee, attack/release smoothing of the gain
+    reduction in dB, makeup gain; channels are linked (one gain for all)
+  - De-esser: Linkwitz-Riley crossover (low + high sum flat), only the band
+    above the crossover is turned down while its level is over the threshold,
+    by at most rangeDb
+  - Limiter: lookahead true-peak limiter with the same gain curve as the
+    loudness stage (loudness.js), so nothing passes the ceiling
+  - Every stage can be switched off, and they run in any order
+
+  Pure JS (no AudioContext), so the page, the worker and the Node CLI
+  produce the same samples.
+*/
+
+(function () {
+  const root = typeof window !== 'undefined' ? window : typeof self !== 'undefined' ? self : globalThis;
+  const load = (name, file) => root[name] || require(file);
+  const { biquadCoefficients } = load('audioEqualizer', './equalizer.js');
+  const { truePeakEnvelope, limiterGain } = load('audioLoudness', './loudness.js');
+
+  const STAGES = ['compressor', 'deesser', 'limiter'];
+
+  const DYNAMICS_DEFAULTS = {
+    order: STAGES.slice(),
+    compressor: { enabled: true, thresholdDb: -24, ratio: 3, attackMs: 10, releaseMs: 150, makeupDb: 4 },
+    deesser: { enabled: true, frequency: 6000, thresholdDb: -30, rangeDb: 8 },
+    limiter: { enabled: true, ceilingDb: -1 },
+  };
+
+  const KNEE_DB = 6;
+  const DEESSER_ATTACK_MS = 0.5;
+  const DEESSER_RELEASE_MS = 50;
+  const SILENT_DB = -180;
+  const PROGRESS_SAMPLE_MASK = 0xfffff;
+
+  /**
+   * Run the enabled stages in settings.order. Missing settings fall back to
+   * DYNAMICS_DEFAULTS. onProgress, if given, receives ('dynamics', fraction).
+   * @param {Float32Array[]} channels
+   * @param {number} sampleRate
+   * @param {{order?: string[], compressor?: object, deesser?: object, limiter?: object}} settings
+   * @param {{onProgress?: (stage: string, fraction: number) => void}} [options]
+   * @returns {{channels: Float32Array[], reductionDb: Object<string, number>}} new arrays, and the
+   *   largest gain reduction (dB, >= 0) of each stage that ran
+   */
+  function applyDynamics(channels, sampleRate, settings = {}, options = {}) {
+    const onProgress = options.onProgress || noop;
+    const stages = normalizeOrder(settings.order)
+      .map((name) => ({ name, ...DYNAMICS_DEFAULTS[name], ...(settings[name] || {}) }))
+      .filter((stage) => stage.enabled);
+
+    const out = channels.map((data) => {
+      const copy = new Float32Array(data.length);
+      copy.set(data);
+      return copy;
+    });
+    const reductionDb = {};
+    stages.forEach((stage, index) => {
+      const progress = (fraction) => onProgress('dynamics', (index + fraction) / stages.length);
+      if (stage.name === 'compressor') reductionDb.compressor = compress(out, sampleRate, stage, progress);
+      else if (stage.name === 'deesser') reductionDb.deesser = deess(out, sampleRate, stage, progress);
+      else reductionDb.limiter = limit(out, sampleRate, stage, progress);
+    });
+    onProgress('dynamics', 1);
+    return { channels: out, reductionDb };
+  }
+
+  /**
+   * Known stage names in the given order, each once; the ones left out are
+   * appended in their default order.
+   * @returns {string[]}
+   */
+  function normalizeOrder(order) {
+    const known = Array.isArray(order) ? order.filter((name, i) => STAGES.includes(name) && order.indexOf(name) === i) : [];
+    return [...known, ...STAGES.filter((name) => !known.includes(name))];
+  }
+
+  // ------- Compressor -------
+  function compress(channels, sampleRate, settings, onProgress) {
+    const ratio = Math.max(1, settings.ratio);
+    const attack = smoothingCoefficient(settings.attackMs, sampleRate);
+    const release = smoothingCoefficient(settings.releaseMs, sampleRate);
+    const frames = channels.length ? channels[0].length : 0;
+    let smoothed = 0; // gain change in dB, <= 0
+    let maxReduction = 0;
+
+    for (let i = 0; i < frames; i++) {
+      if ((i & PROGRESS_SAMPLE_MASK) === 0) onProgress(i / frames);
+      const target = compressorCurve(toDb(linkedPeak(channels, i)), settings.thresholdDb, ratio);
+      const coefficient = target < smoothed ? attack : release;
+      smoothed = coefficient * smoothed + (1 - coefficient) * target;
+      if (-smoothed > maxReduction) maxReduction = -smoothed;
+      const gain = fromDb(smoothed + settings.makeupDb);
+      for (const data of channels) data[i] *= gain;
+    }
+    onProgress(1);
+    return maxReduction;
+  }
+
+  // Static curve with a KNEE_DB soft knee: gain change (dB) for an input level
+  function compressorCurve(levelDb, thresholdDb, ratio) {
+    const over = levelDb - thresholdDb;
+    const slope = 1 / ratio - 1;
+    if (2 * over <= -KNEE_DB) return 0;
+    if (2 * over < KNEE_DB) return (slope * (over + KNEE_DB / 2) ** 2) / (2 * KNEE_DB);
+    return slope * over;
+  }
+
+  // ------- De-esser -------
+  function deess(channels, sampleRate, settings, onProgress) {
+    const frames = channels.length ? channels[0].length : 0;
+    const lowCoefficients = biquadCoefficients('lowpass', settings.frequency, Math.SQRT1_2, 0, sampleRate);
+    const highCoefficients = biquadCoefficients('highpass', settings.frequency, Math.SQRT1_2, 0, sampleRate);
+
+    // Split in place: the low band replaces the input, the high band is kept aside
+    const highs = channels.map((data, ch) => {
+      const low = [createBiquad(lowCoefficients), createBiquad(lowCoefficients)];
+      const high = [createBiquad(highCoefficients), createBiquad(highCoefficients)];
+      const band = new Float32Array(frames);
+      for (let i = 0; i < frames; i++) {
+        if ((i & PROGRESS_SAMPLE_MASK) === 0) onProgress((0.5 * (ch + i / frames)) / channels.length);
+        const x = data[i];
+        band[i] = high[1](high[0](x));
+        data[i] = low[1](low[0](x));
+      }
+      return band;
+    });
+
+    const attack = smoothingCoefficient(DEESSER_ATTACK_MS, sampleRate);
+    const release = smoothingCoefficient(DEESSER_RELEASE_MS, sampleRate);
+    let envelopeDb = SILENT_DB;
+    let maxReduction = 0;
+    for (let i = 0; i < frames; i++) {
+      if ((i & PROGRESS_SAMPLE_MASK) === 0) onProgress(0.5 + (0.5 * i) / frames);
+      const levelDb = toDb(linkedPeak(highs, i));
+      const coefficient = levelDb > envelopeDb ? attack : release;
+      envelopeDb = coefficient * envelopeDb + (1 - coefficient) * levelDb;
+      const reduction = Math.min(settings.rangeDb, Math.max(0, envelopeDb - settings.thresholdDb));
+      if (reduction > maxReduction) maxReduction = reduction;
+      const gain = fromDb(-reduction);
+      for (let ch = 0; ch < channels.length; ch++) channels[ch][i] += highs[ch][i] * gain;
+    }
+    onProgress(1);
+    return maxReduction;
+  }
+
+  // Direct form I biquad with normalized coefficients (equalizer.js)
+  function createBiquad(c) {
+    let x1 = 0;
+    let x2 = 0;
+    let y1 = 0;
+    let y2 = 0;
+    return (x) => {
+      const y = c.b0 * x + c.b1 * x1 + c.b2 * x2 - c.a1 * y1 - c.a2 * y2;
+      x2 = x1;
+      x1 = x;
+      y2 = y1;
+      y1 = y;
+      return y;
+    };
+  }
+
+  // ------- Limiter -------
+  function limit(channels, sampleRate, settings, onProgress) {
+    const ceiling = fromDb(settings.ceilingDb);
+    const envelope = truePeakEnvelope(channels, sampleRate, (f) => onProgress(f * 0.45));
+    const peak = maxOf(envelope);
+    if (peak <= ceiling) {
+      onProgress(1);
+      return 0;
+    }
+    const curve = limiterGain(envelope, 1, ceiling, sampleRate);
+    for (const data of channels) for (let i = 0; i < data.length; i++) data[i] *= curve[i];
+
+    // The smoothed gain can leave a fraction of a dB between samples: trim it
+    const residual = maxOf(truePeakEnvelope(channels, sampleRate, (f) => onProgress(0.55 + f * 0.45)));
+    if (residual > ceiling) {
+      const trim = ceiling / residual;
+      for (const data of channels) for (let i = 0; i < data.length; i++) data[i] *= trim;
+    }
+    onProgress(1);
+    return toDb(peak / ceiling);
+  }
+
+  // ------- Helpers -------
+  function linkedPeak(channels, i) {
+    let peak = 0;
+    for (const data of channels) {
+      const value = Math.abs(data[i]);
+      if (value > peak) peak = value;
+    }
+    return peak;
+  }
+
+  // One-pole coefficient reaching 1 - 1/e of a step in timeMs
+  function smoothingCoefficient(timeMs, sampleRate) {
+    return Math.exp(-1 / Math.max(1, (sampleRate * timeMs) / 1000));
+  }
+
+  function toDb(amplitude) {
+    return amplitude > 0 ? Math.max(SILENT_DB, 20 * Math.log10(amplitude)) : SILENT_DB;
+  }
+
+  function fromDb(db) {
+    return Math.pow(10, db / 20);
+  }
+
+  function maxOf(values) {
+    let max = 0;
+    for (let i = 0; i < values.length; i++) if (values[i] > max) max = values[i];
+    return max;
+  }
+
+  function noop() {}
+
+  // window on the page, self in the worker, module.exports under Node
+  const api = {
+    STAGES,
+    DYNAMICS_DEFAULTS,
+    applyDynamics,
+    normalizeOrder,
+    compressorCurve,
+  };
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+  else root.audioDynamics = api;
+})();
@@ -0,0 +1,645 @@
+/*
+  Output encoders – run in the browser (page or worker) and under Node, no server
+
+  - WAV 16/24-bit PCM and 32-bit float (encodeWav in speechTrimmer.js)
+  - FLAC 16/24-bit: fixed-predictor subframes, Rice-coded residuals, stereo decorrelation
+  - Opus in Ogg: the bundled libopus (vendor/opus, WebAssembly), or the
+    browser's WebCodecs AudioEncoder on request, plus a small Ogg muxer
+
+  Integer formats are TPDF-dithered when reducing from float (createQuantizer).
+*/
+
+(function () {
+  const root = typeof window !== 'undefined' ? window : typeof self !== 'undefined' ? self : globalThis;
+  const { encodeWav, createQuantizer } = root._speechTrimmer || require('./speechTrimmer.js');
+
+  // id -> file extension, MIME type and encoder (all return Promise<Blob>)
+  const OUTPUT_FORMATS = {
+    wav16: { extension: 'wav', type: 'audio/wav', encode: (ch, sr, o) => encodeWav(ch, sr, { ...o, bitDepth: 16 }) },
+    wav24: { extension: 'wav', type: 'audio/wav', encode: (ch, sr, o) => encodeWav(ch, sr, { ...o, bitDepth: 24 }) },
+    wav32f: { extension: 'wav', type: 'audio/wav', encode: (ch, sr, o) => encodeWav(ch, sr, { ...o, bitDepth: 32 }) },
+    flac16: { extension: 'flac', type: 'audio/flac', encode: (ch, sr, o) => encodeFlac(ch, sr, { ...o, bitDepth: 16 }) },
+    flac24: { extension: 'flac', type: 'audio/flac', encode: (ch, sr, o) => encodeFlac(ch, sr, { ...o, bitDepth: 24 }) },
+    opus: { extension: 'opus', type: 'audio/ogg', encode: (ch, sr, o) => encodeOpus(ch, sr, o) },
+  };
+
+  /**
+   * Encode per-channel samples in one of OUTPUT_FORMATS.
+   * @param {Float32Array[]} channels
+   * @param {number} sampleRate
+   * @param {{format?: string, dither?: boolean, bitrate?: number, onProgress?: (stage: string, fraction: number) => void}} [options]
+   * @returns {Promise<Blob>}
+   */
+  async function encodeAudio(channels, sampleRate, options = {}) {
+    const spec = OUTPUT_FORMATS[options.format || 'wav16'];
+    if (!spec) throw new Error(`Unknown output format: ${options.format}`);
+    return spec.encode(channels, sampleRate, options);
+  }
+
+  // ------- FLAC -------
+  const FLAC_BLOCK_SIZE = 4096;
+  const FLAC_MAX_PARTITION_ORDER = 4;
+  const CRC8_TABLE = buildCrcTable(0x07, 8);
+  const CRC16_TABLE = buildCrcTable(0x8005, 16);
+
+  /**
+   * Encode to FLAC. Each block tries fixed predictors of order 0-4 per channel
+   * and, for stereo, left/side, right/side and mid/side decorrelation.
+   * @param {{bitDepth?: 16|24, dither?: boolean, onProgress?: Function}} [options]
+   * @returns {Blob}
+   */
+  function encodeFlac(channels, sampleRate, options = {}) {
+    const bitDepth = options.bitDepth ?? 16;
+    const onProgress = options.onProgress || noop;
+    const numChannels = channels.length;
+    if (numChannels < 1 || numChannels > 8) throw new Error('FLAC supports 1 to 8 channels');
+    const frames = channels[0].length;
+    const quantizers = channels.map(() => createQuantizer(bitDepth, options.dither ?? true));
+
+    const parts = [new Uint8Array([0x66, 0x4c, 0x61, 0x43]), flacStreamInfo(sampleRate, numChannels, bitDepth, frames)];
+    const block = channels.map(() => new Int32Array(FLAC_BLOCK_SIZE));
+
+    for (let start = 0, frameNumber = 0; start < frames; start += FLAC_BLOCK_SIZE, frameNumber++) {
+      const size = Math.min(FLAC_BLOCK_SIZE, frames - start);
+      for (let ch = 0; ch < numChannels; ch++) {
+        const src = channels[ch];
+        const dst = block[ch];
+        for (let i = 0; i < size; i++) dst[i] = quantizers[ch](src[start + i]);
+      }
+      parts.push(encodeFlacFrame(block.map((data) => data.subarray(0, size)), frameNumber, bitDepth, sampleRate));
+      if ((frameNumber & 0x3f) === 0) onProgress('encode', start / frames);
+    }
+    onProgress('encode', 1);
+
+    return new Blob(parts, { type: 'audio/flac' });
+  }
+
+  function flacStreamInfo(sampleRate, numChannels, bitDepth, totalSamples) {
+    const w = createBitWriter(42);
+    w.write(1, 1); // last metadata block
+    w.write(0, 7); // STREAMINFO
+    w.write(34, 24);
+    w.write(FLAC_BLOCK_SIZE, 16); // min block size
+    w.write(FLAC_BLOCK_SIZE, 16); // max block size
+    w.write(0, 24); // min frame size: unknown
+    w.write(0, 24); // max frame size: unknown
+    w.write(sampleRate, 20);
+    w.write(numChannels - 1, 3);
+    w.write(bitDepth - 1, 5);
+    w.write(Math.floor(totalSamples / 0x10000000), 8); // 36-bit total: high 8 bits...
+    w.write(totalSamples % 0x10000000, 28); // ...and low 28 bits
+    for (let i = 0; i < 16; i++) w.write(0, 8); // MD5 unknown
+    return w.bytes();
+  }
+
+  function encodeFlacFrame(block, frameNumber, bitDepth, sampleRate) {
+    const size = block[0].length;
+    let assignment = block.length - 1; // independent channels
+    let subframes = block.map((data) => ({ data, bps: bitDepth, plan: planFixedSubframe(data, bitDepth) }));
+
+    if (block.length === 2) {
+      const [left, right] = block;
+      const mid = new Int32Array(size);
+      const side = new Int32Array(size);
+      for (let i = 0; i < size; i++) {
+        mid[i] = (left[i] + right[i]) >> 1;
+        side[i] = left[i] - right[i];
+      }
+      const l = subframes[0];
+      const r = subframes[1];
+      const m = { data: mid, bps: bitDepth, plan: planFixedSubframe(mid, bitDepth) };
+      const s = { data: side, bps: bitDepth + 1, plan: planFixedSubframe(side, bitDepth + 1) };
+      const options = [
+        { assignment: 1, subframes: [l, r] },
+        { assignment: 8, subframes: [l, s] }, // left/side
+        { assignment: 9, subframes: [s, r] }, // side/right
+        { assignment: 10, subframes: [m, s] }, // mid/side
+      ];
+      let best = options[0];
+      const cost = (o) => o.subframes[0].plan.bits + o.subframes[1].plan.bits;
+      for (const option of options) if (cost(option) < cost(best)) best = option;
+      assignment = best.assignment;
+      subframes = best.subframes;
+    }
+
+    const rate = flacRateCode(sampleRate);
+    const w = createBitWriter(size * block.length * (bitDepth / 8) + 64);
+    // Frame header
+    w.write(0xfff8, 16); // sync + fixed block size strategy
+    w.write(7, 4); // block size: 16-bit value at end of header
+    w.write(rate.code, 4);
+    w.write(assignment, 4);
+    w.write(bitDepth === 24 ? 6 : 4, 3);
+    w.write(0, 1);
+    writeUtf8Number(w, frameNumber);
+    w.write(size - 1, 16);
+    if (rate.bits) w.write(rate.value, rate.bits);
+    w.write(crc(CRC8_TABLE, 8, w.bytes()), 8);
+
+    for (const subframe of subframes) writeFixedSubframe(w, subframe);
+
+    w.alignToByte();
+    w.write(crc(CRC16_TABLE, 16, w.bytes()), 16);
+    return w.bytes();
+  }
+
+  // Pick the fixed predictor order and Rice partitioning with the fewest bits
+  function planFixedSubframe(data, bps) {
+    const size = data.length;
+    let constant = true;
+    for (let i = 1; i < size && constant; i++) constant = data[i] === data[0];
+    if (constant) return { type: 'constant', bits: bps };
+
+    let best = { type: 'verbatim', bits: size * bps };
+    const maxOrder = Math.min(4, size - 1);
+    for (let order = 0; order <= maxOrder; order++) {
+      const residual = fixedResidual(data, order);
+      const rice = planRice(residual, order, size, bps);
+      const bits = order * bps + rice.bits;
+      if (bits < best.bits) best = { type: 'fixed', order, residual, rice, bits };
+    }
+    return best;
+  }
+
+  function fixedResidual(data, order) {
+    const residual = new Int32Array(data.length - order);
+    for (let i = order; i < data.length; i++) {
+      let r;
+      switch (order) {
+        case 0: r = data[i]; break;
+        case 1: r = data[i] - data[i - 1]; break;
+        case 2: r = data[i] - 2 * data[i - 1] + data[i - 2]; break;
+        case 3: r = data[i] - 3 * data[i - 1] + 3 * data[i - 2] - data[i - 3]; break;
+        default: r = data[i] - 4 * data[i - 1] + 6 * data[i - 2] - 4 * data[i - 3] + data[i - 4];
+      }
+      residual[i - order] = r;
+    }
+    return residual;
+  }
+
+  function planRice(residual, order, blockSize, bps) {
+    // RICE2 (5-bit parameters) is needed once residuals can exceed 16 bits
+    const method = bps > 16 ? 1 : 0;
+    const paramBits = method ? 5 : 4;
+    const maxParam = method ? 30 : 14;
+    let best = null;
+
+    for (let partitionOrder = 0; partitionOrder <= FLAC_MAX_PARTITION_ORDER; partitionOrder++) {
+      const partitions = 1 << partitionOrder;
+      if (blockSize % partitions !== 0 || (blockSize >> partitionOrder) <= order) break;
+      const params = [];
+      let bits = 2 + 4; // method + partition order
+      let offset = 0;
+      for (let p = 0; p < partitions; p++) {
+        const count = (blockSize >> partitionOrder) - (p === 0 ? order : 0);
+        const { param, cost } = bestRiceParam(residual, offset, count, maxParam);
+        params.push(param);
+        bits += paramBits + cost;
+        offset += count;
+      }
+      if (!best || bits < best.bits) best = { method, partitionOrder, params, bits };
+    }
+    return best;
+  }
+
+  function bestRiceParam(residual, offset, count, maxParam) {
+    let sum = 0;
+    for (let i = offset; i < offset + count; i++) sum += zigzag(residual[i]);
+    const mean = count > 0 ? sum / count : 0;
+    const guess = mean > 1 ? Math.min(maxParam, Math.floor(Math.log2(mean))) : 0;
+
+    let best = null;
+    for (let param = Math.max(0, guess - 1); param <= Math.min(maxParam, guess + 1); param++) {
+      let cost = count * (param + 1);
+      for (let i = offset; i < offset + count; i++) cost += Math.floor(zigzag(residual[i]) / Math.pow(2, param));
+      if (!best || cost < best.cost) best = { param, cost };
+    }
+    return best;
+  }
+
+  function writeFixedSubframe(w, { data, bps, plan }) {
+    w.write(0, 1);
+    if (plan.type === 'constant') {
+      w.write(0, 6);
+      w.write(0, 1);
+      w.write(data[0], bps);
+      return;
+    }
+    if (plan.type === 'verbatim') {
+      w.write(1, 6);
+      w.write(0, 1);
+      for (let i = 0; i < data.length; i++) w.write(data[i], bps);
+      return;
+    }
+
+    w.write(8 | plan.order, 6);
+    w.write(0, 1); // no wasted bits
+    for (let i = 0; i < plan.order; i++) w.write(data[i], bps);
+
+    const { method, partitionOrder, params } = plan.rice;
+    w.write(method, 2);
+    w.write(partitionOrder, 4);
+    let offset = 0;
+    params.forEach((param, p) => {
+      const count = (data.length >> partitionOrder) - (p === 0 ? plan.order : 0);
+      w.write(param, method ? 5 : 4);
+      for (let i = offset; i < offset + count; i++) w.writeRice(zigzag(plan.residual[i]), param);
+      offset += count;
+    });
+  }
+
+  const FLAC_RATE_CODES = { 88200: 1, 176400: 2, 192000: 3, 8000: 4, 16000: 5, 22050: 6, 24000: 7, 32000: 8, 44100: 9, 48000: 10, 96000: 11 };
+
+  // Frame headers repeat the sample rate so frames decode on their own (seeking, streaming)
+  function flacRateCode(sampleRate) {
+    if (FLAC_RATE_CODES[sampleRate]) return { code: FLAC_RATE_CODES[sampleRate], bits: 0 };
+    if (sampleRate % 1000 === 0 && sampleRate < 256000) return { code: 12, bits: 8, value: sampleRate / 1000 };
+    if (sampleRate < 65536) return { code: 13, bits: 16, value: sampleRate };
+    if (sampleRate % 10 === 0 && sampleRate < 655360) return { code: 14, bits: 16, value: sampleRate / 10 };
+    return { code: 0, bits: 0 }; // from STREAMINFO
+  }
+
+  function writeUtf8Number(w, value) {
+    if (value < 0x80) {
+      w.write(value, 8);
+      return;
+    }
+    let extra = 1;
+    while (value >= Math.pow(2, 6 - extra + 6 * extra) && extra < 5) extra++;
+    const lead = (0xff << (7 - extra)) & 0xff;
+    w.write(lead | Math.floor(value / Math.pow(2, 6 * extra)), 8);
+    for (let i = extra - 1; i >= 0; i--) w.write(0x80 | (Math.floor(value / Math.pow(2, 6 * i)) & 0x3f), 8);
+  }
+
+  function zigzag(value) {
+    return value >= 0 ? value * 2 : -value * 2 - 1;
+  }
+
+  // ------- Opus in Ogg -------
+  const OPUS_RATE = 48000; // Opus granule positions always count 48 kHz samples
+  const OPUS_DEFAULT_PRE_SKIP = 312; // libopus lookahead at 48 kHz
+  const OPUS_DEFAULT_BITRATE = 96000;
+  const OPUS_CHUNK_FRAMES = 48000;
+  const OGG_SERIAL = 0x454c4142; // fixed stream serial keeps output reproducible
+  // Bundled libopus (vendor/opus): rates it encodes directly, 20 ms frames, control ids
+  const LIBOPUS_RATES = [8000, 12000, 16000, 24000, 48000];
+  const LIBOPUS_FRAME_MS = 20;
+  const LIBOPUS_MAX_PACKET = 1276 * 3;
+  const OPUS_APPLICATION_AUDIO = 2049;
+  const OPUS_SET_BITRATE = 4002;
+
+  /**
+   * Encode to Ogg Opus with the bundled libopus, which runs the same wherever
+   * this file does, so the page, the worker and the CLI write the same bytes.
+   * webCodecs: true tries the browser's WebCodecs AudioEncoder first: faster,
+   * but its bytes differ; libopus still takes over when it is missing or
+   * rejects the stream.
+   * @param {{bitrate?: number, webCodecs?: boolean, onProgress?: Function}} [options]
+   * @returns {Promise<Blob>}
+   */
+  async function encodeOpus(channels, sampleRate, options = {}) {
+    if (channels.length > 2) throw new Error('Opus export supports mono or stereo only');
+    const bitrate = options.bitrate || OPUS_DEFAULT_BITRATE;
+    const onProgress = options.onProgress || noop;
+    const useWebCodecs = options.webCodecs ?? false;
+
+    const encoded =
+      (useWebCodecs && (await encodeOpusWebCodecs(channels, sampleRate, bitrate, onProgress))) ||
+      (await encodeOpusLibopus(channels, sampleRate, bitrate, onProgress));
+    onProgress('encode', 1);
+
+    const totalSamples = Math.round((channels[0].length * OPUS_RATE) / sampleRate);
+    return muxOggOpus(encoded.packets, { channels: channels.length, inputSampleRate: sampleRate, preSkip: encoded.preSkip, totalSamples });
+  }
+
+  /**
+   * Resamples to 48 kHz first when the encoder rejects the source rate.
+   * @returns {Promise<{packets: Array<{bytes: Uint8Array, samples: number}>, preSkip: number}|null>} null when
+   *   the browser has no AudioEncoder or it cannot encode Opus
+   */
+  async function encodeOpusWebCodecs(channels, sampleRate, bitrate, onProgress) {
+    if (typeof AudioEncoder === 'undefined') return null;
+
+    let data = channels;
+    const config = { codec: 'opus', sampleRate, numberOfChannels: channels.length, bitrate };
+    if (!(await AudioEncoder.isConfigSupported(config)).supported) {
+      config.sampleRate = OPUS_RATE;
+      if (!(await AudioEncoder.isConfigSupported(config)).supported) return null;
+      data = channels.map((channel) => resample(channel, sampleRate, OPUS_RATE));
+    }
+
+    const packets = [];
+    let preSkip = OPUS_DEFAULT_PRE_SKIP;
+    let failure = null;
+    const encoder = new AudioEncoder({
+      output: (chunk, metadata) => {
+        const bytes = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(bytes);
+        packets.push({ bytes, samples: chunk.duration ? Math.round((chunk.duration * OPUS_RATE) / 1e6) : 960 });
+        const description = metadata && metadata.decoderConfig && metadata.decoderConfig.description;
+        if (description && description.byteLength >= 12) {
+          // Chromium hands out an OpusHead; reuse its pre-skip
+          preSkip = new DataView(ArrayBuffer.isView(description) ? description.buffer : description).getUint16(10, true);
+        }
+      },
+      error: (err) => { failure = err; },
+    });
+    encoder.configure(config);
+
+    const frames = data[0].length;
+    for (let pos = 0; pos < frames && !failure; pos += OPUS_CHUNK_FRAMES) {
+      const count = Math.min(OPUS_CHUNK_FRAMES, frames - pos);
+      const planar = new Float32Array(count * data.length);
+      data.forEach((channel, ch) => planar.set(channel.subarray(pos, pos + count), ch * count));
+      const audioData = new AudioData({
+        format: 'f32-planar',
+        sampleRate: config.sampleRate,
+        numberOfFrames: count,
+        numberOfChannels: data.length,
+        timestamp: Math.round((pos * 1e6) / config.sampleRate),
+        data: planar,
+      });
+      encoder.encode(audioData);
+      audioData.close();
+      onProgress('encode', pos / frames);
+      while (encoder.encodeQueueSize > 4 && !failure) await new Promise((resolve) => setTimeout(resolve, 1));
+    }
+    await encoder.flush();
+    encoder.close();
+    if (failure) throw failure;
+    return { packets, preSkip };
+  }
+
+  /**
+   * The bundled libopus on 16-bit frames, resampled to 48 kHz when the source
+   * rate is not one it encodes. Silence is appended until the pre-skip is
+   * covered too, so the decoder gets the whole signal back.
+   */
+  async function encodeOpusLibopus(channels, sampleRate, bitrate, onProgress) {
+    const opus = await loadLibopus();
+    const rate = LIBOPUS_RATES.includes(sampleRate) ? sampleRate : OPUS_RATE;
+    const data = rate === sampleRate ? channels : channels.map((channel) => resample(channel, sampleRate, rate));
+    const numChannels = data.length;
+    const frameSize = (rate * LIBOPUS_FRAME_MS) / 1000;
+    const frames = data[0].length;
+    const end = frames + Math.ceil((OPUS_DEFAULT_PRE_SKIP * rate) / OPUS_RATE);
+    const quantizers = data.map(() => createQuantizer(16, false));
+
+    const pcmBytes = frameSize * numChannels * 2;
+    const handler = new opus.OpusScriptHandler(rate, numChannels, OPUS_APPLICATION_AUDIO);
+    // opusscript's encode takes the little-endian PCM bytes one per 16-bit word
+    // (its own wrapper copies a byte Buffer into a Uint16Array)
+    const pcm = opus._malloc(pcmBytes * 2);
+    const out = opus._malloc(LIBOPUS_MAX_PACKET);
+    try {
+      if (handler._encoder_ctl(OPUS_SET_BITRATE, bitrate) < 0) throw new Error(`Unsupported Opus bitrate: ${bitrate}`);
+      const packets = [];
+      for (let pos = 0, frameNumber = 0; pos < end; pos += frameSize, frameNumber++) {
+        const words = opus.HEAPU16.subarray(pcm >> 1, (pcm >> 1) + pcmBytes);
+        for (let ch = 0; ch < numChannels; ch++) {
+          const src = data[ch];
+          const quantize = quantizers[ch];
+          for (let i = 0; i < frameSize; i++) {
+            // Interleaved, one sample per channel for every frame
+            const value = pos + i < frames ? quantize(src[pos + i]) : 0;
+            const at = 2 * (i * numChannels + ch);
+            words[at] = value & 0xff;
+            words[at + 1] = (value >> 8) & 0xff;
+          }
+        }
+        const length = handler._encode(pcm, pcmBytes, out, frameSize);
+        if (length < 0) throw new Error(`Opus encoder error ${length}`);
+        packets.push({ bytes: opus.HEAPU8.slice(out, out + length), samples: (frameSize * OPUS_RATE) / rate });
+        if ((frameNumber & 0xff) === 0) onProgress('encode', pos / end);
+      }
+      return { packets, preSkip: OPUS_DEFAULT_PRE_SKIP };
+    } finally {
+      opus.OpusScriptHandler.destroy_handler(handler);
+      opus._free(pcm);
+      opus._free(out);
+    }
+  }
+
+  // The Emscripten module (vendor/opus), instantiated once from the bundled
+  // bytes: nothing is fetched, so it also loads on file:// pages
+  let libopus = null;
+  function loadLibopus() {
+    if (!libopus) {
+      const factory = root.Module || require('./vendor/opus/opusscript_native_wasm.js');
+      const base64 = root.opusscriptWasm || require('./vendor/opus/opusscript_native_wasm.wasm.js');
+      const wasmBinary = Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+      libopus = factory({ wasmBinary }).ready;
+    }
+    return libopus;
+  }
+
+  function muxOggOpus(packets, { channels, inputSampleRate, preSkip, totalSamples }) {
+    const head = new DataView(new ArrayBuffer(19));
+    writeAscii(head, 0, 'OpusHead');
+    head.setUint8(8, 1); // version
+    head.setUint8(9, channels);
+    head.setUint16(10, preSkip, true);
+    head.setUint32(12, inputSampleRate, true);
+    head.setInt16(16, 0, true); // output gain
+    head.setUint8(18, 0); // mapping family 0: mono/stereo
+
+    const vendor = 'E-labs Cleaner';
+    const tags = new DataView(new ArrayBuffer(8 + 4 + vendor.length + 4));
+    writeAscii(tags, 0, 'OpusTags');
+    tags.setUint32(8, vendor.length, true);
+    writeAscii(tags, 12, vendor);
+    tags.setUint32(12 + vendor.length, 0, true); // no user comments
+
+    const pages = [];
+    let sequence = 0;
+    const addPage = (payloads, granule, flags) => pages.push(oggPage(payloads, granule, flags, sequence++));
+    addPage([new Uint8Array(head.buffer)], 0, 0x02); // beginning of stream
+    addPage([new Uint8Array(tags.buffer)], 0, 0);
+
+    // Group audio packets into pages of at most 255 lacing values
+    let pending = [];
+    let lacing = 0;
+    let granule = preSkip;
+    const endGranule = preSkip + totalSamples;
+    packets.forEach((packet, i) => {
+      const segments = Math.floor(packet.bytes.length / 255) + 1;
+      if (lacing + segments > 255) {
+        addPage(pending, Math.min(granule, endGranule), 0);
+        pending = [];
+        lacing = 0;
+      }
+      pending.push(packet.bytes);
+      lacing += segments;
+      granule += packet.samples;
+      if (i === packets.length - 1) addPage(pending, endGranule, 0x04); // end of stream
+    });
+
+    return new Blob(pages, { type: 'audio/ogg' });
+  }
+
+  function oggPage(payloads, granule, flags, sequence) {
+    const lacing = [];
+    for (const payload of payloads) {
+      let remaining = payload.length;
+      while (remaining >= 255) {
+        lacing.push(255);
+        remaining -= 255;
+      }
+      lacing.push(remaining);
+    }
+    const bodySize = payloads.reduce((sum, payload) => sum + payload.length, 0);
+    const page = new Uint8Array(27 + lacing.length + bodySize);
+    const view = new DataView(page.buffer);
+    writeAscii(view, 0, 'OggS');
+    view.setUint8(4, 0); // version
+    view.setUint8(5, flags);
+    view.setUint32(6, granule % 0x100000000, true);
+    view.setUint32(10, Math.floor(granule / 0x100000000), true);
+    view.setUint32(14, OGG_SERIAL, true);
+    view.setUint32(18, sequence, true);
+    view.setUint32(22, 0, true); // CRC placeholder
+    view.setUint8(26, lacing.length);
+    page.set(lacing, 27);
+    let offset = 27 + lacing.length;
+    for (const payload of payloads) {
+      page.set(payload, offset);
+      offset += payload.length;
+    }
+    view.setUint32(22, oggCrc(page), true);
+    return page;
+  }
+
+  const OGG_CRC_TABLE = buildCrcTable(0x04c11db7, 32);
+
+  function oggCrc(bytes) {
+    let c = 0;
+    for (let i = 0; i < bytes.length; i++) c = ((c << 8) ^ OGG_CRC_TABLE[((c >>> 24) ^ bytes[i]) & 0xff]) >>> 0;
+    return c;
+  }
+
+  /**
+   * Windowed-sinc resampler (Hann window, 16 zero crossings per side).
+   * Only used when the Opus encoder cannot take the source rate directly.
+   */
+  function resample(input, fromRate, toRate) {
+    const HALF_WIDTH = 16;
+    const ratio = toRate / fromRate;
+    const cutoff = Math.min(1, ratio);
+    const out = new Float32Array(Math.round(input.length * ratio));
+    const reach = Math.ceil(HALF_WIDTH / cutoff);
+
+    for (let i = 0; i < out.length; i++) {
+      const t = i / ratio;
+      const center = Math.floor(t);
+      let sum = 0;
+      for (let j = center - reach + 1; j <= center + reach; j++) {
+        if (j < 0 || j >= input.length) continue;
+        const x = (t - j) * cutoff;
+        if (Math.abs(x) >= HALF_WIDTH) continue;
+        const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+        const taper = 0.5 + 0.5 * Math.cos((Math.PI * x) / HALF_WIDTH);
+        sum += input[j] * sinc * taper * cutoff;
+      }
+      out[i] = sum;
+    }
+    return out;
+  }
+
+  // ------- Bits and checksums -------
+  function createBitWriter(initialBytes) {
+    let buffer = new Uint8Array(Math.max(16, initialBytes));
+    let length = 0;
+    let acc = 0;
+    let accBits = 0;
+
+    const pushByte = (byte) => {
+      if (length === buffer.length) {
+        const grown = new Uint8Array(buffer.length * 2);
+        grown.set(buffer);
+        buffer = grown;
+      }
+      buffer[length++] = byte;
+    };
+
+    // Up to 16 bits at a time; value must already be masked
+    const writeSmall = (value, bits) => {
+      acc = (acc << bits) | value;
+      accBits += bits;
+      while (accBits >= 8) {
+        accBits -= 8;
+        pushByte((acc >>> accBits) & 0xff);
+      }
+      acc &= (1 << accBits) - 1;
+    };
+
+    return {
+      // Write the low `bits` bits of value (two's complement for negatives), bits <= 32
+      write(value, bits) {
+        if (bits === 0) return;
+        const masked = bits === 32 ? value >>> 0 : (value & (bits >= 31 ? 0x7fffffff : (1 << bits) - 1)) >>> 0;
+        if (bits > 16) {
+          writeSmall(Math.floor(masked / 65536) & ((1 << (bits - 16)) - 1), bits - 16);
+          writeSmall(masked & 0xffff, 16);
+        } else {
+          writeSmall(masked, bits);
+        }
+      },
+      writeRice(value, param) {
+        let quotient = Math.floor(value / Math.pow(2, param));
+        while (quotient >= 16) {
+          writeSmall(0, 16);
+          quotient -= 16;
+        }
+        writeSmall(1, quotient + 1); // quotient zeros, then a one
+        if (param > 0) this.write(value % Math.pow(2, param), param);
+      },
+      alignToByte() {
+        if (accBits > 0) writeSmall(0, 8 - accBits);
+      },
+      bytes() {
+        return buffer.slice(0, length);
+      },
+    };
+  }
+
+  function buildCrcTable(poly, width) {
+    const table = new Uint32Array(256);
+    const top = Math.pow(2, width - 1);
+    const mask = width === 32 ? 0xffffffff : (1 << width) - 1;
+    for (let n = 0; n < 256; n++) {
+      let c = width === 8 ? n : (n * Math.pow(2, width - 8)) >>> 0;
+      for (let k = 0; k < 8; k++) {
+        c = c >= top ? ((c - top) * 2) ^ poly : c * 2;
+        c = width === 32 ? c >>> 0 : c & mask;
+      }
+      table[n] = c >>> 0;
+    }
+    return table;
+  }
+
+  function crc(table, width, bytes) {
+    let c = 0;
+    const shift = width - 8;
+    const mask = (1 << width) - 1;
+    for (let i = 0; i < bytes.length; i++) {
+      c = ((c << 8) ^ table[((c >>> shift) ^ bytes[i]) & 0xff]) & mask;
+    }
+    return c;
+  }
+
+  function writeAscii(view, offset, str) {
+    for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+  }
+
+  function noop() {}
+
+  // window on the page, self in the worker, module.exports under Node
+  const api = {
+    OUTPUT_FORMATS,
+    encodeAudio,
+    encodeFlac,
+    encodeOpus,
+  };
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+  else root.audioEncoders = api;
+})();
@@ -0,0 +1,308 @@
+/*
+  EQ graph – frequency response of the band list with draggable band handles
+
+  - The curve is the product of the bands' BiquadFilterNode.getFrequencyResponse
+    (falls back to audioEqualizer.frequencyResponse without Web Audio).
+  - Drag a handle: left/right sets the frequency, up/down the gain
+    (peaking and shelves only). Wheel over a handle changes its Q.
+  - Double-click empty space to add a peaking band there.
+*/
+
+(function () {
+  const MIN_FREQ = 20;
+  const MAX_FREQ = 20000;
+  const RANGE_DB = 18; // the graph shows ±RANGE_DB
+  const HANDLE_RADIUS = 6;
+  const HANDLE_HIT_PX = 10;
+  const MIN_Q = 0.1;
+  const MAX_Q = 30;
+  const GRID_FREQS = [50, 100, 200, 500, 1000, 2000, 5000, 10000];
+  const GRID_DB = [-12, -6, 6, 12];
+
+  const COLORS = {
+    background: '#111417',
+    grid: '#1f2428',
+    zero: '#2a2e33',
+    label: '#5d646b',
+    curve: 'rgba(45, 224, 126, 0.9)',
+    fill: 'rgba(45, 224, 126, 0.10)',
+    handle: '#8b9299',
+    selected: '#e9ecef',
+  };
+
+  /**
+   * Create an EQ graph bound to a canvas.
+   * @param {HTMLCanvasElement} canvas
+   * @param {{onChange?: (bands: object[]) => void, onSelect?: (index: number) => void}} callbacks
+   */
+  function createEqGraph(canvas, callbacks = {}) {
+    const ctx = canvas.getContext('2d');
+    const { GAIN_TYPES, MAX_BANDS, toBiquadQ, frequencyResponse } = window.audioEqualizer;
+
+    let bands = [];
+    let sampleRate = 48000;
+    let selected = -1;
+    let response = null; // dB per pixel column
+    let drag = null;
+    let redrawQueued = false;
+    let analysisContext = null;
+
+    canvas.addEventListener('pointerdown', onPointerDown);
+    canvas.addEventListener('pointermove', onPointerMove);
+    canvas.addEventListener('pointerup', () => { drag = null; });
+    canvas.addEventListener('pointercancel', () => { drag = null; });
+    canvas.addEventListener('dblclick', onDoubleClick);
+    canvas.addEventListener('wheel', onWheel, { passive: false });
+    window.addEventListener('resize', () => {
+      response = null;
+      scheduleRedraw();
+    });
+
+    function setBands(next) {
+      bands = next.map((band) => ({ ...band }));
+      if (selected >= bands.length) selected = -1;
+      response = null;
+      scheduleRedraw();
+    }
+
+    function setSampleRate(rate) {
+      if (rate === sampleRate) return;
+      sampleRate = rate;
+      analysisContext = null;
+      response = null;
+      scheduleRedraw();
+    }
+
+    function setSelected(index) {
+      selected = index;
+      scheduleRedraw();
+    }
+
+    function emitChange() {
+      response = null;
+      scheduleRedraw();
+      if (callbacks.onChange) callbacks.onChange(bands.map((band) => ({ ...band })));
+    }
+
+    function select(index) {
+      if (index === selected) return;
+      selected = index;
+      scheduleRedraw();
+      if (callbacks.onSelect) callbacks.onSelect(index);
+    }
+
+    // ------- Pointer interaction -------
+    function onPointerDown(event) {
+      const index = findHandleNear(event.offsetX, event.offsetY);
+      select(index);
+      if (index < 0) return;
+      canvas.setPointerCapture(event.pointerId);
+      drag = { index };
+    }
+
+    function onPointerMove(event) {
+      if (!drag) {
+        canvas.style.cursor = findHandleNear(event.offsetX, event.offsetY) >= 0 ? 'grab' : 'crosshair';
+        return;
+      }
+      const band = bands[drag.index];
+      band.frequency = Math.round(xToFreq(event.offsetX));
+      if (GAIN_TYPES.includes(band.type)) band.gain = Math.round(yToDb(event.offsetY) * 2) / 2;
+      emitChange();
+    }
+
+    function onDoubleClick(event) {
+      if (findHandleNear(event.offsetX, event.offsetY) >= 0 || bands.length >= MAX_BANDS) return;
+      bands.push({
+        type: 'peaking',
+        frequency: Math.round(xToFreq(event.offsetX)),
+        Q: 1,
+        gain: Math.round(yToDb(event.offsetY) * 2) / 2,
+      });
+      selected = bands.length - 1;
+      emitChange();
+      if (callbacks.onSelect) callbacks.onSelect(selected);
+    }
+
+    function onWheel(event) {
+      const index = findHandleNear(event.offsetX, event.offsetY);
+      if (index < 0) return;
+      event.preventDefault();
+      const band = bands[index];
+      const factor = event.deltaY < 0 ? 1.1 : 1 / 1.1;
+      band.Q = Number(Math.min(MAX_Q, Math.max(MIN_Q, band.Q * factor)).toFixed(2));
+      select(index);
+      emitChange();
+    }
+
+    function findHandleNear(x, y) {
+      for (let i = bands.length - 1; i >= 0; i--) {
+        const [hx, hy] = handlePosition(bands[i]);
+        if (Math.hypot(hx - x, hy - y) <= HANDLE_HIT_PX) return i;
+      }
+      return -1;
+    }
+
+    // Gain bands sit at their gain; filters without gain sit on the curve
+    function handlePosition(band) {
+      const x = freqToX(band.frequency);
+      if (GAIN_TYPES.includes(band.type)) return [x, dbToY(band.gain)];
+      const column = Math.max(0, Math.min(canvasWidth() - 1, Math.round(x)));
+      return [x, dbToY(currentResponse()[column])];
+    }
+
+    // ------- Response -------
+    function currentResponse() {
+      if (!response || response.length !== canvasWidth()) response = computeResponse(canvasWidth());
+      return response;
+    }
+
+    function computeResponse(width) {
+      const frequencies = new Float32Array(width);
+      for (let x = 0; x < width; x++) frequencies[x] = xToFreq(x);
+      const context = getAnalysisContext();
+      if (!context) return frequencyResponse(bands, sampleRate, frequencies);
+
+      const total = new Float32Array(width);
+      const magnitude = new Float32Array(width);
+      const phase = new Float32Array(width);
+      for (const band of bands) {
+        if (GAIN_TYPES.includes(band.type) && !band.gain) continue;
+        const filter = context.createBiquadFilter();
+        filter.type = band.type;
+        filter.frequency.value = band.frequency;
+        filter.Q.value = toBiquadQ(band.type, band.Q);
+        filter.gain.value = band.gain;
+        filter.getFrequencyResponse(frequencies, magnitude, phase);
+        for (let x = 0; x < width; x++) total[x] += 20 * Math.log10(magnitude[x]);
+      }
+      return total;
+    }
+
+    // Only used for getFrequencyResponse, never rendered
+    function getAnalysisContext() {
+      if (analysisContext) return analysisContext;
+      const Offline = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+      if (!Offline) return null;
+      try {
+        analysisContext = new Offline(1, 1, sampleRate);
+        if (typeof analysisContext.createBiquadFilter !== 'function') analysisContext = null;
+      } catch (_) {
+        analysisContext = null;
+      }
+      return analysisContext;
+    }
+
+    // ------- Drawing -------
+    function scheduleRedraw() {
+      if (redrawQueued) return;
+      redrawQueued = true;
+      requestAnimationFrame(() => {
+        redrawQueued = false;
+        draw();
+      });
+    }
+
+    function draw() {
+      const dpr = window.devicePixelRatio || 1;
+      const width = canvasWidth();
+      const height = canvasHeight();
+      if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+        canvas.width = Math.round(width * dpr);
+        canvas.height = Math.round(height * dpr);
+      }
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      ctx.fillStyle = COLORS.background;
+      ctx.fillRect(0, 0, width, height);
+
+      drawGrid(width, height);
+      drawCurve(width);
+
+      bands.forEach((band, i) => {
+        const [x, y] = handlePosition(band);
+        ctx.beginPath();
+        ctx.arc(x, y, HANDLE_RADIUS, 0, 2 * Math.PI);
+        ctx.fillStyle = i === selected ? COLORS.selected : COLORS.handle;
+        ctx.fill();
+        ctx.fillStyle = COLORS.background;
+        ctx.font = '9px ui-monospace, monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(String(i + 1), x, y + 0.5);
+      });
+    }
+
+    function drawGrid(width, height) {
+      ctx.font = '10px ui-monospace, monospace';
+      ctx.fillStyle = COLORS.grid;
+      for (const f of GRID_FREQS) ctx.fillRect(Math.round(freqToX(f)), 0, 1, height);
+      for (const db of GRID_DB) ctx.fillRect(0, Math.round(dbToY(db)), width, 1);
+      ctx.fillStyle = COLORS.zero;
+      ctx.fillRect(0, Math.round(dbToY(0)), width, 1);
+
+      ctx.fillStyle = COLORS.label;
+      ctx.textBaseline = 'bottom';
+      ctx.textAlign = 'left';
+      for (const f of [100, 1000, 10000]) ctx.fillText(f >= 1000 ? `${f / 1000}k` : String(f), freqToX(f) + 3, height - 2);
+      ctx.textBaseline = 'middle';
+      for (const db of GRID_DB) ctx.fillText(`${db > 0 ? '+' : ''}${db}`, 3, dbToY(db));
+    }
+
+    function drawCurve(width) {
+      const values = currentResponse();
+      const zeroY = dbToY(0);
+      ctx.beginPath();
+      for (let x = 0; x < width; x++) {
+        const y = dbToY(values[x]);
+        if (x === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+      }
+      ctx.strokeStyle = COLORS.curve;
+      ctx.lineWidth = 2;
+      ctx.stroke();
+      ctx.lineTo(width, zeroY);
+      ctx.lineTo(0, zeroY);
+      ctx.closePath();
+      ctx.fillStyle = COLORS.fill;
+      ctx.fill();
+    }
+
+    // ------- Coordinates (log frequency, linear dB) -------
+    function canvasWidth() {
+      return canvas.clientWidth || 600;
+    }
+
+    function canvasHeight() {
+      return canvas.clientHeight || 180;
+    }
+
+    function freqToX(frequency) {
+      const f = Math.max(MIN_FREQ, Math.min(MAX_FREQ, frequency));
+      return (Math.log(f / MIN_FREQ) / Math.log(MAX_FREQ / MIN_FREQ)) * canvasWidth();
+    }
+
+    function xToFreq(x) {
+      const ratio = Math.max(0, Math.min(1, x / canvasWidth()));
+      return MIN_FREQ * Math.pow(MAX_FREQ / MIN_FREQ, ratio);
+    }
+
+    // Values beyond the range (a notch's -inf) pin to the edge
+    function dbToY(db) {
+      const clamped = Number.isFinite(db) ? Math.max(-RANGE_DB, Math.min(RANGE_DB, db)) : -RANGE_DB;
+      return ((RANGE_DB - clamped) / (2 * RANGE_DB)) * canvasHeight();
+    }
+
+    function yToDb(y) {
+      const db = RANGE_DB - (y / canvasHeight()) * 2 * RANGE_DB;
+      return Math.max(-RANGE_DB, Math.min(RANGE_DB, db));
+    }
+
+    return {
+      setBands,
+      setSampleRate,
+      setSelected,
+    };
+  }
+
+  window.createEqGraph = createEqGraph;
+})();
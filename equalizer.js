@@ -0,0 +1,244 @@
+/*
+  Equalizer – N-band parametric EQ on Float32Arrays
+
+  - Every band is { type, frequency, Q, gain }: peaking, low/high shelf,
+    high-pass, low-pass or notch; gain (dB) applies to peaking and shelves
+  - Coefficients follow the Web Audio BiquadFilterNode formulas (Audio EQ
+    Cookbook), filtering runs in double precision. Q is linear for every type;
+    BiquadFilterNode wants dB for high/low-pass (see toBiquadQ)
+  - Presets are plain band lists
+
+  Pure JS (no OfflineAudioContext), so the page, the worker and the Node CLI
+  produce the same samples.
+*/
+
+(function () {
+  const root = typeof window !== 'undefined' ? window : typeof self !== 'undefined' ? self : globalThis;
+
+  const FILTER_TYPES = ['peaking', 'lowshelf', 'highshelf', 'highpass', 'lowpass', 'notch'];
+  const GAIN_TYPES = ['peaking', 'lowshelf', 'highshelf'];
+  const MAX_BANDS = 8;
+  const BUTTERWORTH_Q = Math.SQRT1_2;
+
+  const EQ_PRESETS = {
+    // Clear Voice: lighter low, +presence, +air
+    clear: [
+      { type: 'lowshelf', frequency: 120, Q: 1, gain: -3 },
+      { type: 'peaking', frequency: 3000, Q: 0.9, gain: 4 },
+      { type: 'highshelf', frequency: 10000, Q: 1, gain: 2 },
+    ],
+    // Warm & Natural: +low, gentle -upper mids, tiny high shelf
+    warm: [
+      { type: 'lowshelf', frequency: 120, Q: 1, gain: 2 },
+      { type: 'peaking', frequency: 3000, Q: 0.9, gain: -2 },
+      { type: 'highshelf', frequency: 10000, Q: 1, gain: 1 },
+    ],
+    // Cinematic / Deep: strong low, small mid cut, a bit of high
+    cinematic: [
+      { type: 'lowshelf', frequency: 120, Q: 1, gain: 5 },
+      { type: 'peaking', frequency: 3000, Q: 0.9, gain: -3 },
+      { type: 'highshelf', frequency: 10000, Q: 1, gain: 2 },
+    ],
+    // Cleanup: rumble high-pass, 50 Hz mains hum notch, a little presence
+    cleanup: [
+      { type: 'highpass', frequency: 80, Q: BUTTERWORTH_Q, gain: 0 },
+      { type: 'notch', frequency: 50, Q: 8, gain: 0 },
+      { type: 'peaking', frequency: 4000, Q: 1, gain: 2 },
+    ],
+  };
+
+  const PROGRESS_SAMPLE_MASK = 0xfffff;
+
+  /**
+   * Bands of a named preset (copies); unknown names (and 'custom') are flat.
+   * @returns {Array<{type: string, frequency: number, Q: number, gain: number}>}
+   */
+  function presetToBands(preset) {
+    return (EQ_PRESETS[preset] || []).map((band) => ({ ...band }));
+  }
+
+  /**
+   * Run every channel through the bands in order.
+   * onProgress, if given, receives ('eq', fraction).
+   * @param {Float32Array[]} channels
+   * @param {number} sampleRate
+   * @param {Array<{type: string, frequency: number, Q?: number, gain?: number}>} bands
+   * @param {{onProgress?: (stage: string, fraction: number) => void}} [options]
+   * @returns {Float32Array[]} new arrays
+   */
+  function applyEq(channels, sampleRate, bands, options = {}) {
+    const onProgress = options.onProgress || noop;
+    const sections = activeSections(bands, sampleRate);
+
+    const out = channels.map((data, ch) => {
+      const result = new Float32Array(data.length);
+      result.set(data);
+      for (let s = 0; s < sections.length; s++) {
+        createSection(sections[s])(result, (fraction) => onProgress('eq', (ch + (s + fraction) / sections.length) / channels.length));
+      }
+      return result;
+    });
+    onProgress('eq', 1);
+    return out;
+  }
+
+  /**
+   * applyEq for audio that arrives in chunks (streaming.js). The filter state
+   * carries over between calls, so the chunks come out exactly as one applyEq
+   * over the whole signal.
+   * @returns {(channels: Float32Array[]) => void} filters a chunk in place
+   */
+  function createEqStream(channelCount, sampleRate, bands) {
+    const sections = activeSections(bands, sampleRate);
+    const filters = Array.from({ length: channelCount }, () => sections.map(createSection));
+    return (channels) => {
+      channels.forEach((data, ch) => {
+        for (const filter of filters[ch]) filter(data);
+      });
+    };
+  }
+
+  function activeSections(bands, sampleRate) {
+    return bands
+      .filter((band) => !isBypassed(band))
+      .map((band) => biquadCoefficients(band.type, band.frequency, band.Q ?? 1, band.gain ?? 0, sampleRate));
+  }
+
+  // Peaking and shelf bands at 0 dB pass the signal unchanged
+  function isBypassed(band) {
+    return GAIN_TYPES.includes(band.type) && !band.gain;
+  }
+
+  /**
+   * Magnitude response of the whole band chain, in dB, at each frequency.
+   * Same numbers BiquadFilterNode.getFrequencyResponse gives for these bands.
+   * @param {ArrayLike<number>} frequencies Hz
+   * @returns {Float32Array}
+   */
+  function frequencyResponse(bands, sampleRate, frequencies) {
+    const db = new Float32Array(frequencies.length);
+    for (const band of bands) {
+      if (isBypassed(band)) continue;
+      const c = biquadCoefficients(band.type, band.frequency, band.Q ?? 1, band.gain ?? 0, sampleRate);
+      for (let i = 0; i < frequencies.length; i++) {
+        const w = (2 * Math.PI * frequencies[i]) / sampleRate;
+        const cos1 = Math.cos(w);
+        const sin1 = Math.sin(w);
+        const cos2 = Math.cos(2 * w);
+        const sin2 = Math.sin(2 * w);
+        const numRe = c.b0 + c.b1 * cos1 + c.b2 * cos2;
+        const numIm = -(c.b1 * sin1 + c.b2 * sin2);
+        const denRe = 1 + c.a1 * cos1 + c.a2 * cos2;
+        const denIm = -(c.a1 * sin1 + c.a2 * sin2);
+        db[i] += 10 * Math.log10((numRe * numRe + numIm * numIm) / (denRe * denRe + denIm * denIm));
+      }
+    }
+    return db;
+  }
+
+  /**
+   * Q as BiquadFilterNode expects it: dB for high/low-pass, linear otherwise.
+   */
+  function toBiquadQ(type, Q) {
+    return type === 'highpass' || type === 'lowpass' ? 20 * Math.log10(Q) : Q;
+  }
+
+  /**
+   * Normalized biquad coefficients (a0 = 1) for the Web Audio filter types.
+   * @param {'peaking'|'lowshelf'|'highshelf'|'highpass'|'lowpass'|'notch'} type
+   * @param {number} Q linear (shelves ignore it: slope S = 1, as in BiquadFilterNode)
+   * @returns {{b0: number, b1: number, b2: number, a1: number, a2: number}}
+   */
+  function biquadCoefficients(type, frequency, Q, gainDb, sampleRate) {
+    const A = Math.pow(10, gainDb / 40);
+    const w0 = (2 * Math.PI * Math.max(1, Math.min(frequency, sampleRate / 2))) / sampleRate;
+    const cos = Math.cos(w0);
+    const sin = Math.sin(w0);
+    const alpha = sin / (2 * Math.max(Q, 1e-4));
+    let b0, b1, b2, a0, a1, a2;
+
+    switch (type) {
+      case 'peaking':
+        b0 = 1 + alpha * A;
+        b1 = -2 * cos;
+        b2 = 1 - alpha * A;
+        a0 = 1 + alpha / A;
+        a1 = -2 * cos;
+        a2 = 1 - alpha / A;
+        break;
+      case 'highpass':
+      case 'lowpass': {
+        const sign = type === 'lowpass' ? 1 : -1;
+        b0 = (1 - sign * cos) / 2;
+        b1 = sign * (1 - sign * cos);
+        b2 = (1 - sign * cos) / 2;
+        a0 = 1 + alpha;
+        a1 = -2 * cos;
+        a2 = 1 - alpha;
+        break;
+      }
+      case 'notch':
+        b0 = 1;
+        b1 = -2 * cos;
+        b2 = 1;
+        a0 = 1 + alpha;
+        a1 = -2 * cos;
+        a2 = 1 - alpha;
+        break;
+      case 'lowshelf':
+      case 'highshelf': {
+        const shelfAlpha = (sin / 2) * Math.SQRT2;
+        const k = 2 * Math.sqrt(A) * shelfAlpha;
+        const sign = type === 'lowshelf' ? 1 : -1;
+        b0 = A * (A + 1 - sign * (A - 1) * cos + k);
+        b1 = sign * 2 * A * (A - 1 - sign * (A + 1) * cos);
+        b2 = A * (A + 1 - sign * (A - 1) * cos - k);
+        a0 = A + 1 + sign * (A - 1) * cos + k;
+        a1 = -sign * 2 * (A - 1 + sign * (A + 1) * cos);
+        a2 = A + 1 + sign * (A - 1) * cos - k;
+        break;
+      }
+      default:
+        throw new Error(`Unknown EQ band type: ${type}`);
+    }
+    return { b0: b0 / a0, b1: b1 / a0, b2: b2 / a0, a1: a1 / a0, a2: a2 / a0 };
+  }
+
+  // Direct form I filtering in place, state kept in doubles between samples and calls
+  function createSection(c) {
+    let x1 = 0;
+    let x2 = 0;
+    let y1 = 0;
+    let y2 = 0;
+    return (data, onProgress = noop) => {
+      for (let i = 0; i < data.length; i++) {
+        if ((i & PROGRESS_SAMPLE_MASK) === 0) onProgress(i / data.length);
+        const x = data[i];
+        const y = c.b0 * x + c.b1 * x1 + c.b2 * x2 - c.a1 * y1 - c.a2 * y2;
+        x2 = x1;
+        x1 = x;
+        y2 = y1;
+        y1 = y;
+        data[i] = y;
+      }
+    };
+  }
+
+  function noop() {}
+
+  // window on the page, self in the worker, module.exports under Node
+  const api = {
+    FILTER_TYPES,
+    GAIN_TYPES,
+    MAX_BANDS,
+    EQ_PRESETS,
+    presetToBands,
+    applyEq,
+    createEqStream,
+    frequencyResponse,
+    toBiquadQ,
+    biquadCoefficients,
+  };
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+  else root.audioEqualizer = api;
+})();
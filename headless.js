@@ -0,0 +1,188 @@
+/*
+  Headless API – the cleaner as a Node library (no browser, no AudioContext)
+
+  Same modules the page loads, so the same input and options give
+  byte-identical output:
+  - readWav: WAV bytes -> per-channel Float32Arrays (wavReader.js)
+  - processChannels: trim, breath/click removal, noise reduction, time-stretch, EQ, dynamics, loudness (pipeline.js)
+  - encodeAudio: WAV / FLAC / Opus output (encoders.js; Opus through the bundled libopus)
+  - processWav: all of the above in one call; WAV output keeps the source's
+    bext/iXML/INFO metadata and gets a cue marker at every cut (wavMetadata.js)
+  - processWavFile: trim and EQ from file to file in chunks, for recordings
+    too long to hold in memory (streaming.js)
+  - processWavTracks: one WAV per microphone, cut in sync, optional mixdown
+  - buildReport: durations, pauses, levels and warnings of a run as JSON data (report.js)
+*/
+
+'use strict';
+
+const fs = require('fs');
+const trimmer = require('./speechTrimmer.js');
+const { isWav, readWav } = require('./wavReader.js');
+const { processChannels, processTracks } = require('./pipeline.js');
+const { EQ_PRESETS, FILTER_TYPES, presetToBands, applyEq, frequencyResponse } = require('./equalizer.js');
+const { DYNAMICS_DEFAULTS, applyDynamics } = require('./dynamics.js');
+const { ARTIFACT_DEFAULTS, detectArtifacts } = require('./artifacts.js');
+const { STRETCH_DEFAULTS, stretchChannels } = require('./timeStretch.js');
+const { OUTPUT_FORMATS, encodeAudio } = require('./encoders.js');
+const { exportCutList } = require('./cutListExport.js');
+const { measureLevels, buildReport } = require('./report.js');
+const { buildWavMetadata, readCuePoints } = require('./wavMetadata.js');
+const { STREAMING_MIN_BYTES, STREAMING_FORMATS, unsupportedStreamingOptions, processWavStream } = require('./streaming.js');
+
+/**
+ * Clean one WAV file held in memory.
+ * @param {ArrayBuffer|Uint8Array} bytes
+ * @param {object} [options] processChannels options (pipeline.js) plus
+ *   format (OUTPUT_FORMATS id, default 'wav16') and dither
+ * @returns {Promise<{bytes: Uint8Array, sampleRate: number, format: string, trimmed: boolean,
+ *   segments: Array<[number, number]>, events: Array<object>, cutList: object, dynamics: object|null, loudness: object|null,
+ *   levels: {before: object, after: object}}>}
+ */
+async function processWav(bytes, options = {}) {
+  const { format = 'wav16', dither, ...rest } = options;
+  if (!OUTPUT_FORMATS[format]) throw new Error(`Unknown output format: ${format}`);
+  const { channels, sampleRate, chunks } = readWav(bytes);
+  const processed = processChannels(channels, sampleRate, rest);
+  const blob = await encodeAudio(processed.channels, sampleRate, {
+    format,
+    dither,
+    chunks: buildWavMetadata(chunks, processed.cutList),
+    onProgress: rest.onProgress,
+  });
+  return {
+    bytes: new Uint8Array(await blob.arrayBuffer()),
+    sampleRate,
+    format,
+    trimmed: processed.trimmed,
+    segments: processed.segments,
+    events: processed.events,
+    cutList: processed.cutList,
+    dynamics: processed.dynamics,
+    loudness: processed.loudness,
+    levels: processed.levels,
+  };
+}
+
+/**
+ * Clean tracks recorded side by side (one WAV per microphone) with one shared
+ * segment list, so they stay in sync (processTracks in pipeline.js).
+ * @param {Array<ArrayBuffer|Uint8Array>} files same sample rate, same start
+ * @param {object} [options] processWav options plus mixdown
+ * @returns {Promise<{tracks: Array<{bytes: Uint8Array, events: Array<object>, dynamics: object|null, loudness: object|null,
+ *   levels: object}>,
+ *   mixdown: {bytes: Uint8Array, gainDb: number, loudness: object|null}|null, sampleRate: number, format: string,
+ *   trimmed: boolean, segments: Array<[number, number]>, cutList: object}>}
+ */
+async function processWavTracks(files, options = {}) {
+  const { format = 'wav16', dither, ...rest } = options;
+  if (!OUTPUT_FORMATS[format]) throw new Error(`Unknown output format: ${format}`);
+  const sources = files.map((bytes) => readWav(bytes));
+  const { sampleRate } = sources[0];
+  const other = sources.find((source) => source.sampleRate !== sampleRate);
+  if (other) throw new Error(`All tracks need the same sample rate (${sampleRate} Hz and ${other.sampleRate} Hz)`);
+
+  const processed = processTracks(sources.map((source) => source.channels), sampleRate, rest);
+  const encode = async (channels, chunks) => {
+    const metadata = buildWavMetadata(chunks, processed.cutList);
+    const blob = await encodeAudio(channels, sampleRate, { format, dither, chunks: metadata, onProgress: rest.onProgress });
+    return new Uint8Array(await blob.arrayBuffer());
+  };
+
+  const tracks = [];
+  for (const [t, track] of processed.tracks.entries()) {
+    const { events, dynamics, loudness, levels } = track;
+    tracks.push({ bytes: await encode(track.channels, sources[t].chunks), events, dynamics, loudness, levels });
+  }
+  const { mixdown } = processed;
+  return {
+    tracks,
+    mixdown: mixdown && { bytes: await encode(mixdown.channels, []), gainDb: mixdown.gainDb, loudness: mixdown.loudness },
+    sampleRate,
+    format,
+    trimmed: processed.trimmed,
+    segments: processed.segments,
+    cutList: processed.cutList,
+  };
+}
+
+/**
+ * Clean a WAV file on disk into another, a chunk at a time: memory stays
+ * bounded however long the recording is. Trim and EQ only, WAV output only
+ * (see unsupportedStreamingOptions); same bytes as processWav otherwise.
+ * @param {string} inputPath
+ * @param {string} outputPath
+ * @param {object} [options] processWav options
+ * @returns {Promise<{sampleRate: number, format: string, trimmed: boolean, segments: Array<[number, number]>,
+ *   events: Array<object>, cutList: object, dynamics: null, loudness: null, levels: object}>} processWav's result without bytes
+ */
+async function processWavFile(inputPath, outputPath, options = {}) {
+  const format = options.format || 'wav16';
+  const input = await fs.promises.open(inputPath, 'r');
+  let output = null;
+  try {
+    const source = {
+      size: (await input.stat()).size,
+      read: async (offset, length) => {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await input.read(buffer, 0, length, offset);
+        return buffer.subarray(0, bytesRead);
+      },
+    };
+    output = await fs.promises.open(outputPath, 'w');
+    const sink = { write: (bytes) => output.write(bytes) };
+    const processed = await processWavStream(source, sink, { ...options, format });
+    return {
+      sampleRate: processed.sampleRate,
+      format,
+      trimmed: processed.trimmed,
+      segments: processed.segments,
+      events: [],
+      cutList: processed.cutList,
+      dynamics: null,
+      loudness: null,
+      levels: processed.levels,
+    };
+  } finally {
+    await input.close();
+    if (output) await output.close();
+  }
+}
+
+module.exports = {
+  DEFAULTS: trimmer.DEFAULTS,
+  DETECTOR_DEFAULTS: trimmer.DETECTOR_DEFAULTS,
+  FADE_CURVES: trimmer.FADE_CURVES,
+  SPLICE_SNAP_MODES: trimmer.SPLICE_SNAP_MODES,
+  EQ_PRESETS,
+  FILTER_TYPES,
+  DYNAMICS_DEFAULTS,
+  ARTIFACT_DEFAULTS,
+  STRETCH_DEFAULTS,
+  OUTPUT_FORMATS,
+  STREAMING_MIN_BYTES,
+  STREAMING_FORMATS,
+  processWav,
+  processWavFile,
+  processWavTracks,
+  unsupportedStreamingOptions,
+  processChannels,
+  processTracks,
+  isWav,
+  readWav,
+  trimChannels: trimmer.trimChannels,
+  defaultCloseThreshold: trimmer.defaultCloseThreshold,
+  estimateSilenceSettings: trimmer.estimateSilenceSettings,
+  presetToBands,
+  applyEq,
+  frequencyResponse,
+  applyDynamics,
+  detectArtifacts,
+  stretchChannels,
+  encodeAudio,
+  exportCutList,
+  measureLevels,
+  buildReport,
+  buildWavMetadata,
+  readCuePoints,
+};
@@ -0,0 +1,122 @@
+/*
+  Interface language – message catalogs, the current language and the page's static text
+
+  - Catalogs (messages.ru.js, messages.en.js) register with addCatalog; a key
+    missing from the current language falls back to FALLBACK_LANGUAGE, then to
+    the key itself, so a gap shows up on the page instead of breaking it
+  - t(key, params) fills {name} placeholders from params
+  - Static markup names its keys: data-i18n (text), data-i18n-html (tooltips
+    with <b>/<br>), data-i18n-label (aria-label), data-i18n-title (title);
+    translatePage fills them in the current language
+  - An explicit choice is kept in localStorage; until then the browser's
+    languages (navigator.languages) decide, else FALLBACK_LANGUAGE
+*/
+
+(function () {
+  const STORAGE_KEY = 'elabs-cleaner.language';
+  const FALLBACK_LANGUAGE = 'en';
+  // Markup attribute -> the attribute it translates
+  const ATTRIBUTES = { 'data-i18n-label': 'aria-label', 'data-i18n-title': 'title' };
+
+  const catalogs = {};
+  const listeners = [];
+  let current = FALLBACK_LANGUAGE;
+
+  /**
+   * @param {string} language BCP 47 primary subtag ('ru', 'en')
+   * @param {string} name the language's own name, for the switcher
+   * @param {Object<string, string>} messages key -> text with {name} placeholders
+   */
+  function addCatalog(language, name, messages) {
+    catalogs[language] = { name, messages };
+  }
+
+  /**
+   * Registered languages in registration order.
+   * @returns {Array<{id: string, name: string}>}
+   */
+  function listLanguages() {
+    return Object.entries(catalogs).map(([id, catalog]) => ({ id, name: catalog.name }));
+  }
+
+  function t(key, params = {}) {
+    const message = lookup(current, key) ?? lookup(FALLBACK_LANGUAGE, key) ?? key;
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  }
+
+  /**
+   * The stored choice, else the first of the browser's languages with a catalog.
+   * @param {string[]} [preferred] language tags, most preferred first
+   */
+  function detectLanguage(preferred = navigator.languages || [navigator.language]) {
+    const stored = readStoredLanguage();
+    if (stored && catalogs[stored]) return stored;
+    for (const tag of preferred) {
+      const base = String(tag || '').toLowerCase().split('-')[0];
+      if (catalogs[base]) return base;
+    }
+    return FALLBACK_LANGUAGE;
+  }
+
+  /**
+   * Switch the page to a language and tell the onLanguageChange listeners.
+   * @param {string} language
+   * @param {{remember?: boolean}} [options] remember: keep it for later visits (default true)
+   */
+  function setLanguage(language, { remember = true } = {}) {
+    if (!catalogs[language]) throw new Error(`Unknown language: ${language}`);
+    current = language;
+    if (remember) {
+      try {
+        localStorage.setItem(STORAGE_KEY, language);
+      } catch (_) {
+        // Storage disabled: the choice lasts until the page is closed
+      }
+    }
+    document.documentElement.lang = language;
+    translatePage(document);
+    for (const listener of listeners) listener(language);
+  }
+
+  function translatePage(root) {
+    for (const el of root.querySelectorAll('[data-i18n]')) el.textContent = t(el.dataset.i18n);
+    // Catalog text only, never user input
+    for (const el of root.querySelectorAll('[data-i18n-html]')) el.innerHTML = t(el.dataset.i18nHtml);
+    for (const [source, target] of Object.entries(ATTRIBUTES)) {
+      for (const el of root.querySelectorAll(`[${source}]`)) el.setAttribute(target, t(el.getAttribute(source)));
+    }
+  }
+
+  /**
+   * listener(language) runs after every setLanguage, once the static text is
+   * translated; text built in code is rendered again there.
+   */
+  function onLanguageChange(listener) {
+    listeners.push(listener);
+  }
+
+  function lookup(language, key) {
+    const catalog = catalogs[language];
+    return catalog && Object.prototype.hasOwnProperty.call(catalog.messages, key) ? catalog.messages[key] : undefined;
+  }
+
+  function readStoredLanguage() {
+    try {
+      return localStorage.getItem(STORAGE_KEY);
+    } catch (_) {
+      return null;
+    }
+  }
+
+  window.i18n = {
+    FALLBACK_LANGUAGE,
+    addCatalog,
+    listLanguages,
+    getLanguage: () => current,
+    detectLanguage,
+    setLanguage,
+    translatePage,
+    onLanguageChange,
+    t,
+  };
+})();
@@ -0,0 +1,235 @@
+/*
+  Live preview – the player's audio through the EQ and dynamics as you edit
+
+  - MediaElementAudioSourceNode -> one BiquadFilterNode per EQ band (same
+    formulas as equalizer.js) -> dynamics stages in their chain order -> speakers
+  - Parameter edits glide to the new value (no re-render, no clicks); adding,
+    removing or retyping a band or stage rebuilds the chain
+  - Dynamics are approximated with DynamicsCompressorNode: compressor as is,
+    de-esser as a compressor on the band above a Linkwitz-Riley split, limiter
+    as a hard-knee 20:1 compressor. The rendered file uses dynamics.js.
+  - Trimming and loudness normalization need the whole file and are not
+    previewed.
+
+  A media element can feed only one MediaElementAudioSourceNode, so once the
+  preview was switched on the element stays routed through the context;
+  switching it off connects the source straight to the speakers.
+*/
+
+(function () {
+  const RAMP_SECONDS = 0.02;
+  const LIMITER_RATIO = 20;
+  const DEESSER_RATIO = 20;
+  const DEESSER_ATTACK_S = 0.0005;
+  const DEESSER_RELEASE_S = 0.05;
+  const LIMITER_ATTACK_S = 0.001;
+  const LIMITER_RELEASE_S = 0.08;
+  // DynamicsCompressorNode adds makeup gain of (1 / gain at 0 dBFS)^0.6 on its own
+  const AUTO_MAKEUP_EXPONENT = 0.6;
+
+  /**
+   * @param {HTMLMediaElement} media
+   * @param {() => AudioContext} getContext called on first use
+   */
+  function createLivePreview(media, getContext) {
+    const { GAIN_TYPES, toBiquadQ } = window.audioEqualizer;
+    const { DYNAMICS_DEFAULTS, normalizeOrder, compressorCurve } = window.audioDynamics;
+
+    let context = null;
+    let source = null;
+    let enabled = false;
+    let settings = { eq: [], dynamics: null };
+    let chain = null; // { key, input, output, nodes, apply(settings, immediate) }
+
+    function setEnabled(on) {
+      enabled = on;
+      if (on && !source) {
+        context = getContext();
+        source = context.createMediaElementSource(media);
+      }
+      if (!source) return;
+      if (context.state === 'suspended') context.resume();
+      rebuild();
+    }
+
+    function isEnabled() {
+      return enabled;
+    }
+
+    /**
+     * @param {{eq: Array<object>, dynamics: object|null}} next bands (equalizer.js) and
+     *   stage settings (dynamics.js); an empty list / null leaves the stage out
+     */
+    function update(next) {
+      settings = next;
+      if (!source || !enabled) return;
+      if (chain && chain.key === shapeKey(next)) chain.apply(next, false);
+      else rebuild();
+    }
+
+    function rebuild() {
+      source.disconnect();
+      if (chain) for (const node of chain.nodes) node.disconnect();
+      chain = null;
+      if (!enabled) {
+        source.connect(context.destination);
+        return;
+      }
+      chain = buildChain(settings);
+      source.connect(chain.input);
+      chain.output.connect(context.destination);
+    }
+
+    // Band types and enabled stages: anything else is a parameter change
+    function shapeKey(next) {
+      return JSON.stringify([next.eq.map((band) => band.type), activeStages(next.dynamics)]);
+    }
+
+    function activeStages(dynamics) {
+      if (!dynamics) return [];
+      return normalizeOrder(dynamics.order).filter((name) => stageSettings(dynamics, name).enabled);
+    }
+
+    function stageSettings(dynamics, name) {
+      return { ...DYNAMICS_DEFAULTS[name], ...(dynamics[name] || {}) };
+    }
+
+    // ------- Chain -------
+    function buildChain(initial) {
+      const nodes = [];
+      const make = (node) => {
+        nodes.push(node);
+        return node;
+      };
+      const input = make(context.createGain());
+      let tail = input;
+      const appliers = [];
+      const append = (stage) => {
+        tail.connect(stage.input);
+        tail = stage.output;
+        appliers.push(stage.apply);
+      };
+
+      initial.eq.forEach((_, index) => append(eqBand(make, index)));
+      for (const name of activeStages(initial.dynamics)) append(STAGE_BUILDERS[name](make));
+
+      const chainApi = {
+        key: shapeKey(initial),
+        input,
+        output: tail,
+        nodes,
+        apply(next, immediate) {
+          for (const apply of appliers) apply(next, immediate);
+        },
+      };
+      chainApi.apply(initial, true);
+      return chainApi;
+    }
+
+    function eqBand(make, index) {
+      const filter = make(context.createBiquadFilter());
+      return {
+        input: filter,
+        output: filter,
+        apply(next, immediate) {
+          const band = next.eq[index];
+          filter.type = band.type;
+          setParam(filter.frequency, band.frequency, immediate);
+          setParam(filter.Q, toBiquadQ(band.type, band.Q), immediate);
+          setParam(filter.gain, GAIN_TYPES.includes(band.type) ? band.gain : 0, immediate);
+        },
+      };
+    }
+
+    const STAGE_BUILDERS = {
+      compressor(make) {
+        const compressor = make(context.createDynamicsCompressor());
+        const makeup = make(context.createGain());
+        compressor.connect(makeup);
+        return {
+          input: compressor,
+          output: makeup,
+          apply(next, immediate) {
+            const s = stageSettings(next.dynamics, 'compressor');
+            const ratio = Math.min(20, Math.max(1, s.ratio));
+            setCompressor(compressor, s.thresholdDb, ratio, 6, s.attackMs / 1000, s.releaseMs / 1000, immediate);
+            setParam(makeup.gain, fromDb(autoMakeupCompensation(s.thresholdDb, ratio) + s.makeupDb), immediate);
+          },
+        };
+      },
+
+      // Low band straight through, high band through a fast compressor
+      deesser(make) {
+        const input = make(context.createGain());
+        const output = make(context.createGain());
+        const low = [make(context.createBiquadFilter()), make(context.createBiquadFilter())];
+        const high = [make(context.createBiquadFilter()), make(context.createBiquadFilter())];
+        const compressor = make(context.createDynamicsCompressor());
+        const compensation = make(context.createGain());
+        input.connect(low[0]).connect(low[1]).connect(output);
+        input.connect(high[0]).connect(high[1]).connect(compressor).connect(compensation).connect(output);
+        return {
+          input,
+          output,
+          apply(next, immediate) {
+            const s = stageSettings(next.dynamics, 'deesser');
+            for (const [filters, type] of [[low, 'lowpass'], [high, 'highpass']]) {
+              for (const filter of filters) {
+                filter.type = type;
+                setParam(filter.frequency, s.frequency, immediate);
+                setParam(filter.Q, toBiquadQ(type, Math.SQRT1_2), immediate);
+              }
+            }
+            setCompressor(compressor, s.thresholdDb, DEESSER_RATIO, 0, DEESSER_ATTACK_S, DEESSER_RELEASE_S, immediate);
+            setParam(compensation.gain, fromDb(autoMakeupCompensation(s.thresholdDb, DEESSER_RATIO)), immediate);
+          },
+        };
+      },
+
+      limiter(make) {
+        const compressor = make(context.createDynamicsCompressor());
+        const compensation = make(context.createGain());
+        compressor.connect(compensation);
+        return {
+          input: compressor,
+          output: compensation,
+          apply(next, immediate) {
+            const s = stageSettings(next.dynamics, 'limiter');
+            setCompressor(compressor, s.ceilingDb, LIMITER_RATIO, 0, LIMITER_ATTACK_S, LIMITER_RELEASE_S, immediate);
+            setParam(compensation.gain, fromDb(autoMakeupCompensation(s.ceilingDb, LIMITER_RATIO)), immediate);
+          },
+        };
+      },
+    };
+
+    function setCompressor(node, thresholdDb, ratio, kneeDb, attack, release, immediate) {
+      setParam(node.threshold, thresholdDb, immediate);
+      setParam(node.ratio, ratio, immediate);
+      setParam(node.knee, kneeDb, immediate);
+      setParam(node.attack, attack, immediate);
+      setParam(node.release, release, immediate);
+    }
+
+    // Undo the node's automatic makeup so only the configured gain applies
+    function autoMakeupCompensation(thresholdDb, ratio) {
+      return AUTO_MAKEUP_EXPONENT * compressorCurve(0, thresholdDb, ratio);
+    }
+
+    function setParam(param, value, immediate) {
+      if (immediate) param.value = value;
+      else param.setTargetAtTime(value, context.currentTime, RAMP_SECONDS / 3);
+    }
+
+    return {
+      setEnabled,
+      isEnabled,
+      update,
+    };
+  }
+
+  function fromDb(db) {
+    return Math.pow(10, db / 20);
+  }
+
+  window.createLivePreview = createLivePreview;
+})();
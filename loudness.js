@@ -0,0 +1,336 @@
+/*
+  Loudness – ITU-R BS.1770-4 / EBU R128 measurement and normalization
+
+  - Integrated loudness: K-weighting, 400 ms blocks with 75 % overlap,
+    absolute (-70 LUFS) and relative (-10 LU) gating
+  - True peak: 4x oversampling (BS.1770 Annex 2)
+  - Normalization: static gain to the target, then a lookahead limiter that
+    keeps true peaks under the ceiling
+
+  Pure JS (no AudioContext), so it runs in the processing worker as well.
+*/
+
+(function () {
+  const root = typeof window !== 'undefined' ? window : typeof self !== 'undefined' ? self : globalThis;
+
+  const LOUDNESS_DEFAULTS = {
+    targetLufs: -16,
+    truePeakDb: -1,
+  };
+
+  const BLOCK_MS = 400;
+  const STEP_MS = 100; // 75 % overlap: each block is four 100 ms steps
+  const ABSOLUTE_GATE_LUFS = -70;
+  const RELATIVE_GATE_LU = -10;
+
+  const OVERSAMPLE = 4;
+  const TAPS_PER_PHASE = 12;
+  const INTERPOLATOR = buildInterpolator();
+
+  const LIMITER_LOOKAHEAD_MS = 5;
+  const LIMITER_RELEASE_MS = 80;
+  const PROGRESS_SAMPLE_MASK = 0xfffff;
+
+  /**
+   * Measure integrated loudness and true peak.
+   * @param {Float32Array[]} channels
+   * @param {number} sampleRate
+   * @param {{onProgress?: (fraction: number) => void}} [options]
+   * @returns {{integrated: number, truePeak: number}} LUFS and dBTP (-Infinity for silence)
+   */
+  function measureLoudness(channels, sampleRate, options = {}) {
+    const onProgress = options.onProgress || noop;
+    const integrated = integratedLoudness(channels, sampleRate, (f) => onProgress(f * 0.5));
+    const peak = maxOf(truePeakEnvelope(channels, sampleRate, (f) => onProgress(0.5 + f * 0.5)));
+    return { integrated, truePeak: toDb(peak) };
+  }
+
+  /**
+   * Normalize channels (in place) to a loudness target with a true-peak ceiling.
+   * Silent or very short input (no gating block above -70 LUFS) is left untouched.
+   * onProgress, if given, receives ('loudness', fraction).
+   * @param {Float32Array[]} channels
+   * @param {number} sampleRate
+   * @param {{targetLufs?: number, truePeakDb?: number, onProgress?: (stage: string, fraction: number) => void}} [options]
+   * @returns {{channels: Float32Array[], before: {integrated: number, truePeak: number},
+   *   after: {integrated: number, truePeak: number}, gainDb: number, limited: boolean}}
+   */
+  function normalizeLoudness(channels, sampleRate, options = {}) {
+    const targetLufs = options.targetLufs ?? LOUDNESS_DEFAULTS.targetLufs;
+    const ceiling = fromDb(options.truePeakDb ?? LOUDNESS_DEFAULTS.truePeakDb);
+    const onProgress = options.onProgress || noop;
+    const stage = (from, to) => (fraction) => onProgress('loudness', from + (to - from) * fraction);
+
+    const integrated = integratedLoudness(channels, sampleRate, stage(0, 0.2));
+    const envelope = truePeakEnvelope(channels, sampleRate, stage(0.2, 0.45));
+    const before = { integrated, truePeak: toDb(maxOf(envelope)) };
+
+    if (!Number.isFinite(integrated)) {
+      onProgress('loudness', 1);
+      return { channels, before, after: before, gainDb: 0, limited: false };
+    }
+
+    const gainDb = targetLufs - integrated;
+    const gain = fromDb(gainDb);
+    const limited = maxOf(envelope) * gain > ceiling;
+    if (limited) {
+      applyGainCurve(channels, limiterGain(envelope, gain, ceiling, sampleRate));
+    } else {
+      for (const data of channels) for (let i = 0; i < data.length; i++) data[i] *= gain;
+    }
+    onProgress('loudness', 0.55);
+
+    // The smoothed gain can leave a fraction of a dB between samples: trim it
+    let peak = maxOf(truePeakEnvelope(channels, sampleRate, stage(0.55, 0.75)));
+    if (peak > ceiling) {
+      const trim = ceiling / peak;
+      for (const data of channels) for (let i = 0; i < data.length; i++) data[i] *= trim;
+      peak = ceiling;
+    }
+
+    const after = { integrated: integratedLoudness(channels, sampleRate, stage(0.75, 1)), truePeak: toDb(peak) };
+    onProgress('loudness', 1);
+    return { channels, before, after, gainDb, limited };
+  }
+
+  function integratedLoudness(channels, sampleRate, onProgress = noop) {
+    const step = Math.round((sampleRate * STEP_MS) / 1000);
+    const stepsPerBlock = BLOCK_MS / STEP_MS;
+    const frames = channels.length ? channels[0].length : 0;
+    const steps = Math.floor(frames / step);
+    if (steps < stepsPerBlock) return -Infinity;
+
+    // Weighted mean square of every 100 ms step, summed over channels
+    const stepPower = new Float64Array(steps);
+    const weights = channelWeights(channels.length);
+    channels.forEach((data, ch) => {
+      if (weights[ch] === 0) return;
+      const filter = createKWeighting(sampleRate);
+      for (let s = 0; s < steps; s++) {
+        let sum = 0;
+        for (let i = s * step, end = i + step; i < end; i++) {
+          const y = filter(data[i]);
+          sum += y * y;
+        }
+        stepPower[s] += (weights[ch] * sum) / step;
+        if ((s & 0xff) === 0) onProgress((ch + s / steps) / channels.length);
+      }
+    });
+
+    const blocks = [];
+    for (let s = 0; s + stepsPerBlock <= steps; s++) {
+      let power = 0;
+      for (let k = 0; k < stepsPerBlock; k++) power += stepPower[s + k];
+      blocks.push(power / stepsPerBlock);
+    }
+
+    const gated = (threshold) => blocks.filter((power) => powerToLufs(power) > threshold);
+    const absolute = gated(ABSOLUTE_GATE_LUFS);
+    if (absolute.length === 0) return -Infinity;
+    const relativeGate = powerToLufs(mean(absolute)) + RELATIVE_GATE_LU;
+    const relative = absolute.filter((power) => powerToLufs(power) > relativeGate);
+    onProgress(1);
+    return relative.length ? powerToLufs(mean(relative)) : -Infinity;
+  }
+
+  // BS.1770 channel weights: 1.0 for front channels, LFE excluded and 1.41 for
+  // the surrounds of a 5.1 layout (L R C LFE Ls Rs)
+  function channelWeights(count) {
+    const SURROUND_51 = [1, 1, 1, 0, 1.41, 1.41];
+    return Array.from({ length: count }, (_, i) => (count === 6 ? SURROUND_51[i] : 1));
+  }
+
+  /**
+   * K-weighting (high-shelf pre-filter + RLB high-pass) for any sample rate.
+   * Coefficients follow the analog prototypes used by libebur128.
+   * @returns {(sample: number) => number}
+   */
+  function createKWeighting(sampleRate) {
+    let f0 = 1681.974450955533;
+    let q = 0.7071752369554196;
+    const gainDb = 3.999843853973347;
+    let k = Math.tan((Math.PI * f0) / sampleRate);
+    const vh = Math.pow(10, gainDb / 20);
+    const vb = Math.pow(vh, 0.4996667741545416);
+    let a0 = 1 + k / q + k * k;
+    const shelf = biquad(
+      (vh + (vb * k) / q + k * k) / a0,
+      (2 * (k * k - vh)) / a0,
+      (vh - (vb * k) / q + k * k) / a0,
+      (2 * (k * k - 1)) / a0,
+      (1 - k / q + k * k) / a0
+    );
+
+    f0 = 38.13547087602444;
+    q = 0.5003270373238773;
+    k = Math.tan((Math.PI * f0) / sampleRate);
+    a0 = 1 + k / q + k * k;
+    const highPass = biquad(1, -2, 1, (2 * (k * k - 1)) / a0, (1 - k / q + k * k) / a0);
+
+    return (x) => highPass(shelf(x));
+  }
+
+  // Direct form I biquad with a1/a2 already divided by a0
+  function biquad(b0, b1, b2, a1, a2) {
+    let x1 = 0;
+    let x2 = 0;
+    let y1 = 0;
+    let y2 = 0;
+    return (x) => {
+      const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+      x2 = x1;
+      x1 = x;
+      y2 = y1;
+      y1 = y;
+      return y;
+    };
+  }
+
+  /**
+   * Per-sample true peak, maximum over channels: each input sample plus the
+   * three interpolated points that follow it at 4x. Above 176.4 kHz the
+   * sample peak is already accurate enough.
+   * @returns {Float32Array}
+   */
+  function truePeakEnvelope(channels, sampleRate, onProgress = noop) {
+    const frames = channels.length ? channels[0].length : 0;
+    const envelope = new Float32Array(frames);
+    const oversample = sampleRate < 176400;
+    const half = TAPS_PER_PHASE / 2;
+
+    channels.forEach((data, ch) => {
+      for (let n = 0; n < frames; n++) {
+        if ((n & PROGRESS_SAMPLE_MASK) === 0) onProgress((ch + n / frames) / channels.length);
+        let peak = Math.abs(data[n]);
+        if (oversample) {
+          // Points between n and n + 1, from the polyphase branches
+          for (let phase = 1; phase < OVERSAMPLE; phase++) {
+            const taps = INTERPOLATOR[phase];
+            let sum = 0;
+            for (let t = 0; t < TAPS_PER_PHASE; t++) {
+              const index = n + t - half + 1;
+              if (index >= 0 && index < frames) sum += taps[t] * data[index];
+            }
+            const value = Math.abs(sum);
+            if (value > peak) peak = value;
+          }
+        }
+        if (peak > envelope[n]) envelope[n] = peak;
+      }
+    });
+    onProgress(1);
+    return envelope;
+  }
+
+  // Windowed-sinc polyphase taps: INTERPOLATOR[phase][t] weights input sample
+  // n + t - TAPS_PER_PHASE / 2 + 1 for the point at n + phase / OVERSAMPLE
+  function buildInterpolator() {
+    const half = TAPS_PER_PHASE / 2;
+    const phases = [];
+    for (let phase = 0; phase < OVERSAMPLE; phase++) {
+      const taps = new Float64Array(TAPS_PER_PHASE);
+      let sum = 0;
+      for (let t = 0; t < TAPS_PER_PHASE; t++) {
+        const x = t - half + 1 - phase / OVERSAMPLE; // distance from the interpolated point
+        const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+        const taper = 0.5 + 0.5 * Math.cos((Math.PI * x) / (half + 1)); // Hann
+        taps[t] = sinc * taper;
+        sum += taps[t];
+      }
+      for (let t = 0; t < TAPS_PER_PHASE; t++) taps[t] /= sum; // unity gain at DC
+      phases.push(taps);
+    }
+    return phases;
+  }
+
+  /**
+   * Gain curve combining the static gain with peak reduction. The required
+   * reduction is spread over a lookahead window before each peak (sliding
+   * minimum, then a moving average of the same length, so it is fully reached
+   * at the peak) and recovers with an exponential release.
+   * @returns {Float32Array}
+   */
+  function limiterGain(envelope, gain, ceiling, sampleRate) {
+    const frames = envelope.length;
+    const lookahead = Math.max(1, Math.round((sampleRate * LIMITER_LOOKAHEAD_MS) / 1000));
+
+    const required = new Float32Array(frames);
+    for (let i = 0; i < frames; i++) {
+      const peak = envelope[i] * gain;
+      required[i] = peak > ceiling ? ceiling / peak : 1;
+    }
+
+    // Sliding minimum over [i - lookahead + 1, i + lookahead - 1] (monotonic deque)
+    const minimum = new Float32Array(frames);
+    const deque = new Int32Array(frames);
+    let head = 0;
+    let tail = 0;
+    for (let i = 0, next = 0; i < frames; i++) {
+      const last = Math.min(frames - 1, i + lookahead - 1);
+      for (; next <= last; next++) {
+        while (tail > head && required[deque[tail - 1]] >= required[next]) tail--;
+        deque[tail++] = next;
+      }
+      while (deque[head] < i - lookahead + 1) head++;
+      minimum[i] = required[deque[head]];
+    }
+
+    // Moving average over the trailing window, then release
+    const curve = new Float32Array(frames);
+    const release = 1 - Math.exp(-1 / ((sampleRate * LIMITER_RELEASE_MS) / 1000));
+    let sum = 0;
+    let previous = 1;
+    for (let i = 0; i < frames; i++) {
+      sum += minimum[i];
+      if (i >= lookahead) sum -= minimum[i - lookahead];
+      const smoothed = sum / Math.min(i + 1, lookahead);
+      const recovered = previous + (1 - previous) * release;
+      previous = Math.min(smoothed, recovered);
+      curve[i] = previous * gain;
+    }
+    return curve;
+  }
+
+  function applyGainCurve(channels, curve) {
+    for (const data of channels) {
+      for (let i = 0; i < data.length; i++) data[i] *= curve[i];
+    }
+  }
+
+  function powerToLufs(power) {
+    return power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity;
+  }
+
+  function toDb(amplitude) {
+    return amplitude > 0 ? 20 * Math.log10(amplitude) : -Infinity;
+  }
+
+  function fromDb(db) {
+    return Math.pow(10, db / 20);
+  }
+
+  function maxOf(values) {
+    let max = 0;
+    for (let i = 0; i < values.length; i++) if (values[i] > max) max = values[i];
+    return max;
+  }
+
+  function mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+  }
+
+  function noop() {}
+
+  // window on the page, self in the worker, module.exports under Node
+  const api = {
+    LOUDNESS_DEFAULTS,
+    measureLoudness,
+    normalizeLoudness,
+    integratedLoudness,
+    truePeakEnvelope,
+    limiterGain,
+    createKWeighting,
+  };
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+  else root.audioLoudness = api;
+})();
@@ -0,0 +1,391 @@
+/*
+  English interface text, also the fallback for keys another catalog lacks
+  (FALLBACK_LANGUAGE in i18n.js). Keys as in messages.ru.js.
+*/
+
+(function () {
+  window.i18n.addCatalog('en', 'English', {
+    // Top bar, job, queue
+    'topbar.label': 'Main actions',
+    'file.choose': 'Choose a file',
+    'file.inputLabel': 'Choose audio files',
+    'process.button': 'Process',
+    'download.button': 'Download processed file',
+    'job.label': 'Processing progress',
+    'job.cancel': 'Cancel',
+    'queue.label': 'File queue',
+    'queue.title': 'Queue',
+    'queue.hint': 'Queue — help',
+    'queue.tip': 'Every file is processed with the current pause and EQ settings. Manual waveform edits are not used in batch processing. Files can be dropped straight onto the page.',
+    'queue.processAll': 'Process all',
+    'queue.zip': 'Download all (ZIP)',
+    'queue.clear': 'Clear',
+    'multitrack.title': 'Synchronized tracks',
+    'multitrack.hint': 'Synchronized tracks — help',
+    'multitrack.tip': 'The files are tracks of one recording (one microphone per speaker) that start at the same moment. Pauses are cut only where everyone is silent, and identically in every track, so the tracks stay in sync. Breaths and clicks are only attenuated.',
+    'mixdown.enable': 'Mix down to one file',
+    'mixdown.download': 'Download mixdown',
+    'toast.done': 'Done! The file has been processed.',
+
+    // Players
+    'players.label': 'Players',
+    'players.original': 'Original audio',
+    'players.processed': 'Processed audio',
+    'preview.enable': 'Play the original through the EQ and dynamics',
+    'preview.hint': 'Live preview — help',
+    'preview.tip': 'The original player plays through the current EQ and dynamics settings, so every change is heard at once, without processing again. Dynamics in the preview are approximate; pauses and loudness normalization are applied only when processing.<br><b>A/B</b> switches between the original and the processed file at the same spot: the position accounts for the removed pauses.',
+    'ab.original': 'A/B: playing original',
+
+    // Report
+    'report.label': 'Processing report',
+    'report.title': 'Report',
+    'report.hint': 'Report — help',
+    'report.tip': 'What processing did to the file: how much time was removed, which pauses were cut, levels before and after. The JSON also stores every setting, which makes it easy to compare presets across episodes.',
+    'report.export': 'Download JSON',
+    'report.histogram': 'Removed pauses by length',
+
+    // Presets
+    'presets.title': 'Presets',
+    'presets.hint': 'Presets — help',
+    'presets.tip': 'A preset holds every setting: pauses, detector, noise reduction, EQ, loudness and file format. Presets are kept in this browser; share them as a JSON file, or the current settings as a link.',
+    'presets.saved': 'Saved presets',
+    'presets.save': 'Save…',
+    'presets.delete': 'Delete',
+    'presets.reset': 'Defaults',
+    'presets.export': 'Export JSON',
+    'presets.import': 'Import JSON',
+    'presets.copyLink': 'Copy link',
+
+    // Output format
+    'output.title': 'File format',
+    'output.hint': 'File format — help',
+    'output.tip': 'WAV 24-bit and 32-bit float keep headroom for further mixing, FLAC compresses losslessly, Opus is a compact file for publishing. Dither masks rounding noise when writing 16/24 bits.',
+    'output.dither': 'Dither',
+    'output.formatLabel': 'Processed file format',
+    'output.wav16': 'WAV 16-bit',
+    'output.wav24': 'WAV 24-bit',
+    'output.wav32f': 'WAV 32-bit float',
+    'output.flac16': 'FLAC 16-bit',
+    'output.flac24': 'FLAC 24-bit',
+
+    // Cut list
+    'cutList.title': 'Cut list',
+    'cutList.hint': 'Cut list — help',
+    'cutList.tip': 'The kept segments with their original and new times (crossfades included), to repeat the edit in a DAW or shift subtitles and chapters.',
+    'cutList.formatLabel': 'Cut list format',
+    'cutList.audacity': 'Audacity labels',
+    'cutList.mapper': 'Time mapping function (JS)',
+    'cutList.download': 'Download',
+
+    // Waveform
+    'waveform.title': 'Waveform',
+    'waveform.hint': 'Waveform — help',
+    'waveform.tip': 'Green is kept, red is cut. Drag the boundaries, select a range with the mouse and keep or cut it. Click to jump to that spot in the original audio, wheel to zoom, Shift+wheel to scroll.',
+    'waveform.zoomIn': 'Zoom in',
+    'waveform.zoomOut': 'Zoom out',
+    'waveform.fit': 'Whole file',
+    'waveform.canvas': 'Waveform of the original audio',
+    'waveform.keep': 'Keep selection',
+    'waveform.cut': 'Cut selection',
+    'waveform.resetEdits': 'Reset edits',
+    'waveform.editsInfo': 'Manual edits are used for processing instead of the automatic plan.',
+    'waveform.longFileInfo': 'A long recording is processed in parts: the waveform, calibration and previews are unavailable; only pauses and the EQ work.',
+
+    // Pause settings
+    'pauses.title': 'Pause settings',
+    'pauses.autoMinSilence': 'and silence length',
+    'pauses.calibrateTitle': 'Measure the noise and speech levels of the file and pick the thresholds',
+    'pauses.calibrate': 'Pick automatically',
+    'silenceThreshold.title': 'Silence threshold',
+    'silenceThreshold.hint': 'Silence threshold — help',
+    'silenceThreshold.tip': 'The higher the value, the more aggressively quiet parts are cut.',
+    'minSilenceMs.title': 'Minimum silence length (ms)',
+    'minSilenceMs.hint': 'Minimum silence length — help',
+    'minSilenceMs.tip': 'Only pauses longer than this are shortened.',
+    'overlapMs.title': 'Overlap / crossfade (ms)',
+    'overlapMs.hint': 'Overlap — help',
+    'overlapMs.tip': 'Smooths the transitions between pieces.',
+    'fadeCurve.title': 'Crossfade shape',
+    'fadeCurve.hint': 'Crossfade shape — help',
+    'fadeCurve.tip': 'Linear suits similar sound on both sides of a splice. Equal power avoids a loudness dip when the sound differs (speech and room tone, for example). S-curve and raised cosine start and end more gently.',
+    'fadeCurve.linear': 'Linear',
+    'fadeCurve.equalPower': 'Equal power',
+    'fadeCurve.sCurve': 'S-curve',
+    'fadeCurve.raisedCosine': 'Raised cosine',
+    'spliceSnap.title': 'Splice snapping',
+    'spliceSnap.hint': 'Splice snapping — help',
+    'spliceSnap.tip': 'Moves each splice within the search window. To a zero crossing, so there is no click, especially without a crossfade. By correlation, to where the sound on both sides of the splice is in phase.',
+    'spliceSnap.none': 'None',
+    'spliceSnap.zeroCrossing': 'To a zero crossing',
+    'spliceSnap.correlation': 'By correlation',
+    'snapWindowMs.title': 'Splice search window (ms)',
+    'snapWindowMs.hint': 'Splice search window (ms) — help',
+    'snapWindowMs.tip': 'How far snapping may move a splice in either direction.',
+    'keepPausePercent.title': 'Keep of each pause (%)',
+    'keepPausePercent.hint': 'Keep of each pause (%) — help',
+    'keepPausePercent.tip': 'How much of each removed pause stays. 0 removes the pause completely. The rest comes from the pause itself, so the natural room tone is heard.',
+    'maxPauseMs.title': 'Maximum pause (ms)',
+    'maxPauseMs.hint': 'Maximum pause (ms) — help',
+    'maxPauseMs.tip': 'The kept part of a pause is never longer than this.',
+    'sentenceGapMs.title': 'Sentence pause from (ms)',
+    'sentenceGapMs.hint': 'Sentence pause from (ms) — help',
+    'sentenceGapMs.tip': 'Pauses at least this long count as pauses between sentences.',
+    'sentencePauseMs.title': 'Keep after a sentence (ms)',
+    'sentencePauseMs.hint': 'Keep after a sentence (ms) — help',
+    'sentencePauseMs.tip': 'The shortest pause left after a sentence. 0 means no special handling.',
+    'downmixMono.title': 'Mix down to mono',
+    'downmixMono.hint': 'Mono mixdown — help',
+    'downmixMono.tip': 'By default every channel of the source is kept: pauses are detected on the sum, and the same cuts are applied to each channel.',
+
+    // Detector
+    'detector.title': 'Speech detector',
+    'detector.hint': 'Speech detector — help',
+    'detector.tip': 'Loudness is measured in 10 ms windows. Speech starts when the level exceeds the silence threshold and ends only after it falls below the close threshold.',
+    'detector.mode': 'Window level',
+    'detector.rms': 'RMS (root mean square)',
+    'detector.peak': 'Peak',
+    'closeThreshold.title': 'Close threshold',
+    'closeThreshold.hint': 'Close threshold — help',
+    'closeThreshold.tip': 'Below this level speech counts as finished. Keep it below the silence threshold: the difference keeps words from being cut in quiet places.',
+    'attackMs.title': 'Attack (ms)',
+    'attackMs.hint': 'Attack (ms) — help',
+    'attackMs.tip': 'How fast the detector reacts to the start of a sound.',
+    'holdMs.title': 'Hold (ms)',
+    'holdMs.hint': 'Hold (ms) — help',
+    'holdMs.tip': 'How long the detector waits after the level drops before ending a phrase.',
+    'releaseMs.title': 'Release (ms)',
+    'releaseMs.hint': 'Release (ms) — help',
+    'releaseMs.tip': 'How smoothly the detector level decays; keeps the tails of words.',
+    'minSpeechMs.title': 'Min. sound length (ms)',
+    'minSpeechMs.hint': 'Min. sound length (ms) — help',
+    'minSpeechMs.tip': 'Shorter bursts (clicks, knocks) do not count as speech.',
+    'preRollMs.title': 'Pre-roll (ms)',
+    'preRollMs.hint': 'Pre-roll (ms) — help',
+    'preRollMs.tip': 'How much sound to keep before a phrase starts, so consonants are not clipped.',
+    'postRollMs.title': 'Post-roll (ms)',
+    'postRollMs.hint': 'Post-roll (ms) — help',
+    'postRollMs.tip': 'How much sound to keep after a phrase ends.',
+
+    // Noise reduction
+    'denoise.title': 'Noise reduction',
+    'denoise.hint': 'Noise reduction — help',
+    'denoise.tip': 'Removes hiss and hum under the speech. The noise spectrum is taken from the removed pauses or from a speech-free range selected on the waveform. Runs before splicing. “Noise only” lets you hear exactly what will be removed: if you hear speech in it, lower the reduction. Batch processing does not use the selected range.',
+    'denoise.enable': 'Reduce noise',
+    'denoise.amount': 'Reduction',
+    'denoise.regionPauses': 'Noise sample: pauses between phrases',
+    'denoise.fromSelection': 'Use selection',
+    'denoise.fromPauses': 'Use pauses',
+    'denoise.preview': 'Play noise only',
+
+    // Artifacts
+    'artifacts.title': 'Breaths and clicks',
+    'artifacts.hint': 'Breaths and clicks — help',
+    'artifacts.tip': 'Finds breaths, lip smacks and clicks inside speech by spectral shape, duration and loudness relative to the surrounding speech. Each type can be attenuated by a set number of dB, cut like a pause or kept. Findings are marked with strips above the waveform and go into the cut list. The higher the sensitivity, the more events are found, and the higher the risk of touching quiet consonants.',
+    'artifacts.enable': 'Find breaths and clicks',
+    'artifacts.sensitivity': 'Sensitivity',
+    'artifacts.breath': 'Breaths',
+    'artifacts.breathAction': 'Breaths: action',
+    'artifacts.breathAmount': 'Breaths: attenuation',
+    'artifacts.mouth': 'Mouth noises',
+    'artifacts.mouthAction': 'Mouth noises: action',
+    'artifacts.mouthAmount': 'Mouth noises: attenuation',
+    'artifacts.click': 'Clicks',
+    'artifacts.clickAction': 'Clicks: action',
+    'artifacts.clickAmount': 'Clicks: attenuation',
+    'artifacts.attenuate': 'Attenuate',
+    'artifacts.remove': 'Cut',
+    'artifacts.keep': 'Keep',
+
+    // Stretch
+    'stretch.title': 'Speech rate',
+    'stretch.hint': 'Speech rate — help',
+    'stretch.tip': 'Speeds speech up without changing the pitch of the voice (WSOLA). Runs after splicing, so the kept pauses can stay as they are. The waveform, A/B comparison, cut list and WAV markers follow the new timeline. Above 20% it becomes audible.',
+    'stretch.enable': 'Speed up speech',
+    'stretch.amount': 'Speed-up',
+    'stretch.speechOnly': 'Speed up speech only, leave pauses alone',
+
+    // EQ
+    'eq.title': 'Equalizer',
+    'eq.hint': 'Equalizer — help',
+    'eq.tip': 'The equalizer changes the colour of the voice.<br><b>Warm and natural</b> — for storytelling and voice-over.<br><b>Clear voice</b> — for the best intelligibility.<br><b>Cinematic</b> — for an expressive delivery.<br><b>Cleanup</b> — removes 50 Hz hum and low rumble.<br>The points on the graph can be dragged: left-right for frequency, up-down for gain, wheel for Q. Double-click adds a band. Any edit switches the preset to “Custom”.',
+    'eq.enable': 'Enable the equalizer (optional)',
+    'eq.preset': 'Preset',
+    'eq.clear': 'Clear voice',
+    'eq.warm': 'Warm and natural',
+    'eq.cinematic': 'Cinematic / Deep',
+    'eq.cleanup': 'Cleanup: hum and rumble cut',
+    'eq.custom': 'Custom',
+    'eq.graph': 'Equalizer frequency response',
+    'eq.addBand': 'Add band',
+
+    // Dynamics
+    'dynamics.title': 'Dynamics',
+    'dynamics.hint': 'Dynamics — help',
+    'dynamics.tip': 'Evens out the voice after the EQ, before loudness normalization.<br><b>Compressor</b> — brings quiet and loud phrases closer: everything above the threshold is reduced by the set ratio.<br><b>De-esser</b> — tames harsh “s”, “sh” and “ts”: acts only in the band above the split frequency.<br><b>Limiter</b> — lets no peaks past the ceiling.<br>Each stage can be switched off, and the arrows change the order.',
+    'dynamics.enable': 'Enable dynamics processing',
+    'dynamics.compressor': 'Compressor',
+    'dynamics.compressorEarlier': 'Compressor: earlier in the chain',
+    'dynamics.compressorLater': 'Compressor: later in the chain',
+    'dynamics.deesser': 'De-esser',
+    'dynamics.deesserEarlier': 'De-esser: earlier in the chain',
+    'dynamics.deesserLater': 'De-esser: later in the chain',
+    'dynamics.limiter': 'Limiter',
+    'dynamics.limiterEarlier': 'Limiter: earlier in the chain',
+    'dynamics.limiterLater': 'Limiter: later in the chain',
+    'dynamics.threshold': 'Threshold',
+    'dynamics.ratio': 'Ratio',
+    'dynamics.attack': 'Attack',
+    'dynamics.release': 'Release',
+    'dynamics.makeup': 'Makeup gain',
+    'dynamics.split': 'Split frequency',
+    'dynamics.range': 'Max. reduction',
+    'dynamics.ceiling': 'Ceiling',
+
+    // Loudness
+    'loudness.title': 'Loudness',
+    'loudness.hint': 'Loudness — help',
+    'loudness.tip': 'Brings the integrated loudness (ITU-R BS.1770 / EBU R128) to the target, so every episode sounds equally loud. Runs after the EQ. The limiter keeps true peaks below the ceiling.',
+    'loudness.enable': 'Normalize loudness',
+    'loudness.target': 'Target level',
+    'loudness.streaming': '−14 LUFS — streaming services',
+    'loudness.podcast': '−16 LUFS — podcasts',
+    'loudness.podcastMono': '−19 LUFS — podcasts, mono',
+    'loudness.broadcast': '−23 LUFS — broadcast (EBU R128)',
+    'loudness.truePeak': 'True peak ceiling',
+
+    // Language and keyboard shortcuts
+    'language.label': 'Interface language',
+    'shortcuts.open': 'Keyboard shortcuts',
+    'shortcuts.title': 'Keyboard shortcuts',
+    'shortcuts.close': 'Close',
+    'shortcuts.note': 'Keys work in any keyboard layout and are ignored while you type.',
+    'shortcuts.chooseFile': 'Choose files',
+    'shortcuts.process': 'Process the selected file',
+    'shortcuts.playPause': 'Play / pause (original or processed, as chosen by A/B)',
+    'shortcuts.ab': 'A/B: switch to the other version at the same spot',
+    'shortcuts.download': 'Download the processed file',
+    'shortcuts.nudge': 'Nudge a slider by one step, ten with Shift: the last one pointed at or tabbed to (the silence threshold at first)',
+    'shortcuts.spaceKey': 'Space',
+    'shortcuts.help': 'Show or hide this help',
+    'shortcuts.dismiss': 'Close the help',
+
+    // Job progress
+    'stage.decode': 'Decoding',
+    'stage.detect': 'Finding pauses',
+    'stage.artifacts': 'Finding breaths and clicks',
+    'stage.denoise': 'Noise reduction',
+    'stage.stitch': 'Splicing',
+    'stage.stretch': 'Speeding up speech',
+    'stage.eq': 'Equalizer',
+    'stage.dynamics': 'Dynamics',
+    'stage.loudness': 'Loudness normalization',
+    'stage.encode': 'Encoding',
+    'stage.tracks': 'Processing tracks',
+    'stage.mix': 'Mixing down',
+    'job.fileOf': 'File {index} of {count}: ',
+    'job.done': 'Done.',
+    'job.cancelled': 'Processing cancelled.',
+    'job.failed': 'Could not process the file: {error}',
+    'error.noFile': 'Please choose an audio file.',
+    'error.emptyPlan': 'No segments are left on the waveform.',
+    'streaming.nonWav': 'FLAC output',
+    'streaming.unsupported': 'for a long recording, turn off: {names}',
+
+    // Queue
+    'queue.partlyFailed': 'Done, but {failed} of {total} files could not be processed.',
+    'queue.done': 'Done: {count} files.',
+    'queue.zipFailed': 'Could not build the ZIP. See the console for details.',
+    'queue.status.queued': 'Queued',
+    'queue.status.processing': 'Processing',
+    'queue.status.done': 'Done',
+    'queue.status.error': 'Error',
+    'queue.status.cancelled': 'Cancelled',
+    'queue.openFile': 'Open in the player and waveform',
+    'queue.download': 'Download',
+    'multitrack.noLong': 'long recordings cannot be processed as synchronized tracks',
+    'multitrack.rateMismatch': 'the tracks have different sample rates ({first} and {other} Hz)',
+    'multitrack.done': 'Done: {count} tracks, all cut the same way.',
+    'multitrack.failed': 'Could not process the tracks: {error}',
+
+    // Calibration
+    'calibration.long': 'Calibration is not available for long recordings.',
+    'calibration.result': 'Noise: {noise} dBFS, speech: {speech} dBFS',
+    'calibration.failed': 'Could not analyse the file. See the console for details.',
+
+    // Presets
+    'presets.confirmDelete': 'Delete the preset “{name}”?',
+    'presets.choose': 'Choose a preset…',
+    'presets.none': 'No saved presets',
+    'presets.namePrompt': 'Preset name:',
+    'presets.confirmReplace': 'The preset “{name}” already exists. Replace it?',
+    'presets.storageFailed': 'Could not save the preset: browser storage is unavailable.',
+    'presets.savedInfo': 'Preset “{name}” saved.',
+    'presets.imported': 'Presets imported: {count}.',
+    'presets.importFailed': 'Could not import presets: {error}',
+    'presets.linkCopied': 'Link with the current settings copied.',
+    'presets.linkPrompt': 'Link with the current settings:',
+    'presets.linkLoaded': 'Settings loaded from the link.',
+
+    // Noise reduction
+    'denoise.region': 'Noise sample: {start}–{end} s',
+    'denoise.previewLong': 'The noise preview is not available for long recordings.',
+    'denoise.previewReady': 'Done: the player below holds only what noise reduction removes.',
+    'denoise.previewFailed': 'Could not prepare the preview: {error}',
+
+    // Breaths and clicks
+    'artifacts.found': 'Found: {list}',
+    'artifacts.found.breath': 'breaths',
+    'artifacts.found.mouth': 'mouth noises',
+    'artifacts.found.click': 'clicks',
+    'artifacts.nothingFound': 'Nothing found.',
+
+    // Dynamics and loudness
+    'dynamics.stage.compressor': 'compressor',
+    'dynamics.stage.deesser': 'de-esser',
+    'dynamics.stage.limiter': 'limiter',
+    'dynamics.reducedBy': 'up to −{db} dB',
+    'dynamics.idle': 'never engaged',
+    'dynamics.info': 'Gain reduction: {list}',
+    'loudness.info': 'Before: {before}, peak {beforePeak} → after: {after}, peak {afterPeak}',
+    'loudness.limited': 'The target was not fully reached: the limiter held the peaks back.',
+    'level.silence': 'silence',
+
+    // Live preview and A/B
+    'preview.unsupported': 'Live preview is not supported in this browser.',
+    'ab.processed': 'A/B: playing processed',
+
+    // Report
+    'report.duration': 'Duration',
+    'report.removed': 'Removed',
+    'report.cuts': 'Splices',
+    'report.longestPause': 'Longest pause',
+    'report.longestSegment': 'Longest segment',
+    'report.segmentSpan': '{duration} ({start}–{end} s in the source)',
+    'report.peak': 'Peak',
+    'report.rms': 'RMS',
+    'report.binRange': '{from}–{to} s',
+    'report.binOpen': 'from {from} s',
+    'report.warning.clipping': '{samples} samples at full scale will be clipped in integer formats. Lower the EQ gain or enable the limiter.',
+    'report.warning.overFullScale': '{samples} samples go past full scale. Float output keeps them, but playback or conversion to an integer format will clip them.',
+    'report.warning.sourceClipping': 'The source already has {samples} samples at full scale: the recording is overloaded.',
+    'report.warning.noSilence': 'No silence found, the file is unchanged. Try raising the silence threshold.',
+    'unit.seconds': '{value} s',
+
+    // EQ bands
+    'eq.type.peaking': 'Bell',
+    'eq.type.lowshelf': 'Low shelf',
+    'eq.type.highshelf': 'High shelf',
+    'eq.type.highpass': 'Low cut (high-pass)',
+    'eq.type.lowpass': 'High cut (low-pass)',
+    'eq.type.notch': 'Notch',
+    'eq.band.type': 'Band {index}: type',
+    'eq.band.frequency': 'Band {index}: frequency, Hz',
+    'eq.band.Q': 'Band {index}: Q',
+    'eq.band.gain': 'Band {index}: gain, dB',
+    'eq.field.frequency': 'Frequency, Hz',
+    'eq.field.Q': 'Quality factor (Q)',
+    'eq.field.gain': 'Gain, dB',
+    'eq.removeBand': 'Remove band',
+    'eq.removeBandN': 'Remove band {index}',
+  });
+})();
@@ -0,0 +1,392 @@
+/*
+  Russian interface text, the page's source language: index.html carries the
+  same text, so the page reads the same before i18n.js translates it.
+  Keys as in messages.en.js.
+*/
+
+(function () {
+  window.i18n.addCatalog('ru', 'Русский', {
+    // Top bar, job, queue
+    'topbar.label': 'Основные действия',
+    'file.choose': 'Выбрать файл',
+    'file.inputLabel': 'Выбрать аудиофайлы',
+    'process.button': 'Обработать',
+    'download.button': 'Скачать обработанный файл',
+    'job.label': 'Ход обработки',
+    'job.cancel': 'Отменить',
+    'queue.label': 'Очередь файлов',
+    'queue.title': 'Очередь',
+    'queue.hint': 'Очередь — подсказка',
+    'queue.tip': 'Все файлы обрабатываются с текущими настройками пауз и эквалайзера. Ручные правки разметки в пакетной обработке не учитываются. Файлы можно перетащить прямо на страницу.',
+    'queue.processAll': 'Обработать все',
+    'queue.zip': 'Скачать всё (ZIP)',
+    'queue.clear': 'Очистить',
+    'multitrack.title': 'Синхронные дорожки',
+    'multitrack.hint': 'Синхронные дорожки — подсказка',
+    'multitrack.tip': 'Файлы — дорожки одной записи (по микрофону на спикера), начинающиеся одновременно. Паузы вырезаются только там, где молчат все, и одинаково во всех дорожках, поэтому синхронность сохраняется. Дыхание и щелчки только приглушаются.',
+    'mixdown.enable': 'Сведение в один файл',
+    'mixdown.download': 'Скачать сведение',
+    'toast.done': 'Готово! Файл обработан.',
+
+    // Players
+    'players.label': 'Плееры',
+    'players.original': 'Исходное аудио',
+    'players.processed': 'Обработанное аудио',
+    'preview.enable': 'Слушать исходное через эквалайзер и динамику',
+    'preview.hint': 'Живое прослушивание — подсказка',
+    'preview.tip': 'Исходный плеер звучит через текущие настройки эквалайзера и динамики, любое изменение слышно сразу, без повторной обработки. Динамика в прослушивании приближённая, паузы и нормализация громкости применяются только при обработке.<br><b>A/B</b> переключает между исходным и обработанным файлом с того же места: позиция пересчитывается с учётом вырезанных пауз.',
+    'ab.original': 'A/B: сейчас исходное',
+
+    // Report
+    'report.label': 'Отчёт об обработке',
+    'report.title': 'Отчёт',
+    'report.hint': 'Отчёт — подсказка',
+    'report.tip': 'Что обработка сделала с файлом: сколько времени вырезано, какие паузы убраны, уровни до и после. В JSON вместе с отчётом сохраняются все настройки — по таким файлам удобно сравнивать пресеты между выпусками.',
+    'report.export': 'Скачать JSON',
+    'report.histogram': 'Вырезанные паузы по длине',
+
+    // Presets
+    'presets.title': 'Пресеты',
+    'presets.hint': 'Пресеты — подсказка',
+    'presets.tip': 'Пресет хранит все настройки: паузы, детектор, шумоподавление, эквалайзер, громкость и формат файла. Пресеты сохраняются в этом браузере; поделиться ими можно файлом JSON, а текущими настройками — ссылкой.',
+    'presets.saved': 'Сохранённые пресеты',
+    'presets.save': 'Сохранить…',
+    'presets.delete': 'Удалить',
+    'presets.reset': 'По умолчанию',
+    'presets.export': 'Экспорт JSON',
+    'presets.import': 'Импорт JSON',
+    'presets.copyLink': 'Скопировать ссылку',
+
+    // Output format
+    'output.title': 'Формат файла',
+    'output.hint': 'Формат файла — подсказка',
+    'output.tip': 'WAV 24 бит и 32 бит float сохраняют запас по динамике для дальнейшего сведения, FLAC сжимает без потерь, Opus — компактный файл для публикации. Дизеринг маскирует шум округления при записи в 16/24 бит.',
+    'output.dither': 'Дизеринг',
+    'output.formatLabel': 'Формат обработанного файла',
+    'output.wav16': 'WAV 16 бит',
+    'output.wav24': 'WAV 24 бит',
+    'output.wav32f': 'WAV 32 бит float',
+    'output.flac16': 'FLAC 16 бит',
+    'output.flac24': 'FLAC 24 бит',
+
+    // Cut list
+    'cutList.title': 'Монтажный лист',
+    'cutList.hint': 'Монтажный лист — подсказка',
+    'cutList.tip': 'Список оставленных фрагментов с исходным и новым временем (с учётом кроссфейдов) — чтобы повторить монтаж в DAW или сдвинуть субтитры и главы.',
+    'cutList.formatLabel': 'Формат монтажного листа',
+    'cutList.audacity': 'Метки Audacity',
+    'cutList.mapper': 'Функция пересчёта времени (JS)',
+    'cutList.download': 'Скачать',
+
+    // Waveform
+    'waveform.title': 'Разметка',
+    'waveform.hint': 'Разметка — подсказка',
+    'waveform.tip': 'Зелёное остаётся, красное вырезается. Перетаскивайте границы, выделяйте участок мышью и оставляйте или вырезайте его. Клик — перейти к месту в исходном аудио, колесо — масштаб, Shift+колесо — прокрутка.',
+    'waveform.zoomIn': 'Приблизить',
+    'waveform.zoomOut': 'Отдалить',
+    'waveform.fit': 'Весь файл',
+    'waveform.canvas': 'Волновая форма исходного аудио',
+    'waveform.keep': 'Оставить выделенное',
+    'waveform.cut': 'Вырезать выделенное',
+    'waveform.resetEdits': 'Сбросить правки',
+    'waveform.editsInfo': 'Ручные правки используются при обработке вместо автоматической разметки.',
+    'waveform.longFileInfo': 'Длинная запись обрабатывается по частям: разметка, калибровка и предпросмотр недоступны, работают только паузы и эквалайзер.',
+
+    // Pause settings
+    'pauses.title': 'Настройки пауз',
+    'pauses.autoMinSilence': 'и длину тишины',
+    'pauses.calibrateTitle': 'Оценить шум и уровень речи в файле и подобрать пороги',
+    'pauses.calibrate': 'Подобрать автоматически',
+    'silenceThreshold.title': 'Порог тишины',
+    'silenceThreshold.hint': 'Порог тишины — подсказка',
+    'silenceThreshold.tip': 'Чем выше значение, тем агрессивнее вырезаются тихие участки.',
+    'minSilenceMs.title': 'Минимальная длина тишины (мс)',
+    'minSilenceMs.hint': 'Минимальная длина тишины — подсказка',
+    'minSilenceMs.tip': 'Только паузы длиннее этого значения будут сокращаться.',
+    'overlapMs.title': 'Перекрытие / кроссфейд (мс)',
+    'overlapMs.hint': 'Перекрытие — подсказка',
+    'overlapMs.tip': 'Помогает сделать переходы между кусками плавными.',
+    'fadeCurve.title': 'Форма кроссфейда',
+    'fadeCurve.hint': 'Форма кроссфейда — подсказка',
+    'fadeCurve.tip': 'Линейный подходит для похожего звука по обе стороны склейки. Равная мощность не даёт провала громкости, когда звук разный (например, речь и фон комнаты). S-кривая и приподнятый косинус мягче начинаются и заканчиваются.',
+    'fadeCurve.linear': 'Линейный',
+    'fadeCurve.equalPower': 'Равная мощность',
+    'fadeCurve.sCurve': 'S-кривая',
+    'fadeCurve.raisedCosine': 'Приподнятый косинус',
+    'spliceSnap.title': 'Привязка склеек',
+    'spliceSnap.hint': 'Привязка склеек — подсказка',
+    'spliceSnap.tip': 'Сдвигает каждую склейку в пределах окна поиска. К переходу через ноль — чтобы не было щелчка, особенно без кроссфейда. По корреляции — туда, где звук по обе стороны склейки совпадает по фазе.',
+    'spliceSnap.none': 'Нет',
+    'spliceSnap.zeroCrossing': 'К переходу через ноль',
+    'spliceSnap.correlation': 'По корреляции',
+    'snapWindowMs.title': 'Окно поиска склейки (мс)',
+    'snapWindowMs.hint': 'Окно поиска склейки (мс) — подсказка',
+    'snapWindowMs.tip': 'На сколько привязка может сдвинуть склейку в каждую сторону.',
+    'keepPausePercent.title': 'Оставлять от паузы (%)',
+    'keepPausePercent.hint': 'Оставлять от паузы (%) — подсказка',
+    'keepPausePercent.tip': 'Какая доля каждой вырезаемой паузы остаётся. 0 — пауза убирается полностью. Остаток берётся из самой паузы, поэтому звучит естественный фон комнаты.',
+    'maxPauseMs.title': 'Максимальная пауза (мс)',
+    'maxPauseMs.hint': 'Максимальная пауза (мс) — подсказка',
+    'maxPauseMs.tip': 'Оставленная часть паузы не бывает длиннее этого значения.',
+    'sentenceGapMs.title': 'Пауза между предложениями от (мс)',
+    'sentenceGapMs.hint': 'Пауза между предложениями от (мс) — подсказка',
+    'sentenceGapMs.tip': 'Паузы не короче этого значения считаются паузами между предложениями.',
+    'sentencePauseMs.title': 'Оставлять после предложения (мс)',
+    'sentencePauseMs.hint': 'Оставлять после предложения (мс) — подсказка',
+    'sentencePauseMs.tip': 'Минимальная пауза, которая остаётся после предложения. 0 — без особой обработки.',
+    'downmixMono.title': 'Сводить в моно',
+    'downmixMono.hint': 'Сведение в моно — подсказка',
+    'downmixMono.tip': 'По умолчанию сохраняются все каналы исходника: паузы ищутся по общей сумме, а одинаковые вырезы применяются к каждому каналу.',
+
+    // Detector
+    'detector.title': 'Детектор речи',
+    'detector.hint': 'Детектор речи — подсказка',
+    'detector.tip': 'Громкость считается окнами по 10 мс. Речь начинается, когда уровень превышает порог тишины, и заканчивается только после падения ниже порога закрытия.',
+    'detector.mode': 'Уровень окна',
+    'detector.rms': 'RMS (среднеквадратичный)',
+    'detector.peak': 'Пиковый',
+    'closeThreshold.title': 'Порог закрытия',
+    'closeThreshold.hint': 'Порог закрытия — подсказка',
+    'closeThreshold.tip': 'Ниже этого уровня речь считается законченной. Должен быть ниже порога тишины — разница не даёт резать слова на тихих местах.',
+    'attackMs.title': 'Атака (мс)',
+    'attackMs.hint': 'Атака (мс) — подсказка',
+    'attackMs.tip': 'Как быстро детектор реагирует на начало звука.',
+    'holdMs.title': 'Удержание (мс)',
+    'holdMs.hint': 'Удержание (мс) — подсказка',
+    'holdMs.tip': 'Сколько детектор ждёт после падения уровня, прежде чем закончить фразу.',
+    'releaseMs.title': 'Спад (мс)',
+    'releaseMs.hint': 'Спад (мс) — подсказка',
+    'releaseMs.tip': 'Как плавно затухает уровень детектора — сохраняет хвосты слов.',
+    'minSpeechMs.title': 'Мин. длина звука (мс)',
+    'minSpeechMs.hint': 'Мин. длина звука (мс) — подсказка',
+    'minSpeechMs.tip': 'Более короткие всплески (щелчки, стуки) не считаются речью.',
+    'preRollMs.title': 'Запас в начале (мс)',
+    'preRollMs.hint': 'Запас в начале (мс) — подсказка',
+    'preRollMs.tip': 'Сколько звука оставить перед началом фразы, чтобы не срезать согласные.',
+    'postRollMs.title': 'Запас в конце (мс)',
+    'postRollMs.hint': 'Запас в конце (мс) — подсказка',
+    'postRollMs.tip': 'Сколько звука оставить после конца фразы.',
+
+    // Noise reduction
+    'denoise.title': 'Шумоподавление',
+    'denoise.hint': 'Шумоподавление — подсказка',
+    'denoise.tip': 'Убирает шипение и гул под речью. Спектр шума берётся из вырезаемых пауз или из выделенного на разметке участка без речи. Работает до склейки. «Только шум» даёт послушать, что именно будет удалено: если в нём слышна речь, уменьшите степень подавления. В пакетной обработке выделенный участок не используется.',
+    'denoise.enable': 'Подавлять шум',
+    'denoise.amount': 'Степень подавления',
+    'denoise.regionPauses': 'Образец шума: паузы между фразами',
+    'denoise.fromSelection': 'Взять из выделения',
+    'denoise.fromPauses': 'Брать из пауз',
+    'denoise.preview': 'Прослушать только шум',
+
+    // Artifacts
+    'artifacts.title': 'Дыхание и щелчки',
+    'artifacts.hint': 'Дыхание и щелчки — подсказка',
+    'artifacts.tip': 'Находит внутри речи вдохи, причмокивания и щелчки: по форме спектра, длительности и громкости относительно соседней речи. Каждый тип можно ослабить на заданное число dB, вырезать как паузу или оставить. Найденное отмечено полосками над разметкой и попадает в монтажный лист. Чем выше чувствительность, тем больше событий находится — и тем выше риск задеть тихие согласные.',
+    'artifacts.enable': 'Искать дыхание и щелчки',
+    'artifacts.sensitivity': 'Чувствительность',
+    'artifacts.breath': 'Дыхание',
+    'artifacts.breathAction': 'Дыхание: что делать',
+    'artifacts.breathAmount': 'Дыхание: ослабление',
+    'artifacts.mouth': 'Звуки рта',
+    'artifacts.mouthAction': 'Звуки рта: что делать',
+    'artifacts.mouthAmount': 'Звуки рта: ослабление',
+    'artifacts.click': 'Щелчки',
+    'artifacts.clickAction': 'Щелчки: что делать',
+    'artifacts.clickAmount': 'Щелчки: ослабление',
+    'artifacts.attenuate': 'Ослабить',
+    'artifacts.remove': 'Вырезать',
+    'artifacts.keep': 'Оставить',
+
+    // Stretch
+    'stretch.title': 'Темп речи',
+    'stretch.hint': 'Темп речи — подсказка',
+    'stretch.tip': 'Ускоряет речь без изменения высоты голоса (WSOLA). Работает после склейки, поэтому оставленные паузы можно не трогать. Разметка, A/B-сравнение, монтажный лист и маркеры в WAV переводятся на новую шкалу времени. Больше 20% уже заметно на слух.',
+    'stretch.enable': 'Ускорять речь',
+    'stretch.amount': 'Ускорение',
+    'stretch.speechOnly': 'Ускорять только речь, паузы не трогать',
+
+    // EQ
+    'eq.title': 'Эквалайзер',
+    'eq.hint': 'Эквалайзер — подсказка',
+    'eq.tip': 'Эквалайзер меняет окраску голоса.<br><b>Тёплый и натуральный</b> — для рассказов и озвучки.<br><b>Чистый голос</b> — для максимальной разборчивости.<br><b>Кинематографичный</b> — для выразительной подачи.<br><b>Очистка</b> — срезает гул 50 Гц и низкочастотный фон.<br>Точки на графике можно перетаскивать: влево-вправо — частота, вверх-вниз — усиление, колесо — добротность (Q). Двойной щелчок добавляет полосу. Любая правка переключает пресет на «Пользовательский».',
+    'eq.enable': 'Включить эквалайзер (необязательно)',
+    'eq.preset': 'Пресет',
+    'eq.clear': 'Чистый голос',
+    'eq.warm': 'Тёплый и натуральный',
+    'eq.cinematic': 'Кинематографичный / Глубокий',
+    'eq.cleanup': 'Очистка: срез гула и рокота',
+    'eq.custom': 'Пользовательский',
+    'eq.graph': 'Частотная характеристика эквалайзера',
+    'eq.addBand': 'Добавить полосу',
+
+    // Dynamics
+    'dynamics.title': 'Динамика',
+    'dynamics.hint': 'Динамика — подсказка',
+    'dynamics.tip': 'Выравнивает голос после эквалайзера, до нормализации громкости.<br><b>Компрессор</b> — сближает тихие и громкие фразы: всё, что выше порога, ослабляется в заданное число раз.<br><b>Де-эссер</b> — приглушает резкие «с», «ш», «ц»: срабатывает только в полосе выше частоты раздела.<br><b>Лимитер</b> — не пропускает пики выше потолка.<br>Каждую ступень можно выключить, а стрелками — поменять порядок.',
+    'dynamics.enable': 'Включить обработку динамики',
+    'dynamics.compressor': 'Компрессор',
+    'dynamics.compressorEarlier': 'Компрессор: раньше в цепочке',
+    'dynamics.compressorLater': 'Компрессор: позже в цепочке',
+    'dynamics.deesser': 'Де-эссер',
+    'dynamics.deesserEarlier': 'Де-эссер: раньше в цепочке',
+    'dynamics.deesserLater': 'Де-эссер: позже в цепочке',
+    'dynamics.limiter': 'Лимитер',
+    'dynamics.limiterEarlier': 'Лимитер: раньше в цепочке',
+    'dynamics.limiterLater': 'Лимитер: позже в цепочке',
+    'dynamics.threshold': 'Порог',
+    'dynamics.ratio': 'Степень сжатия',
+    'dynamics.attack': 'Атака',
+    'dynamics.release': 'Восстановление',
+    'dynamics.makeup': 'Компенсация усиления',
+    'dynamics.split': 'Частота раздела',
+    'dynamics.range': 'Макс. ослабление',
+    'dynamics.ceiling': 'Потолок',
+
+    // Loudness
+    'loudness.title': 'Громкость',
+    'loudness.hint': 'Громкость — подсказка',
+    'loudness.tip': 'Приводит интегральную громкость (ITU-R BS.1770 / EBU R128) к целевому уровню, чтобы все выпуски звучали одинаково громко. Работает после эквалайзера. Лимитер не пускает истинные пики выше потолка.',
+    'loudness.enable': 'Нормализовать громкость',
+    'loudness.target': 'Целевой уровень',
+    'loudness.streaming': '−14 LUFS — стриминговые сервисы',
+    'loudness.podcast': '−16 LUFS — подкасты',
+    'loudness.podcastMono': '−19 LUFS — подкасты, моно',
+    'loudness.broadcast': '−23 LUFS — вещание (EBU R128)',
+    'loudness.truePeak': 'Потолок истинного пика',
+
+    // Language and keyboard shortcuts
+    'language.label': 'Язык интерфейса',
+    'shortcuts.open': 'Горячие клавиши',
+    'shortcuts.title': 'Горячие клавиши',
+    'shortcuts.close': 'Закрыть',
+    'shortcuts.note': 'Клавиши работают в любой раскладке и не срабатывают, пока вы вводите текст.',
+    'shortcuts.chooseFile': 'Выбрать файлы',
+    'shortcuts.process': 'Обработать выбранный файл',
+    'shortcuts.playPause': 'Воспроизведение / пауза (исходное или обработанное, как выбрано в A/B)',
+    'shortcuts.ab': 'A/B: переключиться на другую версию с того же места',
+    'shortcuts.download': 'Скачать обработанный файл',
+    'shortcuts.nudge': 'Сдвинуть ползунок на шаг, с Shift — на 10 шагов: последний, на который наводили курсор или переходили клавишей Tab (сначала — порог тишины)',
+    'shortcuts.spaceKey': 'Пробел',
+    'shortcuts.help': 'Показать или скрыть эту справку',
+    'shortcuts.dismiss': 'Закрыть справку',
+
+    // Job progress
+    'stage.decode': 'Декодирование',
+    'stage.detect': 'Поиск пауз',
+    'stage.artifacts': 'Поиск дыхания и щелчков',
+    'stage.denoise': 'Шумоподавление',
+    'stage.stitch': 'Склейка',
+    'stage.stretch': 'Ускорение речи',
+    'stage.eq': 'Эквалайзер',
+    'stage.dynamics': 'Динамика',
+    'stage.loudness': 'Нормализация громкости',
+    'stage.encode': 'Кодирование',
+    'stage.tracks': 'Обработка дорожек',
+    'stage.mix': 'Сведение',
+    'job.fileOf': 'Файл {index} из {count}: ',
+    'job.done': 'Готово.',
+    'job.cancelled': 'Обработка отменена.',
+    'job.failed': 'Не удалось обработать файл: {error}',
+    'error.noFile': 'Пожалуйста, выберите аудиофайл.',
+    'error.emptyPlan': 'В разметке не осталось ни одного фрагмента.',
+    'streaming.nonWav': 'вывод во FLAC',
+    'streaming.unsupported': 'для длинной записи отключите: {names}',
+
+    // Queue
+    'queue.partlyFailed': 'Готово, но {failed} из {total} файлов не удалось обработать.',
+    'queue.done': 'Готово: {count} файлов.',
+    'queue.zipFailed': 'Не удалось собрать ZIP. Подробности в консоли.',
+    'queue.status.queued': 'В очереди',
+    'queue.status.processing': 'Обработка',
+    'queue.status.done': 'Готово',
+    'queue.status.error': 'Ошибка',
+    'queue.status.cancelled': 'Отменено',
+    'queue.openFile': 'Открыть в плеере и разметке',
+    'queue.download': 'Скачать',
+    'multitrack.noLong': 'длинные записи не обрабатываются как синхронные дорожки',
+    'multitrack.rateMismatch': 'у дорожек разная частота дискретизации ({first} и {other} Гц)',
+    'multitrack.done': 'Готово: дорожек — {count}, разметка у всех общая.',
+    'multitrack.failed': 'Не удалось обработать дорожки: {error}',
+
+    // Calibration
+    'calibration.long': 'Калибровка недоступна для длинных записей.',
+    'calibration.result': 'Шум: {noise} dBFS, речь: {speech} dBFS',
+    'calibration.failed': 'Не удалось проанализировать файл. Подробности в консоли.',
+
+    // Presets
+    'presets.confirmDelete': 'Удалить пресет «{name}»?',
+    'presets.choose': 'Выберите пресет…',
+    'presets.none': 'Нет сохранённых пресетов',
+    'presets.namePrompt': 'Название пресета:',
+    'presets.confirmReplace': 'Пресет «{name}» уже есть. Заменить?',
+    'presets.storageFailed': 'Не удалось сохранить пресет: хранилище браузера недоступно.',
+    'presets.savedInfo': 'Пресет «{name}» сохранён.',
+    'presets.imported': 'Импортировано пресетов: {count}.',
+    'presets.importFailed': 'Не удалось импортировать пресеты: {error}',
+    'presets.linkCopied': 'Ссылка с текущими настройками скопирована.',
+    'presets.linkPrompt': 'Ссылка с текущими настройками:',
+    'presets.linkLoaded': 'Настройки загружены из ссылки.',
+
+    // Noise reduction
+    'denoise.region': 'Образец шума: {start}–{end} с',
+    'denoise.previewLong': 'Предпрослушивание шума недоступно для длинных записей.',
+    'denoise.previewReady': 'Готово: в плеере ниже только то, что удалит шумоподавление.',
+    'denoise.previewFailed': 'Не удалось подготовить прослушивание: {error}',
+
+    // Breaths and clicks
+    'artifacts.found': 'Найдено: {list}',
+    'artifacts.found.breath': 'дыхание',
+    'artifacts.found.mouth': 'звуки рта',
+    'artifacts.found.click': 'щелчки',
+    'artifacts.nothingFound': 'Ничего не найдено.',
+
+    // Dynamics and loudness
+    'dynamics.stage.compressor': 'компрессор',
+    'dynamics.stage.deesser': 'де-эссер',
+    'dynamics.stage.limiter': 'лимитер',
+    'dynamics.reducedBy': 'до −{db} dB',
+    'dynamics.idle': 'не срабатывал',
+    'dynamics.info': 'Ослабление: {list}',
+    'loudness.info': 'Было: {before}, пик {beforePeak} → стало: {after}, пик {afterPeak}',
+    'loudness.limited': 'Цель не достигнута полностью: пики ограничены лимитером.',
+    'level.silence': 'тишина',
+
+    // Live preview and A/B
+    'preview.unsupported': 'Живое прослушивание не поддерживается в этом браузере.',
+    'ab.processed': 'A/B: сейчас обработанное',
+
+    // Report
+    'report.duration': 'Длительность',
+    'report.removed': 'Вырезано',
+    'report.cuts': 'Склеек',
+    'report.longestPause': 'Самая длинная пауза',
+    'report.longestSegment': 'Самый длинный фрагмент',
+    'report.segmentSpan': '{duration} ({start}–{end} с в исходнике)',
+    'report.peak': 'Пик',
+    'report.rms': 'RMS',
+    'report.binRange': '{from}–{to} с',
+    'report.binOpen': 'от {from} с',
+    'report.warning.clipping': '{samples} отсчётов на пределе шкалы — в целочисленных форматах они обрежутся. Уменьшите усиление EQ или включите лимитер.',
+    'report.warning.overFullScale': '{samples} отсчётов выходят за предел шкалы. Во float-формате они сохранены, но при воспроизведении или переводе в целочисленный формат обрежутся.',
+    'report.warning.sourceClipping': 'В исходнике уже {samples} отсчётов на пределе шкалы: запись перегружена.',
+    'report.warning.noSilence': 'Тишина не найдена — файл не изменён. Попробуйте поднять порог тишины.',
+    'unit.seconds': '{value} с',
+
+    // EQ bands
+    'eq.type.peaking': 'Колокол',
+    'eq.type.lowshelf': 'Полка НЧ',
+    'eq.type.highshelf': 'Полка ВЧ',
+    'eq.type.highpass': 'Срез НЧ (high-pass)',
+    'eq.type.lowpass': 'Срез ВЧ (low-pass)',
+    'eq.type.notch': 'Режекция (notch)',
+    'eq.band.type': 'Полоса {index}: тип',
+    'eq.band.frequency': 'Полоса {index}: частота, Гц',
+    'eq.band.Q': 'Полоса {index}: добротность Q',
+    'eq.band.gain': 'Полоса {index}: усиление, dB',
+    'eq.field.frequency': 'Частота, Гц',
+    'eq.field.Q': 'Добротность (Q)',
+    'eq.field.gain': 'Усиление, dB',
+    'eq.removeBand': 'Удалить полосу',
+    'eq.removeBandN': 'Удалить полосу {index}',
+  });
+})();
@@ -0,0 +1,194 @@
+/*
+  Pipeline – the full cleaning chain on per-channel Float32Arrays
+
+  trim (+ breath/click removal, noise reduction, time-stretch) -> EQ -> dynamics -> loudness normalization. The processing
+  worker and the Node CLI both run this function, so a file processed with the
+  same options comes out sample-identical in either place. Encoding is a
+  separate step (encoders.js). Peak/RMS before and after (report.js) come
+  with every result.
+
+  processTracks runs the chain over several synchronized tracks (one file
+  per microphone): one jointly detected segment list cuts them all, then each
+  track gets its own EQ/dynamics/loudness, plus an optional mixdown.
+*/
+
+(function () {
+  const root = typeof window !== 'undefined' ? window : typeof self !== 'undefined' ? self : globalThis;
+  const load = (name, file) => root[name] || require(file);
+  const trimmer = load('_speechTrimmer', './speechTrimmer.js');
+  const { trimChannels, planJointSegments, downmixChannels } = trimmer;
+  const { applyEq } = load('audioEqualizer', './equalizer.js');
+  const { applyDynamics } = load('audioDynamics', './dynamics.js');
+  const { normalizeLoudness, LOUDNESS_DEFAULTS } = load('audioLoudness', './loudness.js');
+  const { measureLevels } = load('audioReport', './report.js');
+
+  /**
+   * @param {Float32Array[]} channels source samples (loudness normalization may
+   *   write into them when nothing else copied them first)
+   * @param {number} sampleRate
+   * @param {object} options trimChannels options (speechTrimmer.js), plus
+   *   eq: band list (equalizer.js) or null, dynamics: stage settings (dynamics.js) or null,
+   *   loudness: {targetLufs, truePeakDb} or null
+   *   and onProgress(stage, fraction) for 'detect', 'artifacts', 'denoise', 'stitch', 'stretch', 'eq', 'dynamics' and 'loudness'
+   * @returns {{channels: Float32Array[], sampleRate: number, segments: Array<[number, number]>, trimmed: boolean,
+   *   events: Array<object>, cutList: object, dynamics: object|null, loudness: object|null,
+   *   levels: {before: object, after: object}}} dynamics: {reductionDb} per stage that ran;
+   *   loudness: {before, after, limited, targetLufs} when normalized; levels: measureLevels (report.js)
+   *   of the input and the output
+   */
+  function processChannels(channels, sampleRate, options = {}) {
+    const { eq, dynamics, loudness, ...trimOptions } = options;
+    const before = measureLevels(channels);
+    const trimmed = trimChannels(channels, sampleRate, trimOptions);
+    let output = trimmed.channels;
+
+    if (eq) output = applyEq(output, sampleRate, eq, { onProgress: options.onProgress });
+
+    let dynamicsResult = null;
+    if (dynamics) {
+      const processed = applyDynamics(output, sampleRate, dynamics, { onProgress: options.onProgress });
+      output = processed.channels;
+      dynamicsResult = { reductionDb: processed.reductionDb };
+    }
+
+    let loudnessResult = null;
+    if (loudness) {
+      const normalized = normalizeLoudness(output, sampleRate, { ...loudness, onProgress: options.onProgress });
+      output = normalized.channels;
+      loudnessResult = {
+        before: normalized.before,
+        after: normalized.after,
+        limited: normalized.limited,
+        targetLufs: loudness.targetLufs ?? LOUDNESS_DEFAULTS.targetLufs,
+      };
+    }
+
+    return {
+      ...trimmed,
+      channels: output,
+      dynamics: dynamicsResult,
+      loudness: loudnessResult,
+      levels: { before, after: measureLevels(output) },
+    };
+  }
+
+  // processChannels stages after detection, in order
+  const TRACK_STAGES = ['artifacts', 'denoise', 'stitch', 'stretch', 'eq', 'dynamics', 'loudness'];
+
+  /**
+   * Clean tracks recorded side by side so they stay in sync: silence is
+   * detected jointly (planJointSegments) and the one segment list is applied
+   * to every track. Shorter tracks are padded with silence to the longest.
+   * Breaths and clicks are attenuated per track but never removed, since
+   * removal would cut one track only ('remove' attenuates by the type's
+   * amountDb); splices snap on the sum of the tracks, and a speech-only
+   * time-stretch follows the speech of all tracks, so every track gets the
+   * same new timeline.
+   * onProgress sees 'detect', 'tracks' and, with mixdown, 'mix'.
+   * @param {Float32Array[][]} tracks per-track channel arrays
+   * @param {number} sampleRate shared by all tracks
+   * @param {object} options processChannels options, plus mixdown: also sum the
+   *   processed tracks into one (loudness-normalized like the tracks if loudness is set)
+   * @returns {{tracks: Array<{channels: Float32Array[], events: Array<object>, dynamics: object|null, loudness: object|null,
+   *   levels: object}>,
+   *   sampleRate: number, segments: Array<[number, number]>, trimmed: boolean, cutList: object,
+   *   mixdown: {channels: Float32Array[], gainDb: number, loudness: object|null}|null}} mixdown.gainDb: the scaling
+   *   that kept the sum from clipping (0 when none was needed)
+   */
+  function processTracks(tracks, sampleRate, options = {}) {
+    if (tracks.length === 0) throw new Error('No tracks to process');
+    const { mixdown, onProgress = noop, ...rest } = options;
+    const length = Math.max(...tracks.map((channels) => (channels[0] ? channels[0].length : 0)));
+    const padded = tracks.map((channels) => channels.map((data) => (data.length === length ? data : padTo(data, length))));
+
+    const monoTracks = padded.map(downmixChannels);
+    let segments = rest.segments ?? planJointSegments(monoTracks, sampleRate, { ...rest, onProgress });
+    if ((rest.spliceSnap ?? trimmer.DEFAULTS.spliceSnap) !== 'none') {
+      const mix = downmixChannels(monoTracks);
+      segments = trimmer.snapSegments(segments, sampleRate, rest, mix);
+    }
+    onProgress('detect', 1);
+
+    let { stretch } = rest;
+    if (stretch && !stretch.regions && (stretch.speechOnly ?? true)) {
+      const stretcher = load('audioTimeStretch', './timeStretch.js');
+      const overlapSamples = trimmer.msToSamples(rest.overlapMs ?? trimmer.DEFAULTS.overlapMs, sampleRate);
+      const stitched = monoTracks.map((mono) =>
+        trimmer.buildOutputBufferFromSegments(mono, segments, overlapSamples, undefined, rest.fadeCurve)
+      );
+      stretch = { ...stretch, regions: stretcher.speechRegions(stitched, sampleRate, rest) };
+    }
+
+    // Removal would cut one track only
+    const artifacts = rest.artifacts && load('audioArtifacts', './artifacts.js').attenuateRemovals(rest.artifacts);
+
+    // Each track's share of the bar, split evenly over the stages it runs
+    const stages = TRACK_STAGES.filter((stage) => stage === 'stitch' || rest[stage]);
+    const results = padded.map((channels, t) => {
+      const trackProgress = (stage, fraction) => {
+        const index = stages.indexOf(stage);
+        if (index >= 0) onProgress('tracks', (t + (index + fraction) / stages.length) / padded.length);
+      };
+      // Already snapped jointly; snapping again per track would pull them apart
+      return processChannels(channels, sampleRate, { ...rest, segments, spliceSnap: 'none', stretch, artifacts, onProgress: trackProgress });
+    });
+    onProgress('tracks', 1);
+
+    const first = results[0];
+    return {
+      tracks: results.map(({ channels, events, dynamics, loudness, levels }) => ({ channels, events, dynamics, loudness, levels })),
+      sampleRate,
+      segments,
+      trimmed: first.trimmed,
+      cutList: first.cutList,
+      mixdown: mixdown ? mixTracks(results.map((result) => result.channels), sampleRate, rest.loudness, onProgress) : null,
+    };
+  }
+
+  // Sum of the tracks, mono ones spread over every channel of the widest track
+  function mixTracks(tracks, sampleRate, loudness, onProgress) {
+    const channelCount = Math.max(...tracks.map((channels) => channels.length));
+    const length = tracks[0][0].length;
+    const mix = Array.from({ length: channelCount }, () => new Float32Array(length));
+    tracks.forEach((channels, t) => {
+      for (let ch = 0; ch < channelCount; ch++) {
+        const src = channels[channels.length === 1 ? 0 : ch] || new Float32Array(length);
+        const dst = mix[ch];
+        for (let i = 0; i < length; i++) dst[i] += src[i];
+      }
+      onProgress('mix', (t + 1) / tracks.length);
+    });
+
+    if (loudness) {
+      const normalized = normalizeLoudness(mix, sampleRate, loudness);
+      const { before, after, limited } = normalized;
+      const targetLufs = loudness.targetLufs ?? LOUDNESS_DEFAULTS.targetLufs;
+      return { channels: normalized.channels, gainDb: 0, loudness: { before, after, limited, targetLufs } };
+    }
+
+    // Without normalization only keep the sum below full scale
+    let peak = 0;
+    for (const data of mix) {
+      for (let i = 0; i < length; i++) peak = Math.max(peak, Math.abs(data[i]));
+    }
+    if (peak <= 1) return { channels: mix, gainDb: 0, loudness: null };
+    const gain = 1 / peak;
+    for (const data of mix) {
+      for (let i = 0; i < length; i++) data[i] *= gain;
+    }
+    return { channels: mix, gainDb: 20 * Math.log10(gain), loudness: null };
+  }
+
+  function padTo(data, length) {
+    const out = new Float32Array(length);
+    out.set(data);
+    return out;
+  }
+
+  function noop() {}
+
+  // window on the page, self in the worker, module.exports under Node
+  const api = { processChannels, processTracks };
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+  else root.audioPipeline = api;
+})();
@@ -0,0 +1,160 @@
+/*
+  Settings presets – named snapshots of every processing setting
+
+  - Stored in localStorage under one key (name -> settings)
+  - JSON import/export of the whole collection
+  - URL fragment (#settings=...) carrying the current settings, so a shared
+    link opens with exactly the same configuration
+
+  Settings are plain objects ({ process, output, denoise, eq, loudness } in
+  app.js). Anything read back from storage, files or links goes through
+  sanitizeSettings, which keeps only known keys with the expected types.
+*/
+
+(function () {
+  const STORAGE_KEY = 'elabs-cleaner.presets';
+  const FILE_KIND = 'elabs-cleaner-presets';
+  const FILE_VERSION = 1;
+  const FRAGMENT_KEY = 'settings';
+
+  /**
+   * Saved presets, sorted by name.
+   * @returns {Object<string, object>} name -> settings (not yet sanitized)
+   */
+  function loadPresets() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+      return stored && typeof stored === 'object' && !Array.isArray(stored) ? sortByName(stored) : {};
+    } catch (_) {
+      // Corrupt entry or storage disabled (private mode, file://)
+      return {};
+    }
+  }
+
+  function savePresets(presets) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+  }
+
+  function savePreset(name, settings) {
+    const presets = loadPresets();
+    presets[name] = settings;
+    savePresets(sortByName(presets));
+  }
+
+  function deletePreset(name) {
+    const presets = loadPresets();
+    delete presets[name];
+    savePresets(presets);
+  }
+
+  /**
+   * Serialize presets for download.
+   * @param {Object<string, object>} presets
+   */
+  function exportPresets(presets) {
+    return JSON.stringify({ kind: FILE_KIND, version: FILE_VERSION, presets }, null, 2);
+  }
+
+  /**
+   * Parse a file written by exportPresets.
+   * @returns {Object<string, object>} name -> settings (not yet sanitized)
+   */
+  function parsePresetFile(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (_) {
+      throw new Error('Preset file is not valid JSON');
+    }
+    if (!data || data.kind !== FILE_KIND || !data.presets || typeof data.presets !== 'object') {
+      throw new Error('Not an E-labs Cleaner preset file');
+    }
+    if (data.version > FILE_VERSION) {
+      throw new Error(`Preset file version ${data.version} is newer than this app supports`);
+    }
+    return data.presets;
+  }
+
+  /**
+   * URL fragment carrying the settings (base64url of the JSON).
+   * @returns {string} e.g. '#settings=eyJ...'
+   */
+  function settingsToFragment(settings) {
+    const bytes = new TextEncoder().encode(JSON.stringify(settings));
+    let binary = '';
+    for (const byte of bytes) binary += String.fromCharCode(byte);
+    const encoded = btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    return `#${FRAGMENT_KEY}=${encoded}`;
+  }
+
+  /**
+   * Settings from a location.hash written by settingsToFragment, or null.
+   * @returns {object|null} not yet sanitized
+   */
+  function settingsFromFragment(hash) {
+    const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+    const encoded = params.get(FRAGMENT_KEY);
+    if (!encoded) return null;
+    try {
+      const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+      const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+      return JSON.parse(new TextDecoder().decode(bytes));
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * Overlay untrusted settings onto defaults: only keys present in defaults
+   * survive, and only with the same type (finite numbers for numbers).
+   * Nested objects are merged the same way; array items are checked against
+   * the first item of the default array.
+   */
+  function sanitizeSettings(settings, defaults) {
+    const result = {};
+    for (const [key, fallback] of Object.entries(defaults)) {
+      const value = settings && typeof settings === 'object' ? settings[key] : undefined;
+      if (Array.isArray(fallback)) {
+        result[key] = Array.isArray(value) ? sanitizeArray(value, fallback) : fallback.map(copyValue);
+      } else if (fallback && typeof fallback === 'object') {
+        result[key] = sanitizeSettings(value, fallback);
+      } else if (typeof value === typeof fallback && (typeof value !== 'number' || Number.isFinite(value))) {
+        result[key] = value;
+      } else {
+        result[key] = fallback;
+      }
+    }
+    return result;
+  }
+
+  function sanitizeArray(values, defaults) {
+    if (defaults.length === 0) return [];
+    const template = defaults[0];
+    if (template && typeof template === 'object') {
+      return values.filter((item) => item && typeof item === 'object').map((item) => sanitizeSettings(item, template));
+    }
+    return values.filter((item) => typeof item === typeof template && (typeof item !== 'number' || Number.isFinite(item)));
+  }
+
+  function copyValue(value) {
+    return value && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+  }
+
+  function sortByName(presets) {
+    const sorted = {};
+    for (const name of Object.keys(presets).sort((a, b) => a.localeCompare(b))) sorted[name] = presets[name];
+    return sorted;
+  }
+
+  window.settingsPresets = {
+    loadPresets,
+    savePreset,
+    deletePreset,
+    savePresets,
+    exportPresets,
+    parsePresetFile,
+    settingsToFragment,
+    settingsFromFragment,
+    sanitizeSettings,
+  };
+})();
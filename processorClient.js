@@ -0,0 +1,225 @@
+/*
+  Processing client – main-thread side of processorWorker.js
+
+  Every job gets its own worker, so cancelling (AbortSignal) simply terminates it.
+  When workers are unavailable (e.g. the page is opened from file://) the same
+  code (speechTrimmer.js, pipeline.js, ...) runs on the main thread instead.
+
+  Replaces window.processAudioBuffer with a worker-backed version that keeps
+  the original signature; options may additionally carry `signal`,
+  `onProgress(stage, fraction)` and `onCutList(cutList)`.
+*/
+
+(function () {
+  const WORKER_URL = 'processorWorker.js';
+  const trimmer = window._speechTrimmer;
+
+  // Resolves to whether a worker can be started from this page (probed once)
+  let workerSupport = null;
+
+  /**
+   * Full cleaning chain (see pipeline.js): trim, optional EQ and loudness
+   * normalization. The arrays are transferred to the worker.
+   * @param {Float32Array[]} channels
+   * @param {number} sampleRate
+   * @param {object} options processChannels options (cloneable values only)
+   * @returns {Promise<{channels: Float32Array[], sampleRate: number, segments: Array<[number, number]>, trimmed: boolean,
+   *   cutList: object, loudness: object|null, levels: {before: object, after: object}}>}
+   */
+  async function process(channels, sampleRate, options, control = {}) {
+    return runJob(
+      { type: 'process', channels, sampleRate, options },
+      () => window.audioPipeline.processChannels(channels, sampleRate, { ...options, onProgress: control.onProgress }),
+      control
+    );
+  }
+
+  /**
+   * Synchronized tracks (one per microphone) with one joint cut list and an
+   * optional mixdown (see processTracks in pipeline.js). The arrays are
+   * transferred to the worker.
+   * @param {Float32Array[][]} tracks per-track channels, same sample rate
+   * @param {number} sampleRate
+   * @param {object} options processTracks options (cloneable values only)
+   * @returns {Promise<{tracks: Array<{channels: Float32Array[], events: Array<object>, dynamics: object|null, loudness: object|null,
+   *   levels: object}>,
+   *   mixdown: {channels: Float32Array[], gainDb: number, loudness: object|null}|null, sampleRate: number,
+   *   segments: Array<[number, number]>, trimmed: boolean, cutList: object}>}
+   */
+  async function processTracks(tracks, sampleRate, options, control = {}) {
+    return runJob(
+      { type: 'processTracks', tracks, sampleRate, options },
+      () => window.audioPipeline.processTracks(tracks, sampleRate, { ...options, onProgress: control.onProgress }),
+      control
+    );
+  }
+
+  /**
+   * Trim silences from an AudioBuffer.
+   * @param {AudioBuffer} audioBuffer
+   * @param {object} options processing options (cloneable values only)
+   * @param {{signal?: AbortSignal, onProgress?: (stage: string, fraction: number) => void}} [control]
+   * @returns {Promise<{channels: Float32Array[], sampleRate: number, segments: Array<[number, number]>, trimmed: boolean,
+   *   cutList: object}>}
+   */
+  async function trim(audioBuffer, options, control = {}) {
+    const channels = trimmer.extractChannels(audioBuffer);
+    const sampleRate = audioBuffer.sampleRate;
+    return runJob(
+      { type: 'trim', channels, sampleRate, options },
+      () => trimmer.trimChannels(channels, sampleRate, { ...options, onProgress: control.onProgress }),
+      control
+    );
+  }
+
+  /**
+   * Spectral noise reduction on unstitched audio (see denoise.js), e.g. for the
+   * noise-only preview. The arrays are transferred to the worker.
+   * @param {{regions: Array<[number, number]>, amountDb?: number, noiseOnly?: boolean}} options
+   * @returns {Promise<Float32Array[]>}
+   */
+  async function denoise(channels, sampleRate, options, control = {}) {
+    const { regions, ...rest } = options;
+    const result = await runJob(
+      { type: 'denoise', channels, sampleRate, options },
+      () => ({
+        channels: window.audioDenoise.denoiseChannels(channels, sampleRate, regions, { ...rest, onProgress: control.onProgress }),
+      }),
+      control
+    );
+    return result.channels;
+  }
+
+  /**
+   * Encode per-channel samples to a Blob (see audioEncoders.OUTPUT_FORMATS). The
+   * arrays are transferred to the worker, so callers must not use them afterwards.
+   * @param {{format?: string, dither?: boolean}} [options]
+   * @returns {Promise<Blob>}
+   */
+  async function encode(channels, sampleRate, options = {}, control = {}) {
+    const result = await runJob(
+      { type: 'encode', channels, sampleRate, options },
+      async () => ({
+        blob: await window.audioEncoders.encodeAudio(channels, sampleRate, { ...options, onProgress: control.onProgress }),
+      }),
+      control
+    );
+    return result.blob;
+  }
+
+  /**
+   * Trim and EQ a long WAV file without decoding it as a whole (see
+   * streaming.js); only the Blob output is held, outside the JS heap.
+   * @param {File|Blob} file
+   * @param {object} options processWavStream options (cloneable values only)
+   * @returns {Promise<{blob: Blob, sampleRate: number, segments: Array<[number, number]>, trimmed: boolean,
+   *   cutList: object, levels: {before: object, after: object}}>}
+   */
+  async function processStream(file, options, control = {}) {
+    const { processWavStream, blobSource, createBlobSink } = window.audioStreaming;
+    return runJob(
+      { type: 'processStream', file, options },
+      async () => {
+        const sink = createBlobSink();
+        const result = await processWavStream(blobSource(file), sink, { ...options, onProgress: control.onProgress });
+        return { ...result, blob: sink.blob() };
+      },
+      control
+    );
+  }
+
+  /**
+   * Worker-backed drop-in for processAudioBuffer from audioProcessor.js.
+   */
+  async function processAudioBuffer(audioContext, audioBuffer, options = {}) {
+    const { signal, onProgress, onCutList, format, dither, ...rest } = options;
+    const control = { signal, onProgress };
+    const { channels, sampleRate, cutList } = await trim(audioBuffer, rest, control);
+    if (onCutList) onCutList(cutList);
+    const chunks = window.wavMetadata.buildWavMetadata([], cutList);
+    return encode(channels, sampleRate, { format, dither, chunks }, control);
+  }
+
+  async function runJob(message, runInline, control) {
+    const { signal, onProgress } = control;
+    if (signal && signal.aborted) throw abortError();
+    if (!(await detectWorkerSupport())) return runInlineJob(runInline, signal);
+
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(WORKER_URL);
+      const finish = () => {
+        worker.terminate();
+        if (signal) signal.removeEventListener('abort', onAbort);
+      };
+      const onAbort = () => {
+        finish();
+        reject(abortError());
+      };
+      if (signal) signal.addEventListener('abort', onAbort);
+
+      worker.onmessage = (event) => {
+        const data = event.data;
+        if (data.type === 'progress') {
+          if (onProgress) onProgress(data.stage, data.fraction);
+        } else if (data.type === 'result') {
+          finish();
+          resolve(data);
+        } else if (data.type === 'error') {
+          finish();
+          reject(new Error(data.message));
+        }
+      };
+
+      worker.onerror = (event) => {
+        event.preventDefault();
+        finish();
+        reject(new Error(event.message || 'Worker failed'));
+      };
+
+      const transfer = (message.channels || (message.tracks || []).flat()).map((data) => data.buffer);
+      worker.postMessage(message, transfer);
+    });
+  }
+
+  // Sample buffers are transferred to the worker, so a failed start could not
+  // fall back afterwards: check with a ping before the first real job.
+  function detectWorkerSupport() {
+    if (workerSupport) return workerSupport;
+    workerSupport = new Promise((resolve) => {
+      let worker;
+      try {
+        worker = new Worker(WORKER_URL);
+      } catch (_) {
+        resolve(false);
+        return;
+      }
+      const done = (supported) => {
+        worker.terminate();
+        resolve(supported);
+      };
+      worker.onmessage = (event) => done(event.data.type === 'pong');
+      worker.onerror = (event) => {
+        event.preventDefault();
+        done(false);
+      };
+      worker.postMessage({ type: 'ping' });
+    });
+    return workerSupport;
+  }
+
+  async function runInlineJob(runInline, signal) {
+    // Let the UI paint the current stage before blocking the thread
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    if (signal && signal.aborted) throw abortError();
+    const result = await runInline();
+    if (signal && signal.aborted) throw abortError();
+    return result;
+  }
+
+  function abortError() {
+    return new DOMException('Processing cancelled', 'AbortError');
+  }
+
+  window.audioJobs = { process, processTracks, trim, denoise, encode, processStream };
+  window.processAudioBuffer = processAudioBuffer;
+})();
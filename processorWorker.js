@@ -0,0 +1,80 @@
+/*
+  Processing worker – runs the DSP (speechTrimmer.js, pipeline.js, ...) off the main thread.
+
+  Messages in:
+    { type: 'ping' }  (answered with { type: 'pong' } once the scripts loaded)
+    { type: 'process', channels: Float32Array[], sampleRate, options }  (pipeline.js: trim, EQ, dynamics, loudness)
+    { type: 'processTracks', tracks: Float32Array[][], sampleRate, options }  (pipeline.js: synchronized tracks, mixdown)
+    { type: 'trim', channels: Float32Array[], sampleRate, options }
+    { type: 'denoise', channels: Float32Array[], sampleRate, options }  (options: regions, amountDb, noiseOnly)
+    { type: 'encode', channels: Float32Array[], sampleRate, options }  (options: format, dither)
+    { type: 'processStream', file: File, options }  (streaming.js: trim and EQ of a long WAV, read in chunks)
+  Messages out:
+    { type: 'progress', stage, fraction }
+    { type: 'result', ... }  (trim: channels, sampleRate, segments, trimmed, events; process: as trim plus dynamics, loudness, levels;
+                              processTracks: tracks, mixdown, sampleRate, segments, trimmed, cutList;
+                              denoise: channels; encode: blob;
+                              processStream: blob, sampleRate, segments, trimmed, cutList, levels)
+    { type: 'error', message }
+*/
+
+importScripts('speechTrimmer.js', 'wavReader.js', 'wavMetadata.js', 'denoise.js', 'artifacts.js', 'timeStretch.js', 'equalizer.js', 'loudness.js', 'dynamics.js', 'report.js', 'pipeline.js', 'streaming.js', 'vendor/opus/opusscript_native_wasm.js', 'vendor/opus/opusscript_native_wasm.wasm.js', 'encoders.js');
+
+(function () {
+  const { trimChannels } = self._speechTrimmer;
+  const { processChannels, processTracks } = self.audioPipeline;
+  const { denoiseChannels } = self.audioDenoise;
+  const { encodeAudio } = self.audioEncoders;
+  const { processWavStream, blobSource, createBlobSink } = self.audioStreaming;
+
+  // Skip progress messages that would not move the bar visibly
+  const PROGRESS_STEP = 0.01;
+  let lastStage = null;
+  let lastFraction = 0;
+
+  function reportProgress(stage, fraction) {
+    if (stage === lastStage && fraction < 1 && fraction - lastFraction < PROGRESS_STEP) return;
+    lastStage = stage;
+    lastFraction = fraction;
+    self.postMessage({ type: 'progress', stage, fraction });
+  }
+
+  self.onmessage = async (event) => {
+    const { type, channels, tracks, sampleRate, options, file } = event.data;
+    try {
+      if (type === 'ping') {
+        self.postMessage({ type: 'pong' });
+      } else if (type === 'process') {
+        const result = processChannels(channels, sampleRate, { ...options, onProgress: reportProgress });
+        const transfer = result.channels.map((data) => data.buffer);
+        self.postMessage({ type: 'result', ...result }, transfer);
+      } else if (type === 'processTracks') {
+        const result = processTracks(tracks, sampleRate, { ...options, onProgress: reportProgress });
+        const outputs = result.tracks.map((track) => track.channels);
+        if (result.mixdown) outputs.push(result.mixdown.channels);
+        const transfer = outputs.flat().map((data) => data.buffer);
+        self.postMessage({ type: 'result', ...result }, transfer);
+      } else if (type === 'trim') {
+        const result = trimChannels(channels, sampleRate, { ...options, onProgress: reportProgress });
+        const transfer = result.channels.map((data) => data.buffer);
+        self.postMessage({ type: 'result', ...result }, transfer);
+      } else if (type === 'denoise') {
+        const { regions, ...rest } = options;
+        const result = denoiseChannels(channels, sampleRate, regions, { ...rest, onProgress: reportProgress });
+        self.postMessage({ type: 'result', channels: result }, result.map((data) => data.buffer));
+      } else if (type === 'encode') {
+        const blob = await encodeAudio(channels, sampleRate, { ...options, onProgress: reportProgress });
+        self.postMessage({ type: 'result', blob });
+      } else if (type === 'processStream') {
+        const sink = createBlobSink();
+        const result = await processWavStream(blobSource(file), sink, { ...options, onProgress: reportProgress });
+        const { sampleRate: rate, segments, trimmed, cutList, levels } = result;
+        self.postMessage({ type: 'result', blob: sink.blob(), sampleRate: rate, segments, trimmed, cutList, levels });
+      } else {
+        throw new Error(`Unknown job type: ${type}`);
+      }
+    } catch (err) {
+      self.postMessage({ type: 'error', message: err && err.message ? err.message : String(err) });
+    }
+  };
+})();
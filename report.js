@@ -0,0 +1,144 @@
+/*
+  Processing report – what one run did to a recording, as plain data
+
+  - durations before and after, the share removed and the number of cuts
+  - the removed pauses as a histogram (PAUSE_BINS) and the longest kept segment
+  - sample peak and RMS before and after, and how many samples reach full scale
+  - warnings as codes with their numbers, worded by whoever shows them:
+    'clipping' (integer and lossy output clamps those samples),
+    'overFullScale' (the same samples in float output, kept as they are but
+    past what players reproduce), 'sourceClipping', 'noSilence' (nothing was
+    cut, the output is the input)
+
+  Levels are measured by the pipeline (processChannels, processWavStream) with
+  createLevelMeter; buildReport only puts the pieces together, so the page and
+  the CLI (--report) write the same JSON.
+*/
+
+(function () {
+  const root = typeof window !== 'undefined' ? window : typeof self !== 'undefined' ? self : globalThis;
+
+  // Upper edges (seconds) of the pause histogram bins; the last bin is open
+  const PAUSE_BINS = [0.25, 0.5, 1, 2, 5];
+  // Output formats (encoders.js ids) that store samples as float, so nothing is clamped
+  const FLOAT_FORMATS = ['wav32f'];
+
+  /**
+   * Peak and RMS over audio that arrives in pieces.
+   * @returns {{push: (channels: Float32Array[]) => void,
+   *   result: () => {peakDb: number|null, rmsDb: number|null, clippedSamples: number}}} dB relative to
+   *   full scale, null for digital silence; clippedSamples: samples at or past full scale
+   */
+  function createLevelMeter() {
+    let peak = 0;
+    let energy = 0;
+    let count = 0;
+    let clipped = 0;
+    return {
+      push(channels) {
+        for (const data of channels) {
+          for (let i = 0; i < data.length; i++) {
+            const value = Math.abs(data[i]);
+            if (value > peak) peak = value;
+            if (value >= 1) clipped++;
+            energy += data[i] * data[i];
+          }
+          count += data.length;
+        }
+      },
+      result: () => ({
+        peakDb: toDb(peak),
+        rmsDb: count ? toDb(Math.sqrt(energy / count)) : null,
+        clippedSamples: clipped,
+      }),
+    };
+  }
+
+  /**
+   * createLevelMeter over whole channels.
+   */
+  function measureLevels(channels) {
+    const meter = createLevelMeter();
+    meter.push(channels);
+    return meter.result();
+  }
+
+  /**
+   * @param {{cutList: object, trimmed: boolean, levels?: {before: object, after: object}|null,
+   *   events?: Array<object>, format?: string, source?: string, settings?: object}} run cutList from
+   *   buildCutList, levels as the pipeline measured them, format the OUTPUT_FORMATS id the run
+   *   wrote (decides between 'clipping' and 'overFullScale'), settings recorded as given
+   * @returns {object} plain data, ready for JSON.stringify
+   */
+  function buildReport(run) {
+    const { cutList, trimmed } = run;
+    const removed = Math.max(0, cutList.sourceDuration - cutList.outputDuration);
+
+    let longest = null;
+    for (const seg of cutList.segments) {
+      const duration = seg.sourceEnd - seg.sourceStart;
+      if (!longest || duration > longest.duration) {
+        longest = { index: seg.index, sourceStart: seg.sourceStart, sourceEnd: seg.sourceEnd, duration };
+      }
+    }
+
+    // Pauses: the removed gaps between kept segments (not the head or tail of the file)
+    const pauses = [];
+    for (let i = 1; i < cutList.segments.length; i++) {
+      const gap = cutList.segments[i].sourceStart - cutList.segments[i - 1].sourceEnd;
+      if (gap > 0) pauses.push(gap);
+    }
+    const histogram = [0, ...PAUSE_BINS].map((from, i) => ({ from, to: PAUSE_BINS[i] ?? null, count: 0 }));
+    for (const pause of pauses) {
+      const bin = PAUSE_BINS.findIndex((edge) => pause < edge);
+      histogram[bin < 0 ? PAUSE_BINS.length : bin].count++;
+    }
+
+    const levels = run.levels || null;
+    const warnings = [];
+    if (levels && levels.after.clippedSamples > 0) {
+      const code = FLOAT_FORMATS.includes(run.format) ? 'overFullScale' : 'clipping';
+      warnings.push({ code, samples: levels.after.clippedSamples, peakDb: levels.after.peakDb });
+    }
+    if (levels && levels.before.clippedSamples > 0) {
+      warnings.push({ code: 'sourceClipping', samples: levels.before.clippedSamples });
+    }
+    if (!trimmed) warnings.push({ code: 'noSilence' });
+
+    const events = {};
+    for (const event of run.events || []) events[event.type] = (events[event.type] || 0) + 1;
+
+    return {
+      source: run.source ?? null,
+      format: run.format ?? null,
+      durations: {
+        source: cutList.sourceDuration,
+        output: cutList.outputDuration,
+        removed,
+        removedPercent: cutList.sourceDuration > 0 ? (removed / cutList.sourceDuration) * 100 : 0,
+      },
+      cuts: cutList.cuts.length,
+      segments: { count: cutList.segments.length, longest },
+      pauses: { count: pauses.length, longest: pauses.reduce((max, pause) => Math.max(max, pause), 0), histogram },
+      events,
+      levels,
+      warnings,
+      settings: run.settings ?? null,
+    };
+  }
+
+  function toDb(value) {
+    return value > 0 ? 20 * Math.log10(value) : null;
+  }
+
+  // window on the page, self in the worker, module.exports under Node
+  const api = {
+    PAUSE_BINS,
+    FLOAT_FORMATS,
+    createLevelMeter,
+    measureLevels,
+    buildReport,
+  };
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+  else root.audioReport = api;
+})();
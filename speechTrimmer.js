@@ -0,0 +1,1245 @@
+/*
+  Dynamic Speech Trimmer – DSP core
+
+  Works on per-channel Float32Arrays only (no AudioContext, no DOM), so the
+  page, the processing worker and Node (headless.js, cli.js) run the same code.
+  AudioBuffer helpers live in audioProcessor.js.
+
+  Tweak these options to change behavior:
+  - silenceThreshold (higher = more aggressive, lower = more sensitive)
+  - minSilenceMs    (higher = only long pauses get cut)
+  - overlapMs       (higher = smoother transitions, slightly less compression)
+  - fadeCurve       (crossfade shape, see FADE_CURVES)
+  - spliceSnap/snapWindowMs (move splices to zero crossings or to the best-matching offset)
+  - channelMode     ('preserve' keeps every channel, 'mono' downmixes the output)
+  - detector/closeThreshold/attackMs/holdMs/releaseMs/minSpeechMs/preRollMs/postRollMs
+                    (speech gate, see DETECTOR_DEFAULTS)
+  - keepPausePercent/maxPauseMs (keep part of each pause, capped)
+  - sentenceGapMs/sentencePauseMs (gaps at least this long keep at least this much)
+  - stretch         (speed the stitched speech up, timeStretch.js)
+*/
+
+(function () {
+  const root = typeof window !== 'undefined' ? window : typeof self !== 'undefined' ? self : globalThis;
+
+  const DEFAULTS = {
+    silenceThreshold: 0.015,
+    minSilenceMs: 250,
+    overlapMs: 70,
+    fadeCurve: 'linear', // see FADE_CURVES
+    spliceSnap: 'none', // 'none' | 'zeroCrossing' | 'correlation'
+    snapWindowMs: 5,
+    channelMode: 'preserve', // 'preserve' | 'mono'
+    // Pause retention: how much of each cut gap survives (all zero = cut fully)
+    keepPausePercent: 0,
+    maxPauseMs: 400,
+    sentenceGapMs: 700,
+    sentencePauseMs: 0,
+  };
+
+  // Speech gate defaults. openThreshold falls back to silenceThreshold,
+  // closeThreshold to half of the open threshold.
+  const DETECTOR_DEFAULTS = {
+    detector: 'rms', // 'rms' | 'peak'
+    frameMs: 10,
+    attackMs: 5,
+    holdMs: 60,
+    releaseMs: 20,
+    minSpeechMs: 30, // regions with less loud material than this are clicks
+    preRollMs: 30,
+    postRollMs: 50,
+  };
+
+  // Crossfade shapes: fade-in gain for t in [0, 1); the fade-out is the
+  // mirror image, fadeIn(1 - t)
+  const FADE_CURVES = {
+    // Gains sum to one: right for correlated material, dips ~3 dB on uncorrelated
+    linear: (t) => t,
+    // Powers sum to one: no dip on uncorrelated material, a bump on correlated
+    equalPower: (t) => Math.sin((t * Math.PI) / 2),
+    // Smootherstep: flat at both ends, steepest in the middle
+    sCurve: (t) => t * t * t * (t * (6 * t - 15) + 10),
+    // Half a Hann window: gains sum to one, smooth ends
+    raisedCosine: (t) => 0.5 - 0.5 * Math.cos(Math.PI * t),
+  };
+  const SPLICE_SNAP_MODES = ['none', 'zeroCrossing', 'correlation'];
+  // The correlation search compares every SNAP_COARSE_STEP-th sample and offset, then refines
+  const SNAP_COARSE_STEP = 4;
+
+  // Progress callbacks fire every (mask + 1) frames / segments / samples
+  const PROGRESS_FRAME_MASK = 0xfff;
+  const PROGRESS_SEGMENT_MASK = 0x3f;
+  const PROGRESS_SAMPLE_MASK = 0xfffff;
+
+  // Fixed dither noise seed: identical input always produces identical files
+  const DITHER_SEED = 0x2545f491;
+
+  // Lowest level the calibration histogram distinguishes (digital silence lands here)
+  const CALIBRATION_FLOOR_DB = -100;
+
+  // RIFF chunk sizes are 32-bit, which caps a WAV file just short of 4 GiB
+  const WAV_MAX_RIFF_SIZE = 0xffffffff;
+
+  /**
+   * Trim long silences from per-channel samples.
+   * Detection always runs on a mono sidechain; with channelMode 'preserve' the
+   * same cuts and crossfades are applied to every original channel.
+   * @param {Float32Array[]} sourceChannels
+   * @param {number} sampleRate
+   * @param {{silenceThreshold?: number, minSilenceMs?: number, overlapMs?: number, channelMode?: 'preserve'|'mono',
+   *   detector?: 'rms'|'peak', closeThreshold?: number, attackMs?: number, holdMs?: number, releaseMs?: number,
+   *   minSpeechMs?: number, preRollMs?: number, postRollMs?: number, keepPausePercent?: number,
+   *   maxPauseMs?: number, sentenceGapMs?: number, sentencePauseMs?: number, fadeCurve?: string,
+   *   spliceSnap?: 'none'|'zeroCrossing'|'correlation', snapWindowMs?: number, segments?: Array<[number, number]>, denoise?: {amountDb?: number, region?: [number, number]},
+   *   artifacts?: object, stretch?: {rate?: number, speechOnly?: boolean, regions?: Array<[number, number]>},
+   *   onProgress?: (stage: string, fraction: number) => void}} options
+   *   segments overrides detection; spliceSnap moves every splice (also of given segments) by up to
+   *   snapWindowMs, see snapSegments; denoise (needs denoise.js) runs spectral noise reduction before
+   *   stitching, profiled on the removed gaps or on region; artifacts (needs artifacts.js) flags breaths,
+   *   clicks and mouth noises and removes or attenuates them; stretch (needs timeStretch.js) speeds up
+   *   the stitched result and moves the cut list onto the new timeline; onProgress sees 'detect',
+   *   'artifacts', 'denoise', 'stitch' and 'stretch'
+   * @returns {{channels: Float32Array[], sampleRate: number, segments: Array<[number, number]>, trimmed: boolean,
+   *   events: Array<object>, cutList: object}} segments as stitched (after snapping), events as found by
+   *   detectArtifacts, cutList as built by buildCutList
+   */
+  function trimChannels(sourceChannels, sampleRate, options = {}) {
+    const overlapMs = options.overlapMs ?? DEFAULTS.overlapMs;
+    const fadeCurve = options.fadeCurve ?? DEFAULTS.fadeCurve;
+    const channelMode = options.channelMode ?? DEFAULTS.channelMode;
+    const onProgress = options.onProgress || noop;
+    const overlapSamples = msToSamples(overlapMs, sampleRate);
+
+    // Mono sidechain for detection (averages all channels)
+    const monoData = downmixChannels(sourceChannels);
+    let channels = channelMode === 'mono' ? [monoData] : sourceChannels;
+
+    // Manually edited segments (waveform editor) bypass detection entirely
+    const detected = options.segments ?? planSegments(monoData, sampleRate, options);
+    onProgress('detect', 1);
+
+    // Breaths, clicks and mouth noises (artifacts.js); edited segments already
+    // show the removals the way the user left them, so whatever they still keep
+    // is attenuated instead
+    let segments = detected;
+    let events = [];
+    let artifacts = null;
+    if (options.artifacts) {
+      artifacts = root.audioArtifacts || (typeof require === 'function' ? require('./artifacts.js') : null);
+      if (!artifacts) throw new Error('Breath and click detection requires artifacts.js');
+      const settings = options.segments ? artifacts.attenuateRemovals(options.artifacts) : options.artifacts;
+      events = artifacts.detectArtifacts(monoData, sampleRate, detected, { ...settings, onProgress });
+      if (!options.segments) segments = artifacts.removeEvents(detected, events, sampleRate);
+    }
+
+    // Noise reduction (denoise.js) learns from the cut gaps unless a region was picked
+    if (options.denoise) {
+      const denoiser = root.audioDenoise || (typeof require === 'function' ? require('./denoise.js') : null);
+      if (!denoiser) throw new Error('Noise reduction requires denoise.js');
+      const regions = options.denoise.region ? [options.denoise.region] : invertSegments(detected, monoData.length);
+      channels = denoiser.denoiseChannels(channels, sampleRate, regions, { ...options.denoise, onProgress });
+    }
+    if (artifacts) channels = artifacts.attenuateEvents(channels, sampleRate, events);
+
+    // Splices snap on the audio that actually gets stitched
+    if ((options.spliceSnap ?? DEFAULTS.spliceSnap) !== 'none') {
+      segments = snapSegments(segments, sampleRate, options, downmixChannels(channels));
+    }
+
+    // If no significant silence found, keep the original as-is
+    let cutList = buildCutList(segments, sampleRate, overlapSamples, monoData.length, events);
+    const trimmed = !(segments.length <= 1 && segments[0] && segments[0][0] === 0 && segments[0][1] === monoData.length);
+    if (trimmed) {
+      // Rebuild every channel with the same crossfades between segments
+      channels = channels.map((data, ch) => buildOutputBufferFromSegments(
+        data,
+        segments,
+        overlapSamples,
+        (fraction) => onProgress('stitch', (ch + fraction) / channels.length),
+        fadeCurve
+      ));
+    } else {
+      onProgress('stitch', 1);
+    }
+
+    // Faster speech (timeStretch.js) on the stitched result
+    if (options.stretch) {
+      const stretcher = root.audioTimeStretch || (typeof require === 'function' ? require('./timeStretch.js') : null);
+      if (!stretcher) throw new Error('Time-stretch requires timeStretch.js');
+      const stretched = stretcher.stretchChannels(channels, sampleRate, { ...options.stretch, gate: options, onProgress });
+      channels = stretched.channels;
+      cutList = applyTimeMap(cutList, stretched.timeMap);
+    }
+
+    return { channels, sampleRate, segments, trimmed, events, cutList };
+  }
+
+  /**
+   * Decide which parts of the mono sidechain to keep: detect speech, then give
+   * part of each pause back. Returns the [start, end] list buildOutputBufferFromSegments expects.
+   */
+  function planSegments(monoData, sampleRate, options = {}) {
+    const planner = createSegmentPlanner(sampleRate, { ...options, totalLength: monoData.length });
+    planner.push(monoData);
+    return planner.finish();
+  }
+
+  /**
+   * planSegments for a mono sidechain that arrives in chunks (streaming.js):
+   * push() every chunk in order, finish() returns the same list planSegments
+   * would for the whole signal.
+   * @param {object} options planSegments options, plus totalLength (samples) for progress
+   * @returns {{push: (monoChunk: Float32Array) => void, finish: () => Array<[number, number]>}}
+   */
+  function createSegmentPlanner(sampleRate, options = {}) {
+    const silenceThreshold = options.silenceThreshold ?? DEFAULTS.silenceThreshold;
+    const minSilenceMs = options.minSilenceMs ?? DEFAULTS.minSilenceMs;
+    const overlapMs = options.overlapMs ?? DEFAULTS.overlapMs;
+    const gate = createSpeechGate(sampleRate, silenceThreshold, options);
+    let length = 0;
+
+    return {
+      push(monoChunk) {
+        gate.push(monoChunk);
+        length += monoChunk.length;
+      },
+      finish() {
+        // Speech segments separated by long silence
+        const detected = finishSpeechSegments(gate.finish(), length, sampleRate, msToSamples(minSilenceMs, sampleRate), options);
+        // Give part of each gap back so pauses shrink instead of vanishing
+        return retainPauses(detected, sampleRate, options, msToSamples(overlapMs, sampleRate));
+      },
+    };
+  }
+
+  /**
+   * planSegments for tracks recorded side by side (one microphone each): a
+   * pause is only cut where every track is silent, so one segment list keeps
+   * them all in sync. Each track runs its own gate, and the union of their
+   * speech regions goes through the usual bridging, padding and pause retention.
+   * @param {Float32Array[]} monoTracks one sidechain per track; shorter ones count as silent at the end
+   * @param {number} sampleRate
+   * @param {object} [options] planSegments options
+   */
+  function planJointSegments(monoTracks, sampleRate, options = {}) {
+    const silenceThreshold = options.silenceThreshold ?? DEFAULTS.silenceThreshold;
+    const minSilenceMs = options.minSilenceMs ?? DEFAULTS.minSilenceMs;
+    const overlapMs = options.overlapMs ?? DEFAULTS.overlapMs;
+    const onProgress = options.onProgress || noop;
+    const length = Math.max(0, ...monoTracks.map((data) => data.length));
+
+    const regions = [];
+    monoTracks.forEach((data, t) => {
+      const gate = createSpeechGate(sampleRate, silenceThreshold, {
+        ...options,
+        totalLength: data.length,
+        onProgress: (stage, fraction) => onProgress(stage, (t + fraction) / monoTracks.length),
+      });
+      gate.push(data);
+      regions.push(...gate.finish());
+    });
+
+    // Union: overlapping speech from different tracks becomes one region
+    regions.sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    for (const [s, e] of regions) {
+      const prev = merged[merged.length - 1];
+      if (prev && s <= prev[1]) prev[1] = Math.max(prev[1], e);
+      else merged.push([s, e]);
+    }
+
+    const detected = finishSpeechSegments(merged, length, sampleRate, msToSamples(minSilenceMs, sampleRate), options);
+    return retainPauses(detected, sampleRate, options, msToSamples(overlapMs, sampleRate));
+  }
+
+  /**
+   * The [start, end) ranges between segments, including the head and tail of the file.
+   */
+  function invertSegments(segments, length) {
+    const gaps = [];
+    let cursor = 0;
+    for (const [start, end] of segments) {
+      if (start > cursor) gaps.push([cursor, start]);
+      cursor = Math.max(cursor, end);
+    }
+    if (cursor < length) gaps.push([cursor, length]);
+    return gaps;
+  }
+
+  /**
+   * Convert milliseconds to samples at a given sample rate.
+   */
+  function msToSamples(ms, sampleRate) {
+    return Math.max(0, Math.round((ms / 1000) * sampleRate));
+  }
+
+  function noop() {}
+
+  /**
+   * Average per-channel Float32Arrays into a new mono Float32Array.
+   */
+  function downmixChannels(channels) {
+    const length = channels[0] ? channels[0].length : 0;
+    if (channels.length === 1) {
+      // Copy so callers can transfer or mutate either array
+      return channels[0].slice();
+    }
+
+    const sum = new Float32Array(length);
+    for (const channelData of channels) {
+      for (let i = 0; i < length; i++) {
+        sum[i] += channelData[i];
+      }
+    }
+    for (let i = 0; i < length; i++) sum[i] /= channels.length;
+    return sum;
+  }
+
+  /**
+   * Detect speech segments with a frame-based energy gate.
+   *
+   * Each frame's level (RMS or peak) feeds an attack/release envelope follower.
+   * The gate opens when the envelope reaches openThreshold and closes only after
+   * it stays below closeThreshold for holdMs (hysteresis + hangover). Regions with
+   * less than minSpeechMs of frames above openThreshold are dropped as clicks. Gaps shorter
+   * than minSilenceSamples are bridged, then each segment is padded by
+   * preRollMs/postRollMs so onsets and word tails survive.
+   * Returns array of [startSample, endSample] in original buffer indices.
+   *
+   * @param {Float32Array} channelData mono sidechain
+   * @param {number} sampleRate
+   * @param {number} silenceThreshold default for gate.openThreshold
+   * @param {number} minSilenceSamples shortest silence that may be cut
+   * @param {{detector?: 'rms'|'peak', frameMs?: number, openThreshold?: number, closeThreshold?: number,
+   *   attackMs?: number, holdMs?: number, releaseMs?: number, minSpeechMs?: number,
+   *   preRollMs?: number, postRollMs?: number, onProgress?: (stage: string, fraction: number) => void}} [gate]
+   */
+  function detectSpeechSegments(channelData, sampleRate, silenceThreshold, minSilenceSamples, gate = {}) {
+    const speechGate = createSpeechGate(sampleRate, silenceThreshold, { ...gate, totalLength: channelData.length });
+    speechGate.push(channelData);
+    return finishSpeechSegments(speechGate.finish(), channelData.length, sampleRate, minSilenceSamples, gate);
+  }
+
+  /**
+   * Close threshold used when none is given: half the open threshold. The page
+   * and the CLI derive their close threshold setting from this too.
+   * @param {number} openThreshold
+   */
+  function defaultCloseThreshold(openThreshold) {
+    return openThreshold / 2;
+  }
+
+  /**
+   * Step 1 of detectSpeechSegments for audio that arrives in chunks: the frame
+   * gate with its envelope, hysteresis and hold carried across push() calls.
+   * Frames straddling two chunks are completed from the next one, so any
+   * chunking finds the same regions as one push of the whole signal.
+   * @param {number} sampleRate
+   * @param {number} silenceThreshold default for gate.openThreshold
+   * @param {object} [gate] detectSpeechSegments gate options, plus totalLength (samples) for progress
+   * @returns {{push: (monoChunk: Float32Array) => void, finish: () => Array<[number, number]>}}
+   *   finish returns the raw speech regions
+   */
+  function createSpeechGate(sampleRate, silenceThreshold, gate = {}) {
+    const mode = gate.detector ?? DETECTOR_DEFAULTS.detector;
+    const openThreshold = gate.openThreshold ?? silenceThreshold;
+    // Close threshold above the open one would turn hysteresis inside out
+    const closeThreshold = Math.min(openThreshold, gate.closeThreshold ?? defaultCloseThreshold(openThreshold));
+    const frameSize = Math.max(1, msToSamples(gate.frameMs ?? DETECTOR_DEFAULTS.frameMs, sampleRate));
+    const frameSec = frameSize / sampleRate;
+    const attackCoef = envelopeCoef(gate.attackMs ?? DETECTOR_DEFAULTS.attackMs, frameSec);
+    const releaseCoef = envelopeCoef(gate.releaseMs ?? DETECTOR_DEFAULTS.releaseMs, frameSec);
+    const holdFrames = Math.round((gate.holdMs ?? DETECTOR_DEFAULTS.holdMs) / 1000 / frameSec);
+    const minLoudFrames = Math.ceil((gate.minSpeechMs ?? DETECTOR_DEFAULTS.minSpeechMs) / 1000 / frameSec);
+    const totalLength = gate.totalLength || 0;
+    const onProgress = gate.onProgress || noop;
+
+    const regions = [];
+    let env = 0;
+    let open = false;
+    let regionStart = 0;
+    let lastActiveEnd = 0;
+    let framesBelow = 0;
+    let loudFrames = 0;
+    let frameIndex = 0;
+    let position = 0; // samples consumed so far
+    // Start of a frame cut off by the end of the last chunk
+    const partial = new Float32Array(frameSize);
+    let partialLength = 0;
+
+    const closeRegion = (end) => {
+      if (loudFrames >= minLoudFrames) regions.push([regionStart, end]);
+      open = false;
+    };
+
+    const step = (data, from, to) => {
+      const frameStart = frameIndex * frameSize;
+      if ((frameIndex & PROGRESS_FRAME_MASK) === 0 && totalLength) onProgress('detect', frameStart / totalLength);
+      frameIndex++;
+      const frameEnd = frameStart + (to - from);
+      const level = frameLevel(data, from, to, mode);
+      env += (level > env ? attackCoef : releaseCoef) * (level - env);
+      if (level >= openThreshold) loudFrames++;
+
+      if (!open) {
+        if (env >= openThreshold) {
+          open = true;
+          regionStart = frameStart;
+          lastActiveEnd = frameEnd;
+          framesBelow = 0;
+          loudFrames = level >= openThreshold ? 1 : 0;
+        }
+      } else if (env >= closeThreshold) {
+        lastActiveEnd = frameEnd;
+        framesBelow = 0;
+      } else if (++framesBelow > holdFrames) {
+        closeRegion(lastActiveEnd);
+      }
+    };
+
+    function push(chunk) {
+      let i = 0;
+      if (partialLength > 0) {
+        const take = Math.min(frameSize - partialLength, chunk.length);
+        partial.set(chunk.subarray(0, take), partialLength);
+        partialLength += take;
+        i = take;
+        if (partialLength === frameSize) {
+          step(partial, 0, frameSize);
+          partialLength = 0;
+        }
+      }
+      for (; i + frameSize <= chunk.length; i += frameSize) step(chunk, i, i + frameSize);
+      if (i < chunk.length) {
+        partial.set(chunk.subarray(i), 0);
+        partialLength = chunk.length - i;
+      }
+      position += chunk.length;
+    }
+
+    // The last, shorter frame counts like any other
+    function finish() {
+      if (partialLength > 0) step(partial, 0, partialLength);
+      partialLength = 0;
+      if (open) closeRegion(position);
+      return regions;
+    }
+
+    return { push, finish };
+  }
+
+  /**
+   * Steps 2 and 3 of detectSpeechSegments: bridge short silences and pad the
+   * gate's raw regions (small lists, no samples needed).
+   * @param {Array<[number, number]>} regions from createSpeechGate
+   * @param {number} length signal length in samples
+   */
+  function finishSpeechSegments(regions, length, sampleRate, minSilenceSamples, gate = {}) {
+    const N = length;
+    const preRoll = msToSamples(gate.preRollMs ?? DETECTOR_DEFAULTS.preRollMs, sampleRate);
+    const postRoll = msToSamples(gate.postRollMs ?? DETECTOR_DEFAULTS.postRollMs, sampleRate);
+
+    // If nothing found, treat entire clip as one speech segment
+    if (regions.length === 0) return [[0, N]];
+
+    // 2) Only silences of at least minSilenceSamples may be cut (edges included)
+    const bridged = [];
+    for (const region of regions) {
+      const prev = bridged[bridged.length - 1];
+      if (prev && region[0] - prev[1] < minSilenceSamples) {
+        prev[1] = region[1];
+      } else {
+        bridged.push([region[0], region[1]]);
+      }
+    }
+    if (bridged[0][0] < minSilenceSamples) bridged[0][0] = 0;
+    const last = bridged[bridged.length - 1];
+    if (N - last[1] < minSilenceSamples) last[1] = N;
+
+    // 3) Pad onsets and tails, merging segments whose padding meets
+    const segments = [];
+    for (const [s, e] of bridged) {
+      const start = Math.max(0, s - preRoll);
+      const end = Math.min(N, e + postRoll);
+      const prev = segments[segments.length - 1];
+      if (prev && start <= prev[1]) {
+        prev[1] = end;
+      } else {
+        segments.push([start, end]);
+      }
+    }
+
+    return segments;
+  }
+
+  /**
+   * RMS or peak level of channelData[from, to).
+   */
+  function frameLevel(channelData, from, to, mode) {
+    if (mode === 'peak') {
+      let peak = 0;
+      for (let i = from; i < to; i++) {
+        const amp = Math.abs(channelData[i]);
+        if (amp > peak) peak = amp;
+      }
+      return peak;
+    }
+    let sumSq = 0;
+    for (let i = from; i < to; i++) sumSq += channelData[i] * channelData[i];
+    return Math.sqrt(sumSq / Math.max(1, to - from));
+  }
+
+  /**
+   * One-pole smoothing coefficient for a time constant, evaluated once per frame.
+   */
+  function envelopeCoef(timeMs, frameSec) {
+    if (!(timeMs > 0)) return 1;
+    return 1 - Math.exp(-frameSec / (timeMs / 1000));
+  }
+
+  /**
+   * Estimate gate thresholds (and optionally minSilenceMs) from the clip itself.
+   *
+   * Frame RMS levels go into a 1 dB histogram. The noise floor is the most
+   * populated bin in the quieter half of the frames, the speech level is the
+   * 90th percentile. Thresholds sit a fixed share of the way from noise to speech.
+   * minSilenceMs is taken from the distribution of pauses found with those
+   * thresholds, so only the longer, between-phrase pauses get cut.
+   *
+   * @param {Float32Array} channelData mono sidechain
+   * @param {number} sampleRate
+   * @param {{frameMs?: number}} [options]
+   * @returns {{silenceThreshold: number, closeThreshold: number, minSilenceMs: number,
+   *   noiseFloorDb: number, speechLevelDb: number}}
+   */
+  function estimateSilenceSettings(channelData, sampleRate, options = {}) {
+    const frameSize = Math.max(1, msToSamples(options.frameMs ?? DETECTOR_DEFAULTS.frameMs, sampleRate));
+    const frameCount = Math.ceil(channelData.length / frameSize);
+    const levelsDb = new Float32Array(frameCount);
+    const histogram = new Uint32Array(CALIBRATION_FLOOR_DB * -1 + 1);
+
+    for (let f = 0; f < frameCount; f++) {
+      const from = f * frameSize;
+      const rms = frameLevel(channelData, from, Math.min(channelData.length, from + frameSize), 'rms');
+      const db = Math.max(CALIBRATION_FLOOR_DB, 20 * Math.log10(rms || 1e-12));
+      levelsDb[f] = db;
+      histogram[Math.round(db - CALIBRATION_FLOOR_DB)]++;
+    }
+
+    const binAtPercentile = (p) => {
+      const target = p * frameCount;
+      let seen = 0;
+      for (let bin = 0; bin < histogram.length; bin++) {
+        seen += histogram[bin];
+        if (seen >= target) return bin;
+      }
+      return histogram.length - 1;
+    };
+
+    const medianBin = binAtPercentile(0.5);
+    let noiseBin = 0;
+    for (let bin = 0; bin <= medianBin; bin++) {
+      if (histogram[bin] > histogram[noiseBin]) noiseBin = bin;
+    }
+    const noiseFloorDb = noiseBin + CALIBRATION_FLOOR_DB;
+    const speechLevelDb = Math.max(noiseFloorDb, binAtPercentile(0.9) + CALIBRATION_FLOOR_DB);
+    const spread = speechLevelDb - noiseFloorDb;
+
+    const openDb = Math.min(speechLevelDb, noiseFloorDb + Math.max(6, spread * 0.35));
+    const closeDb = Math.min(openDb, noiseFloorDb + Math.max(3, spread * 0.2));
+    const silenceThreshold = Math.pow(10, openDb / 20);
+    const closeThreshold = Math.pow(10, closeDb / 20);
+
+    // Pause lengths under the chosen close threshold
+    const pausesMs = [];
+    let run = 0;
+    for (let f = 0; f <= frameCount; f++) {
+      if (f < frameCount && levelsDb[f] < closeDb) {
+        run++;
+      } else if (run > 0) {
+        pausesMs.push((run * frameSize * 1000) / sampleRate);
+        run = 0;
+      }
+    }
+    pausesMs.sort((a, b) => a - b);
+    // Word gaps dominate the short end; cut above the 60th percentile
+    const typicalPause = pausesMs.length ? pausesMs[Math.floor(pausesMs.length * 0.6)] : DEFAULTS.minSilenceMs;
+    const minSilenceMs = Math.round(Math.min(800, Math.max(150, typicalPause)) / 10) * 10;
+
+    return { silenceThreshold, closeThreshold, minSilenceMs, noiseFloorDb, speechLevelDb };
+  }
+
+  /**
+   * Extend segments into the gaps between them so part of each pause is kept.
+   *
+   * Kept pause = min(gap * keepPausePercent / 100, maxPauseMs); gaps of at least
+   * sentenceGapMs keep at least sentencePauseMs. The kept time is real room tone
+   * taken half from each side of the gap, plus the crossfade overlap so the
+   * audible pause after stitching matches the computed length.
+   * Leading and trailing silence is not affected.
+   * @param {Array<[number, number]>} segments
+   * @param {number} sampleRate
+   * @param {{keepPausePercent?: number, maxPauseMs?: number, sentenceGapMs?: number, sentencePauseMs?: number}} options
+   * @param {number} overlapSamples
+   * @returns {Array<[number, number]>} new segment list
+   */
+  function retainPauses(segments, sampleRate, options, overlapSamples) {
+    const keepRatio = (options.keepPausePercent ?? DEFAULTS.keepPausePercent) / 100;
+    const maxPause = msToSamples(options.maxPauseMs ?? DEFAULTS.maxPauseMs, sampleRate);
+    const sentenceGap = msToSamples(options.sentenceGapMs ?? DEFAULTS.sentenceGapMs, sampleRate);
+    const sentencePause = msToSamples(options.sentencePauseMs ?? DEFAULTS.sentencePauseMs, sampleRate);
+
+    const out = segments.map(([s, e]) => [s, e]);
+    for (let idx = 1; idx < out.length; idx++) {
+      const prev = out[idx - 1];
+      const cur = out[idx];
+      const gap = segments[idx][0] - segments[idx - 1][1];
+      let kept = Math.min(Math.round(gap * keepRatio), maxPause);
+      if (gap >= sentenceGap) kept = Math.max(kept, Math.min(gap, sentencePause));
+      if (kept <= 0) continue;
+
+      const extend = Math.min(gap, kept + overlapSamples);
+      const head = Math.floor(extend / 2);
+      prev[1] += head;
+      cur[0] -= extend - head;
+    }
+    return out;
+  }
+
+  /**
+   * Describe a segment list on both timelines (seconds), matching exactly what
+   * buildOutputBufferFromSegments writes: each segment after the first starts
+   * `ov` samples early in the output because of the crossfade.
+   * @param {Array<[number, number]>} segments kept [start, end) in source samples
+   * @param {number} sampleRate
+   * @param {number} overlapSamples
+   * @param {number} sourceLength source length in samples
+   * @param {Array<object>} [events] flagged breaths/clicks/mouth noises (artifacts.js), in samples
+   * @returns {{sampleRate: number, sourceDuration: number, outputDuration: number,
+   *   segments: Array<{index: number, sourceStart: number, sourceEnd: number, outputStart: number, outputEnd: number, crossfade: number}>,
+   *   cuts: Array<{sourceStart: number, sourceEnd: number, outputTime: number}>,
+   *   events: Array<{type: string, action: string, sourceStart: number, sourceEnd: number, outputTime: number,
+   *   levelDb: number, relativeDb: number}>}}
+   */
+  function buildCutList(segments, sampleRate, overlapSamples, sourceLength, events = []) {
+    const list = [];
+    const cuts = [];
+    let writePos = 0;
+    let prevEnd = 0;
+
+    segments.forEach(([s, e], idx) => {
+      const len = e - s;
+      let ov = 0;
+      if (idx > 0) {
+        const [ps, pe] = segments[idx - 1];
+        ov = Math.min(overlapSamples, pe - ps, len);
+      }
+      writePos -= ov;
+      if (s > prevEnd) cuts.push({ sourceStart: prevEnd / sampleRate, sourceEnd: s / sampleRate, outputTime: writePos / sampleRate });
+      list.push({
+        index: idx,
+        sourceStart: s / sampleRate,
+        sourceEnd: e / sampleRate,
+        outputStart: writePos / sampleRate,
+        outputEnd: (writePos + len) / sampleRate,
+        crossfade: ov / sampleRate,
+      });
+      writePos += len;
+      prevEnd = e;
+    });
+    if (sourceLength > prevEnd) {
+      cuts.push({ sourceStart: prevEnd / sampleRate, sourceEnd: sourceLength / sampleRate, outputTime: writePos / sampleRate });
+    }
+
+    const result = {
+      sampleRate,
+      sourceDuration: sourceLength / sampleRate,
+      outputDuration: writePos / sampleRate,
+      segments: list,
+      cuts,
+    };
+    // Removed events land on the splice point that replaced them
+    result.events = events.map((event) => ({
+      type: event.type,
+      action: event.action,
+      sourceStart: event.start / sampleRate,
+      sourceEnd: event.end / sampleRate,
+      outputTime: mapTimeToOutput(result, event.start / sampleRate),
+      levelDb: event.levelDb,
+      relativeDb: event.relativeDb,
+    }));
+    return result;
+  }
+
+  /**
+   * Move a cut list onto a time-stretched output (timeStretch.js). Every output
+   * time goes through timeMap ([stitchedTime, outputTime] breakpoints in
+   * seconds, linear in between); the map is kept so mapTimeToOutput and
+   * mapTimeToSource stay exact inside segments as well.
+   */
+  function applyTimeMap(cutList, timeMap) {
+    const stretch = (time) => interpolateTimeMap(timeMap, time, 0, 1);
+    return {
+      ...cutList,
+      outputDuration: stretch(cutList.outputDuration),
+      segments: cutList.segments.map((seg) => ({ ...seg, outputStart: stretch(seg.outputStart), outputEnd: stretch(seg.outputEnd) })),
+      cuts: cutList.cuts.map((cut) => ({ ...cut, outputTime: stretch(cut.outputTime) })),
+      events: (cutList.events || []).map((event) => ({ ...event, outputTime: stretch(event.outputTime) })),
+      timeMap,
+    };
+  }
+
+  // Piecewise-linear lookup from column `from` to column `to` of a time map
+  // (either direction, both columns rise); the last piece continues past the end
+  function interpolateTimeMap(timeMap, time, from, to) {
+    let i = 1;
+    while (i < timeMap.length - 1 && timeMap[i][from] < time) i++;
+    const a = timeMap[i - 1];
+    const b = timeMap[i];
+    const span = b[from] - a[from];
+    return span > 0 ? a[to] + ((time - a[from]) * (b[to] - a[to])) / span : a[to];
+  }
+
+  /**
+   * Map a source timestamp (seconds) onto the processed timeline of a cut list.
+   * Times inside a cut land on the splice point that replaced it.
+   */
+  function mapTimeToOutput(cutList, time) {
+    const { segments, timeMap } = cutList;
+    if (segments.length === 0) return 0;
+    for (const seg of segments) {
+      if (time < seg.sourceStart) return seg.outputStart;
+      if (time > seg.sourceEnd) continue;
+      if (!timeMap) return seg.outputStart + (time - seg.sourceStart);
+      const stitched = interpolateTimeMap(timeMap, seg.outputStart, 1, 0) + (time - seg.sourceStart);
+      return interpolateTimeMap(timeMap, stitched, 0, 1);
+    }
+    return cutList.outputDuration;
+  }
+
+  /**
+   * Inverse of mapTimeToOutput: a processed timestamp back onto the source.
+   * Inside a crossfade the later segment wins.
+   */
+  function mapTimeToSource(cutList, time) {
+    const { segments } = cutList;
+    if (segments.length === 0) return 0;
+    let seg = segments[0];
+    for (const next of segments) {
+      if (next.outputStart > time) break;
+      seg = next;
+    }
+    const { timeMap } = cutList;
+    const offset = timeMap
+      ? interpolateTimeMap(timeMap, time, 1, 0) - interpolateTimeMap(timeMap, seg.outputStart, 1, 0)
+      : time - seg.outputStart;
+    return seg.sourceStart + Math.min(Math.max(0, offset), seg.sourceEnd - seg.sourceStart);
+  }
+
+  /**
+   * Move the splices of a segment plan by up to snapWindowMs so the crossfade
+   * joins matching audio. Each splice (a segment end followed by a later segment
+   * start, i.e. a cut) is handled on its own:
+   * - 'zeroCrossing': where the crossfade starts on both sides (the end minus the
+   *   overlap, and the next start) moves to the nearest zero crossing, the later
+   *   one going in the same direction as the earlier; with no overlap this is a
+   *   click-free butt splice
+   * - 'correlation': the next start moves to where it best matches the audio it
+   *   is faded against (the natural continuation when there is no overlap)
+   * Splices that would make a segment empty or overlap its neighbour stay put.
+   * File start and end are never moved.
+   * @param {Array<[number, number]>} segments
+   * @param {number} sampleRate
+   * @param {{spliceSnap?: string, snapWindowMs?: number, overlapMs?: number}} options
+   * @param {Float32Array|((start: number, end: number) => Float32Array)} mono the mono mix, or a reader
+   *   for mono samples [start, end) (zero outside the file), called only for the ranges spliceWindows lists
+   * @returns {Array<[number, number]>} a new list
+   */
+  function snapSegments(segments, sampleRate, options, mono) {
+    const readMono = typeof mono === 'function' ? mono : (start, end) => readPadded(mono, start, end);
+    const mode = options.spliceSnap ?? DEFAULTS.spliceSnap;
+    if (!SPLICE_SNAP_MODES.includes(mode)) throw new Error(`Unknown splice snap mode: ${mode}`);
+    const result = segments.map(([s, e]) => [s, e]);
+    if (mode === 'none') return result;
+    const overlapSamples = msToSamples(options.overlapMs ?? DEFAULTS.overlapMs, sampleRate);
+    const search = msToSamples(options.snapWindowMs ?? DEFAULTS.snapWindowMs, sampleRate);
+
+    for (let idx = 1; idx < result.length; idx++) {
+      const prev = result[idx - 1];
+      const cur = result[idx];
+      if (cur[0] <= prev[1]) continue;
+      const [tail, head] = spliceReads(prev, cur, mode, overlapSamples, search).map(([start, end]) => readMono(start, end));
+      let end = prev[1];
+      let start = cur[0];
+      if (mode === 'zeroCrossing') {
+        const fadeStart = nearestZeroCrossing(tail, search, 0);
+        if (fadeStart) end += fadeStart.offset;
+        const next = nearestZeroCrossing(head, search, fadeStart ? fadeStart.direction : 0);
+        if (next) start += next.offset;
+      } else {
+        start += bestMatchOffset(tail, head, search);
+      }
+      if (end <= prev[0] || start >= cur[1] || start < end) continue;
+      prev[1] = end;
+      cur[0] = start;
+    }
+    return result;
+  }
+
+  /**
+   * Source ranges snapSegments reads (through readMono) for this plan, so a
+   * streamed source can fetch just those.
+   * @returns {Array<[number, number]>}
+   */
+  function spliceWindows(segments, sampleRate, options) {
+    const mode = options.spliceSnap ?? DEFAULTS.spliceSnap;
+    if (mode === 'none') return [];
+    const overlapSamples = msToSamples(options.overlapMs ?? DEFAULTS.overlapMs, sampleRate);
+    const search = msToSamples(options.snapWindowMs ?? DEFAULTS.snapWindowMs, sampleRate);
+    const windows = [];
+    for (let idx = 1; idx < segments.length; idx++) {
+      if (segments[idx][0] <= segments[idx - 1][1]) continue;
+      windows.push(...spliceReads(segments[idx - 1], segments[idx], mode, overlapSamples, search));
+    }
+    return windows;
+  }
+
+  // What one splice compares: [tail, head] source ranges around the fade start
+  // of the segment before (its end minus the overlap) and the next segment's start
+  function spliceReads(prev, cur, mode, overlapSamples, search) {
+    const ov = Math.min(overlapSamples, prev[1] - prev[0], cur[1] - cur[0]);
+    const fadeStart = prev[1] - ov;
+    if (mode === 'zeroCrossing') {
+      return [[fadeStart - search - 1, fadeStart + search + 1], [cur[0] - search - 1, cur[0] + search + 1]];
+    }
+    // Compare at least two search windows' worth, so short fades still have a shape to match
+    const length = Math.max(ov, 2 * search);
+    return [[fadeStart, fadeStart + length], [cur[0] - search, cur[0] + search + length]];
+  }
+
+  // Zero crossing nearest the middle of a window read as [pos - search - 1, pos + search + 1);
+  // offset relative to pos (the crossing sits between samples offset - 1 and offset),
+  // direction +1 rising / -1 falling; direction 0 accepts either
+  function nearestZeroCrossing(searchWindow, search, direction) {
+    const center = search + 1;
+    for (let distance = 0; distance <= search; distance++) {
+      for (const i of distance === 0 ? [center] : [center - distance, center + distance]) {
+        const a = searchWindow[i - 1];
+        const b = searchWindow[i];
+        const rising = a < 0 && b >= 0;
+        const falling = a >= 0 && b < 0;
+        if ((rising && direction >= 0) || (falling && direction <= 0)) {
+          return { offset: i - center, direction: rising ? 1 : -1 };
+        }
+      }
+    }
+    return null;
+  }
+
+  // Offset in [-search, search] at which head best matches tail (normalized
+  // cross-correlation); head is read from search samples early
+  function bestMatchOffset(tail, head, search) {
+    const score = (offset, step) => {
+      let xy = 0;
+      let yy = 0;
+      for (let n = 0; n < tail.length; n += step) {
+        const y = head[offset + n];
+        xy += tail[n] * y;
+        yy += y * y;
+      }
+      return yy > 0 ? xy / Math.sqrt(yy) : 0;
+    };
+
+    let best = search;
+    let bestScore = -Infinity;
+    for (let offset = 0; offset <= 2 * search; offset += SNAP_COARSE_STEP) {
+      const value = score(offset, SNAP_COARSE_STEP);
+      if (value > bestScore) {
+        bestScore = value;
+        best = offset;
+      }
+    }
+    const coarse = best;
+    bestScore = -Infinity;
+    for (let offset = Math.max(0, coarse - SNAP_COARSE_STEP + 1); offset <= Math.min(2 * search, coarse + SNAP_COARSE_STEP - 1); offset++) {
+      const value = score(offset, 1);
+      if (value > bestScore) {
+        bestScore = value;
+        best = offset;
+      }
+    }
+    return best - search;
+  }
+
+  // Samples [start, end) of data, zero outside it
+  function readPadded(data, start, end) {
+    if (start >= 0 && end <= data.length) return data.subarray(start, end);
+    const out = new Float32Array(end - start);
+    const from = Math.max(0, start);
+    const to = Math.min(data.length, end);
+    if (to > from) out.set(data.subarray(from, to), from - start);
+    return out;
+  }
+
+  // Fade-in and fade-out gains of one crossfade, in double precision so the
+  // linear curve gives exactly i / ov and 1 - i / ov
+  function fadeGains(fadeCurve, ov) {
+    const curve = FADE_CURVES[fadeCurve];
+    if (!curve) throw new Error(`Unknown fade curve: ${fadeCurve}`);
+    const fadeIn = new Float64Array(ov);
+    const fadeOut = new Float64Array(ov);
+    for (let i = 0; i < ov; i++) {
+      fadeIn[i] = curve(i / ov);
+      fadeOut[i] = curve(1 - i / ov);
+    }
+    return { fadeIn, fadeOut };
+  }
+
+  /**
+   * Stitch segments together with crossfade overlap.
+   * Returns a new Float32Array of the stitched samples (one channel).
+   * onProgress, if given, receives the fraction of segments written.
+   * fadeCurve: a FADE_CURVES name.
+   */
+  function buildOutputBufferFromSegments(source, segments, overlapSamples, onProgress = noop, fadeCurve = DEFAULTS.fadeCurve) {
+    if (segments.length === 0) return new Float32Array(0);
+    if (segments.length === 1) {
+      const [s, e] = segments[0];
+      return source.subarray(s, e).slice();
+    }
+
+    // Compute total length with overlaps
+    let total = 0;
+    for (let idx = 0; idx < segments.length; idx++) {
+      const [s, e] = segments[idx];
+      const len = e - s;
+      total += len;
+      if (idx > 0) {
+        const prevLen = segments[idx - 1][1] - segments[idx - 1][0];
+        const ov = Math.min(overlapSamples, prevLen, len);
+        total -= ov; // overlap replaces last ov samples of previous + first ov of current with crossfade
+      }
+    }
+
+    const out = new Float32Array(total);
+    const fades = new Map(); // overlap length -> gains
+    let writePos = 0;
+
+    for (let idx = 0; idx < segments.length; idx++) {
+      const [s, e] = segments[idx];
+      const segLen = e - s;
+      const segView = source.subarray(s, e);
+      if ((idx & PROGRESS_SEGMENT_MASK) === 0) onProgress(idx / segments.length);
+
+      if (idx === 0) {
+        // First segment: copy as-is (we'll crossfade when the next appends)
+        out.set(segView, writePos);
+        writePos += segLen;
+      } else {
+        const [ps, pe] = segments[idx - 1];
+        const prevLen = pe - ps;
+        const ov = Math.min(overlapSamples, prevLen, segLen);
+
+        // Adjust write position to make room for crossfade replacing overlap
+        writePos -= ov;
+
+        // Copy non-overlapped start of current segment after crossfade
+        // But first, do the crossfade over 'ov' samples
+        if (!fades.has(ov)) fades.set(ov, fadeGains(fadeCurve, ov));
+        const { fadeIn, fadeOut } = fades.get(ov);
+        for (let i = 0; i < ov; i++) {
+          const a = out[writePos + i]; // tail of previous already in output
+          const b = segView[i]; // head of current
+          out[writePos + i] = a * fadeOut[i] + b * fadeIn[i];
+        }
+
+        // Then copy the remainder of the current segment after the overlapped part
+        out.set(segView.subarray(ov), writePos + ov);
+        writePos += segLen; // net advance: segLen - ov was already subtracted via writePos -= ov earlier
+      }
+    }
+
+    onProgress(1);
+    return out;
+  }
+
+  /**
+   * buildOutputBufferFromSegments for a source that arrives in chunks: push()
+   * each chunk (every channel, in order) and get back the stitched samples that
+   * are final. The last overlapSamples stay pending because the next segment's
+   * crossfade may still change them; finish() returns those. Concatenated, the
+   * pieces equal buildOutputBufferFromSegments sample for sample.
+   * @param {Array<[number, number]>} segments kept [start, end) in source samples
+   * @param {number} overlapSamples
+   * @param {number} channelCount
+   * @param {string} [fadeCurve] a FADE_CURVES name
+   * @returns {{push: (chunk: Float32Array[], chunkStart: number) => Float32Array[], finish: () => Float32Array[]}}
+   */
+  function createStitcher(segments, overlapSamples, channelCount, fadeCurve = DEFAULTS.fadeCurve) {
+    // Crossfade length at the start of each segment (as in buildOutputBufferFromSegments)
+    const overlaps = segments.map(([s, e], idx) => {
+      if (idx === 0) return 0;
+      const [ps, pe] = segments[idx - 1];
+      return Math.min(overlapSamples, pe - ps, e - s);
+    });
+    const fades = new Map();
+    for (const ov of overlaps) {
+      if (!fades.has(ov)) fades.set(ov, fadeGains(fadeCurve, ov));
+    }
+    let pending = Array.from({ length: channelCount }, () => new Float32Array(0));
+    let segIndex = 0;
+
+    function push(chunk, chunkStart) {
+      const chunkEnd = chunkStart + (chunk[0] ? chunk[0].length : 0);
+      // Skip segments that ended before this chunk
+      while (segIndex < segments.length && segments[segIndex][1] <= chunkStart) segIndex++;
+
+      // Pieces of kept segments inside this chunk
+      const pieces = [];
+      let added = 0;
+      for (let idx = segIndex; idx < segments.length && segments[idx][0] < chunkEnd; idx++) {
+        const [s, e] = segments[idx];
+        const from = Math.max(s, chunkStart);
+        const to = Math.min(e, chunkEnd);
+        if (from >= to) continue;
+        pieces.push({ idx, from, to });
+        added += to - from;
+      }
+
+      const outputs = pending.map((tail, ch) => {
+        const work = new Float32Array(tail.length + added);
+        work.set(tail);
+        let length = tail.length;
+        for (const { idx, from, to } of pieces) {
+          const source = chunk[ch];
+          const ov = overlaps[idx];
+          const { fadeIn, fadeOut } = fades.get(ov);
+          const segStart = segments[idx][0];
+          for (let i = from; i < to; i++) {
+            const pos = i - segStart;
+            const x = source[i - chunkStart];
+            if (pos < ov) {
+              // Crossfade with the last ov samples written before this segment
+              const target = length - ov + pos;
+              work[target] = work[target] * fadeOut[pos] + x * fadeIn[pos];
+            } else {
+              work[length++] = x;
+            }
+          }
+        }
+        const keep = Math.min(overlapSamples, length);
+        pending[ch] = work.slice(length - keep, length);
+        return work.subarray(0, length - keep);
+      });
+      while (segIndex < segments.length && segments[segIndex][1] <= chunkEnd) segIndex++;
+      return outputs;
+    }
+
+    function finish() {
+      const rest = pending;
+      pending = pending.map(() => new Float32Array(0));
+      return rest;
+    }
+
+    return { push, finish };
+  }
+
+  /**
+   * Encode per-channel Float32Arrays to an interleaved WAV Blob.
+   * bitDepth 16 or 24 writes integer PCM (TPDF-dithered unless dither is false),
+   * 32 writes IEEE float samples untouched. chunks (e.g. from wavMetadata.js)
+   * go between fmt and data.
+   * onProgress, if given, receives ('encode', fraction).
+   * @param {Float32Array[]} channels
+   * @param {number} sampleRate
+   * @param {{bitDepth?: 16|24|32, dither?: boolean, chunks?: Array<{id: string, bytes: Uint8Array}>,
+   *   onProgress?: (stage: string, fraction: number) => void}} [options]
+   */
+  function encodeWav(channels, sampleRate, options = {}) {
+    const onProgress = options.onProgress || noop;
+    const frames = channels[0] ? channels[0].length : 0;
+    const writer = createWavWriter(channels.length, sampleRate, frames, options);
+    const samples = writer.encode(channels, (fraction) => onProgress('encode', fraction));
+    onProgress('encode', 1);
+    return new Blob([writer.header, samples], { type: 'audio/wav' });
+  }
+
+  /**
+   * WAV encoding in parts, for output that never exists in one piece
+   * (streaming.js): header first (the frame count must be known up front),
+   * then encode() each run of samples in order. Dither carries on across
+   * calls, so the parts join into the same bytes encodeWav writes.
+   * Throws when the file would not fit the 32-bit RIFF sizes.
+   * @param {number} numChannels
+   * @param {number} sampleRate
+   * @param {number} frames total frames that will be encoded
+   * @param {{bitDepth?: 16|24|32, dither?: boolean, chunks?: Array<{id: string, bytes: Uint8Array}>}} [options] as encodeWav
+   * @returns {{header: Uint8Array, encode: (channels: Float32Array[], onProgress?: (fraction: number) => void) => Uint8Array}}
+   */
+  function createWavWriter(numChannels, sampleRate, frames, options = {}) {
+    const bitDepth = options.bitDepth ?? 16;
+    const isFloat = bitDepth === 32;
+    const bytesPerSample = bitDepth / 8;
+    const blockAlign = numChannels * bytesPerSample;
+    const byteRate = sampleRate * blockAlign;
+    const dataSize = frames * blockAlign;
+    // Float WAV needs the extended fmt chunk (cbSize) and a fact chunk
+    const fmtSize = isFloat ? 18 : 16;
+    const factSize = isFloat ? 12 : 0;
+    const chunks = options.chunks || [];
+    // Chunks are word-aligned: odd sizes get a pad byte
+    const chunksSize = chunks.reduce((sum, chunk) => sum + 8 + chunk.bytes.length + (chunk.bytes.length & 1), 0);
+    const headerSize = 12 + 8 + fmtSize + factSize + chunksSize + 8;
+    const riffSize = headerSize - 8 + dataSize;
+    if (riffSize > WAV_MAX_RIFF_SIZE) {
+      throw new Error(`WAV output too large: ${dataSize} bytes of samples, WAV holds at most 4 GiB (try fewer channels, a lower bit depth or FLAC)`);
+    }
+
+    const view = new DataView(new ArrayBuffer(headerSize));
+    const headerBytes = new Uint8Array(view.buffer);
+
+    // RIFF header
+    writeString(view, 0, 'RIFF');
+    view.setUint32(4, riffSize, true);
+    writeString(view, 8, 'WAVE');
+
+    // fmt chunk
+    writeString(view, 12, 'fmt ');
+    view.setUint32(16, fmtSize, true);
+    view.setUint16(20, isFloat ? 3 : 1, true); // audio format: IEEE float / PCM
+    view.setUint16(22, numChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, byteRate, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitDepth, true); // bits per sample
+    let offset = 36;
+    if (isFloat) {
+      view.setUint16(offset, 0, true); // cbSize
+      offset += 2;
+      writeString(view, offset, 'fact');
+      view.setUint32(offset + 4, 4, true);
+      view.setUint32(offset + 8, frames, true);
+      offset += 12;
+    }
+
+    for (const chunk of chunks) {
+      writeString(view, offset, chunk.id);
+      view.setUint32(offset + 4, chunk.bytes.length, true);
+      headerBytes.set(chunk.bytes, offset + 8);
+      offset += 8 + chunk.bytes.length + (chunk.bytes.length & 1);
+    }
+
+    // data chunk
+    writeString(view, offset, 'data');
+    view.setUint32(offset + 4, dataSize, true);
+
+    const quantize = isFloat ? null : createQuantizer(bitDepth, options.dither ?? true);
+    const encode = (channels, onProgress = noop) => {
+      const count = channels[0] ? channels[0].length : 0;
+      const samples = new DataView(new ArrayBuffer(count * blockAlign));
+      if (isFloat) floatToFloat32(samples, 0, channels, onProgress);
+      else floatToPCM(samples, 0, channels, quantize, bytesPerSample, onProgress);
+      return new Uint8Array(samples.buffer);
+    };
+
+    return { header: headerBytes, encode };
+  }
+
+  function writeString(view, offset, str) {
+    for (let i = 0; i < str.length; i++) {
+      view.setUint8(offset + i, str.charCodeAt(i));
+    }
+  }
+
+  /**
+   * Float [-1, 1] -> signed integer of the given bit depth.
+   * With dither, adds TPDF noise (two uniform draws, +-1 LSB peak) before
+   * rounding. The noise generator is seeded per quantizer so the same input
+   * always encodes to the same bytes.
+   * @returns {(sample: number) => number}
+   */
+  function createQuantizer(bitDepth, dither) {
+    const scale = Math.pow(2, bitDepth - 1);
+    const max = scale - 1;
+    const min = -scale;
+    let seed = DITHER_SEED;
+    const random = () => {
+      // xorshift32, mapped to [0, 1)
+      seed ^= seed << 13;
+      seed ^= seed >>> 17;
+      seed ^= seed << 5;
+      return (seed >>> 0) / 4294967296;
+    };
+
+    return (sample) => {
+      const noise = dither ? random() - random() : 0;
+      const value = Math.round(sample * scale + noise);
+      return value > max ? max : value < min ? min : value;
+    };
+  }
+
+  function floatToPCM(view, offset, channels, quantize, bytesPerSample, onProgress = noop) {
+    const frames = channels.length ? channels[0].length : 0;
+    for (let i = 0; i < frames; i++) {
+      if ((i & PROGRESS_SAMPLE_MASK) === 0) onProgress(i / frames);
+      // Interleave: one sample per channel for every frame
+      for (let ch = 0; ch < channels.length; ch++, offset += bytesPerSample) {
+        const value = quantize(channels[ch][i]);
+        if (bytesPerSample === 2) {
+          view.setInt16(offset, value, true);
+        } else {
+          // 24-bit little endian
+          view.setUint8(offset, value & 0xff);
+          view.setUint8(offset + 1, (value >> 8) & 0xff);
+          view.setUint8(offset + 2, (value >> 16) & 0xff);
+        }
+      }
+    }
+  }
+
+  function floatToFloat32(view, offset, channels, onProgress = noop) {
+    const frames = channels.length ? channels[0].length : 0;
+    for (let i = 0; i < frames; i++) {
+      if ((i & PROGRESS_SAMPLE_MASK) === 0) onProgress(i / frames);
+      for (let ch = 0; ch < channels.length; ch++, offset += 4) {
+        view.setFloat32(offset, channels[ch][i], true);
+      }
+    }
+  }
+
+  // window on the page, self in the worker, module.exports under Node
+  const api = {
+    DEFAULTS,
+    DETECTOR_DEFAULTS,
+    FADE_CURVES,
+    SPLICE_SNAP_MODES,
+    msToSamples,
+    trimChannels,
+    planSegments,
+    planJointSegments,
+    createSegmentPlanner,
+    invertSegments,
+    downmixChannels,
+    detectSpeechSegments,
+    defaultCloseThreshold,
+    createSpeechGate,
+    finishSpeechSegments,
+    estimateSilenceSettings,
+    retainPauses,
+    buildCutList,
+    applyTimeMap,
+    mapTimeToOutput,
+    mapTimeToSource,
+    buildOutputBufferFromSegments,
+    createStitcher,
+    snapSegments,
+    spliceWindows,
+    encodeWav,
+    createWavWriter,
+    createQuantizer,
+  };
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+  else root._speechTrimmer = api;
+})();
+
+
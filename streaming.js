@@ -0,0 +1,211 @@
+/*
+  Streaming – the trim pipeline for WAV recordings too long to hold in memory
+
+  Two passes over the file, CHUNK_FRAMES at a time:
+  1. decode -> mono sidechain -> speech gate (its state carried across chunk
+     boundaries) -> segment plan, as planSegments would make it; with
+     spliceSnap, only the few milliseconds around each splice are read again
+  2. decode again -> incremental stitch -> EQ (filter state carried over) ->
+     WAV parts, header first (with the metadata and cut markers, wavMetadata.js)
+  Memory stays at a few chunks plus the segment list, however long the input.
+  With the same options the output is byte-identical to pipeline.js + encodeWav.
+
+  Only stages that work sample by sample can run this way: trimming and the EQ.
+  Noise reduction, breath/click detection, time-stretch, dynamics and loudness
+  normalization need the whole file, and only WAV can be written in parts; such options are
+  rejected (unsupportedStreamingOptions).
+
+  Pure JS: the worker reads a File through Blob.slice, the CLI a file handle.
+*/
+
+(function () {
+  const root = typeof window !== 'undefined' ? window : typeof self !== 'undefined' ? self : globalThis;
+  const load = (name, file) => root[name] || require(file);
+  const trimmer = load('_speechTrimmer', './speechTrimmer.js');
+  const { readWavInfo, decodeWavFrames } = load('wavReader', './wavReader.js');
+  const { createEqStream } = load('audioEqualizer', './equalizer.js');
+  const { buildWavMetadata } = load('wavMetadata', './wavMetadata.js');
+  const { createLevelMeter } = load('audioReport', './report.js');
+
+  const CHUNK_FRAMES = 1 << 18; // ~5.5 s at 48 kHz
+  // WAV inputs from this size on are streamed by default (CLI)
+  const STREAMING_MIN_BYTES = 512 * 1024 * 1024;
+  // The page streams a WAV once its samples take this much as Float32: a
+  // whole-file run holds them several times over (source, sidechain, output)
+  const STREAMING_MIN_DECODED_BYTES = 256 * 1024 * 1024;
+  // Output format id (encoders.js) -> WAV bit depth
+  const STREAMING_FORMATS = { wav16: 16, wav24: 24, wav32f: 32 };
+  const WHOLE_FILE_OPTIONS = ['denoise', 'artifacts', 'stretch', 'dynamics', 'loudness'];
+
+  /**
+   * Options the streaming pipeline cannot run.
+   * @returns {string[]} names from WHOLE_FILE_OPTIONS that are set, plus 'format' for non-WAV output
+   */
+  function unsupportedStreamingOptions(options) {
+    const names = WHOLE_FILE_OPTIONS.filter((name) => options[name]);
+    if (options.format && !STREAMING_FORMATS[options.format]) names.push('format');
+    return names;
+  }
+
+  /**
+   * Trim (and EQ) a WAV file chunk by chunk.
+   * onProgress, if given, receives ('detect', fraction) for the first pass and
+   * ('stitch', fraction) for the second, which also filters and encodes.
+   * @param {{size: number, read: (offset: number, length: number) => Promise<Uint8Array>}} source
+   * @param {{write: (bytes: Uint8Array) => (void|Promise<void>)}} sink receives the output file in order
+   * @param {object} [options] processChannels options (pipeline.js) without the whole-file stages,
+   *   plus format ('wav16'|'wav24'|'wav32f', default 'wav16') and dither
+   * @returns {Promise<{sampleRate: number, segments: Array<[number, number]>, trimmed: boolean, cutList: object,
+   *   frames: number, levels: {before: object, after: object}}>} frames written, levels as processChannels reports them
+   */
+  async function processWavStream(source, sink, options = {}) {
+    const unsupported = unsupportedStreamingOptions(options);
+    if (unsupported.length) throw new Error(`Not available when streaming: ${unsupported.join(', ')}`);
+    const onProgress = options.onProgress || noop;
+    const format = options.format || 'wav16';
+    const info = await readWavInfo(source.read, source.size);
+    const { sampleRate, frames } = info;
+    const mono = (options.channelMode ?? trimmer.DEFAULTS.channelMode) === 'mono';
+    const overlapSamples = trimmer.msToSamples(options.overlapMs ?? trimmer.DEFAULTS.overlapMs, sampleRate);
+
+    // Pass 1: the plan (edited segments skip it)
+    let segments = options.segments;
+    if (!segments) {
+      const planner = trimmer.createSegmentPlanner(sampleRate, { ...options, totalLength: frames, onProgress });
+      await forEachChunk(source, info, (channels) => planner.push(trimmer.downmixChannels(channels)));
+      segments = planner.finish();
+    }
+    if ((options.spliceSnap ?? trimmer.DEFAULTS.spliceSnap) !== 'none') {
+      const windows = new Map();
+      for (const [start, end] of trimmer.spliceWindows(segments, sampleRate, options)) {
+        windows.set(`${start}:${end}`, await readMono(source, info, start, end));
+      }
+      segments = trimmer.snapSegments(segments, sampleRate, options, (start, end) => windows.get(`${start}:${end}`));
+    }
+    onProgress('detect', 1);
+
+    const cutList = trimmer.buildCutList(segments, sampleRate, overlapSamples, frames);
+    const trimmed = !(segments.length <= 1 && segments[0] && segments[0][0] === 0 && segments[0][1] === frames);
+    const outputFrames = stitchedLength(segments, overlapSamples);
+
+    // Pass 2: stitch, filter, encode
+    const channelCount = mono ? 1 : info.numChannels;
+    const writer = trimmer.createWavWriter(channelCount, sampleRate, outputFrames, {
+      bitDepth: STREAMING_FORMATS[format],
+      dither: options.dither,
+      chunks: buildWavMetadata(info.chunks, cutList),
+    });
+    const stitcher = trimmer.createStitcher(segments, overlapSamples, channelCount, options.fadeCurve);
+    const eq = options.eq ? createEqStream(channelCount, sampleRate, options.eq) : null;
+    const before = createLevelMeter();
+    const after = createLevelMeter();
+    let written = 0;
+    const emit = async (pieces) => {
+      if (pieces[0].length === 0) return;
+      if (eq) eq(pieces);
+      after.push(pieces);
+      await sink.write(writer.encode(pieces));
+      written += pieces[0].length;
+    };
+
+    await sink.write(writer.header);
+    await forEachChunk(
+      source,
+      info,
+      (channels, start) => {
+        before.push(channels);
+        return emit(stitcher.push(mono ? [trimmer.downmixChannels(channels)] : channels, start));
+      },
+      (fraction) => onProgress('stitch', fraction)
+    );
+    await emit(stitcher.finish());
+    if (written !== outputFrames) throw new Error(`Streamed ${written} frames, expected ${outputFrames}`);
+
+    return { sampleRate, segments, trimmed, cutList, frames: written, levels: { before: before.result(), after: after.result() } };
+  }
+
+  async function forEachChunk(source, info, callback, onProgress = noop) {
+    for (let start = 0; start < info.frames; start += CHUNK_FRAMES) {
+      onProgress(start / info.frames);
+      const count = Math.min(CHUNK_FRAMES, info.frames - start);
+      const bytes = await source.read(info.dataOffset + start * info.blockSize, count * info.blockSize);
+      await callback(decodeWavFrames(bytes, info), start);
+    }
+    onProgress(1);
+  }
+
+  // Mono mix of frames [start, end), zero outside the file
+  async function readMono(source, info, start, end) {
+    const out = new Float32Array(end - start);
+    const from = Math.max(0, start);
+    const to = Math.min(info.frames, end);
+    if (to > from) {
+      const bytes = await source.read(info.dataOffset + from * info.blockSize, (to - from) * info.blockSize);
+      out.set(trimmer.downmixChannels(decodeWavFrames(bytes, info)), from - start);
+    }
+    return out;
+  }
+
+  // Output length of buildOutputBufferFromSegments for this plan
+  function stitchedLength(segments, overlapSamples) {
+    let total = 0;
+    segments.forEach(([s, e], idx) => {
+      total += e - s;
+      if (idx > 0) total -= Math.min(overlapSamples, segments[idx - 1][1] - segments[idx - 1][0], e - s);
+    });
+    return total;
+  }
+
+  /**
+   * Size of a WAV's samples once decoded to Float32 (frames × channels × 4),
+   * read from the header alone.
+   * @param {{size: number, read: (offset: number, length: number) => Promise<Uint8Array>}} source
+   * @returns {Promise<number>} bytes
+   */
+  async function decodedWavSize(source) {
+    const info = await readWavInfo(source.read, source.size);
+    return info.frames * info.numChannels * 4;
+  }
+
+  /**
+   * Source over a Blob or File: only the requested slice is read.
+   */
+  function blobSource(blob) {
+    return {
+      size: blob.size,
+      read: async (offset, length) => new Uint8Array(await blob.slice(offset, offset + length).arrayBuffer()),
+    };
+  }
+
+  /**
+   * Sink that builds a Blob. Each part joins the previous Blob by reference,
+   * so the browser may keep the bytes outside the JS heap.
+   * @returns {{write: (bytes: Uint8Array) => void, blob: () => Blob}}
+   */
+  function createBlobSink(type = 'audio/wav') {
+    let blob = new Blob([], { type });
+    return {
+      write: (bytes) => {
+        blob = new Blob([blob, bytes], { type });
+      },
+      blob: () => blob,
+    };
+  }
+
+  function noop() {}
+
+  // window on the page, self in the worker, module.exports under Node
+  const api = {
+    CHUNK_FRAMES,
+    STREAMING_MIN_BYTES,
+    STREAMING_MIN_DECODED_BYTES,
+    STREAMING_FORMATS,
+    unsupportedStreamingOptions,
+    processWavStream,
+    decodedWavSize,
+    blobSource,
+    createBlobSink,
+  };
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+  else root.audioStreaming = api;
+})();
@@ -0,0 +1,98 @@
+'use strict';
+
+// The page (app.js) and the CLI must hand processChannels the same options for
+// the same settings, so both write the same file.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseArgs } = require('util');
+const { DEFAULTS, DETECTOR_DEFAULTS, defaultCloseThreshold, processChannels } = require('../headless.js');
+const { OPTIONS, buildOptions } = require('../cli.js');
+
+const SAMPLE_RATE = 16000;
+
+// PROCESS_OPTIONS as app.js starts with it, after the given slider moves
+function pageOptions(moves = {}) {
+  const options = { ...DEFAULTS, ...DETECTOR_DEFAULTS, closeThreshold: defaultCloseThreshold(DEFAULTS.silenceThreshold) };
+  if (moves.silenceThreshold !== undefined) {
+    options.silenceThreshold = moves.silenceThreshold;
+    options.closeThreshold = defaultCloseThreshold(moves.silenceThreshold);
+  }
+  const { silenceThreshold, ...rest } = moves;
+  return { ...options, ...rest, denoise: null, artifacts: null };
+}
+
+function cliOptions(argv) {
+  const { values } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  return buildOptions(values);
+}
+
+// Tone bursts with quiet tails between the open and close thresholds, so
+// both thresholds decide where the cuts go
+function speechLike() {
+  const samples = new Float32Array(SAMPLE_RATE * 3);
+  let seed = 1;
+  for (let i = 0; i < samples.length; i++) {
+    const t = i / SAMPLE_RATE;
+    const phase = t % 1;
+    const level = phase < 0.35 ? 0.3 : phase < 0.5 ? 0.02 : 0.002;
+    seed = (seed * 1103515245 + 12345) >>> 0;
+    samples[i] = level * Math.sin(2 * Math.PI * 220 * t) + level * 0.2 * (seed / 0x100000000 - 0.5);
+  }
+  return [samples];
+}
+
+function assertSameOutput(page, cli) {
+  const source = speechLike();
+  const fromPage = processChannels(source, SAMPLE_RATE, page);
+  const fromCli = processChannels(source, SAMPLE_RATE, cli);
+  assert.deepStrictEqual(fromCli.segments, fromPage.segments);
+  assert.strictEqual(fromCli.channels.length, fromPage.channels.length);
+  for (let ch = 0; ch < fromPage.channels.length; ch++) {
+    assert.deepStrictEqual(Buffer.from(fromCli.channels[ch].buffer), Buffer.from(fromPage.channels[ch].buffer));
+  }
+}
+
+test('defaults give the same output', () => {
+  const cli = cliOptions([]);
+  assert.strictEqual(cli.closeThreshold, pageOptions().closeThreshold);
+  assertSameOutput(pageOptions(), cli);
+});
+
+test('a moved threshold moves the close threshold the same way', () => {
+  const cli = cliOptions(['-t', '0.03']);
+  const page = pageOptions({ silenceThreshold: 0.03 });
+  assert.strictEqual(cli.closeThreshold, page.closeThreshold);
+  assertSameOutput(page, cli);
+});
+
+test('speech gate and sentence settings reach the core from both', () => {
+  const page = pageOptions({
+    silenceThreshold: 0.025,
+    detector: 'peak',
+    closeThreshold: 0.004,
+    attackMs: 10,
+    holdMs: 120,
+    releaseMs: 40,
+    minSpeechMs: 50,
+    preRollMs: 15,
+    postRollMs: 80,
+    keepPausePercent: 20,
+    sentenceGapMs: 400,
+    sentencePauseMs: 150,
+  });
+  const cli = cliOptions([
+    '-t', '0.025', '--detector', 'peak', '--close-threshold', '0.004',
+    '--attack', '10', '--hold', '120', '--release', '40', '--min-speech', '50',
+    '--pre-roll', '15', '--post-roll', '80',
+    '--keep-pause', '20', '--sentence-gap', '400', '--sentence-pause', '150',
+  ]);
+  for (const key of Object.keys(DETECTOR_DEFAULTS).filter((key) => key !== 'frameMs')) {
+    assert.strictEqual(cli[key], page[key], key);
+  }
+  assertSameOutput(page, cli);
+});
+
+test('unknown detector is rejected', () => {
+  assert.throws(() => cliOptions(['--detector', 'loudness']), /unknown detector/);
+});
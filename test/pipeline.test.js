@@ -0,0 +1,61 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { processChannels, processTracks } = require('../pipeline.js');
+
+const SAMPLE_RATE = 16000;
+const CLICK_AT = Math.round(0.62 * SAMPLE_RATE);
+const REMOVE_CLICKS = { click: { action: 'remove' }, breath: { action: 'keep' }, mouth: { action: 'keep' } };
+
+// Modulated tone with pauses, a burst of full-scale clicks at CLICK_AT if asked
+function track(withClick) {
+  const samples = new Float32Array(SAMPLE_RATE * 3);
+  let seed = 7;
+  for (let i = 0; i < samples.length; i++) {
+    const t = i / SAMPLE_RATE;
+    const level = t % 1 < 0.6 ? 0.2 : 0.001;
+    seed = (seed * 1103515245 + 12345) >>> 0;
+    samples[i] = level * Math.sin(2 * Math.PI * 180 * t) * (0.6 + 0.4 * Math.sin(2 * Math.PI * 3 * t)) + 0.0005 * (seed / 0x100000000 - 0.5);
+  }
+  if (withClick) {
+    for (let i = 0; i < 16; i++) samples[CLICK_AT + i] += i % 2 ? -0.9 : 0.9;
+  }
+  return [samples];
+}
+
+// The click sits well inside the first kept segment, so it keeps its position in the output
+function clickPeak(channels) {
+  let peak = 0;
+  for (let i = CLICK_AT; i < CLICK_AT + 16; i++) peak = Math.max(peak, Math.abs(channels[0][i]));
+  return peak;
+}
+
+test('tracks attenuate the clicks set to remove, with the same cuts for every track', () => {
+  const tracks = [track(true), track(false)];
+  const plain = processTracks(tracks, SAMPLE_RATE, {});
+  const cleaned = processTracks(tracks, SAMPLE_RATE, { artifacts: REMOVE_CLICKS });
+
+  assert.deepStrictEqual(cleaned.segments, plain.segments);
+  const [click] = cleaned.tracks[0].events;
+  assert.strictEqual(click.type, 'click');
+  assert.strictEqual(click.action, 'attenuate');
+  assert.ok(clickPeak(cleaned.tracks[0].channels) < clickPeak(plain.tracks[0].channels) / 4);
+  assert.ok(cleaned.cutList.events.every((event) => event.action === 'attenuate'));
+});
+
+test('edited segments attenuate the clicks set to remove that they keep', () => {
+  const source = track(true);
+  const detected = processChannels(source, SAMPLE_RATE, {});
+  const edited = processChannels(source, SAMPLE_RATE, { segments: detected.segments, artifacts: REMOVE_CLICKS });
+
+  assert.deepStrictEqual(edited.segments, detected.segments);
+  assert.deepStrictEqual(edited.events.map((event) => event.action), ['attenuate']);
+  assert.ok(clickPeak(edited.channels) < clickPeak(detected.channels) / 4);
+});
+
+test('without edits a click set to remove is cut out', () => {
+  const result = processChannels(track(true), SAMPLE_RATE, { artifacts: REMOVE_CLICKS });
+  assert.deepStrictEqual(result.events.map((event) => event.action), ['remove']);
+  assert.ok(result.segments.some(([, end]) => end === result.events[0].start));
+});
@@ -0,0 +1,23 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { encodeWav, createWavWriter } = require('../speechTrimmer.js');
+const { STREAMING_MIN_DECODED_BYTES, decodedWavSize, blobSource } = require('../streaming.js');
+
+test('decoded size counts four bytes per sample, whatever the bit depth', async () => {
+  const channels = [new Float32Array(1000), new Float32Array(1000)];
+  for (const bitDepth of [16, 24, 32]) {
+    const wav = encodeWav(channels, 48000, { bitDepth });
+    assert.strictEqual(await decodedWavSize(blobSource(wav)), 1000 * 2 * 4, `${bitDepth}-bit`);
+  }
+});
+
+test('the page streams 16-bit files smaller than the threshold once decoded past it', async () => {
+  const frames = STREAMING_MIN_DECODED_BYTES / 8;
+  // Header of a 16-bit stereo WAV with that many frames; the samples are never read
+  const header = createWavWriter(2, 48000, frames).header;
+  const source = { size: header.length + frames * 4, read: async (offset, length) => header.slice(offset, offset + length) };
+  assert.ok(source.size < STREAMING_MIN_DECODED_BYTES);
+  assert.strictEqual(await decodedWavSize(source), STREAMING_MIN_DECODED_BYTES);
+});
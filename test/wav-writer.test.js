@@ -0,0 +1,27 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWavWriter } = require('../speechTrimmer.js');
+
+test('header sizes match the samples', () => {
+  const writer = createWavWriter(2, 48000, 1000, { bitDepth: 24 });
+  const view = new DataView(writer.header.buffer);
+  assert.strictEqual(view.getUint32(4, true), writer.header.length - 8 + 1000 * 6);
+  assert.strictEqual(view.getUint32(writer.header.length - 4, true), 1000 * 6);
+});
+
+test('the largest file WAV can describe is still written', () => {
+  // 16-bit mono, 44-byte header: the RIFF size is 36 + 2 * frames
+  const frames = Math.floor((0xffffffff - 36) / 2);
+  const view = new DataView(createWavWriter(1, 48000, frames).header.buffer);
+  assert.strictEqual(view.getUint32(4, true), 36 + 2 * frames);
+  assert.strictEqual(view.getUint32(40, true), 2 * frames);
+});
+
+test('data past the 32-bit sizes is rejected instead of wrapping', () => {
+  const frames = Math.floor((0xffffffff - 36) / 2) + 1;
+  assert.throws(() => createWavWriter(1, 48000, frames), /WAV output too large/);
+  // Eight hours of 48 kHz stereo float
+  assert.throws(() => createWavWriter(2, 48000, 8 * 3600 * 48000, { bitDepth: 32 }), /WAV output too large/);
+});
@@ -0,0 +1,217 @@
+/*
+  Time-stretch – faster speech at the same pitch (WSOLA)
+
+  Runs on the stitched output (trimChannels, after buildOutputBufferFromSegments).
+  Hann-windowed frames are overlap-added at a fixed synthesis hop while the
+  read position advances rate times faster. Each frame may slide by up to
+  SEARCH_MS to where it best continues the previous one (normalized
+  cross-correlation on the mono mix), so pitch periods line up instead of
+  smearing into a chorus.
+
+  - rate 1.05-1.3 for 5-30% faster speech; 1 leaves the audio untouched
+  - speechOnly: frames outside speech keep rate 1 and are copied through, so
+    the pauses the trim settings kept stay as long as they were
+  - the alignment is searched once on the mono mix and applied to every
+    channel, which keeps the stereo image
+  - returns a time map (stitched -> stretched seconds) for the cut list
+    (applyTimeMap in speechTrimmer.js). It depends only on the rate and the
+    speech regions, so tracks given the same regions stay in sync.
+*/
+
+(function () {
+  const root = typeof window !== 'undefined' ? window : typeof self !== 'undefined' ? self : globalThis;
+  const trimmer = root._speechTrimmer || require('./speechTrimmer.js');
+
+  const STRETCH_DEFAULTS = {
+    rate: 1.15,
+    speechOnly: true,
+  };
+
+  const FRAME_MS = 30;
+  const SEARCH_MS = 8;
+  // The coarse search looks at every COARSE_STEP-th sample and offset, then refines
+  const COARSE_STEP = 4;
+  const PROGRESS_FRAME_MASK = 0xff;
+
+  /**
+   * Speed up per-channel samples without changing pitch.
+   * onProgress, if given, receives ('stretch', fraction).
+   * @param {Float32Array[]} channels
+   * @param {number} sampleRate
+   * @param {{rate?: number, speechOnly?: boolean, regions?: Array<[number, number]>, gate?: object,
+   *   onProgress?: (stage: string, fraction: number) => void}} [options] regions: speech to stretch
+   *   (samples, sorted), found with speechRegions and the gate options (speechTrimmer.js) when left out
+   * @returns {{channels: Float32Array[], timeMap: Array<[number, number]>}} timeMap: [inputTime, outputTime]
+   *   breakpoints in seconds, linear in between
+   */
+  function stretchChannels(channels, sampleRate, options = {}) {
+    const rate = options.rate ?? STRETCH_DEFAULTS.rate;
+    const speechOnly = options.speechOnly ?? STRETCH_DEFAULTS.speechOnly;
+    const onProgress = options.onProgress || noop;
+    if (!(rate > 0)) throw new Error(`Invalid stretch rate: ${rate}`);
+    const length = channels[0] ? channels[0].length : 0;
+    const frameSize = 2 * Math.max(1, Math.round(trimmer.msToSamples(FRAME_MS, sampleRate) / 2));
+    const hop = frameSize / 2;
+
+    if (rate === 1 || length < frameSize) {
+      onProgress('stretch', 1);
+      const duration = length / sampleRate;
+      return { channels, timeMap: [[0, 0], [duration, duration]] };
+    }
+
+    const mono = trimmer.downmixChannels(channels);
+    const regions = speechOnly ? options.regions ?? speechRegions([mono], sampleRate, options.gate) : null;
+    const { positions, rates, outputLength } = planFrames(length, hop, rate, regions);
+
+    // Frames read up to one frame plus the search range past the end
+    const search = trimmer.msToSamples(SEARCH_MS, sampleRate);
+    const padded = new Float32Array(length + frameSize + 2 * search);
+    padded.set(mono);
+
+    const hann = hannWindow(frameSize);
+    const output = channels.map(() => new Float32Array(outputLength));
+    const weight = new Float32Array(outputLength);
+    let taken = 0;
+
+    for (let k = 0; k < positions.length; k++) {
+      if ((k & PROGRESS_FRAME_MASK) === 0) onProgress('stretch', k / positions.length);
+      const target = Math.round(positions[k]);
+      if (k > 0) {
+        // Where the previous frame would continue seamlessly
+        const natural = taken + hop;
+        const copy = rates[k] === 1 && Math.abs(natural - target) <= search;
+        taken = copy ? natural : bestOffset(padded, natural, target, hop, search);
+      }
+
+      const outStart = k * hop;
+      const count = Math.min(frameSize, outputLength - outStart, length - taken);
+      for (let n = 0; n < count; n++) weight[outStart + n] += hann[n];
+      channels.forEach((data, ch) => {
+        const out = output[ch];
+        for (let n = 0; n < count; n++) out[outStart + n] += hann[n] * data[taken + n];
+      });
+    }
+
+    // Hann frames at half overlap sum to one; only the edges need the division
+    for (const out of output) {
+      for (let i = 0; i < outputLength; i++) {
+        if (weight[i] > 1e-6) out[i] /= weight[i];
+      }
+    }
+    onProgress('stretch', 1);
+
+    return { channels: output, timeMap: buildTimeMap(positions, rates, hop, length, outputLength, sampleRate) };
+  }
+
+  /**
+   * Speech regions (samples) of one or more mono signals, joined: a frame is
+   * speech if any signal has speech there. Uses the speech gate with the trim
+   * settings (createSpeechGate in speechTrimmer.js), without bridging or padding.
+   * @param {Float32Array[]} monoTracks
+   * @param {number} sampleRate
+   * @param {object} [gate] trimChannels options (silenceThreshold and the speech gate settings)
+   * @returns {Array<[number, number]>}
+   */
+  function speechRegions(monoTracks, sampleRate, gate = {}) {
+    const silenceThreshold = gate.silenceThreshold ?? trimmer.DEFAULTS.silenceThreshold;
+    const regions = [];
+    for (const data of monoTracks) {
+      const speechGate = trimmer.createSpeechGate(sampleRate, silenceThreshold, { ...gate, onProgress: noop });
+      speechGate.push(data);
+      regions.push(...speechGate.finish());
+    }
+    regions.sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    for (const [s, e] of regions) {
+      const prev = merged[merged.length - 1];
+      if (prev && s <= prev[1]) prev[1] = Math.max(prev[1], e);
+      else merged.push([s, e]);
+    }
+    return merged;
+  }
+
+  // Nominal read position and rate of every output frame; frames centered in
+  // speech (or all of them without regions) advance rate hops at a time
+  function planFrames(length, hop, rate, regions) {
+    const positions = [];
+    const rates = [];
+    let region = 0;
+    for (let position = 0; position < length; ) {
+      const center = position + hop;
+      while (regions && region < regions.length && regions[region][1] <= center) region++;
+      const inSpeech = !regions || (region < regions.length && regions[region][0] <= center);
+      const frameRate = inSpeech ? rate : 1;
+      positions.push(position);
+      rates.push(frameRate);
+      position += hop * frameRate;
+    }
+    const last = positions.length - 1;
+    const outputLength = Math.round(last * hop + (length - positions[last]) / rates[last]);
+    return { positions, rates, outputLength };
+  }
+
+  // Candidate start in [target - search, target + search] whose first half
+  // correlates best with the natural continuation
+  function bestOffset(data, natural, target, hop, search) {
+    const from = Math.max(0, target - search);
+    const to = target + search;
+    let best = Math.max(from, Math.min(to, target));
+    let bestScore = -Infinity;
+    const score = (candidate, step) => {
+      let xy = 0;
+      let yy = 0;
+      for (let n = 0; n < hop; n += step) {
+        const y = data[candidate + n];
+        xy += data[natural + n] * y;
+        yy += y * y;
+      }
+      return yy > 0 ? xy / Math.sqrt(yy) : 0;
+    };
+
+    for (let candidate = from; candidate <= to; candidate += COARSE_STEP) {
+      const value = score(candidate, COARSE_STEP);
+      if (value > bestScore) {
+        bestScore = value;
+        best = candidate;
+      }
+    }
+    const coarse = best;
+    bestScore = -Infinity;
+    for (let candidate = Math.max(from, coarse - COARSE_STEP + 1); candidate <= Math.min(to, coarse + COARSE_STEP - 1); candidate++) {
+      const value = score(candidate, 1);
+      if (value > bestScore) {
+        bestScore = value;
+        best = candidate;
+      }
+    }
+    return best;
+  }
+
+  // Breakpoints where the rate changes, plus both ends
+  function buildTimeMap(positions, rates, hop, length, outputLength, sampleRate) {
+    const map = [[0, 0]];
+    for (let k = 1; k < positions.length; k++) {
+      if (rates[k] !== rates[k - 1]) map.push([positions[k] / sampleRate, (k * hop) / sampleRate]);
+    }
+    map.push([length / sampleRate, outputLength / sampleRate]);
+    return map;
+  }
+
+  // Periodic Hann: copies one hop apart add up to exactly one
+  function hannWindow(size) {
+    const hann = new Float32Array(size);
+    for (let n = 0; n < size; n++) hann[n] = 0.5 - 0.5 * Math.cos((2 * Math.PI * n) / size);
+    return hann;
+  }
+
+  function noop() {}
+
+  // window on the page, self in the worker, module.exports under Node
+  const api = {
+    STRETCH_DEFAULTS,
+    stretchChannels,
+    speechRegions,
+  };
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+  else root.audioTimeStretch = api;
+})();
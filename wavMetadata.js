@@ -0,0 +1,203 @@
+/*
+  WAV metadata – carries the source's chunks over into the processed file and
+  marks where it was edited
+
+  - bext (Broadcast WAV): copied, TimeReference moved to the first kept sample
+  - iXML: copied, its BWF timestamp moved the same way
+  - LIST/INFO: copied as-is
+  - cue points (cue + LIST/adtl labels): source markers inside kept audio move
+    to their output position, markers in removed audio are dropped, and every
+    cut gets a marker of its own ("cut N", as in the Audacity labels)
+
+  After the first cut the output no longer runs in step with the recorder's
+  clock, so only the start timecode can be corrected. Positions come from the
+  cut list (buildCutList, moved by applyTimeMap after a time-stretch) and
+  assume the output keeps the source rate.
+  Chunks are {id, bytes} as wavReader.js returns them and createWavWriter
+  (speechTrimmer.js) writes them.
+*/
+
+(function () {
+  const root = typeof window !== 'undefined' ? window : typeof self !== 'undefined' ? self : globalThis;
+  const { mapTimeToOutput } = root._speechTrimmer || require('./speechTrimmer.js');
+
+  // bext: Description(256) Originator(32) OriginatorReference(32) OriginationDate(10)
+  // OriginationTime(8), then TimeReference as a 64-bit sample count since midnight
+  const BEXT_TIME_REFERENCE = 338;
+  const CUE_POINT_BYTES = 24;
+
+  /**
+   * Metadata chunks for the processed file.
+   * @param {Array<{id: string, bytes: Uint8Array}>} sourceChunks from readWav / readWavInfo, or [] for other inputs
+   * @param {object} cutList from buildCutList
+   * @returns {Array<{id: string, bytes: Uint8Array}>} for the chunks option of encodeWav / createWavWriter
+   */
+  function buildWavMetadata(sourceChunks, cutList) {
+    const { sampleRate } = cutList;
+    const segments = cutList.segments.map((seg) => ({
+      sourceStart: Math.round(seg.sourceStart * sampleRate),
+      sourceEnd: Math.round(seg.sourceEnd * sampleRate),
+      outputStart: Math.round(seg.outputStart * sampleRate),
+    }));
+    const shift = segments.length ? segments[0].sourceStart : 0;
+
+    const chunks = [];
+    for (const chunk of sourceChunks) {
+      if (chunk.id === 'bext') chunks.push({ id: 'bext', bytes: shiftBext(chunk.bytes, shift) });
+      else if (chunk.id === 'iXML') chunks.push({ id: 'iXML', bytes: shiftIxml(chunk.bytes, shift) });
+      else if (chunk.id === 'LIST' && listType(chunk.bytes) !== 'adtl') chunks.push(chunk);
+    }
+
+    // Source markers that survive the cut, then one per cut
+    const markers = [];
+    for (const cue of readCuePoints(sourceChunks)) {
+      const seg = segments.find((s) => cue.position >= s.sourceStart && cue.position < s.sourceEnd);
+      if (!seg) continue;
+      // A stretched output no longer runs sample for sample inside a segment
+      const position = cutList.timeMap
+        ? Math.round(mapTimeToOutput(cutList, cue.position / sampleRate) * sampleRate)
+        : seg.outputStart + cue.position - seg.sourceStart;
+      markers.push({ position, label: cue.label });
+    }
+    cutList.cuts.forEach((cut, i) => {
+      markers.push({ position: Math.round(cut.outputTime * sampleRate), label: `cut ${i + 1}` });
+    });
+    if (markers.length) {
+      markers.sort((a, b) => a.position - b.position);
+      chunks.push({ id: 'cue ', bytes: writeCueChunk(markers) }, { id: 'LIST', bytes: writeAdtlChunk(markers) });
+    }
+    return chunks;
+  }
+
+  /**
+   * Cue points of a WAV file with their labels (LIST/adtl labl), sorted by position.
+   * @param {Array<{id: string, bytes: Uint8Array}>} chunks
+   * @returns {Array<{id: number, position: number, label: string}>} position in sample frames
+   */
+  function readCuePoints(chunks) {
+    const cue = chunks.find((chunk) => chunk.id === 'cue ');
+    if (!cue || cue.bytes.length < 4) return [];
+    const view = toView(cue.bytes);
+    const count = Math.min(view.getUint32(0, true), Math.floor((view.byteLength - 4) / CUE_POINT_BYTES));
+    const labels = readLabels(chunks);
+    const points = [];
+    for (let i = 0, offset = 4; i < count; i++, offset += CUE_POINT_BYTES) {
+      const id = view.getUint32(offset, true);
+      // dwSampleOffset: the frame within the data chunk
+      points.push({ id, position: view.getUint32(offset + 20, true), label: labels.get(id) || '' });
+    }
+    return points.sort((a, b) => a.position - b.position);
+  }
+
+  // labl sub-chunks of LIST/adtl: cue point id -> text
+  function readLabels(chunks) {
+    const labels = new Map();
+    for (const chunk of chunks) {
+      if (chunk.id !== 'LIST' || listType(chunk.bytes) !== 'adtl') continue;
+      const view = toView(chunk.bytes);
+      for (let offset = 4; offset + 8 <= view.byteLength; ) {
+        const id = readString(view, offset, 4);
+        const size = Math.min(view.getUint32(offset + 4, true), view.byteLength - offset - 8);
+        if (id === 'labl' && size >= 4) {
+          const text = chunk.bytes.subarray(offset + 12, offset + 8 + size);
+          const end = text.indexOf(0);
+          labels.set(view.getUint32(offset + 8, true), new TextDecoder().decode(end < 0 ? text : text.subarray(0, end)));
+        }
+        offset += 8 + size + (size & 1);
+      }
+    }
+    return labels;
+  }
+
+  function shiftBext(bytes, shift) {
+    const copy = bytes.slice();
+    if (copy.length < BEXT_TIME_REFERENCE + 8) return copy;
+    const view = toView(copy);
+    const low = view.getUint32(BEXT_TIME_REFERENCE, true);
+    const high = view.getUint32(BEXT_TIME_REFERENCE + 4, true);
+    const reference = high * 2 ** 32 + low + shift;
+    view.setUint32(BEXT_TIME_REFERENCE, reference % 2 ** 32, true);
+    view.setUint32(BEXT_TIME_REFERENCE + 4, Math.floor(reference / 2 ** 32), true);
+    return copy;
+  }
+
+  // iXML repeats the count as two 32-bit halves, under either pair of names
+  const IXML_TIME_REFERENCE_TAGS = [
+    ['BWF_TIME_REFERENCE_HIGH', 'BWF_TIME_REFERENCE_LOW'],
+    ['TIMESTAMP_SAMPLES_SINCE_MIDNIGHT_HI', 'TIMESTAMP_SAMPLES_SINCE_MIDNIGHT_LO'],
+  ];
+
+  function shiftIxml(bytes, shift) {
+    if (shift === 0) return bytes.slice();
+    let xml = new TextDecoder().decode(bytes);
+    const tag = (name) => new RegExp(`(<${name}>)\\s*(\\d+)\\s*(</${name}>)`);
+    for (const [highName, lowName] of IXML_TIME_REFERENCE_TAGS) {
+      const high = xml.match(tag(highName));
+      const low = xml.match(tag(lowName));
+      if (!high || !low) continue;
+      const reference = Number(high[2]) * 2 ** 32 + Number(low[2]) + shift;
+      xml = xml
+        .replace(tag(highName), `$1${Math.floor(reference / 2 ** 32)}$3`)
+        .replace(tag(lowName), `$1${reference % 2 ** 32}$3`);
+    }
+    return new TextEncoder().encode(xml);
+  }
+
+  function writeCueChunk(markers) {
+    const view = new DataView(new ArrayBuffer(4 + markers.length * CUE_POINT_BYTES));
+    view.setUint32(0, markers.length, true);
+    markers.forEach((marker, i) => {
+      const offset = 4 + i * CUE_POINT_BYTES;
+      view.setUint32(offset, i + 1, true); // dwName, the id labl refers to
+      view.setUint32(offset + 4, marker.position, true); // dwPosition
+      writeString(view, offset + 8, 'data'); // fccChunk
+      view.setUint32(offset + 12, 0, true); // dwChunkStart
+      view.setUint32(offset + 16, 0, true); // dwBlockStart
+      view.setUint32(offset + 20, marker.position, true); // dwSampleOffset
+    });
+    return new Uint8Array(view.buffer);
+  }
+
+  function writeAdtlChunk(markers) {
+    const texts = markers.map((marker) => new TextEncoder().encode(`${marker.label}\0`));
+    const size = texts.reduce((sum, text) => sum + 12 + text.length + (text.length & 1), 4);
+    const bytes = new Uint8Array(size);
+    const view = toView(bytes);
+    writeString(view, 0, 'adtl');
+    let offset = 4;
+    texts.forEach((text, i) => {
+      writeString(view, offset, 'labl');
+      view.setUint32(offset + 4, 4 + text.length, true);
+      view.setUint32(offset + 8, i + 1, true);
+      bytes.set(text, offset + 12);
+      offset += 12 + text.length + (text.length & 1);
+    });
+    return bytes;
+  }
+
+  function listType(bytes) {
+    return bytes.length >= 4 ? readString(toView(bytes), 0, 4) : '';
+  }
+
+  function toView(bytes) {
+    return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  }
+
+  function readString(view, offset, length) {
+    let str = '';
+    for (let i = 0; i < length; i++) str += String.fromCharCode(view.getUint8(offset + i));
+    return str;
+  }
+
+  function writeString(view, offset, str) {
+    for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+  }
+
+  // window on the page, self in the worker, module.exports under Node
+  const api = {
+    buildWavMetadata,
+    readCuePoints,
+  };
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+  else root.wavMetadata = api;
+})();
@@ -0,0 +1,184 @@
+/*
+  WAV reader – RIFF/WAVE to per-channel Float32Arrays without decodeAudioData
+
+  - PCM 8/16/24/32-bit and IEEE float 32/64-bit, WAVE_FORMAT_EXTENSIBLE
+  - No resampling: samples keep the file's own rate, so the page and the Node
+    CLI start from identical data
+  - Files too large to hold in memory: readWavInfo finds the format and the
+    data chunk through a byte-range reader, decodeWavFrames decodes one range
+    of frames at a time (streaming.js)
+  - Metadata chunks (bext, iXML, LIST, cue) come back as raw bytes for
+    wavMetadata.js to carry over into the output
+*/
+
+(function () {
+  const root = typeof window !== 'undefined' ? window : typeof self !== 'undefined' ? self : globalThis;
+
+  const FORMAT_PCM = 1;
+  const FORMAT_FLOAT = 3;
+  const FORMAT_EXTENSIBLE = 0xfffe;
+  // Chunks returned as-is: BWF, iXML, LIST (INFO, adtl) and cue points
+  const METADATA_CHUNK_IDS = ['bext', 'iXML', 'LIST', 'cue '];
+
+  /**
+   * Whether the bytes start with a RIFF/WAVE header.
+   * @param {ArrayBuffer|Uint8Array} bytes
+   */
+  function isWav(bytes) {
+    const view = toView(bytes);
+    return view.byteLength >= 12 && readString(view, 0, 4) === 'RIFF' && readString(view, 8, 4) === 'WAVE';
+  }
+
+  /**
+   * Decode a WAV file. Integers map to [-1, 1) by dividing by 2^(bits-1).
+   * @param {ArrayBuffer|Uint8Array} bytes
+   * @returns {{channels: Float32Array[], sampleRate: number, bitDepth: number, float: boolean,
+   *   chunks: Array<{id: string, bytes: Uint8Array}>}} chunks: metadata chunks in file order
+   */
+  function readWav(bytes) {
+    const view = toView(bytes);
+    if (!isWav(bytes)) throw new Error('Not a WAV file');
+
+    let fmt = null;
+    let data = null;
+    const chunks = [];
+    // Chunks are word-aligned: odd sizes are followed by a pad byte
+    for (let offset = 12; offset + 8 <= view.byteLength; ) {
+      const id = readString(view, offset, 4);
+      const size = view.getUint32(offset + 4, true);
+      const body = offset + 8;
+      if (id === 'fmt ') fmt = readFormat(view, body, size);
+      // Streams cut short (or written with a placeholder size) keep what is there
+      if (id === 'data') data = { offset: body, size: Math.min(size, view.byteLength - body) };
+      if (METADATA_CHUNK_IDS.includes(id)) chunks.push(copyChunk(id, view, body, Math.min(size, view.byteLength - body)));
+      offset = body + size + (size & 1);
+    }
+    if (!fmt) throw new Error('WAV file has no fmt chunk');
+    if (!data) throw new Error('WAV file has no data chunk');
+
+    const { sampleRate, bitDepth, float } = fmt;
+    const frames = Math.floor(data.size / blockSize(fmt));
+    const channels = decodeFrames(view, data.offset, frames, fmt);
+    return { channels, sampleRate, bitDepth, float, chunks };
+  }
+
+  /**
+   * Format, data chunk position and metadata chunks of a WAV file read through
+   * byteRange, without loading the samples.
+   * @param {(offset: number, length: number) => Promise<Uint8Array>} byteRange
+   *   bytes [offset, offset + length), fewer at the end of the file
+   * @param {number} size file size in bytes
+   * @returns {Promise<{numChannels: number, sampleRate: number, bitDepth: number, float: boolean,
+   *   dataOffset: number, frames: number, blockSize: number, chunks: Array<{id: string, bytes: Uint8Array}>}>}
+   */
+  async function readWavInfo(byteRange, size) {
+    if (!isWav(await byteRange(0, 12))) throw new Error('Not a WAV file');
+
+    let fmt = null;
+    let data = null;
+    const chunks = [];
+    for (let offset = 12; offset + 8 <= size; ) {
+      const head = toView(await byteRange(offset, 8));
+      const id = readString(head, 0, 4);
+      const chunkSize = Math.min(head.getUint32(4, true), size - offset - 8);
+      const body = offset + 8;
+      if (id === 'fmt ') fmt = readFormat(toView(await byteRange(body, chunkSize)), 0, chunkSize);
+      if (id === 'data') {
+        if (!fmt) throw new Error('WAV file has no fmt chunk before the data');
+        data = { offset: body, size: chunkSize };
+      }
+      if (METADATA_CHUNK_IDS.includes(id)) chunks.push(copyChunk(id, toView(await byteRange(body, chunkSize)), 0, chunkSize));
+      offset = body + chunkSize + (chunkSize & 1);
+    }
+    if (!fmt) throw new Error('WAV file has no fmt chunk');
+    if (!data) throw new Error('WAV file has no data chunk');
+    const frames = Math.floor(data.size / blockSize(fmt));
+    return { ...fmt, dataOffset: data.offset, frames, blockSize: blockSize(fmt), chunks };
+  }
+
+  /**
+   * Decode whole frames from raw data-chunk bytes (as readWavInfo describes them).
+   * @param {ArrayBuffer|Uint8Array} bytes starts on a frame boundary
+   * @param {{numChannels: number, bitDepth: number, float: boolean}} info
+   * @returns {Float32Array[]}
+   */
+  function decodeWavFrames(bytes, info) {
+    const view = toView(bytes);
+    return decodeFrames(view, 0, Math.floor(view.byteLength / blockSize(info)), info);
+  }
+
+  function decodeFrames(view, offset, frames, { numChannels, bitDepth, float }) {
+    const bytesPerSample = bitDepth / 8;
+    const read = sampleReader(view, bitDepth, float);
+    const channels = [];
+    for (let ch = 0; ch < numChannels; ch++) channels.push(new Float32Array(frames));
+    for (let i = 0; i < frames; i++) {
+      for (let ch = 0; ch < numChannels; ch++, offset += bytesPerSample) channels[ch][i] = read(offset);
+    }
+    return channels;
+  }
+
+  function blockSize({ numChannels, bitDepth }) {
+    return (bitDepth / 8) * numChannels;
+  }
+
+  function readFormat(view, offset, size) {
+    let format = view.getUint16(offset, true);
+    const numChannels = view.getUint16(offset + 2, true);
+    const sampleRate = view.getUint32(offset + 4, true);
+    const bitDepth = view.getUint16(offset + 14, true);
+    // Extensible: the real format code is the first two bytes of the subformat GUID
+    if (format === FORMAT_EXTENSIBLE && size >= 40) format = view.getUint16(offset + 24, true);
+
+    const float = format === FORMAT_FLOAT;
+    if (format !== FORMAT_PCM && !float) throw new Error(`Unsupported WAV encoding (format ${format})`);
+    if (float ? bitDepth !== 32 && bitDepth !== 64 : ![8, 16, 24, 32].includes(bitDepth)) {
+      throw new Error(`Unsupported WAV bit depth: ${bitDepth}`);
+    }
+    if (numChannels === 0) throw new Error('WAV file has no channels');
+    return { numChannels, sampleRate, bitDepth, float };
+  }
+
+  function sampleReader(view, bitDepth, float) {
+    if (float) {
+      return bitDepth === 32 ? (o) => view.getFloat32(o, true) : (o) => view.getFloat64(o, true);
+    }
+    switch (bitDepth) {
+      case 8:
+        return (o) => (view.getUint8(o) - 128) / 128; // 8-bit WAV is unsigned
+      case 16:
+        return (o) => view.getInt16(o, true) / 32768;
+      case 24:
+        return (o) => (((view.getUint8(o + 2) << 24) >> 8) | (view.getUint8(o + 1) << 8) | view.getUint8(o)) / 8388608;
+      default:
+        return (o) => view.getInt32(o, true) / 2147483648;
+    }
+  }
+
+  function copyChunk(id, view, offset, size) {
+    return { id, bytes: new Uint8Array(view.buffer.slice(view.byteOffset + offset, view.byteOffset + offset + size)) };
+  }
+
+  function toView(bytes) {
+    return bytes instanceof ArrayBuffer
+      ? new DataView(bytes)
+      : new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  }
+
+  function readString(view, offset, length) {
+    let str = '';
+    for (let i = 0; i < length; i++) str += String.fromCharCode(view.getUint8(offset + i));
+    return str;
+  }
+
+  // window on the page, self in the worker, module.exports under Node
+  const api = {
+    METADATA_CHUNK_IDS,
+    isWav,
+    readWav,
+    readWavInfo,
+    decodeWavFrames,
+  };
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+  else root.wavReader = api;
+})();
@@ -0,0 +1,431 @@
+/*
+  Waveform editor – canvas view of the original file with the cut plan overlaid
+
+  - Green regions are kept segments, red regions are cut.
+  - Drag a segment edge to move it; drag elsewhere to select a region,
+    then force-keep or force-cut it.
+  - Click to seek, wheel to zoom around the cursor, Shift+wheel to scroll.
+  - Flagged breaths, clicks and mouth noises (artifacts.js) are marked along
+    the top edge, one colour per type.
+*/
+
+(function () {
+  const PEAK_BLOCK = 256; // samples per precomputed min/max pair
+  const EDGE_HIT_PX = 6;
+  const CLICK_SLOP_PX = 3;
+  const MIN_SEGMENT_MS = 10;
+  const EVENT_MARK_PX = 5;
+  const MIN_EVENT_PX = 2;
+
+  const COLORS = {
+    background: '#111417',
+    wave: '#8b9299',
+    keep: 'rgba(45, 224, 126, 0.16)',
+    keepEdge: 'rgba(45, 224, 126, 0.85)',
+    cut: 'rgba(240, 80, 80, 0.22)',
+    selection: 'rgba(120, 170, 255, 0.25)',
+    playhead: '#e9ecef',
+    axis: '#2a2e33',
+    events: {
+      breath: 'rgba(110, 190, 255, 0.9)',
+      mouth: 'rgba(200, 140, 255, 0.9)',
+      click: 'rgba(255, 200, 60, 0.95)',
+    },
+  };
+
+  /**
+   * Create a waveform editor bound to a canvas.
+   * @param {HTMLCanvasElement} canvas
+   * @param {{onSeek?: (time: number) => void, onChange?: (segments: Array<[number, number]>) => void,
+   *   onSelectionChange?: (hasSelection: boolean) => void}} callbacks
+   */
+  function createWaveformView(canvas, callbacks = {}) {
+    const ctx = canvas.getContext('2d');
+
+    let data = null;
+    let sampleRate = 44100;
+    let peaks = null; // { min: Float32Array, max: Float32Array } per PEAK_BLOCK
+    let segments = [];
+    let events = []; // { type, start, end } in samples
+    let selection = null; // [startSample, endSample]
+    let playheadTime = 0;
+
+    // Visible window in samples
+    let viewStart = 0;
+    let viewLength = 1;
+
+    let drag = null;
+    let redrawQueued = false;
+
+    canvas.addEventListener('pointerdown', onPointerDown);
+    canvas.addEventListener('pointermove', onPointerMove);
+    canvas.addEventListener('pointerup', onPointerUp);
+    canvas.addEventListener('pointercancel', () => { drag = null; });
+    canvas.addEventListener('wheel', onWheel, { passive: false });
+    window.addEventListener('resize', scheduleRedraw);
+
+    function setAudio(monoData, rate) {
+      data = monoData;
+      sampleRate = rate;
+      peaks = computePeaks(monoData);
+      segments = [];
+      events = [];
+      setSelection(null);
+      zoomToFit();
+    }
+
+    function setSegments(next) {
+      segments = next.map(([s, e]) => [s, e]);
+      scheduleRedraw();
+    }
+
+    function setEvents(next) {
+      events = next.map(({ type, start, end }) => ({ type, start, end }));
+      scheduleRedraw();
+    }
+
+    function getSegments() {
+      return segments.map(([s, e]) => [s, e]);
+    }
+
+    function hasSelection() {
+      return Boolean(selection);
+    }
+
+    // [startSample, endSample] of the current selection, or null
+    function getSelection() {
+      return selection ? [selection[0], selection[1]] : null;
+    }
+
+    function setPlayhead(time) {
+      playheadTime = time;
+      scheduleRedraw();
+    }
+
+    function zoomToFit() {
+      viewStart = 0;
+      viewLength = data ? Math.max(1, data.length) : 1;
+      scheduleRedraw();
+    }
+
+    function zoomBy(factor, anchorSample) {
+      if (!data) return;
+      const anchor = anchorSample ?? viewStart + viewLength / 2;
+      const minLength = Math.max(1, canvasWidth()); // at most one sample per pixel
+      const nextLength = Math.min(data.length, Math.max(minLength, viewLength / factor));
+      const ratio = (anchor - viewStart) / viewLength;
+      viewLength = nextLength;
+      viewStart = clampViewStart(anchor - ratio * nextLength);
+      scheduleRedraw();
+    }
+
+    function scrollBy(samples) {
+      viewStart = clampViewStart(viewStart + samples);
+      scheduleRedraw();
+    }
+
+    // Union the selection into the kept segments
+    function keepSelection() {
+      if (!selection) return;
+      segments = addRange(segments, selection);
+      setSelection(null);
+      emitChange();
+    }
+
+    // Remove the selection from the kept segments
+    function cutSelection() {
+      if (!selection) return;
+      segments = subtractRange(segments, selection);
+      setSelection(null);
+      emitChange();
+    }
+
+    function setSelection(next) {
+      const changed = Boolean(next) !== Boolean(selection);
+      selection = next;
+      if (changed && callbacks.onSelectionChange) callbacks.onSelectionChange(Boolean(next));
+    }
+
+    function emitChange() {
+      scheduleRedraw();
+      if (callbacks.onChange) callbacks.onChange(getSegments());
+    }
+
+    // ------- Pointer interaction -------
+    function onPointerDown(event) {
+      if (!data) return;
+      canvas.setPointerCapture(event.pointerId);
+      const x = event.offsetX;
+      const edge = findEdgeNear(x);
+      drag = edge
+        ? { type: 'edge', index: edge.index, side: edge.side, startX: x }
+        : { type: 'select', anchor: xToSample(x), startX: x, moved: false };
+    }
+
+    function onPointerMove(event) {
+      const x = event.offsetX;
+      if (!drag) {
+        canvas.style.cursor = data && findEdgeNear(x) ? 'ew-resize' : 'crosshair';
+        return;
+      }
+      const sample = xToSample(x);
+      if (drag.type === 'edge') {
+        moveEdge(drag.index, drag.side, sample);
+        drag.moved = true;
+        scheduleRedraw();
+      } else if (Math.abs(x - drag.startX) > CLICK_SLOP_PX) {
+        drag.moved = true;
+        setSelection([Math.min(drag.anchor, sample), Math.max(drag.anchor, sample)]);
+        scheduleRedraw();
+      }
+    }
+
+    function onPointerUp(event) {
+      if (!drag) return;
+      const current = drag;
+      drag = null;
+      if (current.type === 'edge') {
+        if (current.moved) emitChange();
+        return;
+      }
+      if (!current.moved) {
+        setSelection(null);
+        scheduleRedraw();
+        if (callbacks.onSeek) callbacks.onSeek(xToSample(event.offsetX) / sampleRate);
+      }
+    }
+
+    function onWheel(event) {
+      if (!data) return;
+      event.preventDefault();
+      const horizontal = event.shiftKey || Math.abs(event.deltaX) > Math.abs(event.deltaY);
+      if (horizontal) {
+        const delta = event.shiftKey ? event.deltaY : event.deltaX;
+        scrollBy((delta / canvasWidth()) * viewLength);
+      } else {
+        zoomBy(event.deltaY < 0 ? 1.25 : 0.8, xToSample(event.offsetX));
+      }
+    }
+
+    function findEdgeNear(x) {
+      for (let i = 0; i < segments.length; i++) {
+        const [s, e] = segments[i];
+        if (Math.abs(sampleToX(s) - x) <= EDGE_HIT_PX) return { index: i, side: 0 };
+        if (Math.abs(sampleToX(e) - x) <= EDGE_HIT_PX) return { index: i, side: 1 };
+      }
+      return null;
+    }
+
+    // Move one edge, keeping segments ordered and at least MIN_SEGMENT_MS long
+    function moveEdge(index, side, sample) {
+      const minLen = Math.round((MIN_SEGMENT_MS / 1000) * sampleRate);
+      const seg = segments[index];
+      if (side === 0) {
+        const lower = index > 0 ? segments[index - 1][1] : 0;
+        seg[0] = Math.round(Math.min(seg[1] - minLen, Math.max(lower, sample)));
+      } else {
+        const upper = index < segments.length - 1 ? segments[index + 1][0] : data.length;
+        seg[1] = Math.round(Math.max(seg[0] + minLen, Math.min(upper, sample)));
+      }
+    }
+
+    // ------- Drawing -------
+    function scheduleRedraw() {
+      if (redrawQueued) return;
+      redrawQueued = true;
+      requestAnimationFrame(() => {
+        redrawQueued = false;
+        draw();
+      });
+    }
+
+    function draw() {
+      const dpr = window.devicePixelRatio || 1;
+      const width = canvasWidth();
+      const height = canvas.clientHeight || 160;
+      if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+        canvas.width = Math.round(width * dpr);
+        canvas.height = Math.round(height * dpr);
+      }
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+      ctx.fillStyle = COLORS.background;
+      ctx.fillRect(0, 0, width, height);
+      if (!data) return;
+
+      // Everything outside kept segments is cut
+      ctx.fillStyle = COLORS.cut;
+      ctx.fillRect(0, 0, width, height);
+      for (const [s, e] of segments) {
+        const x0 = sampleToX(s);
+        const x1 = sampleToX(e);
+        if (x1 < 0 || x0 > width) continue;
+        ctx.fillStyle = COLORS.background;
+        ctx.fillRect(x0, 0, x1 - x0, height);
+        ctx.fillStyle = COLORS.keep;
+        ctx.fillRect(x0, 0, x1 - x0, height);
+      }
+
+      drawWave(width, height);
+
+      ctx.fillStyle = COLORS.keepEdge;
+      for (const [s, e] of segments) {
+        ctx.fillRect(Math.round(sampleToX(s)), 0, 1, height);
+        ctx.fillRect(Math.round(sampleToX(e)) - 1, 0, 1, height);
+      }
+
+      for (const event of events) {
+        const x0 = sampleToX(event.start);
+        const x1 = Math.max(x0 + MIN_EVENT_PX, sampleToX(event.end));
+        if (x1 < 0 || x0 > width) continue;
+        ctx.fillStyle = COLORS.events[event.type] || COLORS.playhead;
+        ctx.fillRect(x0, 0, x1 - x0, EVENT_MARK_PX);
+      }
+
+      if (selection) {
+        ctx.fillStyle = COLORS.selection;
+        const x0 = sampleToX(selection[0]);
+        ctx.fillRect(x0, 0, sampleToX(selection[1]) - x0, height);
+      }
+
+      const px = sampleToX(playheadTime * sampleRate);
+      if (px >= 0 && px <= width) {
+        ctx.fillStyle = COLORS.playhead;
+        ctx.fillRect(Math.round(px), 0, 1, height);
+      }
+    }
+
+    function drawWave(width, height) {
+      const mid = height / 2;
+      const samplesPerPx = viewLength / width;
+      ctx.fillStyle = COLORS.axis;
+      ctx.fillRect(0, Math.round(mid), width, 1);
+      ctx.fillStyle = COLORS.wave;
+
+      for (let x = 0; x < width; x++) {
+        const from = Math.floor(viewStart + x * samplesPerPx);
+        const to = Math.min(data.length, Math.max(from + 1, Math.floor(viewStart + (x + 1) * samplesPerPx)));
+        if (from >= data.length) break;
+        const [lo, hi] = rangeMinMax(from, to, samplesPerPx);
+        const y0 = mid - hi * mid;
+        const y1 = mid - lo * mid;
+        ctx.fillRect(x, y0, 1, Math.max(1, y1 - y0));
+      }
+    }
+
+    // Use precomputed peaks when a pixel spans several blocks, raw samples otherwise
+    function rangeMinMax(from, to, samplesPerPx) {
+      let lo = Infinity;
+      let hi = -Infinity;
+      if (samplesPerPx >= PEAK_BLOCK) {
+        const b0 = Math.floor(from / PEAK_BLOCK);
+        const b1 = Math.max(b0 + 1, Math.floor(to / PEAK_BLOCK));
+        for (let b = b0; b < b1 && b < peaks.min.length; b++) {
+          if (peaks.min[b] < lo) lo = peaks.min[b];
+          if (peaks.max[b] > hi) hi = peaks.max[b];
+        }
+      } else {
+        for (let i = from; i < to; i++) {
+          if (data[i] < lo) lo = data[i];
+          if (data[i] > hi) hi = data[i];
+        }
+      }
+      return lo <= hi ? [lo, hi] : [0, 0];
+    }
+
+    // ------- Coordinates -------
+    function canvasWidth() {
+      return canvas.clientWidth || 600;
+    }
+
+    function sampleToX(sample) {
+      return ((sample - viewStart) / viewLength) * canvasWidth();
+    }
+
+    function xToSample(x) {
+      const sample = viewStart + (x / canvasWidth()) * viewLength;
+      return Math.max(0, Math.min(data ? data.length : 0, sample));
+    }
+
+    function clampViewStart(start) {
+      const maxStart = Math.max(0, (data ? data.length : 0) - viewLength);
+      return Math.max(0, Math.min(maxStart, start));
+    }
+
+    return {
+      setAudio,
+      setSegments,
+      setEvents,
+      getSegments,
+      hasSelection,
+      getSelection,
+      setPlayhead,
+      zoomBy,
+      zoomToFit,
+      scrollBy,
+      keepSelection,
+      cutSelection,
+    };
+  }
+
+  /**
+   * Min/max pairs for every PEAK_BLOCK samples, used when zoomed out.
+   */
+  function computePeaks(monoData) {
+    const blocks = Math.ceil(monoData.length / PEAK_BLOCK);
+    const min = new Float32Array(blocks);
+    const max = new Float32Array(blocks);
+    for (let b = 0; b < blocks; b++) {
+      let lo = Infinity;
+      let hi = -Infinity;
+      const end = Math.min(monoData.length, (b + 1) * PEAK_BLOCK);
+      for (let i = b * PEAK_BLOCK; i < end; i++) {
+        const v = monoData[i];
+        if (v < lo) lo = v;
+        if (v > hi) hi = v;
+      }
+      min[b] = lo;
+      max[b] = hi;
+    }
+    return { min, max };
+  }
+
+  /**
+   * Union [s, e] into a sorted, non-overlapping segment list.
+   */
+  function addRange(segments, [s, e]) {
+    const out = [];
+    let start = Math.round(s);
+    let end = Math.round(e);
+    for (const seg of segments) {
+      if (seg[1] < start || seg[0] > end) {
+        out.push([seg[0], seg[1]]);
+      } else {
+        start = Math.min(start, seg[0]);
+        end = Math.max(end, seg[1]);
+      }
+    }
+    out.push([start, end]);
+    return out.sort((a, b) => a[0] - b[0]);
+  }
+
+  /**
+   * Remove [s, e] from a sorted, non-overlapping segment list.
+   */
+  function subtractRange(segments, [s, e]) {
+    const out = [];
+    const start = Math.round(s);
+    const end = Math.round(e);
+    for (const [a, b] of segments) {
+      if (b <= start || a >= end) {
+        out.push([a, b]);
+        continue;
+      }
+      if (a < start) out.push([a, start]);
+      if (b > end) out.push([end, b]);
+    }
+    return out;
+  }
+
+  window.createWaveformView = createWaveformView;
+})();
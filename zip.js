@@ -0,0 +1,96 @@
+/*
+  Minimal ZIP writer – stores files uncompressed (WAV barely deflates anyway)
+
+  Built entirely in the browser; no ZIP64, so the archive must stay under 4 GB.
+*/
+
+(function () {
+  const CRC_TABLE = buildCrcTable();
+
+  /**
+   * Pack files into a single ZIP Blob.
+   * @param {Array<{name: string, blob: Blob}>} entries
+   * @returns {Promise<Blob>}
+   */
+  async function createZip(entries) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+    const { time, date } = dosDateTime(new Date());
+
+    for (const entry of entries) {
+      const nameBytes = encoder.encode(entry.name);
+      const data = new Uint8Array(await entry.blob.arrayBuffer());
+      const crc = crc32(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true); // local file header signature
+      local.setUint16(4, 20, true); // version needed
+      local.setUint16(6, 0x0800, true); // UTF-8 file names
+      local.setUint16(8, 0, true); // method: store
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, nameBytes.length, true);
+      local.setUint16(28, 0, true);
+      parts.push(local, nameBytes, data);
+
+      const header = new DataView(new ArrayBuffer(46));
+      header.setUint32(0, 0x02014b50, true); // central directory signature
+      header.setUint16(4, 20, true); // version made by
+      header.setUint16(6, 20, true); // version needed
+      header.setUint16(8, 0x0800, true);
+      header.setUint16(10, 0, true);
+      header.setUint16(12, time, true);
+      header.setUint16(14, date, true);
+      header.setUint32(16, crc, true);
+      header.setUint32(20, data.length, true);
+      header.setUint32(24, data.length, true);
+      header.setUint16(28, nameBytes.length, true);
+      header.setUint32(42, offset, true); // local header offset (other fields stay 0)
+      central.push(header, nameBytes);
+
+      offset += 30 + nameBytes.length + data.length;
+    }
+
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // end of central directory signature
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+  }
+
+  function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  function buildCrcTable() {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      table[n] = c >>> 0;
+    }
+    return table;
+  }
+
+  function dosDateTime(d) {
+    return {
+      time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+      date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+    };
+  }
+
+  window.createZip = createZip;
+})();